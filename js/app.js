@@ -9,15 +9,28 @@
  * WEATHER INTEGRATION:
  * - Real-time Singapore NEA weather data from data.gov.sg
  * - 2-hour forecast for current conditions
- * - Air temperature from Pasir Ris/Changi stations
+ * - Multi-beach support: nearest forecast area and station by distance
+ * - Air temperature from the station closest to the selected beach
  * - 4-day extended forecast with cleanup suitability ratings
+ * - Cleanup window planner from the 24-hour regional forecast and nowcast
+ * - Severe weather alert banner and opt-in notifications for scheduled cleanups
+ * - PSI/PM2.5 haze and UV index readings factored into suitability
+ * - Live rainfall from the nearest rain gauges (5-minute readings)
  * - Automatic 30-minute refresh intervals
+ * - Offline-first localStorage cache (stale-while-revalidate) with age labels
  * - Graceful fallback for API unavailability
+ * - Local weather history (IndexedDB) with 7/30-day charts and CSV export
+ * - °C/°F toggle and English, Chinese, Malay and Tamil UI strings
  * 
  * APIs Used:
  * - https://api.data.gov.sg/v1/environment/2-hour-weather-forecast
  * - https://api.data.gov.sg/v1/environment/air-temperature
+ * - https://api.data.gov.sg/v1/environment/24-hour-weather-forecast
  * - https://api.data.gov.sg/v1/environment/4-day-weather-forecast
+ * - https://api.data.gov.sg/v1/environment/psi
+ * - https://api.data.gov.sg/v1/environment/uv-index
+ * - https://api.data.gov.sg/v1/environment/rainfall
+ * - https://api.data.gov.sg/v1/environment/relative-humidity
  */
 
 // ============================================
@@ -69,6 +82,1787 @@ function smoothScrollTo(target) {
   }
 }
 
+/**
+ * Human-friendly age of a timestamp, e.g. "just now" or "47 min ago"
+ */
+function formatTimeAgo(timestamp, now = Date.now()) {
+  const minutes = Math.floor((now - timestamp) / 60000);
+
+  if (minutes < 1) return t('time.justNow');
+  if (minutes < 60) return t('time.minutesAgo', { count: minutes });
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return t('time.hoursAgo', { count: hours });
+
+  const days = Math.floor(hours / 24);
+  return t(days === 1 ? 'time.dayAgo' : 'time.daysAgo', { count: days });
+}
+
+/**
+ * Read a JSON value from localStorage, tolerating blocked or corrupt storage
+ */
+function readStorage(key, fallback = null) {
+  try {
+    const value = window.localStorage.getItem(key);
+    return value === null ? fallback : JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON value to localStorage, ignoring quota and privacy errors
+ */
+function writeStorage(key, value) {
+  if (typeof window === 'undefined') return;
+
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Unable to save ${key}:`, error);
+  }
+}
+
+/**
+ * Great-circle distance in kilometres between two { latitude, longitude } points
+ */
+function haversineDistance(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const earthRadiusKm = 6371;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * earthRadiusKm * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Find the item closest to a point; getLocation maps an item to { latitude, longitude }
+ */
+function findNearest(items, point, getLocation) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  items.forEach(item => {
+    const location = getLocation(item);
+    if (!location) return;
+
+    const distance = haversineDistance(point, location);
+    if (distance < nearestDistance) {
+      nearest = item;
+      nearestDistance = distance;
+    }
+  });
+
+  return nearest;
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Reasonably unique id for client-created records, e.g. "rsvp-lx2k9f-4h7a1c"
+ */
+function createId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Unguessable URL-safe token, for invite links and anything that proves
+ * ownership (unlike createId, which is only unique)
+ */
+function createToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(18));
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Save generated text as a file through a temporary object URL
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Slide-in toast in the top right corner. Stacks below any toast already
+ * showing and closes itself after `duration` ms.
+ */
+function showNotification(text, { icon = 'fa-check-circle', background = 'var(--seaweed-green)', duration = 5000 } = {}) {
+  const offset = Array.from(document.querySelectorAll('.success-notification'))
+    .reduce((total, existing) => total + existing.offsetHeight + 12, 0);
+
+  const message = document.createElement('div');
+  message.className = 'success-notification';
+  message.innerHTML = `
+    <div class="notification-content">
+      <i class="fas ${icon}" aria-hidden="true"></i>
+      <span>${escapeHTML(text)}</span>
+      <button class="notification-close" aria-label="${t('notification.close')}">&times;</button>
+    </div>
+  `;
+
+  message.style.cssText = `
+    position: fixed;
+    top: ${20 + offset}px;
+    right: 20px;
+    background: ${background};
+    color: white;
+    padding: 1rem 1.5rem;
+    border-radius: 0.5rem;
+    box-shadow: 0 10px 25px rgba(0,0,0,0.1);
+    z-index: 1000;
+    transform: translateX(calc(100% + 20px));
+    transition: transform 0.3s ease;
+  `;
+
+  document.body.appendChild(message);
+
+  // Animate in
+  setTimeout(() => {
+    message.style.transform = 'translateX(0)';
+  }, 100);
+
+  const close = () => {
+    message.style.transform = 'translateX(calc(100% + 20px))';
+    setTimeout(() => message.remove(), 300);
+  };
+  message.querySelector('.notification-close').addEventListener('click', close);
+
+  setTimeout(() => {
+    if (document.body.contains(message)) close();
+  }, duration);
+
+  return message;
+}
+
+/**
+ * Escape text for interpolation into innerHTML templates
+ */
+function escapeHTML(value) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  return String(value).replace(/[&<>"']/g, char => entities[char]);
+}
+
+// ============================================
+// Internationalization & Units
+// ============================================
+
+const LANGUAGES = [
+  { code: 'en', label: 'English', locale: 'en-SG' },
+  { code: 'zh', label: '中文', locale: 'zh-SG' },
+  { code: 'ms', label: 'Bahasa Melayu', locale: 'ms-SG' },
+  { code: 'ta', label: 'தமிழ்', locale: 'ta-SG' }
+];
+
+/**
+ * UI strings by language. Keys missing from a language fall back to English.
+ * Placeholders like {beach} are filled in by I18n.t().
+ */
+const TRANSLATIONS = {
+  en: {
+    'app.navigatedToSignup': 'Navigated to signup section',
+    'app.demoComingSoon': '🎬 Demo video coming soon! For now, scroll down to explore our features.',
+    'skip.main': 'Skip to main content',
+    'skip.features': 'Skip to features',
+    'skip.contact': 'Skip to contact',
+    'settings.language': 'Language',
+    'settings.unitToggle': 'Switch temperature unit',
+    'settings.unitChanged': 'Temperatures now shown in {unit}',
+    'settings.languageChanged': 'Language changed to English',
+    'form.emailRequired': 'Email is required',
+    'form.emailInvalid': 'Please enter a valid email address',
+    'form.joining': 'Joining...',
+    'form.welcome': 'Welcome to the Squad!',
+    'form.tryAgain': 'Try Again',
+    'form.thanks': 'Thanks for joining! Welcome to ShoreSquad! 🌊',
+    'form.alreadyIn': 'Already in the Squad',
+    'form.alreadySubscribed': 'You’re already subscribed with this email. See you at the beach!',
+    'form.validationError': 'Please check your details and try again',
+    'form.networkError': 'We couldn’t reach ShoreSquad. Check your connection and try again.',
+    'form.rejected': 'Signup isn’t available right now. Please try again later.',
+    'form.serverError': 'Something went wrong on our side. Please try again in a moment.',
+    'form.required': 'This field is required',
+    'form.invalidChoice': 'Please choose one of the options',
+    'form.invalidNumber': 'Please enter a valid number',
+    'form.invalidDate': 'Please enter a valid date',
+    'form.tooLong': 'Please use {count} characters or fewer',
+    'form.ageRequired': 'Please choose your age group',
+    'form.availabilityRequired': 'Pick at least one time you can usually join',
+    'form.consentRequired': 'Under-18s need a parent or guardian’s OK to join',
+    'form.queued': 'Saved offline',
+    'form.queuedNotice': 'You’re offline, so your signup is saved on this device and will be sent when you’re back online.',
+    'form.queuedSent': 'You’re back online and your signup went through. Welcome to ShoreSquad! 🌊',
+    'form.queuedFailed': 'Your saved signup couldn’t be sent. Please check your details and try again.',
+    'notification.close': 'Close notification',
+    'offline.offline': 'You’re offline. Saved pages and the last weather still work.',
+    'offline.pending': 'You’re offline · Waiting to send: {count}',
+    'offline.sending': 'Sending saved signups and RSVPs: {count}',
+    'time.justNow': 'just now',
+    'time.minutesAgo': '{count} min ago',
+    'time.hoursAgo': '{count} hr ago',
+    'time.dayAgo': '{count} day ago',
+    'time.daysAgo': '{count} days ago',
+    'weather.unavailable': 'Live weather unavailable',
+    'weather.checkLocal': 'Check local weather!',
+    'weather.updated': 'Updated {age}',
+    'weather.offlineUpdated': 'Offline · updated {age}',
+    'weather.areaForecast': '{area} forecast',
+    'weather.stationReading': '{station} station',
+    'weather.forecastTitle': '5-Day Beach Cleanup Forecast · {beach}',
+    'weather.windLight': 'Light',
+    'weather.rainGauges': 'Rain gauges: {stations}',
+    'recommendation.unhealthyAir': 'Not ideal: unhealthy air quality',
+    'recommendation.notIdeal': 'Not ideal for cleanup',
+    'recommendation.postpone': 'Consider postponing',
+    'recommendation.perfect': 'Perfect for cleanup!',
+    'recommendation.great': 'Great conditions!',
+    'recommendation.good': 'Good for cleanup!',
+    'recommendation.hazy': 'Okay, but stay hydrated',
+    'recommendation.check': 'Check conditions!',
+    'recommendation.raining': 'Raining at the beach right now',
+    'rating.excellent': 'Excellent',
+    'rating.good': 'Good',
+    'rating.fair': 'Fair',
+    'rating.poor': 'Poor',
+    'rating.unavailable': 'Rating unavailable',
+    'rating.why': 'Why {rating}? ({score}/10)',
+    'rating.base': 'base score',
+    'rules.thundery': 'thundery weather',
+    'rules.fair': 'fair skies',
+    'rules.partly-cloudy': 'partly cloudy',
+    'rules.cloudy': 'cloud cover',
+    'rules.rain': 'rain or showers',
+    'rules.ideal-temperature': 'comfortable {temp}',
+    'rules.hot': 'hot {temp}',
+    'rules.low-humidity': 'humidity {humidity}%',
+    'rules.high-humidity': 'humidity {humidity}%',
+    'rules.psi-unhealthy': 'unhealthy air, PSI {psi}',
+    'rules.psi-moderate': 'moderate air, PSI {psi}',
+    'rules.pm25-elevated': 'elevated PM2.5 {pm25}',
+    'rules.uv-extreme': 'extreme UV {uv}',
+    'rules.uv-very-high': 'very high UV {uv}',
+    'air.psi': 'PSI {value} · {level}',
+    'air.pm25': 'PM2.5 {value}',
+    'air.uv': 'UV {value} · {level}',
+    'air.level.good': 'Good',
+    'air.level.moderate': 'Moderate',
+    'air.level.unhealthy': 'Unhealthy',
+    'air.level.veryUnhealthy': 'Very Unhealthy',
+    'air.level.hazardous': 'Hazardous',
+    'uv.level.low': 'Low',
+    'uv.level.moderate': 'Moderate',
+    'uv.level.high': 'High',
+    'uv.level.veryHigh': 'Very High',
+    'uv.level.extreme': 'Extreme',
+    'rain.now': 'Raining now',
+    'rain.lastRain': 'Last rain {age}',
+    'rain.dry': 'Dry for the last {minutes} min',
+    'rain.dryLatest': 'Dry in the latest reading',
+    'region.east': 'east',
+    'region.west': 'west',
+    'region.north': 'north',
+    'region.south': 'south',
+    'region.central': 'central',
+    'planner.title': 'Best Cleanup Windows',
+    'planner.empty': 'No daylight windows in the forecast yet. Check back soon!',
+    'planner.steady': '{forecast} forecast for the {region}',
+    'planner.changing': '{from} turning {to}',
+    'planner.beforeHeat': 'done before the midday heat',
+    'planner.afterHeat': 'after the midday heat has passed',
+    'planner.peakUv': 'overlaps peak UV hours, so bring sun protection',
+    'planner.nowcast': 'backed by the latest 2-hour nowcast',
+    'planner.outlookOnly': 'based on the 4-day outlook, so check again closer to the day',
+    'planner.unhealthyAir': 'unhealthy air quality',
+    'planner.separator': ', ',
+    'planner.end': '.',
+    'alerts.description': '{forecast} expected at {beach} {when}.',
+    'alerts.next2Hours': 'in the next 2 hours',
+    'alerts.onDay': 'on {day}',
+    'alerts.announce': 'Weather alert: {description}',
+    'alerts.notificationTitle': '⚠️ Weather alert: {beach}',
+    'alerts.notificationsOn': 'Browser weather alerts turned on',
+    'alerts.bannerLabel': 'Severe weather alerts',
+    'alerts.severe': 'Severe weather:',
+    'alerts.reschedule': 'Consider rescheduling your cleanup.',
+    'alerts.dismiss': 'Dismiss alert for {beach}',
+    'alerts.enable': 'Get browser alerts',
+    'history.title': 'Weather History',
+    'history.range': 'History range',
+    'history.days': 'Last {count} days',
+    'history.export': 'Export CSV',
+    'history.empty': 'No readings yet. Each weather refresh is saved here so you can spot the best cleanup days.',
+    'history.temperature': 'Temperature',
+    'history.humidity': 'Humidity',
+    'history.suitability': 'Cleanup score',
+    'history.chartSummary': '{label}: latest {latest}, range {min} to {max}',
+    'history.best': 'Best so far: {day} {band}, averaging {score}/10 over {count} readings',
+    'history.band.morning': 'mornings',
+    'history.band.midday': 'middays',
+    'history.band.afternoon': 'afternoons',
+    'events.duration': 'Duration: {hours} hours',
+    'events.capacity': 'Squad size: up to {count} people',
+    'events.join': 'Join This Cleanup',
+    'events.directions': 'Get Directions',
+    'events.empty': 'No upcoming cleanups scheduled yet. Check back soon!',
+    'events.loadError': 'Upcoming cleanups could not be loaded. Please try again later.',
+    'events.viewAll': 'See all cleanups',
+    'events.allTitle': 'All upcoming cleanups',
+    'events.allIntro': 'Every cleanup on the calendar. Pick one for its details and forecast.',
+    'events.backToAll': 'All cleanups',
+    'events.forecast': 'Forecast: {forecast}',
+    'events.noForecast': 'The forecast covers the next 4 days, so check back closer to the day.',
+    'events.finished': 'This cleanup has finished. Thanks to everyone who came!',
+    'router.notFoundTitle': 'Page not found',
+    'router.notFoundBody': 'There’s nothing at this link. It may have moved, or the address may be mistyped.',
+    'router.home': 'Back to the home page',
+    'map.title': 'Cleanup hotspot map',
+    'map.beachLabel': '{name}: conditions {rating}, {litter} litter',
+    'map.eventLabel': '{title}, {date}: conditions {rating}',
+    'map.ratingUnknown': 'not forecast yet',
+    'map.litter.low': 'light',
+    'map.litter.medium': 'moderate',
+    'map.litter.high': 'heavy',
+    'map.legendConditions': 'Cleanup conditions',
+    'map.legendLitter': 'Litter (halo size)',
+    'map.legendEvent': 'Scheduled cleanup',
+    'rsvp.spotsLeft': '{count} of {capacity} spots left',
+    'rsvp.full': 'Full · {count} on the waitlist',
+    'rsvp.going': 'You’re going! See you at the beach 🌊',
+    'rsvp.waitlisted': 'You’re #{position} on the waitlist',
+    'rsvp.cancel': 'Cancel RSVP',
+    'rsvp.name': 'Name',
+    'rsvp.email': 'Email',
+    'rsvp.submit': 'Confirm RSVP',
+    'rsvp.submitWaitlist': 'Join Waitlist',
+    'rsvp.dismiss': 'Never mind',
+    'rsvp.nameRequired': 'Please enter your name',
+    'rsvp.saving': 'Saving...',
+    'rsvp.confirmed': 'You’re confirmed for {event}!',
+    'rsvp.waitlistJoined': '{event} is full, so you’re #{position} on the waitlist. You’ll move up automatically if a spot opens.',
+    'rsvp.cancelled': 'Your RSVP for {event} was cancelled',
+    'rsvp.promoted': 'Good news! A spot opened up at {event}, so you’re now confirmed.',
+    'rsvp.confirmCancel': 'Cancel your RSVP for {event}?',
+    'rsvp.error': 'Your RSVP could not be saved. Please try again.',
+    'rsvp.queued': 'Saved offline · we’ll send your RSVP when you’re back online',
+    'rsvp.queuedButton': 'Waiting to send',
+    'rsvp.queuedAnnounce': 'You’re offline, so your RSVP for {event} will be sent when you’re back online',
+    'rsvp.queuedFailed': 'Your saved RSVP for {event} couldn’t be sent. Please try again.',
+    'reminders.heading': 'Cleanup reminders',
+    'reminders.intro': 'Get a notification before cleanups you’ve joined, with the latest forecast.',
+    'reminders.enable': 'Send me reminders',
+    'reminders.send': 'Remind me',
+    'reminders.dayBefore': '24 hours before',
+    'reminders.twoHours': '2 hours before',
+    'reminders.worsening': 'When the forecast turns poor',
+    'reminders.quietHours': 'Quiet hours',
+    'reminders.quietFrom': 'From',
+    'reminders.quietTo': 'to',
+    'reminders.quietHint': 'Reminders due in quiet hours (Singapore time) wait until they end. Set both times the same to turn quiet hours off.',
+    'reminders.closedHint': 'Reminders come while ShoreSquad is open. With it closed, they only arrive if it’s installed as an app on a browser that supports background checks, at most about once an hour, and then without a forecast if the one saved has gone stale.',
+    'reminders.on': 'Cleanup reminders are on',
+    'reminders.off': 'Cleanup reminders are off',
+    'reminders.denied': 'Notifications are blocked for this site. Allow them in your browser settings to get reminders.',
+    'reminders.unsupported': 'Reminders need a browser with notifications, with the site served over https.',
+    'reminders.title.day-before': 'Tomorrow: {event}',
+    'reminders.title.two-hours': 'Starting soon: {event}',
+    'reminders.title.worsening': 'Heads-up, weather worsening: {event}',
+    'reminders.body': '{time} at {place}. Forecast: {forecast} · Cleanup conditions: {rating}',
+    'reminders.bodyNoForecast': '{time} at {place}. Check the forecast before you head out.',
+    'calendar.add': 'Add to Calendar',
+    'calendar.addAll': 'Add All Upcoming Cleanups',
+    'calendar.addAllHint': 'One calendar file with every upcoming cleanup, including reminders. It won’t update itself, so add it again if a cleanup moves.',
+    'calendar.calendarName': 'ShoreSquad Beach Cleanups',
+    'calendar.meetingPoint': 'Meeting point: {address}',
+    'calendar.reminder': 'Beach cleanup tomorrow: {event}',
+    'calendar.downloaded': 'Calendar file downloaded',
+    'stats.filters': 'Filter impact stats',
+    'stats.squad': 'Squad',
+    'stats.allSquads': 'All squads',
+    'stats.beach': 'Beach',
+    'stats.allBeaches': 'All beaches',
+    'stats.period': 'Period',
+    'stats.allTime': 'All time',
+    'litter.squad': 'Credit to squad',
+    'litter.squadNone': 'No squad',
+    'squads.mine': 'Your squads',
+    'squads.none': 'You’re not in a squad yet. Start one, or open an invite link from a friend.',
+    'squads.memberCount': 'Members: {count}',
+    'squads.createTitle': 'Start a squad',
+    'squads.name': 'Squad name',
+    'squads.nameRequired': 'Please name your squad',
+    'squads.create': 'Create Squad',
+    'squads.created': '{squad} is ready. Invite your crew!',
+    'squads.pageEmpty': 'Pick a squad to see its page.',
+    'squads.since': 'Squad since {date}',
+    'squads.upcoming': 'Upcoming cleanups',
+    'squads.noCleanups': 'Nobody in the squad has joined an upcoming cleanup yet.',
+    'squads.going': 'Squad members going: {count}',
+    'squads.members': 'Members',
+    'squads.you': '(you)',
+    'squads.role.organizer': 'Organizer',
+    'squads.role.member': 'Member',
+    'squads.roleFor': 'Role for {name}',
+    'squads.roleChanged': 'Role changed to {role}',
+    'squads.leave': 'Leave squad',
+    'squads.remove': 'Remove',
+    'squads.confirmLeave': 'Leave {squad}?',
+    'squads.confirmRemove': 'Remove {name} from {squad}?',
+    'squads.left': 'You left {squad}',
+    'squads.removed': 'Member removed',
+    'squads.impactCleanups': 'Beaches cleaned',
+    'squads.impactMembers': 'Members',
+    'squads.impactWeight': 'Trash removed',
+    'squads.createInvite': 'Create invite link',
+    'squads.inviteLink': 'Invite link, valid until {date}',
+    'squads.inviteCreated': 'Invite link created. It works for {days} days.',
+    'squads.copy': 'Copy',
+    'squads.copied': 'Invite link copied',
+    'squads.copyManually': 'Copy the selected link to share it',
+    'squads.inviteTitle': 'Squad invite',
+    'squads.inviteTo': 'Join {squad}',
+    'squads.inviteDetails': 'Members: {count} · Link valid until {date}',
+    'squads.join': 'Join Squad',
+    'squads.joined': 'Welcome to {squad}!',
+    'squads.error': 'Something went wrong. Please try again.',
+    'squads.errorNotFound': 'We couldn’t find this invite. Check the link or ask an organizer for a new one.',
+    'squads.errorExpired': 'This invite has expired. Ask an organizer for a new link.',
+    'squads.errorForbidden': 'Only organizers can do that.',
+    'squads.errorAlreadyMember': 'That email is already in this squad. Open the squad in the browser you joined from.',
+    'squads.errorLastOrganizer': 'Every squad needs an organizer. Make someone else an organizer first.',
+    'squads.errorInvalid': 'Please check the name and email.',
+    'litter.rained': 'We worked through rain',
+    'badges.title': 'Your badges',
+    'badges.unlocked': '🏅 Badge unlocked: {badge}!',
+    'badges.unlockedOn': 'Unlocked {date}',
+    'badges.progress': '{value} / {goal}',
+    'badges.streak': '🔥 Monthly streak: {count}',
+    'badges.bestStreak': 'Best: {count} months',
+    'badges.monthActive': 'cleaned up this month',
+    'badges.monthInactive': 'no cleanup this month',
+    'badges.first-cleanup.name': 'First Wave',
+    'badges.first-cleanup.description': 'Join or log your first cleanup',
+    'badges.five-beaches.name': 'Beach Hopper',
+    'badges.five-beaches.description': 'Clean up at 5 different beaches',
+    'badges.ten-kg.name': 'Heavy Lifter',
+    'badges.ten-kg.description': 'Help collect 10 kg of litter',
+    'badges.rain-or-shine.name': 'Rain or Shine',
+    'badges.rain-or-shine.description': 'Keep cleaning through the rain',
+    'badges.streak-3.name': 'On a Roll',
+    'badges.streak-3.description': 'Clean up 3 months in a row',
+    'leaderboard.title': 'Squad leaderboard',
+    'leaderboard.rankBy': 'Rank squads by',
+    'leaderboard.cleanups': 'Cleanups',
+    'leaderboard.weightKg': 'Weight',
+    'leaderboard.yours': '(your squad)',
+    'leaderboard.cleanupCount': 'Cleanups: {count}',
+    'leaderboard.empty': 'No squad has logged a cleanup yet. Credit a tally to your squad to get on the board.',
+    'litter.title': 'Log a cleanup',
+    'litter.intro': 'Record what your squad collected. Tallies are saved on this device first, so this works offline on the beach.',
+    'litter.event': 'Cleanup',
+    'litter.eventNone': 'Not a listed cleanup',
+    'litter.beach': 'Beach',
+    'litter.date': 'Date',
+    'litter.bags': 'Bags filled',
+    'litter.weight': 'Total weight (kg)',
+    'litter.submit': 'Save tally',
+    'litter.saving': 'Saving…',
+    'litter.group.common': 'Most likely to find',
+    'litter.group.fishing': 'Fishing gear',
+    'litter.group.tiny': 'Tiny trash (under 2.5 cm)',
+    'litter.group.other': 'Other trash',
+    'litter.category.cigarette-butts': 'Cigarette butts',
+    'litter.category.food-wrappers': 'Food wrappers',
+    'litter.category.plastic-bottles': 'Plastic bottles',
+    'litter.category.bottle-caps': 'Bottle caps',
+    'litter.category.plastic-bags': 'Plastic bags',
+    'litter.category.straws': 'Straws and stirrers',
+    'litter.category.takeaway-containers': 'Takeaway containers',
+    'litter.category.cups-lids': 'Cups and lids',
+    'litter.category.glass-bottles': 'Glass bottles',
+    'litter.category.cans': 'Beverage cans',
+    'litter.category.fishing-line': 'Fishing line',
+    'litter.category.rope-nets': 'Rope and nets',
+    'litter.category.plastic-pieces': 'Plastic pieces',
+    'litter.category.styrofoam': 'Styrofoam pieces',
+    'litter.category.other': 'Other items',
+    'litter.errorBeach': 'Choose the beach you cleaned',
+    'litter.errorDate': 'Enter the cleanup date (today or earlier)',
+    'litter.errorNumber': 'Counts, bags and weight must be zero or more, with whole numbers for counts and bags',
+    'litter.errorEmpty': 'Enter at least one item count, bag or weight',
+    'litter.errorSave': 'The tally could not be saved. Please try again.',
+    'litter.savedOffline': 'Tally saved on this device. It will sync when you are back online.',
+    'litter.savedLocal': 'Tally saved on this device.',
+    'litter.savedSynced': 'Tally saved and synced.',
+    'litter.summaryTitle': 'Impact by beach',
+    'litter.range': 'Summary period',
+    'litter.rangeAll': 'All time',
+    'litter.summaryEmpty': 'No tallies logged for this period yet.',
+    'litter.colBeach': 'Beach',
+    'litter.colCleanups': 'Cleanups',
+    'litter.colItems': 'Items',
+    'litter.colBags': 'Bags',
+    'litter.colWeight': 'Weight',
+    'litter.kg': '{weight} kg',
+    'litter.topTitle': 'Top litter types',
+    'litter.pending': '{count} waiting to sync',
+    'litter.syncNow': 'Sync now',
+    'litter.allSynced': 'All tallies synced',
+    'litter.localOnly': 'Tallies are stored on this device',
+    'schedule.title': 'Next available slots',
+    'schedule.bestSlot': 'Best time here: {when}',
+    'schedule.poorDay': 'Poor cleanup conditions forecast for this date ({forecast}).',
+    'schedule.reschedule': 'Organizers: move to {when}',
+    'schedule.noBetterSlot': 'No better slot in the next few days.',
+    'schedule.rescheduled': '{title} moved to {when}',
+    'schedule.error': 'Could not reschedule this cleanup. Please try again.',
+    'schedule.forbidden': 'Your saved email doesn’t match this cleanup’s organizer, so it wasn’t moved.',
+    'directions.locating': 'Finding your location…',
+    'directions.denied': 'Location access is off. Enter your postal code instead.',
+    'directions.unavailable': 'We could not find your location. Enter your postal code instead.',
+    'directions.postalLabel': 'Your postal code',
+    'directions.postalSubmit': 'Show route',
+    'directions.postalInvalid': 'Enter a 6-digit Singapore postal code',
+    'directions.fromHere': 'From your current location',
+    'directions.fromPostal': 'From postal code {postalCode}',
+    'directions.fromPostalApprox': 'From around postal code {postalCode} (approximate)',
+    'directions.km': '{distance} km',
+    'directions.estimate': 'About {distance} away · ~{driving} min by car · ~{transit} min by public transport',
+    'directions.outOfRange': 'You seem to be outside Singapore, so we can’t estimate travel time.',
+    'directions.nearestMrt': 'Nearest MRT: {station} ({codes}), {distance} · ~{walk} min walk',
+    'directions.openGoogle': 'Google Maps',
+    'directions.openApple': 'Apple Maps',
+    'directions.openMapsApp': 'Open in Maps app',
+    'directions.openTransit': 'Public transport route',
+    'directions.usePostal': 'Use a postal code instead'
+  },
+  zh: {
+    'app.navigatedToSignup': '已跳转到注册部分',
+    'app.demoComingSoon': '🎬 演示视频即将推出！现在请向下滚动，探索我们的功能。',
+    'skip.main': '跳到主要内容',
+    'skip.features': '跳到功能介绍',
+    'skip.contact': '跳到联系方式',
+    'settings.language': '语言',
+    'settings.unitToggle': '切换温度单位',
+    'settings.unitChanged': '温度现以{unit}显示',
+    'settings.languageChanged': '语言已切换为中文',
+    'form.emailRequired': '请输入电子邮件',
+    'form.emailInvalid': '请输入有效的电子邮件地址',
+    'form.joining': '正在加入...',
+    'form.welcome': '欢迎加入小队！',
+    'form.tryAgain': '请重试',
+    'form.thanks': '感谢加入！欢迎来到 ShoreSquad！🌊',
+    'form.alreadyIn': '已是小队成员',
+    'form.alreadySubscribed': '此电子邮件已订阅。海滩见！',
+    'form.validationError': '请检查你的资料后重试',
+    'form.networkError': '无法连接 ShoreSquad。请检查网络后重试。',
+    'form.rejected': '暂时无法注册，请稍后再试。',
+    'form.serverError': '我们这边出了点问题，请稍后重试。',
+    'form.required': '此项为必填项',
+    'form.invalidChoice': '请从选项中选择',
+    'form.invalidNumber': '请输入有效的数字',
+    'form.invalidDate': '请输入有效的日期',
+    'form.tooLong': '请不要超过 {count} 个字符',
+    'form.ageRequired': '请选择你的年龄段',
+    'form.availabilityRequired': '请至少选择一个你通常可以参加的时间',
+    'form.consentRequired': '未满 18 岁需获得父母或监护人的同意',
+    'form.queued': '已离线保存',
+    'form.queuedNotice': '你目前处于离线状态，报名已保存在此设备上，恢复联网后会自动发送。',
+    'form.queuedSent': '你已恢复联网，报名已成功提交。欢迎来到 ShoreSquad！🌊',
+    'form.queuedFailed': '无法发送已保存的报名。请检查你的资料后重试。',
+    'notification.close': '关闭通知',
+    'offline.offline': '你已离线。已保存的页面和最近的天气仍可使用。',
+    'offline.pending': '你已离线 · 等待发送：{count}',
+    'offline.sending': '正在发送已保存的报名：{count}',
+    'time.justNow': '刚刚',
+    'time.minutesAgo': '{count} 分钟前',
+    'time.hoursAgo': '{count} 小时前',
+    'time.dayAgo': '{count} 天前',
+    'time.daysAgo': '{count} 天前',
+    'weather.unavailable': '暂时无法获取实时天气',
+    'weather.checkLocal': '请查看当地天气！',
+    'weather.updated': '{age}更新',
+    'weather.offlineUpdated': '离线 · {age}更新',
+    'weather.areaForecast': '{area} 预报',
+    'weather.stationReading': '{station} 气象站',
+    'weather.forecastTitle': '五日海滩清洁天气预报 · {beach}',
+    'weather.windLight': '微风',
+    'weather.rainGauges': '雨量站：{stations}',
+    'recommendation.unhealthyAir': '不宜：空气质量不健康',
+    'recommendation.notIdeal': '不适合清洁活动',
+    'recommendation.postpone': '建议延期',
+    'recommendation.perfect': '非常适合清洁活动！',
+    'recommendation.great': '条件很好！',
+    'recommendation.good': '适合清洁活动！',
+    'recommendation.hazy': '可以，但请多补充水分',
+    'recommendation.check': '请查看天气状况！',
+    'recommendation.raining': '海滩此刻正在下雨',
+    'rating.excellent': '极佳',
+    'rating.good': '良好',
+    'rating.fair': '一般',
+    'rating.poor': '差',
+    'rating.unavailable': '暂无评分',
+    'rating.why': '为什么是“{rating}”？（{score}/10）',
+    'rating.base': '基础分',
+    'rules.thundery': '雷雨天气',
+    'rules.fair': '天气晴朗',
+    'rules.partly-cloudy': '局部多云',
+    'rules.cloudy': '多云',
+    'rules.rain': '有雨或阵雨',
+    'rules.ideal-temperature': '气温舒适 {temp}',
+    'rules.hot': '炎热 {temp}',
+    'rules.low-humidity': '湿度 {humidity}%',
+    'rules.high-humidity': '湿度 {humidity}%',
+    'rules.psi-unhealthy': '空气不健康，PSI {psi}',
+    'rules.psi-moderate': '空气质量中等，PSI {psi}',
+    'rules.pm25-elevated': 'PM2.5 偏高 {pm25}',
+    'rules.uv-extreme': '紫外线极强 {uv}',
+    'rules.uv-very-high': '紫外线很强 {uv}',
+    'air.psi': 'PSI {value} · {level}',
+    'air.pm25': 'PM2.5 {value}',
+    'air.uv': '紫外线 {value} · {level}',
+    'air.level.good': '良好',
+    'air.level.moderate': '中等',
+    'air.level.unhealthy': '不健康',
+    'air.level.veryUnhealthy': '非常不健康',
+    'air.level.hazardous': '危险',
+    'uv.level.low': '低',
+    'uv.level.moderate': '中等',
+    'uv.level.high': '高',
+    'uv.level.veryHigh': '很高',
+    'uv.level.extreme': '极高',
+    'rain.now': '正在下雨',
+    'rain.lastRain': '上次降雨：{age}',
+    'rain.dry': '过去 {minutes} 分钟无雨',
+    'rain.dryLatest': '最新读数显示无雨',
+    'region.east': '东部',
+    'region.west': '西部',
+    'region.north': '北部',
+    'region.south': '南部',
+    'region.central': '中部',
+    'planner.title': '最佳清洁时段',
+    'planner.empty': '预报中暂无合适的白天时段，请稍后再查看！',
+    'planner.steady': '{region}地区预报：{forecast}',
+    'planner.changing': '{from}，之后转为 {to}',
+    'planner.beforeHeat': '在正午炎热前结束',
+    'planner.afterHeat': '正午炎热已过',
+    'planner.peakUv': '与紫外线高峰重叠，请做好防晒',
+    'planner.nowcast': '参考最新两小时预报',
+    'planner.outlookOnly': '依据四日展望，请在临近日期再查看',
+    'planner.unhealthyAir': '空气质量不健康',
+    'planner.separator': '，',
+    'planner.end': '。',
+    'alerts.description': '{beach}{when}预计有 {forecast}。',
+    'alerts.next2Hours': '未来两小时内',
+    'alerts.onDay': '于{day}',
+    'alerts.announce': '天气警报：{description}',
+    'alerts.notificationTitle': '⚠️ 天气警报：{beach}',
+    'alerts.notificationsOn': '已开启浏览器天气警报',
+    'alerts.bannerLabel': '恶劣天气警报',
+    'alerts.severe': '恶劣天气：',
+    'alerts.reschedule': '建议重新安排清洁活动。',
+    'alerts.dismiss': '关闭{beach}的警报',
+    'alerts.enable': '接收浏览器警报',
+    'history.title': '天气记录',
+    'history.range': '记录范围',
+    'history.days': '最近 {count} 天',
+    'history.export': '导出 CSV',
+    'history.empty': '暂无记录。每次天气更新都会保存在这里，帮助你找出最适合清洁的日子。',
+    'history.temperature': '气温',
+    'history.humidity': '湿度',
+    'history.suitability': '清洁评分',
+    'history.chartSummary': '{label}：最新 {latest}，范围 {min} 至 {max}',
+    'history.best': '目前最佳：{day}{band}，{count} 次读数平均 {score}/10',
+    'history.band.morning': '上午',
+    'history.band.midday': '中午',
+    'history.band.afternoon': '下午',
+    'events.duration': '时长：{hours} 小时',
+    'events.capacity': '小队人数：最多 {count} 人',
+    'events.join': '参加这次清洁',
+    'events.directions': '获取路线',
+    'events.empty': '暂无即将举行的清洁活动，请稍后再查看！',
+    'events.loadError': '无法加载即将举行的清洁活动，请稍后再试。',
+    'events.viewAll': '查看全部清洁活动',
+    'events.allTitle': '全部即将举行的清洁活动',
+    'events.allIntro': '日历上的每一场清洁活动。选择一场查看详情和天气预报。',
+    'events.backToAll': '全部清洁活动',
+    'events.forecast': '天气预报：{forecast}',
+    'events.noForecast': '天气预报只涵盖未来 4 天，请在活动临近时再查看。',
+    'events.finished': '这次清洁活动已经结束。感谢每一位参与者！',
+    'router.notFoundTitle': '找不到页面',
+    'router.notFoundBody': '此链接没有内容。它可能已被移动，或者地址输入有误。',
+    'router.home': '返回首页',
+    'map.title': '清洁热点地图',
+    'map.beachLabel': '{name}：条件{rating}，垃圾量{litter}',
+    'map.eventLabel': '{title}，{date}：条件{rating}',
+    'map.ratingUnknown': '暂无预报',
+    'map.litter.low': '少',
+    'map.litter.medium': '中等',
+    'map.litter.high': '多',
+    'map.legendConditions': '清洁条件',
+    'map.legendLitter': '垃圾量（光圈大小）',
+    'map.legendEvent': '已安排的清洁活动',
+    'rsvp.spotsLeft': '剩余 {count}/{capacity} 个名额',
+    'rsvp.full': '已满 · {count} 人候补',
+    'rsvp.going': '你已报名！海滩见 🌊',
+    'rsvp.waitlisted': '你是候补名单第 {position} 位',
+    'rsvp.cancel': '取消报名',
+    'rsvp.name': '姓名',
+    'rsvp.email': '电子邮件',
+    'rsvp.submit': '确认报名',
+    'rsvp.submitWaitlist': '加入候补',
+    'rsvp.dismiss': '算了',
+    'rsvp.nameRequired': '请输入你的姓名',
+    'rsvp.saving': '正在保存...',
+    'rsvp.confirmed': '你已确认参加「{event}」！',
+    'rsvp.waitlistJoined': '「{event}」已满，你是候补名单第 {position} 位。一有名额空出，你将自动递补。',
+    'rsvp.cancelled': '你已取消「{event}」的报名',
+    'rsvp.promoted': '好消息！「{event}」空出了名额，你的报名已确认。',
+    'rsvp.confirmCancel': '要取消「{event}」的报名吗？',
+    'rsvp.error': '无法保存你的报名，请重试。',
+    'rsvp.queued': '已离线保存 · 恢复联网后将发送你的报名',
+    'rsvp.queuedButton': '等待发送',
+    'rsvp.queuedAnnounce': '你目前处于离线状态，「{event}」的报名将在恢复联网后发送',
+    'rsvp.queuedFailed': '无法发送「{event}」的已保存报名，请重试。',
+    'reminders.heading': '清洁活动提醒',
+    'reminders.intro': '在你报名的清洁活动开始前收到通知，并附上最新天气预报。',
+    'reminders.enable': '给我发送提醒',
+    'reminders.send': '提醒时间',
+    'reminders.dayBefore': '提前 24 小时',
+    'reminders.twoHours': '提前 2 小时',
+    'reminders.worsening': '天气预报转差时',
+    'reminders.quietHours': '免打扰时段',
+    'reminders.quietFrom': '从',
+    'reminders.quietTo': '至',
+    'reminders.quietHint': '免打扰时段（新加坡时间）内到期的提醒会在时段结束后发送。两个时间设为相同即可关闭免打扰。',
+    'reminders.closedHint': '提醒会在 ShoreSquad 打开时发送。关闭后，只有将其安装为应用且浏览器支持后台检查时才会收到提醒，最多大约每小时一次；如果保存的天气预报已过时，提醒将不附带预报。',
+    'reminders.on': '已开启清洁活动提醒',
+    'reminders.off': '已关闭清洁活动提醒',
+    'reminders.denied': '此网站的通知已被阻止。请在浏览器设置中允许通知以接收提醒。',
+    'reminders.unsupported': '提醒需要支持通知的浏览器，并通过 https 访问本网站。',
+    'reminders.title.day-before': '明天：{event}',
+    'reminders.title.two-hours': '即将开始：{event}',
+    'reminders.title.worsening': '注意，天气转差：{event}',
+    'reminders.body': '{time}，{place}。天气预报：{forecast} · 清洁条件：{rating}',
+    'reminders.bodyNoForecast': '{time}，{place}。出发前请查看天气预报。',
+    'calendar.add': '添加到日历',
+    'calendar.addAll': '添加所有即将举行的清洁活动',
+    'calendar.addAllHint': '一个包含所有即将举行的清洁活动及提醒的日历文件。它不会自动更新，如果活动改期请重新添加。',
+    'calendar.calendarName': 'ShoreSquad 海滩清洁活动',
+    'calendar.meetingPoint': '集合地点：{address}',
+    'calendar.reminder': '明天海滩清洁：{event}',
+    'calendar.downloaded': '日历文件已下载',
+    'stats.filters': '筛选成果统计',
+    'stats.squad': '小队',
+    'stats.allSquads': '所有小队',
+    'stats.beach': '海滩',
+    'stats.allBeaches': '所有海滩',
+    'stats.period': '期间',
+    'stats.allTime': '全部',
+    'litter.squad': '计入小队',
+    'litter.squadNone': '不计入小队',
+    'squads.mine': '你的小队',
+    'squads.none': '你还没有加入小队。创建一个，或打开朋友发来的邀请链接。',
+    'squads.memberCount': '成员：{count}',
+    'squads.createTitle': '创建小队',
+    'squads.name': '小队名称',
+    'squads.nameRequired': '请为小队命名',
+    'squads.create': '创建小队',
+    'squads.created': '{squad} 已创建，快邀请你的伙伴吧！',
+    'squads.pageEmpty': '选择一个小队查看详情。',
+    'squads.since': '成立于 {date}',
+    'squads.upcoming': '即将举行的清洁活动',
+    'squads.noCleanups': '小队成员尚未报名任何即将举行的活动。',
+    'squads.going': '参加的小队成员：{count}',
+    'squads.members': '成员',
+    'squads.you': '（你）',
+    'squads.role.organizer': '组织者',
+    'squads.role.member': '成员',
+    'squads.roleFor': '{name} 的角色',
+    'squads.roleChanged': '角色已改为{role}',
+    'squads.leave': '退出小队',
+    'squads.remove': '移除',
+    'squads.confirmLeave': '退出 {squad}？',
+    'squads.confirmRemove': '将 {name} 从 {squad} 移除？',
+    'squads.left': '你已退出 {squad}',
+    'squads.removed': '成员已移除',
+    'squads.impactCleanups': '清洁的海滩',
+    'squads.impactMembers': '成员',
+    'squads.impactWeight': '清除的垃圾',
+    'squads.createInvite': '生成邀请链接',
+    'squads.inviteLink': '邀请链接，有效期至 {date}',
+    'squads.inviteCreated': '邀请链接已生成，有效期 {days} 天。',
+    'squads.copy': '复制',
+    'squads.copied': '邀请链接已复制',
+    'squads.copyManually': '请复制已选中的链接进行分享',
+    'squads.inviteTitle': '小队邀请',
+    'squads.inviteTo': '加入 {squad}',
+    'squads.inviteDetails': '成员：{count} · 链接有效期至 {date}',
+    'squads.join': '加入小队',
+    'squads.joined': '欢迎加入 {squad}！',
+    'squads.error': '出了点问题，请重试。',
+    'squads.errorNotFound': '找不到此邀请。请检查链接或向组织者索取新链接。',
+    'squads.errorExpired': '此邀请已过期。请向组织者索取新链接。',
+    'squads.errorForbidden': '只有组织者可以执行此操作。',
+    'squads.errorAlreadyMember': '该电子邮件已在此小队中。请在您加入时使用的浏览器中打开小队。',
+    'squads.errorLastOrganizer': '每个小队都需要一名组织者。请先指定其他人为组织者。',
+    'squads.errorInvalid': '请检查姓名和电子邮件。',
+    'litter.rained': '我们冒雨完成了清洁',
+    'badges.title': '你的徽章',
+    'badges.unlocked': '🏅 解锁徽章：{badge}！',
+    'badges.unlockedOn': '{date} 解锁',
+    'badges.progress': '{value} / {goal}',
+    'badges.streak': '🔥 连续月数：{count}',
+    'badges.bestStreak': '最佳：{count} 个月',
+    'badges.monthActive': '本月已参加清洁',
+    'badges.monthInactive': '本月未参加清洁',
+    'badges.first-cleanup.name': '第一波',
+    'badges.first-cleanup.description': '报名或记录你的第一次清洁',
+    'badges.five-beaches.name': '海滩达人',
+    'badges.five-beaches.description': '在 5 个不同海滩参加清洁',
+    'badges.ten-kg.name': '大力士',
+    'badges.ten-kg.description': '协助收集 10 公斤垃圾',
+    'badges.rain-or-shine.name': '风雨无阻',
+    'badges.rain-or-shine.description': '下雨也坚持清洁',
+    'badges.streak-3.name': '势不可挡',
+    'badges.streak-3.description': '连续 3 个月参加清洁',
+    'leaderboard.title': '小队排行榜',
+    'leaderboard.rankBy': '小队排名依据',
+    'leaderboard.cleanups': '清洁次数',
+    'leaderboard.weightKg': '重量',
+    'leaderboard.yours': '（你的小队）',
+    'leaderboard.cleanupCount': '清洁次数：{count}',
+    'leaderboard.empty': '还没有小队记录清洁。将记录计入你的小队即可上榜。',
+    'litter.title': '记录清洁成果',
+    'litter.intro': '记录您的小队收集了什么。记录会先保存在本设备上，因此在海滩离线也能使用。',
+    'litter.event': '清洁活动',
+    'litter.eventNone': '非列表中的活动',
+    'litter.beach': '海滩',
+    'litter.date': '日期',
+    'litter.bags': '装满的袋数',
+    'litter.weight': '总重量（公斤）',
+    'litter.submit': '保存记录',
+    'litter.saving': '正在保存…',
+    'litter.group.common': '最常见的垃圾',
+    'litter.group.fishing': '渔具',
+    'litter.group.tiny': '微小垃圾（小于2.5厘米）',
+    'litter.group.other': '其他垃圾',
+    'litter.category.cigarette-butts': '烟头',
+    'litter.category.food-wrappers': '食品包装',
+    'litter.category.plastic-bottles': '塑料瓶',
+    'litter.category.bottle-caps': '瓶盖',
+    'litter.category.plastic-bags': '塑料袋',
+    'litter.category.straws': '吸管和搅拌棒',
+    'litter.category.takeaway-containers': '外卖容器',
+    'litter.category.cups-lids': '杯子和盖子',
+    'litter.category.glass-bottles': '玻璃瓶',
+    'litter.category.cans': '饮料罐',
+    'litter.category.fishing-line': '钓鱼线',
+    'litter.category.rope-nets': '绳子和渔网',
+    'litter.category.plastic-pieces': '塑料碎片',
+    'litter.category.styrofoam': '泡沫塑料碎片',
+    'litter.category.other': '其他物品',
+    'litter.errorBeach': '请选择您清洁的海滩',
+    'litter.errorDate': '请输入清洁日期（今天或更早）',
+    'litter.errorNumber': '数量、袋数和重量不能为负数，数量和袋数须为整数',
+    'litter.errorEmpty': '请至少输入一项数量、袋数或重量',
+    'litter.errorSave': '无法保存记录，请重试。',
+    'litter.savedOffline': '记录已保存在本设备上，恢复联网后将自动同步。',
+    'litter.savedLocal': '记录已保存在本设备上。',
+    'litter.savedSynced': '记录已保存并同步。',
+    'litter.summaryTitle': '各海滩成果',
+    'litter.range': '统计期间',
+    'litter.rangeAll': '全部',
+    'litter.summaryEmpty': '此期间尚无记录。',
+    'litter.colBeach': '海滩',
+    'litter.colCleanups': '清洁次数',
+    'litter.colItems': '件数',
+    'litter.colBags': '袋数',
+    'litter.colWeight': '重量',
+    'litter.kg': '{weight} 公斤',
+    'litter.topTitle': '最常见的垃圾类型',
+    'litter.pending': '{count} 条等待同步',
+    'litter.syncNow': '立即同步',
+    'litter.allSynced': '所有记录已同步',
+    'litter.localOnly': '记录保存在本设备上',
+    'schedule.title': '近期最佳时段',
+    'schedule.bestSlot': '此处最佳时间：{when}',
+    'schedule.poorDay': '预计当天清洁条件较差（{forecast}）。',
+    'schedule.reschedule': '组织者：改到 {when}',
+    'schedule.noBetterSlot': '未来几天没有更好的时段。',
+    'schedule.rescheduled': '{title} 已改到 {when}',
+    'schedule.error': '无法更改此清洁活动的时间，请重试。',
+    'schedule.forbidden': '你保存的电子邮件与此清洁活动的组织者不符，因此未更改时间。',
+    'directions.locating': '正在获取您的位置…',
+    'directions.denied': '位置权限已关闭，请输入您的邮政编码。',
+    'directions.unavailable': '无法获取您的位置，请输入您的邮政编码。',
+    'directions.postalLabel': '您的邮政编码',
+    'directions.postalSubmit': '显示路线',
+    'directions.postalInvalid': '请输入6位数的新加坡邮政编码',
+    'directions.fromHere': '从您当前的位置出发',
+    'directions.fromPostal': '从邮政编码 {postalCode} 出发',
+    'directions.fromPostalApprox': '从邮政编码 {postalCode} 附近出发（大致位置）',
+    'directions.km': '{distance} 公里',
+    'directions.estimate': '距离约 {distance} · 驾车约 {driving} 分钟 · 公共交通约 {transit} 分钟',
+    'directions.outOfRange': '您似乎不在新加坡，无法估算行程时间。',
+    'directions.nearestMrt': '最近的地铁站：{station}（{codes}），{distance} · 步行约 {walk} 分钟',
+    'directions.openGoogle': 'Google 地图',
+    'directions.openApple': 'Apple 地图',
+    'directions.openMapsApp': '在地图应用中打开',
+    'directions.openTransit': '公共交通路线',
+    'directions.usePostal': '改用邮政编码'
+  },
+  ms: {
+    'app.navigatedToSignup': 'Beralih ke bahagian pendaftaran',
+    'app.demoComingSoon': '🎬 Video demo akan datang! Buat masa ini, tatal ke bawah untuk meneroka ciri-ciri kami.',
+    'skip.main': 'Langkau ke kandungan utama',
+    'skip.features': 'Langkau ke ciri-ciri',
+    'skip.contact': 'Langkau ke hubungi kami',
+    'settings.language': 'Bahasa',
+    'settings.unitToggle': 'Tukar unit suhu',
+    'settings.unitChanged': 'Suhu kini dipaparkan dalam {unit}',
+    'settings.languageChanged': 'Bahasa ditukar kepada Bahasa Melayu',
+    'form.emailRequired': 'E-mel diperlukan',
+    'form.emailInvalid': 'Sila masukkan alamat e-mel yang sah',
+    'form.joining': 'Sedang menyertai...',
+    'form.welcome': 'Selamat datang ke Skuad!',
+    'form.tryAgain': 'Cuba Lagi',
+    'form.thanks': 'Terima kasih kerana menyertai! Selamat datang ke ShoreSquad! 🌊',
+    'form.alreadyIn': 'Sudah dalam Skuad',
+    'form.alreadySubscribed': 'Anda sudah melanggan dengan e-mel ini. Jumpa di pantai!',
+    'form.validationError': 'Sila semak butiran anda dan cuba lagi',
+    'form.networkError': 'Kami tidak dapat menghubungi ShoreSquad. Semak sambungan anda dan cuba lagi.',
+    'form.rejected': 'Pendaftaran tidak tersedia sekarang. Sila cuba lagi kemudian.',
+    'form.serverError': 'Ada masalah di pihak kami. Sila cuba lagi sebentar lagi.',
+    'form.required': 'Ruangan ini wajib diisi',
+    'form.invalidChoice': 'Sila pilih salah satu pilihan',
+    'form.invalidNumber': 'Sila masukkan nombor yang sah',
+    'form.invalidDate': 'Sila masukkan tarikh yang sah',
+    'form.tooLong': 'Sila hadkan kepada {count} aksara',
+    'form.ageRequired': 'Sila pilih kumpulan umur anda',
+    'form.availabilityRequired': 'Pilih sekurang-kurangnya satu masa anda biasanya boleh sertai',
+    'form.consentRequired': 'Bawah 18 tahun memerlukan persetujuan ibu bapa atau penjaga',
+    'form.queued': 'Disimpan di luar talian',
+    'form.queuedNotice': 'Anda di luar talian, jadi pendaftaran anda disimpan pada peranti ini dan akan dihantar apabila anda kembali dalam talian.',
+    'form.queuedSent': 'Anda kembali dalam talian dan pendaftaran anda berjaya. Selamat datang ke ShoreSquad! 🌊',
+    'form.queuedFailed': 'Pendaftaran yang disimpan tidak dapat dihantar. Sila semak butiran anda dan cuba lagi.',
+    'notification.close': 'Tutup pemberitahuan',
+    'offline.offline': 'Anda di luar talian. Halaman yang disimpan dan cuaca terakhir masih boleh digunakan.',
+    'offline.pending': 'Anda di luar talian · Menunggu untuk dihantar: {count}',
+    'offline.sending': 'Menghantar pendaftaran dan RSVP yang disimpan: {count}',
+    'time.justNow': 'sebentar tadi',
+    'time.minutesAgo': '{count} minit lalu',
+    'time.hoursAgo': '{count} jam lalu',
+    'time.dayAgo': '{count} hari lalu',
+    'time.daysAgo': '{count} hari lalu',
+    'weather.unavailable': 'Cuaca langsung tidak tersedia',
+    'weather.checkLocal': 'Semak cuaca tempatan!',
+    'weather.updated': 'Dikemas kini {age}',
+    'weather.offlineUpdated': 'Luar talian · dikemas kini {age}',
+    'weather.areaForecast': 'ramalan {area}',
+    'weather.stationReading': 'stesen {station}',
+    'weather.forecastTitle': 'Ramalan 5 Hari Pembersihan Pantai · {beach}',
+    'weather.windLight': 'Lemah',
+    'weather.rainGauges': 'Tolok hujan: {stations}',
+    'recommendation.unhealthyAir': 'Tidak sesuai: kualiti udara tidak sihat',
+    'recommendation.notIdeal': 'Tidak sesuai untuk pembersihan',
+    'recommendation.postpone': 'Pertimbangkan untuk menangguhkan',
+    'recommendation.perfect': 'Sempurna untuk pembersihan!',
+    'recommendation.great': 'Keadaan yang hebat!',
+    'recommendation.good': 'Baik untuk pembersihan!',
+    'recommendation.hazy': 'Boleh, tetapi minum air secukupnya',
+    'recommendation.check': 'Semak keadaan!',
+    'recommendation.raining': 'Sedang hujan di pantai sekarang',
+    'rating.excellent': 'Cemerlang',
+    'rating.good': 'Baik',
+    'rating.fair': 'Sederhana',
+    'rating.poor': 'Lemah',
+    'rating.unavailable': 'Penilaian tidak tersedia',
+    'rating.why': 'Kenapa {rating}? ({score}/10)',
+    'rating.base': 'skor asas',
+    'rules.thundery': 'cuaca ribut petir',
+    'rules.fair': 'langit cerah',
+    'rules.partly-cloudy': 'sebahagian berawan',
+    'rules.cloudy': 'berawan',
+    'rules.rain': 'hujan atau hujan renyai',
+    'rules.ideal-temperature': 'suhu selesa {temp}',
+    'rules.hot': 'panas {temp}',
+    'rules.low-humidity': 'kelembapan {humidity}%',
+    'rules.high-humidity': 'kelembapan {humidity}%',
+    'rules.psi-unhealthy': 'udara tidak sihat, PSI {psi}',
+    'rules.psi-moderate': 'udara sederhana, PSI {psi}',
+    'rules.pm25-elevated': 'PM2.5 tinggi {pm25}',
+    'rules.uv-extreme': 'UV ekstrem {uv}',
+    'rules.uv-very-high': 'UV sangat tinggi {uv}',
+    'air.psi': 'PSI {value} · {level}',
+    'air.pm25': 'PM2.5 {value}',
+    'air.uv': 'UV {value} · {level}',
+    'air.level.good': 'Baik',
+    'air.level.moderate': 'Sederhana',
+    'air.level.unhealthy': 'Tidak Sihat',
+    'air.level.veryUnhealthy': 'Sangat Tidak Sihat',
+    'air.level.hazardous': 'Berbahaya',
+    'uv.level.low': 'Rendah',
+    'uv.level.moderate': 'Sederhana',
+    'uv.level.high': 'Tinggi',
+    'uv.level.veryHigh': 'Sangat Tinggi',
+    'uv.level.extreme': 'Ekstrem',
+    'rain.now': 'Sedang hujan',
+    'rain.lastRain': 'Hujan terakhir {age}',
+    'rain.dry': 'Tiada hujan dalam {minutes} minit lalu',
+    'rain.dryLatest': 'Kering dalam bacaan terkini',
+    'region.east': 'timur',
+    'region.west': 'barat',
+    'region.north': 'utara',
+    'region.south': 'selatan',
+    'region.central': 'tengah',
+    'planner.title': 'Waktu Pembersihan Terbaik',
+    'planner.empty': 'Belum ada waktu siang dalam ramalan. Semak semula nanti!',
+    'planner.steady': 'Ramalan {forecast} untuk kawasan {region}',
+    'planner.changing': '{from} bertukar kepada {to}',
+    'planner.beforeHeat': 'selesai sebelum panas tengah hari',
+    'planner.afterHeat': 'selepas panas tengah hari berlalu',
+    'planner.peakUv': 'bertembung dengan waktu UV puncak, jadi bawa pelindung matahari',
+    'planner.nowcast': 'disokong oleh ramalan 2 jam terkini',
+    'planner.outlookOnly': 'berdasarkan tinjauan 4 hari, jadi semak semula apabila hampir tarikhnya',
+    'planner.unhealthyAir': 'kualiti udara tidak sihat',
+    'planner.separator': ', ',
+    'planner.end': '.',
+    'alerts.description': '{forecast} dijangka di {beach} {when}.',
+    'alerts.next2Hours': 'dalam 2 jam akan datang',
+    'alerts.onDay': 'pada {day}',
+    'alerts.announce': 'Amaran cuaca: {description}',
+    'alerts.notificationTitle': '⚠️ Amaran cuaca: {beach}',
+    'alerts.notificationsOn': 'Amaran cuaca pelayar dihidupkan',
+    'alerts.bannerLabel': 'Amaran cuaca buruk',
+    'alerts.severe': 'Cuaca buruk:',
+    'alerts.reschedule': 'Pertimbangkan untuk menjadualkan semula pembersihan anda.',
+    'alerts.dismiss': 'Tutup amaran untuk {beach}',
+    'alerts.enable': 'Dapatkan amaran pelayar',
+    'history.title': 'Sejarah Cuaca',
+    'history.range': 'Julat sejarah',
+    'history.days': '{count} hari lepas',
+    'history.export': 'Eksport CSV',
+    'history.empty': 'Belum ada bacaan. Setiap kemas kini cuaca disimpan di sini supaya anda boleh mengenal pasti hari pembersihan terbaik.',
+    'history.temperature': 'Suhu',
+    'history.humidity': 'Kelembapan',
+    'history.suitability': 'Skor pembersihan',
+    'history.chartSummary': '{label}: terkini {latest}, julat {min} hingga {max}',
+    'history.best': 'Terbaik setakat ini: {day} waktu {band}, purata {score}/10 daripada {count} bacaan',
+    'history.band.morning': 'pagi',
+    'history.band.midday': 'tengah hari',
+    'history.band.afternoon': 'petang',
+    'events.duration': 'Tempoh: {hours} jam',
+    'events.capacity': 'Saiz skuad: sehingga {count} orang',
+    'events.join': 'Sertai Pembersihan Ini',
+    'events.directions': 'Dapatkan Arah',
+    'events.empty': 'Belum ada pembersihan yang dijadualkan. Semak semula nanti!',
+    'events.loadError': 'Pembersihan akan datang tidak dapat dimuatkan. Sila cuba lagi nanti.',
+    'events.viewAll': 'Lihat semua pembersihan',
+    'events.allTitle': 'Semua pembersihan akan datang',
+    'events.allIntro': 'Setiap pembersihan dalam kalendar. Pilih satu untuk butiran dan ramalan cuacanya.',
+    'events.backToAll': 'Semua pembersihan',
+    'events.forecast': 'Ramalan: {forecast}',
+    'events.noForecast': 'Ramalan cuaca meliputi 4 hari akan datang, jadi semak semula apabila hari itu semakin hampir.',
+    'events.finished': 'Pembersihan ini telah tamat. Terima kasih kepada semua yang hadir!',
+    'router.notFoundTitle': 'Halaman tidak ditemui',
+    'router.notFoundBody': 'Tiada apa-apa di pautan ini. Ia mungkin telah dipindahkan, atau alamatnya tersalah taip.',
+    'router.home': 'Kembali ke halaman utama',
+    'map.title': 'Peta kawasan tumpuan pembersihan',
+    'map.beachLabel': '{name}: keadaan {rating}, sampah {litter}',
+    'map.eventLabel': '{title}, {date}: keadaan {rating}',
+    'map.ratingUnknown': 'belum ada ramalan',
+    'map.litter.low': 'sedikit',
+    'map.litter.medium': 'sederhana',
+    'map.litter.high': 'banyak',
+    'map.legendConditions': 'Keadaan pembersihan',
+    'map.legendLitter': 'Sampah (saiz lingkaran)',
+    'map.legendEvent': 'Pembersihan dijadualkan',
+    'rsvp.spotsLeft': '{count} daripada {capacity} tempat lagi',
+    'rsvp.full': 'Penuh · {count} dalam senarai menunggu',
+    'rsvp.going': 'Anda akan hadir! Jumpa di pantai 🌊',
+    'rsvp.waitlisted': 'Anda #{position} dalam senarai menunggu',
+    'rsvp.cancel': 'Batalkan RSVP',
+    'rsvp.name': 'Nama',
+    'rsvp.email': 'E-mel',
+    'rsvp.submit': 'Sahkan RSVP',
+    'rsvp.submitWaitlist': 'Sertai Senarai Menunggu',
+    'rsvp.dismiss': 'Tidak jadi',
+    'rsvp.nameRequired': 'Sila masukkan nama anda',
+    'rsvp.saving': 'Menyimpan...',
+    'rsvp.confirmed': 'Anda disahkan untuk {event}!',
+    'rsvp.waitlistJoined': '{event} sudah penuh, jadi anda #{position} dalam senarai menunggu. Anda akan dinaikkan secara automatik jika ada tempat kosong.',
+    'rsvp.cancelled': 'RSVP anda untuk {event} telah dibatalkan',
+    'rsvp.promoted': 'Berita baik! Ada tempat kosong di {event}, jadi anda kini disahkan.',
+    'rsvp.confirmCancel': 'Batalkan RSVP anda untuk {event}?',
+    'rsvp.error': 'RSVP anda tidak dapat disimpan. Sila cuba lagi.',
+    'rsvp.queued': 'Disimpan di luar talian · RSVP anda akan dihantar apabila anda kembali dalam talian',
+    'rsvp.queuedButton': 'Menunggu untuk dihantar',
+    'rsvp.queuedAnnounce': 'Anda di luar talian, jadi RSVP anda untuk {event} akan dihantar apabila anda kembali dalam talian',
+    'rsvp.queuedFailed': 'RSVP yang disimpan untuk {event} tidak dapat dihantar. Sila cuba lagi.',
+    'reminders.heading': 'Peringatan pembersihan',
+    'reminders.intro': 'Terima pemberitahuan sebelum pembersihan yang anda sertai, dengan ramalan cuaca terkini.',
+    'reminders.enable': 'Hantar peringatan kepada saya',
+    'reminders.send': 'Ingatkan saya',
+    'reminders.dayBefore': '24 jam sebelum',
+    'reminders.twoHours': '2 jam sebelum',
+    'reminders.worsening': 'Apabila ramalan cuaca menjadi buruk',
+    'reminders.quietHours': 'Waktu senyap',
+    'reminders.quietFrom': 'Dari',
+    'reminders.quietTo': 'hingga',
+    'reminders.quietHint': 'Peringatan yang tiba dalam waktu senyap (waktu Singapura) menunggu sehingga ia tamat. Tetapkan kedua-dua masa yang sama untuk mematikan waktu senyap.',
+    'reminders.closedHint': 'Peringatan dihantar semasa ShoreSquad dibuka. Apabila ditutup, ia hanya tiba jika dipasang sebagai aplikasi pada pelayar yang menyokong semakan latar belakang, paling kerap kira-kira sejam sekali, dan tanpa ramalan cuaca jika ramalan yang disimpan sudah lapuk.',
+    'reminders.on': 'Peringatan pembersihan dihidupkan',
+    'reminders.off': 'Peringatan pembersihan dimatikan',
+    'reminders.denied': 'Pemberitahuan disekat untuk laman ini. Benarkannya dalam tetapan pelayar untuk menerima peringatan.',
+    'reminders.unsupported': 'Peringatan memerlukan pelayar yang menyokong pemberitahuan, dengan laman ini dibuka melalui https.',
+    'reminders.title.day-before': 'Esok: {event}',
+    'reminders.title.two-hours': 'Bermula tidak lama lagi: {event}',
+    'reminders.title.worsening': 'Awas, cuaca semakin buruk: {event}',
+    'reminders.body': '{time} di {place}. Ramalan: {forecast} · Keadaan pembersihan: {rating}',
+    'reminders.bodyNoForecast': '{time} di {place}. Semak ramalan cuaca sebelum bertolak.',
+    'calendar.add': 'Tambah ke Kalendar',
+    'calendar.addAll': 'Tambah Semua Pembersihan Akan Datang',
+    'calendar.addAllHint': 'Satu fail kalendar dengan setiap pembersihan akan datang, termasuk peringatan. Ia tidak dikemas kini sendiri, jadi tambahkannya semula jika pembersihan dialihkan.',
+    'calendar.calendarName': 'Pembersihan Pantai ShoreSquad',
+    'calendar.meetingPoint': 'Tempat berkumpul: {address}',
+    'calendar.reminder': 'Pembersihan pantai esok: {event}',
+    'calendar.downloaded': 'Fail kalendar dimuat turun',
+    'stats.filters': 'Tapis statistik impak',
+    'stats.squad': 'Skuad',
+    'stats.allSquads': 'Semua skuad',
+    'stats.beach': 'Pantai',
+    'stats.allBeaches': 'Semua pantai',
+    'stats.period': 'Tempoh',
+    'stats.allTime': 'Sepanjang masa',
+    'litter.squad': 'Kreditkan kepada skuad',
+    'litter.squadNone': 'Tiada skuad',
+    'squads.mine': 'Skuad anda',
+    'squads.none': 'Anda belum menyertai skuad. Mulakan satu, atau buka pautan jemputan daripada rakan.',
+    'squads.memberCount': 'Ahli: {count}',
+    'squads.createTitle': 'Mulakan skuad',
+    'squads.name': 'Nama skuad',
+    'squads.nameRequired': 'Sila namakan skuad anda',
+    'squads.create': 'Cipta Skuad',
+    'squads.created': '{squad} sudah sedia. Jemput kru anda!',
+    'squads.pageEmpty': 'Pilih skuad untuk melihat halamannya.',
+    'squads.since': 'Skuad sejak {date}',
+    'squads.upcoming': 'Pembersihan akan datang',
+    'squads.noCleanups': 'Belum ada ahli skuad yang menyertai pembersihan akan datang.',
+    'squads.going': 'Ahli skuad yang hadir: {count}',
+    'squads.members': 'Ahli',
+    'squads.you': '(anda)',
+    'squads.role.organizer': 'Penganjur',
+    'squads.role.member': 'Ahli',
+    'squads.roleFor': 'Peranan untuk {name}',
+    'squads.roleChanged': 'Peranan ditukar kepada {role}',
+    'squads.leave': 'Keluar skuad',
+    'squads.remove': 'Buang',
+    'squads.confirmLeave': 'Keluar dari {squad}?',
+    'squads.confirmRemove': 'Buang {name} daripada {squad}?',
+    'squads.left': 'Anda telah keluar dari {squad}',
+    'squads.removed': 'Ahli telah dibuang',
+    'squads.impactCleanups': 'Pantai dibersihkan',
+    'squads.impactMembers': 'Ahli',
+    'squads.impactWeight': 'Sampah dikutip',
+    'squads.createInvite': 'Cipta pautan jemputan',
+    'squads.inviteLink': 'Pautan jemputan, sah hingga {date}',
+    'squads.inviteCreated': 'Pautan jemputan dicipta. Ia sah selama {days} hari.',
+    'squads.copy': 'Salin',
+    'squads.copied': 'Pautan jemputan disalin',
+    'squads.copyManually': 'Salin pautan yang dipilih untuk berkongsi',
+    'squads.inviteTitle': 'Jemputan skuad',
+    'squads.inviteTo': 'Sertai {squad}',
+    'squads.inviteDetails': 'Ahli: {count} · Pautan sah hingga {date}',
+    'squads.join': 'Sertai Skuad',
+    'squads.joined': 'Selamat datang ke {squad}!',
+    'squads.error': 'Ada masalah. Sila cuba lagi.',
+    'squads.errorNotFound': 'Jemputan ini tidak ditemui. Semak pautan atau minta pautan baharu daripada penganjur.',
+    'squads.errorExpired': 'Jemputan ini telah tamat tempoh. Minta pautan baharu daripada penganjur.',
+    'squads.errorForbidden': 'Hanya penganjur boleh berbuat demikian.',
+    'squads.errorAlreadyMember': 'E-mel itu sudah ada dalam skuad ini. Buka skuad dalam pelayar yang anda gunakan semasa menyertai.',
+    'squads.errorLastOrganizer': 'Setiap skuad memerlukan penganjur. Jadikan orang lain penganjur dahulu.',
+    'squads.errorInvalid': 'Sila semak nama dan e-mel.',
+    'litter.rained': 'Kami bekerja dalam hujan',
+    'badges.title': 'Lencana anda',
+    'badges.unlocked': '🏅 Lencana dibuka: {badge}!',
+    'badges.unlockedOn': 'Dibuka {date}',
+    'badges.progress': '{value} / {goal}',
+    'badges.streak': '🔥 Rentetan bulanan: {count}',
+    'badges.bestStreak': 'Terbaik: {count} bulan',
+    'badges.monthActive': 'membersih bulan ini',
+    'badges.monthInactive': 'tiada pembersihan bulan ini',
+    'badges.first-cleanup.name': 'Gelombang Pertama',
+    'badges.first-cleanup.description': 'Sertai atau log pembersihan pertama anda',
+    'badges.five-beaches.name': 'Peneroka Pantai',
+    'badges.five-beaches.description': 'Bersihkan 5 pantai berbeza',
+    'badges.ten-kg.name': 'Pengangkat Berat',
+    'badges.ten-kg.description': 'Bantu kutip 10 kg sampah',
+    'badges.rain-or-shine.name': 'Hujan atau Panas',
+    'badges.rain-or-shine.description': 'Terus membersih walaupun hujan',
+    'badges.streak-3.name': 'Terus Bergerak',
+    'badges.streak-3.description': 'Membersih 3 bulan berturut-turut',
+    'leaderboard.title': 'Papan pendahulu skuad',
+    'leaderboard.rankBy': 'Susun skuad mengikut',
+    'leaderboard.cleanups': 'Pembersihan',
+    'leaderboard.weightKg': 'Berat',
+    'leaderboard.yours': '(skuad anda)',
+    'leaderboard.cleanupCount': 'Pembersihan: {count}',
+    'leaderboard.empty': 'Belum ada skuad yang log pembersihan. Kreditkan tally kepada skuad anda untuk masuk papan.',
+    'litter.title': 'Log pembersihan',
+    'litter.intro': 'Rekodkan apa yang dikutip skuad anda. Kiraan disimpan pada peranti ini dahulu, jadi ia berfungsi di pantai tanpa internet.',
+    'litter.event': 'Pembersihan',
+    'litter.eventNone': 'Bukan pembersihan tersenarai',
+    'litter.beach': 'Pantai',
+    'litter.date': 'Tarikh',
+    'litter.bags': 'Beg diisi',
+    'litter.weight': 'Jumlah berat (kg)',
+    'litter.submit': 'Simpan kiraan',
+    'litter.saving': 'Menyimpan…',
+    'litter.group.common': 'Paling kerap ditemui',
+    'litter.group.fishing': 'Peralatan memancing',
+    'litter.group.tiny': 'Sampah kecil (bawah 2.5 cm)',
+    'litter.group.other': 'Sampah lain',
+    'litter.category.cigarette-butts': 'Puntung rokok',
+    'litter.category.food-wrappers': 'Pembalut makanan',
+    'litter.category.plastic-bottles': 'Botol plastik',
+    'litter.category.bottle-caps': 'Penutup botol',
+    'litter.category.plastic-bags': 'Beg plastik',
+    'litter.category.straws': 'Straw dan pengacau',
+    'litter.category.takeaway-containers': 'Bekas bungkus makanan',
+    'litter.category.cups-lids': 'Cawan dan penutup',
+    'litter.category.glass-bottles': 'Botol kaca',
+    'litter.category.cans': 'Tin minuman',
+    'litter.category.fishing-line': 'Tali pancing',
+    'litter.category.rope-nets': 'Tali dan jaring',
+    'litter.category.plastic-pieces': 'Serpihan plastik',
+    'litter.category.styrofoam': 'Serpihan polistirena',
+    'litter.category.other': 'Barang lain',
+    'litter.errorBeach': 'Pilih pantai yang anda bersihkan',
+    'litter.errorDate': 'Masukkan tarikh pembersihan (hari ini atau lebih awal)',
+    'litter.errorNumber': 'Kiraan, beg dan berat mestilah sifar atau lebih, dengan nombor bulat untuk kiraan dan beg',
+    'litter.errorEmpty': 'Masukkan sekurang-kurangnya satu kiraan, beg atau berat',
+    'litter.errorSave': 'Kiraan tidak dapat disimpan. Sila cuba lagi.',
+    'litter.savedOffline': 'Kiraan disimpan pada peranti ini. Ia akan disegerakkan apabila anda kembali dalam talian.',
+    'litter.savedLocal': 'Kiraan disimpan pada peranti ini.',
+    'litter.savedSynced': 'Kiraan disimpan dan disegerakkan.',
+    'litter.summaryTitle': 'Impak mengikut pantai',
+    'litter.range': 'Tempoh ringkasan',
+    'litter.rangeAll': 'Sepanjang masa',
+    'litter.summaryEmpty': 'Belum ada kiraan untuk tempoh ini.',
+    'litter.colBeach': 'Pantai',
+    'litter.colCleanups': 'Pembersihan',
+    'litter.colItems': 'Barang',
+    'litter.colBags': 'Beg',
+    'litter.colWeight': 'Berat',
+    'litter.kg': '{weight} kg',
+    'litter.topTitle': 'Jenis sampah utama',
+    'litter.pending': '{count} menunggu penyegerakan',
+    'litter.syncNow': 'Segerakkan sekarang',
+    'litter.allSynced': 'Semua kiraan telah disegerakkan',
+    'litter.localOnly': 'Kiraan disimpan pada peranti ini',
+    'schedule.title': 'Slot tersedia seterusnya',
+    'schedule.bestSlot': 'Masa terbaik di sini: {when}',
+    'schedule.poorDay': 'Keadaan pembersihan yang lemah diramalkan pada tarikh ini ({forecast}).',
+    'schedule.reschedule': 'Penganjur: pindah ke {when}',
+    'schedule.noBetterSlot': 'Tiada slot yang lebih baik dalam beberapa hari akan datang.',
+    'schedule.rescheduled': '{title} dipindahkan ke {when}',
+    'schedule.error': 'Pembersihan ini tidak dapat dijadualkan semula. Sila cuba lagi.',
+    'schedule.forbidden': 'E-mel yang anda simpan tidak sepadan dengan penganjur pembersihan ini, jadi ia tidak dipindahkan.',
+    'directions.locating': 'Mencari lokasi anda…',
+    'directions.denied': 'Akses lokasi dimatikan. Masukkan poskod anda.',
+    'directions.unavailable': 'Kami tidak dapat mencari lokasi anda. Masukkan poskod anda.',
+    'directions.postalLabel': 'Poskod anda',
+    'directions.postalSubmit': 'Tunjukkan laluan',
+    'directions.postalInvalid': 'Masukkan poskod Singapura 6 digit',
+    'directions.fromHere': 'Dari lokasi semasa anda',
+    'directions.fromPostal': 'Dari poskod {postalCode}',
+    'directions.fromPostalApprox': 'Dari sekitar poskod {postalCode} (anggaran)',
+    'directions.km': '{distance} km',
+    'directions.estimate': 'Kira-kira {distance} · ~{driving} min dengan kereta · ~{transit} min dengan pengangkutan awam',
+    'directions.outOfRange': 'Anda nampaknya berada di luar Singapura, jadi masa perjalanan tidak dapat dianggarkan.',
+    'directions.nearestMrt': 'MRT terdekat: {station} ({codes}), {distance} · ~{walk} min berjalan kaki',
+    'directions.openGoogle': 'Google Maps',
+    'directions.openApple': 'Apple Maps',
+    'directions.openMapsApp': 'Buka dalam aplikasi Peta',
+    'directions.openTransit': 'Laluan pengangkutan awam',
+    'directions.usePostal': 'Gunakan poskod'
+  },
+  ta: {
+    'app.navigatedToSignup': 'பதிவுப் பகுதிக்குச் செல்லப்பட்டது',
+    'app.demoComingSoon': '🎬 டெமோ வீடியோ விரைவில் வரும்! இப்போதைக்கு, எங்கள் அம்சங்களை ஆராய கீழே உருட்டவும்.',
+    'skip.main': 'முதன்மை உள்ளடக்கத்திற்குச் செல்',
+    'skip.features': 'அம்சங்களுக்குச் செல்',
+    'skip.contact': 'தொடர்புக்குச் செல்',
+    'settings.language': 'மொழி',
+    'settings.unitToggle': 'வெப்பநிலை அலகை மாற்று',
+    'settings.unitChanged': 'வெப்பநிலை இப்போது {unit}-இல் காட்டப்படுகிறது',
+    'settings.languageChanged': 'மொழி தமிழுக்கு மாற்றப்பட்டது',
+    'form.emailRequired': 'மின்னஞ்சல் தேவை',
+    'form.emailInvalid': 'சரியான மின்னஞ்சல் முகவரியை உள்ளிடவும்',
+    'form.joining': 'இணைகிறது...',
+    'form.welcome': 'அணிக்கு வரவேற்கிறோம்!',
+    'form.tryAgain': 'மீண்டும் முயற்சிக்கவும்',
+    'form.thanks': 'இணைந்ததற்கு நன்றி! ShoreSquad-க்கு வரவேற்கிறோம்! 🌊',
+    'form.alreadyIn': 'ஏற்கனவே குழுவில் உள்ளீர்கள்',
+    'form.alreadySubscribed': 'இந்த மின்னஞ்சலுடன் ஏற்கனவே பதிவு செய்துள்ளீர்கள். கடற்கரையில் சந்திப்போம்!',
+    'form.validationError': 'உங்கள் விவரங்களைச் சரிபார்த்து மீண்டும் முயலவும்',
+    'form.networkError': 'ShoreSquad ஐ அணுக முடியவில்லை. இணைப்பைச் சரிபார்த்து மீண்டும் முயலவும்.',
+    'form.rejected': 'பதிவு இப்போது கிடைக்கவில்லை. பின்னர் முயலவும்.',
+    'form.serverError': 'எங்கள் பக்கத்தில் ஏதோ தவறு நடந்தது. சிறிது நேரத்தில் மீண்டும் முயலவும்.',
+    'form.required': 'இந்தப் புலம் தேவை',
+    'form.invalidChoice': 'விருப்பங்களில் ஒன்றைத் தேர்ந்தெடுக்கவும்',
+    'form.invalidNumber': 'சரியான எண்ணை உள்ளிடவும்',
+    'form.invalidDate': 'சரியான தேதியை உள்ளிடவும்',
+    'form.tooLong': '{count} எழுத்துகளுக்குள் வைத்திருக்கவும்',
+    'form.ageRequired': 'உங்கள் வயதுப் பிரிவைத் தேர்ந்தெடுக்கவும்',
+    'form.availabilityRequired': 'நீங்கள் வழக்கமாகச் சேரக்கூடிய குறைந்தது ஒரு நேரத்தைத் தேர்ந்தெடுக்கவும்',
+    'form.consentRequired': '18 வயதுக்குட்பட்டோருக்குப் பெற்றோர் அல்லது பாதுகாவலரின் ஒப்புதல் தேவை',
+    'form.queued': 'ஆஃப்லைனில் சேமிக்கப்பட்டது',
+    'form.queuedNotice': 'நீங்கள் ஆஃப்லைனில் உள்ளீர்கள், எனவே உங்கள் பதிவு இந்தச் சாதனத்தில் சேமிக்கப்பட்டு, இணைப்பு திரும்பியதும் அனுப்பப்படும்.',
+    'form.queuedSent': 'இணைப்பு திரும்பியது, உங்கள் பதிவு வெற்றிகரமாக அனுப்பப்பட்டது. ShoreSquad-க்கு வரவேற்கிறோம்! 🌊',
+    'form.queuedFailed': 'சேமித்த பதிவை அனுப்ப முடியவில்லை. உங்கள் விவரங்களைச் சரிபார்த்து மீண்டும் முயலவும்.',
+    'notification.close': 'அறிவிப்பை மூடு',
+    'offline.offline': 'நீங்கள் ஆஃப்லைனில் உள்ளீர்கள். சேமித்த பக்கங்களும் கடைசி வானிலையும் இன்னும் கிடைக்கும்.',
+    'offline.pending': 'நீங்கள் ஆஃப்லைனில் உள்ளீர்கள் · அனுப்பக் காத்திருப்பவை: {count}',
+    'offline.sending': 'சேமித்த பதிவுகள் அனுப்பப்படுகின்றன: {count}',
+    'time.justNow': 'இப்போதுதான்',
+    'time.minutesAgo': '{count} நிமிடங்களுக்கு முன்',
+    'time.hoursAgo': '{count} மணிநேரத்திற்கு முன்',
+    'time.dayAgo': '{count} நாளுக்கு முன்',
+    'time.daysAgo': '{count} நாட்களுக்கு முன்',
+    'weather.unavailable': 'நேரடி வானிலை கிடைக்கவில்லை',
+    'weather.checkLocal': 'உள்ளூர் வானிலையைப் பார்க்கவும்!',
+    'weather.updated': '{age} புதுப்பிக்கப்பட்டது',
+    'weather.offlineUpdated': 'ஆஃப்லைன் · {age} புதுப்பிக்கப்பட்டது',
+    'weather.areaForecast': '{area} முன்னறிவிப்பு',
+    'weather.stationReading': '{station} நிலையம்',
+    'weather.forecastTitle': '5 நாள் கடற்கரை சுத்தம் முன்னறிவிப்பு · {beach}',
+    'weather.windLight': 'லேசான',
+    'weather.rainGauges': 'மழைமானிகள்: {stations}',
+    'recommendation.unhealthyAir': 'ஏற்றதல்ல: ஆரோக்கியமற்ற காற்றின் தரம்',
+    'recommendation.notIdeal': 'சுத்தம் செய்ய ஏற்றதல்ல',
+    'recommendation.postpone': 'ஒத்திவைப்பதைக் கருதுங்கள்',
+    'recommendation.perfect': 'சுத்தம் செய்ய மிகச் சிறந்தது!',
+    'recommendation.great': 'அருமையான சூழல்!',
+    'recommendation.good': 'சுத்தம் செய்ய நல்லது!',
+    'recommendation.hazy': 'பரவாயில்லை, ஆனால் நீர் அருந்துங்கள்',
+    'recommendation.check': 'நிலைமையைச் சரிபார்க்கவும்!',
+    'recommendation.raining': 'கடற்கரையில் இப்போது மழை பெய்கிறது',
+    'rating.excellent': 'மிகச் சிறப்பு',
+    'rating.good': 'நல்லது',
+    'rating.fair': 'பரவாயில்லை',
+    'rating.poor': 'மோசம்',
+    'rating.unavailable': 'மதிப்பீடு கிடைக்கவில்லை',
+    'rating.why': '{rating} ஏன்? ({score}/10)',
+    'rating.base': 'அடிப்படை மதிப்பெண்',
+    'rules.thundery': 'இடியுடன் கூடிய வானிலை',
+    'rules.fair': 'தெளிவான வானம்',
+    'rules.partly-cloudy': 'ஓரளவு மேகமூட்டம்',
+    'rules.cloudy': 'மேகமூட்டம்',
+    'rules.rain': 'மழை அல்லது தூறல்',
+    'rules.ideal-temperature': 'இதமான வெப்பநிலை {temp}',
+    'rules.hot': 'வெப்பம் {temp}',
+    'rules.low-humidity': 'ஈரப்பதம் {humidity}%',
+    'rules.high-humidity': 'ஈரப்பதம் {humidity}%',
+    'rules.psi-unhealthy': 'ஆரோக்கியமற்ற காற்று, PSI {psi}',
+    'rules.psi-moderate': 'மிதமான காற்று, PSI {psi}',
+    'rules.pm25-elevated': 'அதிக PM2.5 {pm25}',
+    'rules.uv-extreme': 'தீவிர UV {uv}',
+    'rules.uv-very-high': 'மிக அதிக UV {uv}',
+    'air.psi': 'PSI {value} · {level}',
+    'air.pm25': 'PM2.5 {value}',
+    'air.uv': 'UV {value} · {level}',
+    'air.level.good': 'நல்லது',
+    'air.level.moderate': 'மிதமானது',
+    'air.level.unhealthy': 'ஆரோக்கியமற்றது',
+    'air.level.veryUnhealthy': 'மிகவும் ஆரோக்கியமற்றது',
+    'air.level.hazardous': 'அபாயகரமானது',
+    'uv.level.low': 'குறைவு',
+    'uv.level.moderate': 'மிதமானது',
+    'uv.level.high': 'அதிகம்',
+    'uv.level.veryHigh': 'மிக அதிகம்',
+    'uv.level.extreme': 'தீவிரம்',
+    'rain.now': 'இப்போது மழை',
+    'rain.lastRain': 'கடைசி மழை {age}',
+    'rain.dry': 'கடந்த {minutes} நிமிடங்களாக மழை இல்லை',
+    'rain.dryLatest': 'சமீபத்திய அளவீட்டில் மழை இல்லை',
+    'region.east': 'கிழக்கு',
+    'region.west': 'மேற்கு',
+    'region.north': 'வடக்கு',
+    'region.south': 'தெற்கு',
+    'region.central': 'மத்திய',
+    'planner.title': 'சிறந்த சுத்தம் செய்யும் நேரங்கள்',
+    'planner.empty': 'முன்னறிவிப்பில் இன்னும் பகல் நேரங்கள் இல்லை. பிறகு பார்க்கவும்!',
+    'planner.steady': '{region} பகுதிக்கு {forecast} முன்னறிவிப்பு',
+    'planner.changing': '{from}, பின்னர் {to}',
+    'planner.beforeHeat': 'நண்பகல் வெப்பத்திற்கு முன் முடியும்',
+    'planner.afterHeat': 'நண்பகல் வெப்பம் தணிந்த பிறகு',
+    'planner.peakUv': 'உச்ச UV நேரத்துடன் ஒத்துப்போகிறது, எனவே சூரியப் பாதுகாப்பைக் கொண்டு வாருங்கள்',
+    'planner.nowcast': 'சமீபத்திய 2 மணிநேர முன்னறிவிப்பின் ஆதரவுடன்',
+    'planner.outlookOnly': '4 நாள் கண்ணோட்டத்தின் அடிப்படையில், எனவே நாள் நெருங்கும்போது மீண்டும் பார்க்கவும்',
+    'planner.unhealthyAir': 'ஆரோக்கியமற்ற காற்றின் தரம்',
+    'planner.separator': ', ',
+    'planner.end': '.',
+    'alerts.description': '{beach}-இல் {when} {forecast} எதிர்பார்க்கப்படுகிறது.',
+    'alerts.next2Hours': 'அடுத்த 2 மணிநேரத்தில்',
+    'alerts.onDay': '{day} அன்று',
+    'alerts.announce': 'வானிலை எச்சரிக்கை: {description}',
+    'alerts.notificationTitle': '⚠️ வானிலை எச்சரிக்கை: {beach}',
+    'alerts.notificationsOn': 'உலாவி வானிலை எச்சரிக்கைகள் இயக்கப்பட்டன',
+    'alerts.bannerLabel': 'கடுமையான வானிலை எச்சரிக்கைகள்',
+    'alerts.severe': 'கடுமையான வானிலை:',
+    'alerts.reschedule': 'உங்கள் சுத்தம் செய்யும் நிகழ்வை மறுதிட்டமிடுவதைக் கருதுங்கள்.',
+    'alerts.dismiss': '{beach} எச்சரிக்கையை மூடு',
+    'alerts.enable': 'உலாவி எச்சரிக்கைகளைப் பெறுக',
+    'history.title': 'வானிலை வரலாறு',
+    'history.range': 'வரலாற்று வரம்பு',
+    'history.days': 'கடந்த {count} நாட்கள்',
+    'history.export': 'CSV ஏற்றுமதி',
+    'history.empty': 'இன்னும் அளவீடுகள் இல்லை. சிறந்த சுத்தம் செய்யும் நாட்களைக் கண்டறிய ஒவ்வொரு வானிலை புதுப்பிப்பும் இங்கே சேமிக்கப்படும்.',
+    'history.temperature': 'வெப்பநிலை',
+    'history.humidity': 'ஈரப்பதம்',
+    'history.suitability': 'சுத்தம் மதிப்பெண்',
+    'history.chartSummary': '{label}: சமீபத்தியது {latest}, வரம்பு {min} முதல் {max} வரை',
+    'history.best': 'இதுவரை சிறந்தது: {day} {band}, {count} அளவீடுகளில் சராசரி {score}/10',
+    'history.band.morning': 'காலை',
+    'history.band.midday': 'நண்பகல்',
+    'history.band.afternoon': 'பிற்பகல்',
+    'events.duration': 'கால அளவு: {hours} மணிநேரம்',
+    'events.capacity': 'அணி அளவு: அதிகபட்சம் {count} பேர்',
+    'events.join': 'இந்தச் சுத்தம் செய்யும் நிகழ்வில் சேருங்கள்',
+    'events.directions': 'வழிகாட்டுதல் பெறுக',
+    'events.empty': 'வரவிருக்கும் சுத்தம் செய்யும் நிகழ்வுகள் இன்னும் திட்டமிடப்படவில்லை. பிறகு பார்க்கவும்!',
+    'events.loadError': 'வரவிருக்கும் நிகழ்வுகளை ஏற்ற முடியவில்லை. பிறகு மீண்டும் முயற்சிக்கவும்.',
+    'events.viewAll': 'அனைத்து சுத்தம் செய்யும் நிகழ்வுகளையும் காண்க',
+    'events.allTitle': 'வரவிருக்கும் அனைத்து சுத்தம் செய்யும் நிகழ்வுகள்',
+    'events.allIntro': 'நாட்காட்டியில் உள்ள ஒவ்வொரு நிகழ்வும். விவரங்களையும் வானிலை முன்னறிவிப்பையும் காண ஒன்றைத் தேர்ந்தெடுக்கவும்.',
+    'events.backToAll': 'அனைத்து நிகழ்வுகள்',
+    'events.forecast': 'முன்னறிவிப்பு: {forecast}',
+    'events.noForecast': 'முன்னறிவிப்பு அடுத்த 4 நாட்களை மட்டுமே உள்ளடக்கும், எனவே நிகழ்வு நாள் நெருங்கும்போது மீண்டும் பார்க்கவும்.',
+    'events.finished': 'இந்தச் சுத்தம் செய்யும் நிகழ்வு முடிந்துவிட்டது. வந்த அனைவருக்கும் நன்றி!',
+    'router.notFoundTitle': 'பக்கம் கிடைக்கவில்லை',
+    'router.notFoundBody': 'இந்த இணைப்பில் எதுவும் இல்லை. அது நகர்த்தப்பட்டிருக்கலாம், அல்லது முகவரி தவறாகத் தட்டச்சு செய்யப்பட்டிருக்கலாம்.',
+    'router.home': 'முகப்புப் பக்கத்துக்குத் திரும்பு',
+    'map.title': 'சுத்தம் செய்யும் முக்கிய இடங்களின் வரைபடம்',
+    'map.beachLabel': '{name}: நிலை {rating}, குப்பை {litter}',
+    'map.eventLabel': '{title}, {date}: நிலை {rating}',
+    'map.ratingUnknown': 'இன்னும் முன்னறிவிப்பு இல்லை',
+    'map.litter.low': 'குறைவு',
+    'map.litter.medium': 'மிதமானது',
+    'map.litter.high': 'அதிகம்',
+    'map.legendConditions': 'சுத்தம் செய்யும் நிலை',
+    'map.legendLitter': 'குப்பை (வட்ட அளவு)',
+    'map.legendEvent': 'திட்டமிடப்பட்ட சுத்தம்',
+    'rsvp.spotsLeft': '{capacity} இடங்களில் {count} மீதமுள்ளன',
+    'rsvp.full': 'நிரம்பியது · காத்திருப்புப் பட்டியலில் {count} பேர்',
+    'rsvp.going': 'நீங்கள் வருகிறீர்கள்! கடற்கரையில் சந்திப்போம் 🌊',
+    'rsvp.waitlisted': 'காத்திருப்புப் பட்டியலில் நீங்கள் #{position}',
+    'rsvp.cancel': 'RSVP-ஐ ரத்துசெய்',
+    'rsvp.name': 'பெயர்',
+    'rsvp.email': 'மின்னஞ்சல்',
+    'rsvp.submit': 'RSVP-ஐ உறுதிசெய்',
+    'rsvp.submitWaitlist': 'காத்திருப்புப் பட்டியலில் சேர்',
+    'rsvp.dismiss': 'வேண்டாம்',
+    'rsvp.nameRequired': 'உங்கள் பெயரை உள்ளிடவும்',
+    'rsvp.saving': 'சேமிக்கிறது...',
+    'rsvp.confirmed': '{event} நிகழ்வுக்கு நீங்கள் உறுதிசெய்யப்பட்டீர்கள்!',
+    'rsvp.waitlistJoined': '{event} நிரம்பிவிட்டது, காத்திருப்புப் பட்டியலில் நீங்கள் #{position}. இடம் காலியானால் தானாகவே முன்னேற்றப்படுவீர்கள்.',
+    'rsvp.cancelled': '{event} நிகழ்வுக்கான உங்கள் RSVP ரத்துசெய்யப்பட்டது',
+    'rsvp.promoted': 'நல்ல செய்தி! {event} நிகழ்வில் இடம் காலியானது, நீங்கள் இப்போது உறுதிசெய்யப்பட்டீர்கள்.',
+    'rsvp.confirmCancel': '{event} நிகழ்வுக்கான உங்கள் RSVP-ஐ ரத்துசெய்யவா?',
+    'rsvp.error': 'உங்கள் RSVP-ஐ சேமிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+    'rsvp.queued': 'ஆஃப்லைனில் சேமிக்கப்பட்டது · இணைப்பு திரும்பியதும் உங்கள் பதிவு அனுப்பப்படும்',
+    'rsvp.queuedButton': 'அனுப்பக் காத்திருக்கிறது',
+    'rsvp.queuedAnnounce': 'நீங்கள் ஆஃப்லைனில் உள்ளீர்கள், {event}-க்கான உங்கள் பதிவு இணைப்பு திரும்பியதும் அனுப்பப்படும்',
+    'rsvp.queuedFailed': '{event}-க்கான சேமித்த பதிவை அனுப்ப முடியவில்லை. மீண்டும் முயலவும்.',
+    'reminders.heading': 'சுத்தம் செய்யும் நினைவூட்டல்கள்',
+    'reminders.intro': 'நீங்கள் சேர்ந்த சுத்தம் செய்யும் நிகழ்வுகளுக்கு முன் சமீபத்திய வானிலை முன்னறிவிப்புடன் அறிவிப்பு பெறுங்கள்.',
+    'reminders.enable': 'எனக்கு நினைவூட்டல்களை அனுப்பு',
+    'reminders.send': 'எப்போது நினைவூட்ட வேண்டும்',
+    'reminders.dayBefore': '24 மணி நேரத்துக்கு முன்',
+    'reminders.twoHours': '2 மணி நேரத்துக்கு முன்',
+    'reminders.worsening': 'வானிலை முன்னறிவிப்பு மோசமாகும்போது',
+    'reminders.quietHours': 'அமைதி நேரம்',
+    'reminders.quietFrom': 'முதல்',
+    'reminders.quietTo': 'வரை',
+    'reminders.quietHint': 'அமைதி நேரத்தில் (சிங்கப்பூர் நேரம்) வரும் நினைவூட்டல்கள் அது முடியும் வரை காத்திருக்கும். அமைதி நேரத்தை அணைக்க இரண்டு நேரங்களையும் ஒன்றாக அமைக்கவும்.',
+    'reminders.closedHint': 'ShoreSquad திறந்திருக்கும்போது நினைவூட்டல்கள் வரும். மூடியிருந்தால், பின்னணிச் சரிபார்ப்புகளை ஆதரிக்கும் உலாவியில் செயலியாக நிறுவியிருந்தால் மட்டுமே வரும், அதிகபட்சம் சுமார் மணிக்கு ஒருமுறை; சேமித்த முன்னறிவிப்பு பழையதாகிவிட்டால் முன்னறிவிப்பு இல்லாமல் வரும்.',
+    'reminders.on': 'சுத்தம் செய்யும் நினைவூட்டல்கள் இயக்கப்பட்டன',
+    'reminders.off': 'சுத்தம் செய்யும் நினைவூட்டல்கள் அணைக்கப்பட்டன',
+    'reminders.denied': 'இந்தத் தளத்துக்கான அறிவிப்புகள் தடுக்கப்பட்டுள்ளன. நினைவூட்டல்களைப் பெற உலாவி அமைப்புகளில் அனுமதிக்கவும்.',
+    'reminders.unsupported': 'நினைவூட்டல்களுக்கு அறிவிப்புகளை ஆதரிக்கும் உலாவியும் https வழியாகத் திறக்கப்பட்ட தளமும் தேவை.',
+    'reminders.title.day-before': 'நாளை: {event}',
+    'reminders.title.two-hours': 'விரைவில் தொடங்குகிறது: {event}',
+    'reminders.title.worsening': 'கவனம், வானிலை மோசமாகிறது: {event}',
+    'reminders.body': '{time}, {place}. முன்னறிவிப்பு: {forecast} · சுத்தம் செய்யும் நிலை: {rating}',
+    'reminders.bodyNoForecast': '{time}, {place}. புறப்படுவதற்கு முன் வானிலை முன்னறிவிப்பைப் பார்க்கவும்.',
+    'calendar.add': 'நாட்காட்டியில் சேர்',
+    'calendar.addAll': 'வரவிருக்கும் அனைத்து நிகழ்வுகளையும் சேர்',
+    'calendar.addAllHint': 'வரவிருக்கும் ஒவ்வொரு சுத்தம் செய்யும் நிகழ்வும் நினைவூட்டல்களுடன் ஒரே நாட்காட்டிக் கோப்பில். இது தானாகப் புதுப்பிக்கப்படாது, எனவே நிகழ்வு மாற்றப்பட்டால் மீண்டும் சேர்க்கவும்.',
+    'calendar.calendarName': 'ShoreSquad கடற்கரை சுத்தம் நிகழ்வுகள்',
+    'calendar.meetingPoint': 'சந்திப்பு இடம்: {address}',
+    'calendar.reminder': 'நாளை கடற்கரை சுத்தம்: {event}',
+    'calendar.downloaded': 'நாட்காட்டிக் கோப்பு பதிவிறக்கப்பட்டது',
+    'stats.filters': 'தாக்கப் புள்ளிவிவரங்களை வடிகட்டு',
+    'stats.squad': 'குழு',
+    'stats.allSquads': 'எல்லாக் குழுக்களும்',
+    'stats.beach': 'கடற்கரை',
+    'stats.allBeaches': 'எல்லாக் கடற்கரைகளும்',
+    'stats.period': 'காலம்',
+    'stats.allTime': 'எல்லாக் காலமும்',
+    'litter.squad': 'குழுவுக்குக் கணக்கிடு',
+    'litter.squadNone': 'குழு இல்லை',
+    'squads.mine': 'உங்கள் குழுக்கள்',
+    'squads.none': 'நீங்கள் இன்னும் எந்தக் குழுவிலும் இல்லை. ஒன்றைத் தொடங்குங்கள் அல்லது நண்பரின் அழைப்பு இணைப்பைத் திறக்கவும்.',
+    'squads.memberCount': 'உறுப்பினர்கள்: {count}',
+    'squads.createTitle': 'குழுவைத் தொடங்கு',
+    'squads.name': 'குழுவின் பெயர்',
+    'squads.nameRequired': 'உங்கள் குழுவுக்குப் பெயரிடவும்',
+    'squads.create': 'குழுவை உருவாக்கு',
+    'squads.created': '{squad} தயார். உங்கள் நண்பர்களை அழையுங்கள்!',
+    'squads.pageEmpty': 'பக்கத்தைப் பார்க்க ஒரு குழுவைத் தேர்ந்தெடுக்கவும்.',
+    'squads.since': '{date} முதல் குழு',
+    'squads.upcoming': 'வரவிருக்கும் சுத்தப்படுத்தல்கள்',
+    'squads.noCleanups': 'குழுவில் யாரும் இன்னும் வரவிருக்கும் சுத்தப்படுத்தலில் சேரவில்லை.',
+    'squads.going': 'செல்லும் குழு உறுப்பினர்கள்: {count}',
+    'squads.members': 'உறுப்பினர்கள்',
+    'squads.you': '(நீங்கள்)',
+    'squads.role.organizer': 'ஏற்பாட்டாளர்',
+    'squads.role.member': 'உறுப்பினர்',
+    'squads.roleFor': '{name} இன் பங்கு',
+    'squads.roleChanged': 'பங்கு {role} ஆக மாற்றப்பட்டது',
+    'squads.leave': 'குழுவிலிருந்து வெளியேறு',
+    'squads.remove': 'நீக்கு',
+    'squads.confirmLeave': '{squad} இலிருந்து வெளியேறவா?',
+    'squads.confirmRemove': '{name} ஐ {squad} இலிருந்து நீக்கவா?',
+    'squads.left': 'நீங்கள் {squad} இலிருந்து வெளியேறினீர்கள்',
+    'squads.removed': 'உறுப்பினர் நீக்கப்பட்டார்',
+    'squads.impactCleanups': 'சுத்தம் செய்யப்பட்ட கடற்கரைகள்',
+    'squads.impactMembers': 'உறுப்பினர்கள்',
+    'squads.impactWeight': 'அகற்றப்பட்ட குப்பை',
+    'squads.createInvite': 'அழைப்பு இணைப்பை உருவாக்கு',
+    'squads.inviteLink': 'அழைப்பு இணைப்பு, {date} வரை செல்லும்',
+    'squads.inviteCreated': 'அழைப்பு இணைப்பு உருவாக்கப்பட்டது. இது {days} நாட்கள் செல்லும்.',
+    'squads.copy': 'நகலெடு',
+    'squads.copied': 'அழைப்பு இணைப்பு நகலெடுக்கப்பட்டது',
+    'squads.copyManually': 'பகிர தேர்ந்தெடுக்கப்பட்ட இணைப்பை நகலெடுக்கவும்',
+    'squads.inviteTitle': 'குழு அழைப்பு',
+    'squads.inviteTo': '{squad} இல் சேரவும்',
+    'squads.inviteDetails': 'உறுப்பினர்கள்: {count} · இணைப்பு {date} வரை செல்லும்',
+    'squads.join': 'குழுவில் சேர்',
+    'squads.joined': '{squad} க்கு வரவேற்கிறோம்!',
+    'squads.error': 'ஏதோ தவறு நடந்தது. மீண்டும் முயலவும்.',
+    'squads.errorNotFound': 'இந்த அழைப்பைக் கண்டுபிடிக்க முடியவில்லை. இணைப்பைச் சரிபார்க்கவும் அல்லது ஏற்பாட்டாளரிடம் புதிய இணைப்பைக் கேட்கவும்.',
+    'squads.errorExpired': 'இந்த அழைப்பு காலாவதியாகிவிட்டது. ஏற்பாட்டாளரிடம் புதிய இணைப்பைக் கேட்கவும்.',
+    'squads.errorForbidden': 'ஏற்பாட்டாளர்கள் மட்டுமே இதைச் செய்ய முடியும்.',
+    'squads.errorAlreadyMember': 'அந்த மின்னஞ்சல் ஏற்கனவே இந்தக் குழுவில் உள்ளது. நீங்கள் சேர்ந்த உலாவியில் குழுவைத் திறக்கவும்.',
+    'squads.errorLastOrganizer': 'ஒவ்வொரு குழுவுக்கும் ஒரு ஏற்பாட்டாளர் தேவை. முதலில் வேறொருவரை ஏற்பாட்டாளராக்கவும்.',
+    'squads.errorInvalid': 'பெயரையும் மின்னஞ்சலையும் சரிபார்க்கவும்.',
+    'litter.rained': 'மழையிலும் வேலை செய்தோம்',
+    'badges.title': 'உங்கள் பதக்கங்கள்',
+    'badges.unlocked': '🏅 பதக்கம் திறக்கப்பட்டது: {badge}!',
+    'badges.unlockedOn': '{date} அன்று திறக்கப்பட்டது',
+    'badges.progress': '{value} / {goal}',
+    'badges.streak': '🔥 மாதத் தொடர்: {count}',
+    'badges.bestStreak': 'சிறந்தது: {count} மாதங்கள்',
+    'badges.monthActive': 'இந்த மாதம் சுத்தம் செய்தீர்கள்',
+    'badges.monthInactive': 'இந்த மாதம் சுத்தப்படுத்தல் இல்லை',
+    'badges.first-cleanup.name': 'முதல் அலை',
+    'badges.first-cleanup.description': 'உங்கள் முதல் சுத்தப்படுத்தலில் சேருங்கள் அல்லது பதிவு செய்யுங்கள்',
+    'badges.five-beaches.name': 'கடற்கரை சுற்றுலா',
+    'badges.five-beaches.description': '5 வெவ்வேறு கடற்கரைகளைச் சுத்தம் செய்யுங்கள்',
+    'badges.ten-kg.name': 'பலசாலி',
+    'badges.ten-kg.description': '10 கிலோ குப்பையைச் சேகரிக்க உதவுங்கள்',
+    'badges.rain-or-shine.name': 'மழையோ வெயிலோ',
+    'badges.rain-or-shine.description': 'மழையிலும் தொடர்ந்து சுத்தம் செய்யுங்கள்',
+    'badges.streak-3.name': 'தொடர் வெற்றி',
+    'badges.streak-3.description': 'தொடர்ந்து 3 மாதங்கள் சுத்தம் செய்யுங்கள்',
+    'leaderboard.title': 'குழுத் தரவரிசை',
+    'leaderboard.rankBy': 'குழுக்களை வரிசைப்படுத்து',
+    'leaderboard.cleanups': 'சுத்தப்படுத்தல்கள்',
+    'leaderboard.weightKg': 'எடை',
+    'leaderboard.yours': '(உங்கள் குழு)',
+    'leaderboard.cleanupCount': 'சுத்தப்படுத்தல்கள்: {count}',
+    'leaderboard.empty': 'இதுவரை எந்தக் குழுவும் சுத்தப்படுத்தலைப் பதிவு செய்யவில்லை. பட்டியலில் இடம்பெற உங்கள் பதிவை உங்கள் குழுவுக்குக் கணக்கிடுங்கள்.',
+    'litter.title': 'சுத்தம் செய்ததைப் பதிவு செய்க',
+    'litter.intro': 'உங்கள் குழு சேகரித்ததைப் பதிவு செய்யுங்கள். பதிவுகள் முதலில் இந்தச் சாதனத்தில் சேமிக்கப்படும், எனவே கடற்கரையில் இணையம் இல்லாமலும் வேலை செய்யும்.',
+    'litter.event': 'சுத்தம் செய்யும் நிகழ்வு',
+    'litter.eventNone': 'பட்டியலில் இல்லாத நிகழ்வு',
+    'litter.beach': 'கடற்கரை',
+    'litter.date': 'தேதி',
+    'litter.bags': 'நிரப்பிய பைகள்',
+    'litter.weight': 'மொத்த எடை (கி.கி.)',
+    'litter.submit': 'பதிவைச் சேமி',
+    'litter.saving': 'சேமிக்கிறது…',
+    'litter.group.common': 'அதிகம் காணப்படுபவை',
+    'litter.group.fishing': 'மீன்பிடி உபகரணங்கள்',
+    'litter.group.tiny': 'சிறு குப்பை (2.5 செ.மீ.க்குக் குறைவு)',
+    'litter.group.other': 'பிற குப்பை',
+    'litter.category.cigarette-butts': 'சிகரெட் துண்டுகள்',
+    'litter.category.food-wrappers': 'உணவு உறைகள்',
+    'litter.category.plastic-bottles': 'பிளாஸ்டிக் பாட்டில்கள்',
+    'litter.category.bottle-caps': 'பாட்டில் மூடிகள்',
+    'litter.category.plastic-bags': 'பிளாஸ்டிக் பைகள்',
+    'litter.category.straws': 'உறிஞ்சுகுழல்கள் மற்றும் கலக்கிகள்',
+    'litter.category.takeaway-containers': 'உணவு எடுத்துச்செல்லும் பெட்டிகள்',
+    'litter.category.cups-lids': 'கோப்பைகள் மற்றும் மூடிகள்',
+    'litter.category.glass-bottles': 'கண்ணாடி பாட்டில்கள்',
+    'litter.category.cans': 'பான டின்கள்',
+    'litter.category.fishing-line': 'மீன்பிடி நூல்',
+    'litter.category.rope-nets': 'கயிறு மற்றும் வலைகள்',
+    'litter.category.plastic-pieces': 'பிளாஸ்டிக் துண்டுகள்',
+    'litter.category.styrofoam': 'ஸ்டைரோஃபோம் துண்டுகள்',
+    'litter.category.other': 'பிற பொருட்கள்',
+    'litter.errorBeach': 'நீங்கள் சுத்தம் செய்த கடற்கரையைத் தேர்ந்தெடுக்கவும்',
+    'litter.errorDate': 'சுத்தம் செய்த தேதியை உள்ளிடவும் (இன்று அல்லது அதற்கு முன்)',
+    'litter.errorNumber': 'எண்ணிக்கை, பைகள், எடை பூஜ்ஜியம் அல்லது அதற்கு மேல் இருக்க வேண்டும்; எண்ணிக்கையும் பைகளும் முழு எண்களாக இருக்க வேண்டும்',
+    'litter.errorEmpty': 'குறைந்தது ஒரு எண்ணிக்கை, பை அல்லது எடையை உள்ளிடவும்',
+    'litter.errorSave': 'பதிவைச் சேமிக்க முடியவில்லை. மீண்டும் முயலவும்.',
+    'litter.savedOffline': 'பதிவு இந்தச் சாதனத்தில் சேமிக்கப்பட்டது. இணையம் திரும்பியதும் ஒத்திசைக்கப்படும்.',
+    'litter.savedLocal': 'பதிவு இந்தச் சாதனத்தில் சேமிக்கப்பட்டது.',
+    'litter.savedSynced': 'பதிவு சேமிக்கப்பட்டு ஒத்திசைக்கப்பட்டது.',
+    'litter.summaryTitle': 'கடற்கரை வாரியான தாக்கம்',
+    'litter.range': 'சுருக்கக் காலம்',
+    'litter.rangeAll': 'எல்லாக் காலமும்',
+    'litter.summaryEmpty': 'இந்தக் காலத்தில் இன்னும் பதிவுகள் இல்லை.',
+    'litter.colBeach': 'கடற்கரை',
+    'litter.colCleanups': 'சுத்தங்கள்',
+    'litter.colItems': 'பொருட்கள்',
+    'litter.colBags': 'பைகள்',
+    'litter.colWeight': 'எடை',
+    'litter.kg': '{weight} கி.கி.',
+    'litter.topTitle': 'அதிகம் காணப்பட்ட குப்பை வகைகள்',
+    'litter.pending': '{count} ஒத்திசைக்கக் காத்திருக்கின்றன',
+    'litter.syncNow': 'இப்போது ஒத்திசை',
+    'litter.allSynced': 'எல்லாப் பதிவுகளும் ஒத்திசைக்கப்பட்டன',
+    'litter.localOnly': 'பதிவுகள் இந்தச் சாதனத்தில் சேமிக்கப்பட்டுள்ளன',
+    'schedule.title': 'அடுத்து கிடைக்கும் நேரங்கள்',
+    'schedule.bestSlot': 'இங்கே சிறந்த நேரம்: {when}',
+    'schedule.poorDay': 'இந்தத் தேதியில் சுத்தம் செய்ய மோசமான நிலை முன்னறிவிக்கப்பட்டுள்ளது ({forecast}).',
+    'schedule.reschedule': 'ஏற்பாட்டாளர்கள்: {when} க்கு மாற்று',
+    'schedule.noBetterSlot': 'அடுத்த சில நாட்களில் சிறந்த நேரம் இல்லை.',
+    'schedule.rescheduled': '{title} {when} க்கு மாற்றப்பட்டது',
+    'schedule.error': 'இந்தச் சுத்தத்தின் நேரத்தை மாற்ற முடியவில்லை. மீண்டும் முயலவும்.',
+    'schedule.forbidden': 'நீங்கள் சேமித்த மின்னஞ்சல் இந்த நிகழ்வின் ஒருங்கிணைப்பாளருடன் பொருந்தவில்லை, எனவே நேரம் மாற்றப்படவில்லை.',
+    'directions.locating': 'உங்கள் இருப்பிடத்தைக் கண்டறிகிறது…',
+    'directions.denied': 'இருப்பிட அனுமதி முடக்கப்பட்டுள்ளது. உங்கள் அஞ்சல் குறியீட்டை உள்ளிடவும்.',
+    'directions.unavailable': 'உங்கள் இருப்பிடத்தைக் கண்டறிய முடியவில்லை. உங்கள் அஞ்சல் குறியீட்டை உள்ளிடவும்.',
+    'directions.postalLabel': 'உங்கள் அஞ்சல் குறியீடு',
+    'directions.postalSubmit': 'வழியைக் காட்டு',
+    'directions.postalInvalid': '6 இலக்க சிங்கப்பூர் அஞ்சல் குறியீட்டை உள்ளிடவும்',
+    'directions.fromHere': 'உங்கள் தற்போதைய இருப்பிடத்திலிருந்து',
+    'directions.fromPostal': 'அஞ்சல் குறியீடு {postalCode} இலிருந்து',
+    'directions.fromPostalApprox': 'அஞ்சல் குறியீடு {postalCode} அருகிலிருந்து (தோராயமாக)',
+    'directions.km': '{distance} கி.மீ.',
+    'directions.estimate': 'சுமார் {distance} தொலைவு · காரில் ~{driving} நிமி · பொதுப் போக்குவரத்தில் ~{transit} நிமி',
+    'directions.outOfRange': 'நீங்கள் சிங்கப்பூருக்கு வெளியே இருப்பதாகத் தெரிகிறது, எனவே பயண நேரத்தை மதிப்பிட முடியாது.',
+    'directions.nearestMrt': 'அருகிலுள்ள MRT: {station} ({codes}), {distance} · ~{walk} நிமி நடை',
+    'directions.openGoogle': 'Google Maps',
+    'directions.openApple': 'Apple Maps',
+    'directions.openMapsApp': 'வரைபடச் செயலியில் திற',
+    'directions.openTransit': 'பொதுப் போக்குவரத்து வழி',
+    'directions.usePostal': 'அஞ்சல் குறியீட்டைப் பயன்படுத்து'
+  }
+};
+
+/**
+ * Language and temperature-unit preferences, persisted in localStorage.
+ * Temperatures are kept in °C everywhere and only converted for display.
+ */
+class I18n {
+  constructor() {
+    this.language = this.resolveLanguage(readStorage('shoresquad:language') || this.detectLanguage());
+    this.unit = readStorage('shoresquad:unit') === 'F' ? 'F' : 'C';
+    this.listeners = [];
+  }
+
+  detectLanguage() {
+    if (typeof navigator === 'undefined' || !navigator.language) return 'en';
+    return navigator.language.slice(0, 2).toLowerCase();
+  }
+
+  resolveLanguage(code) {
+    return LANGUAGES.some(language => language.code === code) ? code : 'en';
+  }
+
+  get locale() {
+    return LANGUAGES.find(language => language.code === this.language).locale;
+  }
+
+  has(key) {
+    return key in TRANSLATIONS[this.language] || key in TRANSLATIONS.en;
+  }
+
+  t(key, params = {}) {
+    const template = TRANSLATIONS[this.language][key] || TRANSLATIONS.en[key] || key;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] === undefined || params[name] === null ? match : params[name]
+    );
+  }
+
+  setLanguage(code) {
+    const language = this.resolveLanguage(code);
+    if (language === this.language) return;
+
+    this.language = language;
+    writeStorage('shoresquad:language', language);
+    this.notify('language');
+  }
+
+  setUnit(unit) {
+    const nextUnit = unit === 'F' ? 'F' : 'C';
+    if (nextUnit === this.unit) return;
+
+    this.unit = nextUnit;
+    writeStorage('shoresquad:unit', nextUnit);
+    this.notify('unit');
+  }
+
+  formatTemperature(celsius) {
+    if (celsius === null || celsius === undefined || Number.isNaN(celsius)) {
+      return `--°${this.unit}`;
+    }
+    const value = this.unit === 'F' ? celsius * 9 / 5 + 32 : celsius;
+    return `${Math.round(value)}°${this.unit}`;
+  }
+
+  /**
+   * Dates always render in Singapore time, in the selected language
+   */
+  formatDate(date, options = { weekday: 'short', month: 'short', day: 'numeric' }) {
+    return date.toLocaleDateString(this.locale, { timeZone: 'Asia/Singapore', ...options });
+  }
+
+  formatTime(date, options = { hour: 'numeric', minute: '2-digit' }) {
+    return date.toLocaleTimeString(this.locale, { timeZone: 'Asia/Singapore', ...options });
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  notify(change) {
+    this.listeners.forEach(listener => listener(change));
+  }
+}
+
+const i18n = new I18n();
+
+/**
+ * Shorthand for i18n.t()
+ */
+function t(key, params) {
+  return i18n.t(key, params);
+}
+
 // ============================================
 // Navigation & Mobile Menu
 // ============================================
@@ -94,16 +1888,9 @@ class Navigation {
       this.navToggle.addEventListener('click', () => this.toggleMobileMenu());
     }
 
-    // Close mobile menu when clicking on links
+    // Close mobile menu when clicking on links; the router scrolls to them
     this.navLinks.forEach(link => {
-      link.addEventListener('click', (e) => {
-        if (link.getAttribute('href').startsWith('#')) {
-          e.preventDefault();
-          const target = link.getAttribute('href');
-          smoothScrollTo(target);
-          this.closeMobileMenu();
-        }
-      });
+      link.addEventListener('click', () => this.closeMobileMenu());
     });
 
     // Close mobile menu when clicking outside
@@ -151,736 +1938,8006 @@ class Navigation {
 }
 
 // ============================================
-// Animated Counters
+// Routing
 // ============================================
 
-class AnimatedCounters {
-  constructor() {
-    this.counters = document.querySelectorAll('.stat-number');
-    this.hasAnimated = false;
-    this.init();
-  }
+const ROUTER_SETTINGS = {
+  siteTitle: 'ShoreSquad',
+  headerOffset: 70
+};
 
-  init() {
-    this.observeCounters();
+/**
+ * Hash router. "#/events/<id>"-style paths are views rendered into the
+ * route outlet in place of the page sections; any other hash is an anchor
+ * on the home page, so section links keep working. Routes are added with
+ * add('/events/:id', handler) and handlers resolve to:
+ *   { title, focus }              a view they rendered into the outlet
+ *   { title, focus, home: true }  something on the home page
+ *   null                          nothing there, so the not-found view shows
+ */
+class Router {
+  constructor(options = {}) {
+    this.options = {
+      announce: () => {},
+      ...options
+    };
+    this.routes = [];
+    this.currentHash = null;
+    this.resolving = null;
   }
 
-  observeCounters() {
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting && !this.hasAnimated) {
-          this.animateCounters();
-          this.hasAnimated = true;
-        }
-      });
-    }, { threshold: 0.5 });
-
-    this.counters.forEach(counter => {
-      observer.observe(counter);
+  /**
+   * Register a path such as '/squads/:id'. Params are decoded strings.
+   */
+  add(path, handler) {
+    const keys = [];
+    const source = path.replace(/:(\w+)/g, (match, key) => {
+      keys.push(key);
+      return '([^/]+)';
     });
+    this.routes.push({ pattern: new RegExp(`^${source}/?$`), keys, handler });
+    return this;
   }
 
-  animateCounters() {
-    this.counters.forEach(counter => {
-      const target = parseInt(counter.getAttribute('data-target'));
-      const duration = 2000; // 2 seconds
-      const increment = target / (duration / 16); // 60fps
-      let current = 0;
-
-      const updateCounter = () => {
-        current += increment;
-        if (current < target) {
-          counter.textContent = Math.floor(current).toLocaleString();
-          requestAnimationFrame(updateCounter);
-        } else {
-          counter.textContent = target.toLocaleString();
-        }
-      };
+  start() {
+    this.main = document.getElementById('main-content');
+    this.outlet = document.getElementById('route-view');
+    this.homeTitle = document.title;
+    if (!this.main || !this.outlet) return Promise.resolve();
 
-      updateCounter();
+    // Back/forward over pushState entries fires popstate; typed hashes fire hashchange
+    const onHistory = () => {
+      if (window.location.hash !== this.currentHash) this.resolve();
+    };
+    window.addEventListener('popstate', onHistory);
+    window.addEventListener('hashchange', onHistory);
+    document.addEventListener('click', (e) => this.handleClick(e));
+    i18n.onChange(() => {
+      if (this.isViewOpen()) this.resolve({ focus: false });
     });
-  }
-}
-
-// ============================================
-// Form Handling
-// ============================================
 
-class FormHandler {
-  constructor() {
-    this.signupForm = document.querySelector('.signup-form');
-    this.emailInput = document.querySelector('#email');
-    this.emailError = document.querySelector('#email-error');
-    
-    this.init();
+    return this.resolve({ focus: Boolean(window.location.hash) });
   }
 
-  init() {
-    if (this.signupForm) {
-      this.bindEvents();
-    }
-  }
+  /**
+   * Route links in the page without the browser's instant jump. Modified
+   * clicks (new tab etc.) are left alone.
+   */
+  handleClick(e) {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    const link = e.target.closest('a[href^="#"]');
+    if (!link || link.getAttribute('href') === '#') return;
 
-  bindEvents() {
-    this.signupForm.addEventListener('submit', (e) => this.handleSubmit(e));
-    this.emailInput.addEventListener('blur', () => this.validateEmail());
-    this.emailInput.addEventListener('input', () => this.clearError());
+    e.preventDefault();
+    if (link.classList.contains('skip-link')) {
+      this.skipTo(link.getAttribute('href'));
+    } else {
+      this.navigate(link.getAttribute('href'));
+    }
   }
 
-  validateEmail() {
-    const email = this.emailInput.value.trim();
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  /**
+   * Skip links move focus without changing the route. "Main content" is
+   * the open view when there is one.
+   */
+  skipTo(hash) {
+    const target = document.getElementById(hash.slice(1));
+    if (!target) return;
 
-    if (!email) {
-      this.showError('Email is required');
-      return false;
-    } else if (!emailRegex.test(email)) {
-      this.showError('Please enter a valid email address');
-      return false;
+    if (this.isViewOpen() && target === this.main) {
+      const heading = this.outlet.querySelector('h1');
+      if (heading) heading.focus();
+    } else if (this.isViewOpen() && this.main.contains(target) && !this.outlet.contains(target)) {
+      this.navigate(hash);
     } else {
-      this.clearError();
-      return true;
+      this.moveFocus({ home: true, focus: target });
     }
   }
 
-  showError(message) {
-    this.emailError.textContent = message;
-    this.emailInput.style.borderColor = 'var(--coral-accent)';
-    this.emailError.setAttribute('aria-live', 'polite');
+  navigate(hash, { replace = false } = {}) {
+    if (hash !== window.location.hash) {
+      const url = `${window.location.pathname}${window.location.search}${hash}`;
+      if (replace) {
+        history.replaceState(null, '', url);
+      } else {
+        history.pushState(null, '', url);
+      }
+    }
+    return this.resolve();
   }
 
-  clearError() {
-    this.emailError.textContent = '';
-    this.emailInput.style.borderColor = 'var(--gray-300)';
+  match(hash) {
+    const path = hash.replace(/^#/, '');
+    for (const route of this.routes) {
+      const found = path.match(route.pattern);
+      if (found) {
+        const params = {};
+        route.keys.forEach((key, index) => {
+          try {
+            params[key] = decodeURIComponent(found[index + 1]);
+          } catch (error) {
+            params[key] = found[index + 1];
+          }
+        });
+        return { route, params };
+      }
+    }
+    return null;
   }
 
-  async handleSubmit(e) {
-    e.preventDefault();
-    
-    if (!this.validateEmail()) {
-      return;
-    }
+  isViewOpen() {
+    return Boolean(this.main) && this.main.classList.contains('showing-view');
+  }
 
-    const submitButton = this.signupForm.querySelector('button[type="submit"]');
-    const originalText = submitButton.innerHTML;
-    
-    // Show loading state
-    submitButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Joining...';
-    submitButton.disabled = true;
+  /**
+   * Show whatever the current hash points at. A newer navigation wins if
+   * an older handler is still loading.
+   */
+  async resolve({ focus = true } = {}) {
+    if (!this.main || !this.outlet) return;
+    const hash = window.location.hash;
+    this.currentHash = hash;
+    const token = {};
+    this.resolving = token;
 
+    let result;
     try {
-      // Simulate API call
-      await this.simulateSignup();
-      
-      // Success state
-      submitButton.innerHTML = '<i class="fas fa-check"></i> Welcome to the Squad!';
-      submitButton.style.background = 'var(--seaweed-green)';
-      
-      // Reset form
-      setTimeout(() => {
-        this.signupForm.reset();
-        submitButton.innerHTML = originalText;
-        submitButton.disabled = false;
-        submitButton.style.background = 'var(--ocean-primary)';
-        this.showSuccessMessage();
-      }, 2000);
-      
+      result = await this.render(hash);
     } catch (error) {
-      // Error state
-      submitButton.innerHTML = '<i class="fas fa-exclamation-triangle"></i> Try Again';
-      submitButton.style.background = 'var(--coral-accent)';
-      
-      setTimeout(() => {
-        submitButton.innerHTML = originalText;
-        submitButton.disabled = false;
-        submitButton.style.background = 'var(--ocean-primary)';
-      }, 2000);
+      console.error(`Error showing ${hash}:`, error);
+      result = null;
     }
+    if (this.resolving !== token) return;
+    if (!result) result = this.renderNotFound();
+
+    this.main.classList.toggle('showing-view', !result.home);
+    this.outlet.hidden = Boolean(result.home);
+    if (result.home) this.outlet.innerHTML = '';
+
+    document.title = result.title ? `${result.title} - ${ROUTER_SETTINGS.siteTitle}` : this.homeTitle;
+    if (focus) this.moveFocus(result);
   }
 
-  simulateSignup() {
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        // 90% success rate for demo
-        if (Math.random() > 0.1) {
-          resolve();
-        } else {
-          reject(new Error('Network error'));
-        }
-      }, 1500);
-    });
+  async render(hash) {
+    if (hash === '' || hash === '#' || hash === '#/') return { home: true, focus: null };
+
+    if (!hash.startsWith('#/')) {
+      let target = null;
+      try {
+        target = document.getElementById(decodeURIComponent(hash.slice(1)));
+      } catch (error) {
+        target = null;
+      }
+      // Only anchors on the home page, not ones inside a view
+      if (!target || this.outlet.contains(target)) return null;
+      return { home: true, focus: target };
+    }
+
+    const found = this.match(hash);
+    return found ? found.route.handler(found.params, this.outlet) : null;
   }
 
-  showSuccessMessage() {
-    const message = document.createElement('div');
-    message.className = 'success-notification';
-    message.innerHTML = `
-      <div class="notification-content">
-        <i class="fas fa-check-circle"></i>
-        <span>Thanks for joining! Welcome to ShoreSquad! 🌊</span>
-        <button class="notification-close" aria-label="Close notification">&times;</button>
+  renderNotFound() {
+    this.outlet.innerHTML = `
+      <div class="container route-page not-found">
+        <i class="fas fa-compass route-icon" aria-hidden="true"></i>
+        <h1 class="section-title" tabindex="-1">${t('router.notFoundTitle')}</h1>
+        <p>${t('router.notFoundBody')}</p>
+        <div class="route-actions">
+          <a href="#/" class="btn btn-primary">${t('router.home')}</a>
+          <a href="#/events" class="btn btn-secondary">${t('events.allTitle')}</a>
+        </div>
       </div>
     `;
-    
-    // Add styles
-    message.style.cssText = `
-      position: fixed;
-      top: 20px;
-      right: 20px;
-      background: var(--seaweed-green);
-      color: white;
-      padding: 1rem 1.5rem;
-      border-radius: 0.5rem;
-      box-shadow: 0 10px 25px rgba(0,0,0,0.1);
-      z-index: 1000;
-      transform: translateX(100%);
-      transition: transform 0.3s ease;
-    `;
+    return { title: t('router.notFoundTitle'), focus: this.outlet.querySelector('h1') };
+  }
 
-    document.body.appendChild(message);
-    
-    // Animate in
-    setTimeout(() => {
-      message.style.transform = 'translateX(0)';
-    }, 100);
+  /**
+   * Views take focus at their heading; home anchors scroll under the fixed
+   * header and focus the section heading. Going home from a view lands on
+   * the top of the page.
+   */
+  moveFocus({ home, focus }) {
+    if (!home) {
+      window.scrollTo(0, 0);
+      if (focus) focus.focus();
+      return;
+    }
 
-    // Close button
-    const closeButton = message.querySelector('.notification-close');
-    closeButton.addEventListener('click', () => {
-      message.style.transform = 'translateX(100%)';
-      setTimeout(() => message.remove(), 300);
-    });
+    const target = focus || this.main;
+    const top = focus ? target.getBoundingClientRect().top + window.pageYOffset - ROUTER_SETTINGS.headerOffset : 0;
+    const motion = window.matchMedia('(prefers-reduced-motion: reduce)').matches ? 'auto' : 'smooth';
+    window.scrollTo({ top, behavior: motion });
 
-    // Auto remove after 5 seconds
-    setTimeout(() => {
-      if (document.body.contains(message)) {
-        message.style.transform = 'translateX(100%)';
-        setTimeout(() => message.remove(), 300);
-      }
-    }, 5000);
+    const heading = focus && focus.matches('section') ? focus.querySelector('h2, h3') || focus : target;
+    if (!heading.matches('a, button, input, select, textarea, [tabindex]')) heading.setAttribute('tabindex', '-1');
+    heading.focus({ preventScroll: true });
   }
 }
 
 // ============================================
-// Interactive Features
+// Animated Counters
 // ============================================
 
-class InteractiveFeatures {
-  constructor() {
+/**
+ * Counts .stat-number elements up to their targets once they scroll into
+ * view. Targets come from data-target, or from setTargets() keyed by each
+ * counter's data-stat; later updates animate from the value on screen.
+ */
+class AnimatedCounters {
+  constructor(options = {}) {
+    this.options = {
+      duration: 2000, // 2 seconds
+      ...options
+    };
+    this.counters = document.querySelectorAll('.stat-number');
+    this.targets = new Map(); // counter -> target value
+    this.values = new Map();  // counter -> value on screen
+    this.frames = new Map();  // counter -> pending animation frame
+    this.isVisible = false;
     this.init();
   }
 
   init() {
-    this.addFeatureCardHover();
-    this.addWeatherAnimation();
-    this.addScrollAnimations();
-    this.addKeyboardNavigation();
+    this.counters.forEach(counter => {
+      const target = parseFloat(counter.getAttribute('data-target'));
+      if (!Number.isNaN(target)) this.targets.set(counter, target);
+    });
+    this.observeCounters();
   }
 
-  addFeatureCardHover() {
-    const featureCards = document.querySelectorAll('.feature-card');
-    
-    featureCards.forEach(card => {
-      card.addEventListener('mouseenter', () => {
-        card.style.transform = 'translateY(-8px) scale(1.02)';
-      });
-      
-      card.addEventListener('mouseleave', () => {
-        card.style.transform = 'translateY(0) scale(1)';
-      });
+  observeCounters() {
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        this.isVisible = true;
+        observer.disconnect();
+        this.animateCounters();
+      }
+    }, { threshold: 0.5 });
 
-      // Keyboard support
-      card.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          card.style.transform = 'translateY(-8px) scale(1.02)';
-          setTimeout(() => {
-            card.style.transform = 'translateY(0) scale(1)';
-          }, 200);
-        }
-      });
+    this.counters.forEach(counter => {
+      observer.observe(counter);
     });
   }
 
-  addWeatherAnimation() {
-    const weatherIcon = document.querySelector('.weather-icon');
-    if (weatherIcon) {
-      // Change weather icon randomly every 10 seconds
-      const weatherIcons = ['fa-sun', 'fa-cloud-sun', 'fa-cloud', 'fa-wind'];
-      const weatherDescs = ['Perfect for cleanup!', 'Great conditions!', 'Still good to go!', 'Breezy but doable!'];
-      let currentIndex = 0;
-
-      setInterval(() => {
-        currentIndex = (currentIndex + 1) % weatherIcons.length;
-        weatherIcon.className = `fas ${weatherIcons[currentIndex]} weather-icon`;
-        
-        const weatherDesc = document.querySelector('.weather-desc');
-        if (weatherDesc) {
-          weatherDesc.textContent = weatherDescs[currentIndex];
-        }
-      }, 10000);
-    }
+  setTargets(targets) {
+    this.counters.forEach(counter => {
+      const key = counter.dataset.stat;
+      if (key && typeof targets[key] === 'number') this.targets.set(counter, targets[key]);
+    });
+
+    // Off-screen counters wait and count up when they're first seen
+    if (this.isVisible) this.animateCounters();
   }
 
-  addScrollAnimations() {
-    const animateElements = document.querySelectorAll('.feature-card, .step, .stat-item');
-    
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          entry.target.classList.add('fade-in-up');
-        }
-      });
-    }, { threshold: 0.1 });
+  prefersReducedMotion() {
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
 
-    animateElements.forEach(el => {
-      observer.observe(el);
-    });
+  animateCounters() {
+    this.targets.forEach((target, counter) => this.animateCounter(counter, target));
   }
 
-  addKeyboardNavigation() {
-    // Enhanced keyboard navigation for better accessibility
-    document.addEventListener('keydown', (e) => {
-      // ESC to close mobile menu
-      if (e.key === 'Escape') {
-        const navMenu = document.querySelector('.nav-menu');
-        if (navMenu && navMenu.classList.contains('active')) {
-          const navigation = new Navigation();
-          navigation.closeMobileMenu();
-        }
-      }
+  animateCounter(counter, target) {
+    const from = this.values.get(counter) || 0;
+    const decimals = parseInt(counter.dataset.decimals || '0', 10);
+    const render = (value) => {
+      this.values.set(counter, value);
+      counter.textContent = value.toLocaleString(i18n.locale, {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+      });
+    };
 
-      // Quick navigation with Alt + number keys
-      if (e.altKey && e.key >= '1' && e.key <= '4') {
-        e.preventDefault();
-        const sections = ['#features', '#how-it-works', '#community', '#join'];
-        const index = parseInt(e.key) - 1;
-        if (sections[index]) {
-          smoothScrollTo(sections[index]);
-        }
+    cancelAnimationFrame(this.frames.get(counter));
+    if (from === target || this.prefersReducedMotion()) {
+      render(target);
+      return;
+    }
+
+    const startTime = performance.now();
+    const updateCounter = (now) => {
+      const progress = Math.min(1, (now - startTime) / this.options.duration);
+      const eased = 1 - (1 - progress) ** 3; // Ease out, so small changes settle gently
+      render(progress < 1 ? from + (target - from) * eased : target);
+
+      if (progress < 1) {
+        this.frames.set(counter, requestAnimationFrame(updateCounter));
       }
-    });
+    };
+    this.frames.set(counter, requestAnimationFrame(updateCounter));
   }
 }
 
 // ============================================
-// Performance Optimizations
+// Form Validation
 // ============================================
 
-class PerformanceOptimizer {
-  constructor() {
-    this.init();
+/**
+ * Rule factories for FormValidator schemas. A rule takes (value, values)
+ * and returns null when the value is fine, or a translation key (or
+ * { key, params }) describing the problem. Empty values pass every rule
+ * except required(), so optional fields only need checking when filled in.
+ */
+const Validators = {
+  required(message = 'form.required') {
+    return value => (value === '' || value === false || value === null || value === undefined ||
+      (Array.isArray(value) && value.length === 0)) ? message : null;
+  },
+
+  email(message = 'form.emailInvalid') {
+    return value => value && !EMAIL_PATTERN.test(value) ? message : null;
+  },
+
+  oneOf(options, message = 'form.invalidChoice') {
+    return value => value && !options.includes(value) ? message : null;
+  },
+
+  /**
+   * A number within { min, max }, optionally a whole number
+   */
+  number({ min = -Infinity, max = Infinity, integer = false } = {}, message = 'form.invalidNumber') {
+    return value => {
+      if (value === '') return null;
+      const number = Number(value);
+      return Number.isFinite(number) && number >= min && number <= max && (!integer || Number.isInteger(number))
+        ? null
+        : message;
+    };
+  },
+
+  /**
+   * A YYYY-MM-DD date no later than getMax() (also YYYY-MM-DD)
+   */
+  dateNotAfter(getMax, message = 'form.invalidDate') {
+    return value => value && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || value > getMax()) ? message : null;
+  },
+
+  maxLength(length, message = 'form.tooLong') {
+    return value => value && value.length > length ? { key: message, params: { count: length } } : null;
   }
+};
 
-  init() {
-    this.lazyLoadImages();
-    this.preloadCriticalResources();
-    this.optimizeScrollPerformance();
+/**
+ * Validates a form against a schema of { [fieldName]: { rules, asyncRules, when, multiple } }:
+ * - rules run in order and the first problem wins; asyncRules run only once
+ *   the sync rules pass, and a failing async check never blocks the form
+ * - `when(values)` skips a field that doesn't apply, e.g. consent for adults
+ * - `multiple` reads a checkbox group as an array of checked values
+ * - options.formRules check several fields together and return
+ *   { field, message } or null
+ *
+ * Each field's error shows in the element marked data-error-for="<name>",
+ * or else the form's shared data-error-for="form" element (which shows the
+ * first problem). Invalid fields get aria-invalid and are described by
+ * their error. Fields are checked when left after a change, and again as
+ * they're corrected.
+ */
+class FormValidator {
+  constructor(form, schema, options = {}) {
+    this.form = form;
+    this.schema = schema;
+    this.options = {
+      formRules: [],
+      live: true,
+      ...options
+    };
+    this.errors = {};
+    this.checks = {};
+    this.touched = new Set();
+
+    if (this.options.live) this.bindEvents();
   }
 
-  lazyLoadImages() {
-    const images = document.querySelectorAll('img[data-src]');
-    
-    const imageObserver = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          const img = entry.target;
-          img.src = img.dataset.src;
-          img.classList.remove('lazy');
-          imageObserver.unobserve(img);
-        }
-      });
+  bindEvents() {
+    this.form.addEventListener('focusout', (e) => {
+      const name = this.getFieldName(e.target);
+      // Leaving a checkbox group for another box in the same group isn't leaving the field
+      if (!name || (e.relatedTarget && this.getFieldName(e.relatedTarget) === name)) return;
+      if (this.touched.has(name) || this.errors[name]) this.validateField(name);
     });
 
-    images.forEach(img => imageObserver.observe(img));
+    const revalidate = (e) => {
+      const name = this.getFieldName(e.target);
+      if (!name) return;
+      this.touched.add(name);
+      if (this.errors[name]) this.validateField(name, { async: false });
+    };
+    this.form.addEventListener('input', revalidate);
+    this.form.addEventListener('change', revalidate);
   }
 
-  preloadCriticalResources() {
-    // Preload important fonts
-    const fontLinks = [
-      'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap',
-      'https://fonts.googleapis.com/css2?family=Poppins:wght@400;500;600;700&display=swap'
-    ];
+  getFieldName(element) {
+    return element && element.name && this.schema[element.name] ? element.name : null;
+  }
 
-    fontLinks.forEach(href => {
-      const link = document.createElement('link');
-      link.rel = 'preload';
-      link.as = 'style';
-      link.href = href;
-      document.head.appendChild(link);
+  /**
+   * Every control for a field: one input, or each box in a checkbox group
+   */
+  getControls(name) {
+    const field = this.form.elements[name];
+    if (!field) return [];
+    return typeof field.length === 'number' && !field.options ? Array.from(field) : [field];
+  }
+
+  readValue(name) {
+    const controls = this.getControls(name);
+    if (controls.length === 0) return undefined;
+
+    if (this.schema[name].multiple) return controls.filter(control => control.checked).map(control => control.value);
+    if (controls[0].type === 'checkbox') return controls[0].checked;
+    return controls[0].value.trim();
+  }
+
+  getValues() {
+    const values = {};
+    Object.keys(this.schema).forEach(name => {
+      values[name] = this.readValue(name);
     });
+    return values;
   }
 
-  optimizeScrollPerformance() {
-    // Use passive event listeners for better scroll performance
-    let ticking = false;
+  isActive(name, values) {
+    const { when } = this.schema[name];
+    return !when || when(values);
+  }
 
-    function updateScrollEffects() {
-      // Parallax effect for hero section
-      const hero = document.querySelector('.hero');
-      if (hero && isInViewport(hero)) {
-        const scrolled = window.pageYOffset;
-        const rate = scrolled * -0.5;
-        hero.style.transform = `translateY(${rate}px)`;
+  /**
+   * Check one field and show the result. Resolves to the error message,
+   * or null; a slow async check that finishes after a newer one is ignored.
+   */
+  async validateField(name, { async = true, values = this.getValues() } = {}) {
+    const field = this.schema[name];
+    const check = (this.checks[name] || 0) + 1;
+    this.checks[name] = check;
+
+    let error = null;
+    if (this.isActive(name, values)) {
+      error = this.runRules(field.rules || [], values[name], values);
+
+      if (!error && async && field.asyncRules) {
+        for (const rule of field.asyncRules) {
+          try {
+            error = await rule(values[name], values);
+          } catch (ruleError) {
+            console.warn(`Couldn't check ${name}:`, ruleError);
+          }
+          if (error) break;
+        }
       }
-      
-      ticking = false;
     }
 
-    function requestScrollUpdate() {
-      if (!ticking) {
-        requestAnimationFrame(updateScrollEffects);
-        ticking = true;
-      }
+    if (this.checks[name] !== check) return this.errors[name] || null;
+    this.setError(name, error);
+    return this.errors[name] || null;
+  }
+
+  runRules(rules, value, values) {
+    for (const rule of rules) {
+      const error = rule(value, values);
+      if (error) return error;
     }
+    return null;
+  }
 
-    window.addEventListener('scroll', requestScrollUpdate, { passive: true });
+  /**
+   * Check every field, then the form rules. Focuses the first invalid
+   * field and resolves to { valid, values, errors }.
+   */
+  async validate({ focus = true } = {}) {
+    const values = this.getValues();
+    const names = Object.keys(this.schema);
+    await Promise.all(names.map(name => this.validateField(name, { values })));
+
+    this.options.formRules.forEach(rule => {
+      const problem = rule(values);
+      if (problem && !this.errors[problem.field]) this.setError(problem.field, problem.message);
+    });
+
+    const invalid = names.filter(name => this.errors[name]);
+    if (focus && invalid.length > 0) {
+      const [control] = this.getControls(invalid[0]);
+      if (control) control.focus();
+    }
+
+    const errors = {};
+    invalid.forEach(name => {
+      errors[name] = this.errors[name];
+    });
+    return { valid: invalid.length === 0, values, errors };
+  }
+
+  translate(message) {
+    return typeof message === 'string' ? t(message) : t(message.key, message.params);
+  }
+
+  getErrorElement(name) {
+    return this.form.querySelector(`[data-error-for="${name}"]`) ||
+      this.form.querySelector('[data-error-for="form"]');
+  }
+
+  setError(name, message) {
+    this.errors[name] = message ? this.translate(message) : null;
+
+    const errorElement = this.getErrorElement(name);
+    this.getControls(name).forEach(control => {
+      if (message) {
+        control.setAttribute('aria-invalid', 'true');
+      } else {
+        control.removeAttribute('aria-invalid');
+      }
+
+      if (errorElement && errorElement.id) {
+        const describedBy = (control.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        if (!describedBy.includes(errorElement.id)) {
+          control.setAttribute('aria-describedby', [...describedBy, errorElement.id].join(' '));
+        }
+      }
+    });
+
+    if (errorElement) this.renderErrorElement(errorElement);
+  }
+
+  /**
+   * A shared error element shows the first problem among its fields
+   */
+  renderErrorElement(element) {
+    const name = Object.keys(this.schema).find(candidate =>
+      this.errors[candidate] && this.getErrorElement(candidate) === element
+    );
+    element.textContent = name ? this.errors[name] : '';
+  }
+
+  reset() {
+    this.touched.clear();
+    Object.keys(this.schema).forEach(name => this.setError(name, null));
   }
 }
 
 // ============================================
-// Accessibility Enhancements
+// Form Handling
 // ============================================
 
-class AccessibilityManager {
-  constructor() {
-    this.init();
+const SIGNUP_SETTINGS = {
+  url: '/api/signups', // Served by tools/mock-server.js; point at the real signup API in production
+  timeoutMs: 8000,
+  retries: 2,          // Extra attempts after a timeout, network error, 429 or 5xx
+  backoffMs: 500,      // Doubles on every retry, plus up to 50% jitter
+  maxRetryAfterMs: 10000,
+  ageBrackets: ['under-13', '13-17', '18-24', '25-plus'],
+  minorBrackets: ['under-13', '13-17'], // Need a parent or guardian's consent
+  availability: ['weekday-mornings', 'weekday-evenings', 'weekend-mornings', 'weekend-afternoons']
+};
+
+/**
+ * A signup that didn't go through. `kind` is 'already-subscribed',
+ * 'validation', 'rejected' (any other 4xx), 'server', 'network' or
+ * 'timeout'; the last three are worth another try. Validation errors carry
+ * `fields`, e.g. { email: 'invalid' }.
+ */
+class SignupError extends Error {
+  constructor(kind, message = kind, { status = null, fields = {}, retryAfterMs = 0 } = {}) {
+    super(message);
+    this.name = 'SignupError';
+    this.kind = kind;
+    this.status = status;
+    this.fields = fields;
+    this.retryAfterMs = retryAfterMs;
   }
 
-  init() {
-    this.manageAnnouncements();
-    this.enhanceKeyboardNavigation();
-    this.addSkipLinks();
-    this.manageReducedMotion();
+  get isTransient() {
+    return ['server', 'network', 'timeout'].includes(this.kind);
   }
+}
 
-  manageAnnouncements() {
-    // Create live region for dynamic content announcements
-    const liveRegion = document.createElement('div');
-    liveRegion.setAttribute('aria-live', 'polite');
-    liveRegion.setAttribute('aria-atomic', 'true');
-    liveRegion.className = 'sr-only';
-    liveRegion.id = 'live-region';
-    document.body.appendChild(liveRegion);
+/**
+ * POSTs signups as JSON to SIGNUP_SETTINGS.url. Every attempt of one signup
+ * sends the same Idempotency-Key header, so a retry or a double-click after
+ * a timeout can't subscribe anyone twice. The API answers 2xx on success,
+ * 409 if the email is already subscribed and 400/422 with
+ * { error: 'validation', fields } for bad input. There is deliberately no
+ * way to ask whether an email is subscribed without signing it up, so the
+ * API can't be used to test which addresses are on the list.
+ */
+class SignupClient {
+  constructor(url = SIGNUP_SETTINGS.url, options = {}) {
+    this.url = url;
+    this.options = {
+      timeoutMs: SIGNUP_SETTINGS.timeoutMs,
+      retries: SIGNUP_SETTINGS.retries,
+      backoffMs: SIGNUP_SETTINGS.backoffMs,
+      fetch: (...args) => fetch(...args),
+      sleep: ms => new Promise(resolve => setTimeout(resolve, ms)),
+      ...options
+    };
   }
 
-  enhanceKeyboardNavigation() {
-    // Add visible focus indicators
-    const focusableElements = document.querySelectorAll(
-      'a, button, input, textarea, select, [tabindex]:not([tabindex="-1"])'
-    );
+  createIdempotencyKey() {
+    return typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : createId('signup');
+  }
 
-    focusableElements.forEach(element => {
-      element.addEventListener('focus', () => {
-        element.style.outline = '2px solid var(--ocean-primary)';
-        element.style.outlineOffset = '2px';
-      });
+  /**
+   * Resolves to the API's response body, or rejects with a SignupError
+   */
+  async signup(data, idempotencyKey = this.createIdempotencyKey()) {
+    let lastError = null;
 
-      element.addEventListener('blur', () => {
-        element.style.outline = '';
-        element.style.outlineOffset = '';
-      });
-    });
+    for (let attempt = 0; attempt <= this.options.retries; attempt++) {
+      if (attempt > 0) await this.options.sleep(this.getDelay(attempt, lastError));
+
+      try {
+        return await this.send(data, idempotencyKey);
+      } catch (error) {
+        if (!(error instanceof SignupError) || !error.isTransient) throw error;
+        lastError = error;
+      }
+    }
+
+    throw lastError;
   }
 
-  addSkipLinks() {
-    // Additional skip links for complex navigation
-    const skipLinks = [
-      { href: '#main-content', text: 'Skip to main content' },
-      { href: '#features', text: 'Skip to features' },
-      { href: '#contact', text: 'Skip to contact' }
-    ];
+  /**
+   * Exponential backoff with jitter, or the server's Retry-After if longer
+   */
+  getDelay(attempt, error) {
+    const backoff = this.options.backoffMs * 2 ** (attempt - 1);
+    const delay = backoff + Math.random() * backoff / 2;
+    const retryAfter = error ? Math.min(error.retryAfterMs, SIGNUP_SETTINGS.maxRetryAfterMs) : 0;
+    return Math.max(delay, retryAfter);
+  }
 
-    const skipContainer = document.createElement('div');
-    skipContainer.className = 'skip-links';
-    
-    skipLinks.forEach(link => {
-      const skipLink = document.createElement('a');
-      skipLink.href = link.href;
-      skipLink.textContent = link.text;
-      skipLink.className = 'skip-link';
-      skipContainer.appendChild(skipLink);
+  async send(data, idempotencyKey) {
+    const response = await this.request(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': idempotencyKey,
+        // Lets the service worker queue the signup if we're offline
+        [OFFLINE_SETTINGS.outboxHeader]: 'signup'
+      },
+      body: JSON.stringify(data)
     });
 
-    document.body.insertBefore(skipContainer, document.body.firstChild);
+    const body = await response.json().catch(() => ({}));
+    if (response.ok) return body;
+
+    throw this.toError(response, body);
   }
 
-  manageReducedMotion() {
-    // Respect user's motion preferences
-    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
-    
-    function handleReducedMotion() {
-      if (prefersReducedMotion.matches) {
-        document.documentElement.style.setProperty('--transition-fast', '0s');
-        document.documentElement.style.setProperty('--transition-normal', '0s');
-        document.documentElement.style.setProperty('--transition-slow', '0s');
-        
-        // Disable animations
-        const animatedElements = document.querySelectorAll('[style*="animation"]');
-        animatedElements.forEach(el => {
-          el.style.animation = 'none';
-        });
-      }
+  /**
+   * fetch() with the timeout applied, rejecting with a SignupError
+   */
+  async request(url, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.timeoutMs);
+
+    try {
+      return await this.options.fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      throw error.name === 'AbortError'
+        ? new SignupError('timeout', `Signup timed out after ${this.options.timeoutMs} ms`)
+        : new SignupError('network', error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  toError(response, body) {
+    const { status } = response;
+    if (status === 409) {
+      return new SignupError('already-subscribed', body.message || 'Already subscribed', { status });
     }
+    if (status === 400 || status === 422) {
+      return new SignupError('validation', body.message || 'Invalid signup', { status, fields: body.fields || {} });
+    }
+
+    const message = body.message || `Signup failed (${status})`;
+    if (status === 429 || status >= 500) {
+      const retryAfter = Number(response.headers.get('Retry-After'));
+      return new SignupError('server', message, { status, retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : 0 });
+    }
+    // Other 4xx responses won't change on retry
+    return new SignupError('rejected', message, { status });
+  }
+}
+
+/**
+ * In-memory signup API for development and tests, shared by the
+ * ?signup=mock fetch stub and tools/mock-server.js. Responses are replayed
+ * for a repeated Idempotency-Key, and `failureRate` of requests get a 503
+ * to exercise retries.
+ */
+class MockSignupBackend {
+  constructor(options = {}) {
+    this.options = {
+      failureRate: 0,
+      latencyMs: 400,
+      ...options
+    };
+    this.subscribers = new Map();
+    this.responses = new Map();
+  }
+
+  /**
+   * Resolves a request body to { status, body }
+   */
+  handle(data, idempotencyKey) {
+    if (idempotencyKey && this.responses.has(idempotencyKey)) return this.responses.get(idempotencyKey);
+    if (Math.random() < this.options.failureRate) {
+      return { status: 503, body: { error: 'unavailable', message: 'Try again shortly' } };
+    }
+
+    const email = String((data && data.email) || '').trim();
+    const fields = this.validate({ ...data, email });
+    let result;
+    if (Object.keys(fields).length > 0) {
+      result = { status: 422, body: { error: 'validation', message: 'Invalid signup', fields } };
+    } else if (this.subscribers.has(email.toLowerCase())) {
+      result = { status: 409, body: { error: 'already-subscribed', message: `${email} is already subscribed` } };
+    } else {
+      const subscriber = { id: createId('subscriber'), ...data, email, subscribedAt: new Date().toISOString() };
+      this.subscribers.set(email.toLowerCase(), subscriber);
+      result = { status: 201, body: { subscriber } };
+    }
+
+    if (idempotencyKey) this.responses.set(idempotencyKey, result);
+    return result;
+  }
+
+  /**
+   * The same checks the form makes, keyed by field
+   */
+  validate(data) {
+    const fields = {};
+    if (!EMAIL_PATTERN.test(data.email)) fields.email = 'invalid';
+    if (data.ageBracket !== undefined) {
+      if (!SIGNUP_SETTINGS.ageBrackets.includes(data.ageBracket)) fields.ageBracket = 'invalid';
+      else if (SIGNUP_SETTINGS.minorBrackets.includes(data.ageBracket) && data.guardianConsent !== true) fields.guardianConsent = 'required';
+    }
+    if (data.availability !== undefined) {
+      const valid = Array.isArray(data.availability) && data.availability.length > 0 &&
+        data.availability.every(slot => SIGNUP_SETTINGS.availability.includes(slot));
+      if (!valid) fields.availability = 'invalid';
+    }
+    return fields;
+  }
+
+  /**
+   * A fetch() stand-in for SignupClient that honours abort signals
+   */
+  createFetch() {
+    return (url, init = {}) => new Promise((resolve, reject) => {
+      const abort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('The request was aborted', 'AbortError'));
+      };
+      const timer = setTimeout(() => {
+        if (init.signal) init.signal.removeEventListener('abort', abort);
+        const headers = init.headers || {};
+        const { status, body } = init.method === 'POST'
+          ? this.handle(JSON.parse(init.body || '{}'), headers['Idempotency-Key'])
+          : { status: 405, body: { error: 'method-not-allowed', message: 'Signups only accept POST' } };
+        resolve(new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } }));
+      }, this.options.latencyMs);
+
+      if (init.signal) {
+        if (init.signal.aborted) abort();
+        else init.signal.addEventListener('abort', abort);
+      }
+    });
+  }
+}
+
+/**
+ * The "Join the Squad" signup form: validated with FormValidator, then sent
+ * with SignupClient
+ */
+class FormHandler {
+  constructor(client = new SignupClient()) {
+    this.client = client;
+    this.signupForm = document.querySelector('.signup-form');
+    this.emailInput = document.querySelector('#email');
+    this.statusText = document.querySelector('.signup-status');
+    // Resubmitting the same signup reuses its key, in case a timed-out request got through
+    this.pending = null;
+    
+    this.init();
+  }
+
+  init() {
+    if (this.signupForm) {
+      this.renderBeachOptions();
+      this.validator = new FormValidator(this.signupForm, this.getSchema());
+      this.bindEvents();
+    }
+  }
+
+  getSchema() {
+    const needsConsent = values => SIGNUP_SETTINGS.minorBrackets.includes(values.ageBracket);
+    return {
+      name: { rules: [Validators.required('rsvp.nameRequired'), Validators.maxLength(80)] },
+      email: { rules: [Validators.required('form.emailRequired'), Validators.email()] },
+      beachId: { rules: [Validators.oneOf(BEACHES.map(beach => beach.id))] },
+      ageBracket: { rules: [Validators.required('form.ageRequired'), Validators.oneOf(SIGNUP_SETTINGS.ageBrackets)] },
+      availability: { multiple: true, rules: [Validators.required('form.availabilityRequired')] },
+      guardianConsent: { when: needsConsent, rules: [Validators.required('form.consentRequired')] }
+    };
+  }
+
+  renderBeachOptions() {
+    const picker = this.signupForm.elements.beachId;
+    if (!picker) return;
+
+    picker.insertAdjacentHTML('beforeend', BEACHES.map(beach =>
+      `<option value="${beach.id}">${escapeHTML(beach.name)}</option>`
+    ).join(''));
+  }
+
+  bindEvents() {
+    this.signupForm.addEventListener('submit', (e) => this.handleSubmit(e));
+    this.signupForm.elements.ageBracket.addEventListener('change', () => this.updateConsent());
+    this.signupForm.addEventListener('input', () => {
+      this.statusText.textContent = '';
+    });
+  }
+
+  /**
+   * Show the guardian consent box only for the under-18 age groups
+   */
+  updateConsent() {
+    const consent = this.signupForm.querySelector('.signup-consent');
+    const ageBracket = this.signupForm.elements.ageBracket.value;
+    consent.hidden = !SIGNUP_SETTINGS.minorBrackets.includes(ageBracket);
+    if (consent.hidden) {
+      this.signupForm.elements.guardianConsent.checked = false;
+      this.validator.setError('guardianConsent', null);
+    }
+  }
+
+  async handleSubmit(e) {
+    e.preventDefault();
+
+    const submitButton = this.signupForm.querySelector('button[type="submit"]');
+    if (submitButton.disabled) return;
+    this.statusText.textContent = '';
+
+    // Validation is async, so hold off a second submit meanwhile
+    submitButton.disabled = true;
+    const { valid, values } = await this.validator.validate();
+    if (!valid) {
+      submitButton.disabled = false;
+      return;
+    }
+
+    const originalText = submitButton.innerHTML;
+    
+    // Show loading state
+    submitButton.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${t('form.joining')}`;
+
+    const signup = {
+      name: values.name,
+      email: values.email,
+      beachId: values.beachId || null,
+      ageBracket: values.ageBracket,
+      availability: values.availability,
+      guardianConsent: SIGNUP_SETTINGS.minorBrackets.includes(values.ageBracket) ? values.guardianConsent : null
+    };
+    // A changed field is a different request; replaying its old key would
+    // return the first response and drop the edit
+    const payload = JSON.stringify({ ...signup, email: signup.email.toLowerCase() });
+    if (!this.pending || this.pending.payload !== payload) {
+      this.pending = { payload, key: this.client.createIdempotencyKey() };
+    }
+
+    try {
+      const result = await this.client.signup(signup, this.pending.key);
+      this.pending = null;
+      
+      // Success state
+      if (result.queued) {
+        submitButton.innerHTML = `<i class="fas fa-cloud-upload-alt"></i> ${t('form.queued')}`;
+        this.statusText.textContent = t('form.queuedNotice');
+        this.statusText.classList.add('queued');
+      } else {
+        submitButton.innerHTML = `<i class="fas fa-check"></i> ${t('form.welcome')}`;
+      }
+      submitButton.style.background = 'var(--seaweed-green)';
+      
+      // Reset form
+      setTimeout(() => {
+        this.signupForm.reset();
+        this.validator.reset();
+        this.updateConsent();
+        submitButton.innerHTML = originalText;
+        submitButton.disabled = false;
+        submitButton.style.background = 'var(--ocean-primary)';
+        if (!result.queued) this.showSuccessMessage();
+      }, 2000);
+      
+    } catch (error) {
+      const kind = error instanceof SignupError ? error.kind : 'server';
+      if (!(error instanceof SignupError)) console.error('Error signing up:', error);
+      // Only a retryable failure might have reached the server
+      if (!error.isTransient) this.pending = null;
+
+      if (kind === 'already-subscribed') {
+        submitButton.innerHTML = `<i class="fas fa-user-check"></i> ${t('form.alreadyIn')}`;
+        submitButton.style.background = 'var(--ocean-deep)';
+        this.validator.setError('email', 'form.alreadySubscribed');
+      } else {
+        submitButton.innerHTML = `<i class="fas fa-exclamation-triangle"></i> ${t('form.tryAgain')}`;
+        submitButton.style.background = 'var(--coral-accent)';
+        this.showServerError(error, kind);
+      }
+      
+      setTimeout(() => {
+        submitButton.innerHTML = originalText;
+        submitButton.disabled = false;
+        submitButton.style.background = 'var(--ocean-primary)';
+      }, 2000);
+    }
+  }
+
+  /**
+   * Put the API's field errors on their fields; anything else goes in the status line
+   */
+  showServerError(error, kind) {
+    const fields = kind === 'validation' ? Object.keys(error.fields).filter(name => this.validator.schema[name]) : [];
+    if (fields.length === 0) {
+      this.statusText.classList.remove('queued');
+      this.statusText.textContent = this.describeError(error, kind);
+      return;
+    }
+
+    fields.forEach(name => this.validator.setError(name, name === 'email' ? 'form.emailInvalid' : 'form.validationError'));
+    const [control] = this.validator.getControls(fields[0]);
+    if (control) control.focus();
+  }
+
+  describeError(error, kind) {
+    if (kind === 'validation') {
+      return error.fields.email ? t('form.emailInvalid') : t('form.validationError');
+    }
+    if (kind === 'timeout' || kind === 'network') return t('form.networkError');
+    if (kind === 'rejected') return t('form.rejected');
+    return t('form.serverError');
+  }
+
+  showSuccessMessage() {
+    showNotification(t('form.thanks'));
+  }
+
+  /**
+   * A signup queued offline was replayed by the service worker
+   */
+  handleOutboxResult({ sent, status }) {
+    if (sent) {
+      showNotification(t('form.queuedSent'));
+    } else {
+      const message = status === 409 ? t('form.alreadySubscribed') : t('form.queuedFailed');
+      showNotification(message, { icon: 'fa-exclamation-triangle', background: 'var(--coral-accent)' });
+    }
+  }
+}
+
+// ============================================
+// Interactive Features
+// ============================================
+
+class InteractiveFeatures {
+  constructor(options = {}) {
+    this.options = {
+      navigate: smoothScrollTo,
+      ...options
+    };
+    this.init();
+  }
+
+  init() {
+    this.addFeatureCardHover();
+    this.addScrollAnimations();
+    this.addKeyboardNavigation();
+  }
+
+  addFeatureCardHover() {
+    const featureCards = document.querySelectorAll('.feature-card');
+    
+    featureCards.forEach(card => {
+      card.addEventListener('mouseenter', () => {
+        card.style.transform = 'translateY(-8px) scale(1.02)';
+      });
+      
+      card.addEventListener('mouseleave', () => {
+        card.style.transform = 'translateY(0) scale(1)';
+      });
+
+      // Keyboard support
+      card.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          card.style.transform = 'translateY(-8px) scale(1.02)';
+          setTimeout(() => {
+            card.style.transform = 'translateY(0) scale(1)';
+          }, 200);
+        }
+      });
+    });
+  }
+
+  addScrollAnimations() {
+    const animateElements = document.querySelectorAll('.feature-card, .step, .stat-item');
+    
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          entry.target.classList.add('fade-in-up');
+        }
+      });
+    }, { threshold: 0.1 });
+
+    animateElements.forEach(el => {
+      observer.observe(el);
+    });
+  }
+
+  addKeyboardNavigation() {
+    // Enhanced keyboard navigation for better accessibility
+    document.addEventListener('keydown', (e) => {
+      // ESC to close mobile menu
+      if (e.key === 'Escape') {
+        const navMenu = document.querySelector('.nav-menu');
+        if (navMenu && navMenu.classList.contains('active')) {
+          const navigation = new Navigation();
+          navigation.closeMobileMenu();
+        }
+      }
+
+      // Quick navigation with Alt + number keys
+      if (e.altKey && e.key >= '1' && e.key <= '4') {
+        e.preventDefault();
+        const sections = ['#features', '#how-it-works', '#community', '#join'];
+        const index = parseInt(e.key) - 1;
+        if (sections[index]) {
+          this.options.navigate(sections[index]);
+        }
+      }
+    });
+  }
+}
+
+// ============================================
+// Performance Optimizations
+// ============================================
+
+class PerformanceOptimizer {
+  constructor() {
+    this.init();
+  }
+
+  init() {
+    this.lazyLoadImages();
+    this.preloadCriticalResources();
+    this.optimizeScrollPerformance();
+  }
+
+  lazyLoadImages() {
+    const images = document.querySelectorAll('img[data-src]');
+    
+    const imageObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          const img = entry.target;
+          img.src = img.dataset.src;
+          img.classList.remove('lazy');
+          imageObserver.unobserve(img);
+        }
+      });
+    });
+
+    images.forEach(img => imageObserver.observe(img));
+  }
+
+  preloadCriticalResources() {
+    // Preload important fonts
+    const fontLinks = [
+      'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap',
+      'https://fonts.googleapis.com/css2?family=Poppins:wght@400;500;600;700&display=swap'
+    ];
+
+    fontLinks.forEach(href => {
+      const link = document.createElement('link');
+      link.rel = 'preload';
+      link.as = 'style';
+      link.href = href;
+      document.head.appendChild(link);
+    });
+  }
+
+  optimizeScrollPerformance() {
+    // Use passive event listeners for better scroll performance
+    let ticking = false;
+
+    function updateScrollEffects() {
+      // Parallax effect for hero section
+      const hero = document.querySelector('.hero');
+      if (hero && isInViewport(hero)) {
+        const scrolled = window.pageYOffset;
+        const rate = scrolled * -0.5;
+        hero.style.transform = `translateY(${rate}px)`;
+      }
+      
+      ticking = false;
+    }
+
+    function requestScrollUpdate() {
+      if (!ticking) {
+        requestAnimationFrame(updateScrollEffects);
+        ticking = true;
+      }
+    }
+
+    window.addEventListener('scroll', requestScrollUpdate, { passive: true });
+  }
+}
+
+// ============================================
+// Accessibility Enhancements
+// ============================================
+
+class AccessibilityManager {
+  constructor() {
+    this.init();
+  }
+
+  init() {
+    this.manageAnnouncements();
+    this.enhanceKeyboardNavigation();
+    this.addSkipLinks();
+    this.manageReducedMotion();
+  }
+
+  manageAnnouncements() {
+    // Create live region for dynamic content announcements
+    const liveRegion = document.createElement('div');
+    liveRegion.setAttribute('aria-live', 'polite');
+    liveRegion.setAttribute('aria-atomic', 'true');
+    liveRegion.className = 'sr-only';
+    liveRegion.id = 'live-region';
+    document.body.appendChild(liveRegion);
+  }
+
+  enhanceKeyboardNavigation() {
+    // Add visible focus indicators
+    const focusableElements = document.querySelectorAll(
+      'a, button, input, textarea, select, [tabindex]:not([tabindex="-1"])'
+    );
+
+    focusableElements.forEach(element => {
+      element.addEventListener('focus', () => {
+        element.style.outline = '2px solid var(--ocean-primary)';
+        element.style.outlineOffset = '2px';
+      });
+
+      element.addEventListener('blur', () => {
+        element.style.outline = '';
+        element.style.outlineOffset = '';
+      });
+    });
+  }
+
+  addSkipLinks() {
+    // Additional skip links for complex navigation
+    const skipLinks = [
+      { href: '#main-content', text: t('skip.main') },
+      { href: '#features', text: t('skip.features') },
+      { href: '#contact', text: t('skip.contact') }
+    ];
+
+    const skipContainer = document.createElement('div');
+    skipContainer.className = 'skip-links';
+    
+    skipLinks.forEach(link => {
+      const skipLink = document.createElement('a');
+      skipLink.href = link.href;
+      skipLink.textContent = link.text;
+      skipLink.className = 'skip-link';
+      skipContainer.appendChild(skipLink);
+    });
+
+    document.body.insertBefore(skipContainer, document.body.firstChild);
+  }
+
+  manageReducedMotion() {
+    // Respect user's motion preferences
+    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+    
+    function handleReducedMotion() {
+      if (prefersReducedMotion.matches) {
+        document.documentElement.style.setProperty('--transition-fast', '0s');
+        document.documentElement.style.setProperty('--transition-normal', '0s');
+        document.documentElement.style.setProperty('--transition-slow', '0s');
+        
+        // Disable animations
+        const animatedElements = document.querySelectorAll('[style*="animation"]');
+        animatedElements.forEach(el => {
+          el.style.animation = 'none';
+        });
+      }
+    }
+
+    handleReducedMotion();
+    prefersReducedMotion.addListener(handleReducedMotion);
+  }
+
+  announceToScreenReader(message) {
+    const liveRegion = document.getElementById('live-region');
+    if (liveRegion) {
+      liveRegion.textContent = message;
+      setTimeout(() => {
+        liveRegion.textContent = '';
+      }, 1000);
+    }
+  }
+}
+
+// ============================================
+// Beach Registry
+// ============================================
+
+const BEACHES = [
+  { id: 'pasir-ris', name: 'Pasir Ris Beach', latitude: 1.381497, longitude: 103.955574, region: 'east', litter: 'high' },
+  { id: 'east-coast', name: 'East Coast Park', latitude: 1.300800, longitude: 103.912200, region: 'east', litter: 'medium' },
+  { id: 'changi', name: 'Changi Beach', latitude: 1.390500, longitude: 103.992500, region: 'east', litter: 'high' },
+  { id: 'sentosa', name: 'Sentosa (Palawan Beach)', latitude: 1.249400, longitude: 103.819400, region: 'south', litter: 'low' },
+  { id: 'west-coast', name: 'West Coast Park', latitude: 1.293600, longitude: 103.764900, region: 'west', litter: 'medium' }
+];
+
+// Typical litter load from past cleanups, shown on the hotspot map
+const LITTER_LEVELS = ['low', 'medium', 'high'];
+
+const DEFAULT_BEACH_ID = 'pasir-ris';
+
+function getBeach(id) {
+  return BEACHES.find(beach => beach.id === id) || null;
+}
+
+// ============================================
+// Weather Cache (Offline-First Storage)
+// ============================================
+
+/**
+ * Persistent localStorage cache for raw NEA responses.
+ * Entries keep the time they were fetched so the UI can label their age.
+ */
+class WeatherCache {
+  constructor(prefix = 'shoresquad:weather:') {
+    this.prefix = prefix;
+    this.storage = this.getStorage();
+  }
+
+  getStorage() {
+    try {
+      return window.localStorage;
+    } catch (error) {
+      // Private browsing modes can throw on access
+      return null;
+    }
+  }
+
+  get(key) {
+    if (!this.storage) return null;
+
+    try {
+      const entry = JSON.parse(this.storage.getItem(this.prefix + key));
+      return entry && entry.data ? entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  set(key, data) {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(this.prefix + key, JSON.stringify({ data, timestamp: Date.now() }));
+    } catch (error) {
+      console.warn('Unable to cache weather data:', error);
+    }
+  }
+
+  has(key) {
+    return this.get(key) !== null;
+  }
+
+  isFresh(entry, maxAge) {
+    return Boolean(entry) && Date.now() - entry.timestamp < maxAge;
+  }
+}
+
+// ============================================
+// Weather Providers
+// ============================================
+
+/**
+ * A provider turns an NEA endpoint path (e.g. 'environment/psi') into parsed
+ * JSON in the data.gov.sg v1 response shape. New sources extend this class.
+ */
+class WeatherProvider {
+  async fetchJSON(path, params = {}) {
+    throw new Error(`${this.constructor.name} does not implement fetchJSON(${path})`);
+  }
+}
+
+/**
+ * Live data.gov.sg provider
+ */
+class NeaWeatherProvider extends WeatherProvider {
+  constructor(apiBase = 'https://api.data.gov.sg/v1') {
+    super();
+    this.apiBase = apiBase;
+  }
+
+  async fetchJSON(path, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const response = await fetch(`${this.apiBase}/${path}${query ? `?${query}` : ''}`);
+    if (!response.ok) throw new Error(`Weather API unavailable (${response.status})`);
+
+    return response.json();
+  }
+}
+
+/**
+ * Replays recorded NEA responses for offline development and tests.
+ * Fixtures can be passed in directly (keyed by endpoint path) or are loaded
+ * from `${baseUrl}/<endpoint name>.json`, e.g. data/fixtures/psi.json.
+ */
+class MockWeatherProvider extends WeatherProvider {
+  constructor({ fixtures = {}, baseUrl = 'data/fixtures', latency = 0 } = {}) {
+    super();
+    this.fixtures = fixtures;
+    this.baseUrl = baseUrl;
+    this.latency = latency;
+  }
+
+  async fetchJSON(path, params = {}) {
+    if (this.latency) {
+      await new Promise(resolve => setTimeout(resolve, this.latency));
+    }
+
+    if (path in this.fixtures) {
+      const fixture = this.fixtures[path];
+      const data = typeof fixture === 'function' ? fixture(params) : fixture;
+      if (!data) throw new Error(`Mock fixture for ${path} returned nothing`);
+
+      // Hand out copies so callers can't mutate the recording
+      return JSON.parse(JSON.stringify(data));
+    }
+
+    const name = path.split('/').pop();
+    const response = await fetch(`${this.baseUrl}/${name}.json`);
+    if (!response.ok) throw new Error(`No mock fixture for ${path}`);
+
+    return response.json();
+  }
+}
+
+// ============================================
+// Suitability Rules Engine
+// ============================================
+
+/**
+ * Scores days against the rules in data/scoring-rules.json, the only copy
+ * of them. Until they load (or if they can't), evaluate() throws and the
+ * ratings show as unavailable rather than made up.
+ *
+ * Rules are checked in order. Within a group only the first match counts,
+ * which is how "fair" beats "cloudy" for "Fair and partly cloudy".
+ * A rule with maxRating caps the final rating whatever the score.
+ */
+class SuitabilityRulesEngine {
+  constructor(config = null) {
+    this.config = null;
+    if (config) this.setConfig(config);
+  }
+
+  requireConfig() {
+    if (!this.config) throw new Error('Scoring rules have not loaded');
+    return this.config;
+  }
+
+  setConfig(config) {
+    if (!config || !Array.isArray(config.rules) || !Array.isArray(config.ratings)) {
+      throw new Error('Scoring rules need "rules" and "ratings" arrays');
+    }
+
+    this.config = {
+      baseScore: 5,
+      minScore: 0,
+      maxScore: 10,
+      ...config,
+      // Highest threshold first so getRating() can stop at the first match
+      ratings: [...config.ratings].sort((a, b) => b.minScore - a.minScore)
+    };
+  }
+
+  /**
+   * Score a set of facts: { weather, temp, humidity, psi, pm25, uv }.
+   * Missing facts (null/undefined) never match a rule.
+   */
+  evaluate(facts) {
+    const { baseScore, minScore, maxScore } = this.requireConfig();
+    const matchedGroups = new Set();
+    const breakdown = [];
+    let ratingCap = null;
+    let score = baseScore;
+
+    this.config.rules.forEach(rule => {
+      if (rule.group && matchedGroups.has(rule.group)) return;
+      if (!this.matches(rule.when, facts)) return;
+
+      if (rule.group) matchedGroups.add(rule.group);
+      score += rule.points;
+      breakdown.push({ id: rule.id, label: this.formatLabel(rule.label, facts), points: rule.points });
+
+      if (rule.maxRating && (!ratingCap || this.ratingRank(rule.maxRating) < this.ratingRank(ratingCap))) {
+        ratingCap = rule.maxRating;
+      }
+    });
+
+    score = Math.max(minScore, Math.min(maxScore, score));
+
+    let rating = this.getRating(score);
+    if (ratingCap && this.ratingRank(ratingCap) < this.ratingRank(rating)) {
+      rating = ratingCap;
+    }
+
+    return { score, rating, baseScore, breakdown };
+  }
+
+  matches(conditions, facts) {
+    const list = Array.isArray(conditions) ? conditions : [conditions];
+
+    return list.every(condition => {
+      const value = facts[condition.field];
+      if (value === null || value === undefined) return false;
+
+      if (condition.includes) {
+        const text = String(value).toLowerCase();
+        return condition.includes.some(term => text.includes(term.toLowerCase()));
+      }
+      if ('min' in condition && value < condition.min) return false;
+      if ('max' in condition && value > condition.max) return false;
+      if ('gt' in condition && !(value > condition.gt)) return false;
+      if ('gte' in condition && !(value >= condition.gte)) return false;
+      if ('lt' in condition && !(value < condition.lt)) return false;
+      if ('lte' in condition && !(value <= condition.lte)) return false;
+      return true;
+    });
+  }
+
+  formatLabel(label, facts) {
+    return label.replace(/\{(\w+)\}/g, (match, field) =>
+      facts[field] === null || facts[field] === undefined ? match : facts[field]
+    );
+  }
+
+  /**
+   * Whether the facts trip a rule that caps the rating, e.g. haze. Pass only
+   * the facts in question; rules on missing facts never match.
+   */
+  hasRatingCap(facts) {
+    return Boolean(this.config) && this.config.rules.some(rule => rule.maxRating && this.matches(rule.when, facts));
+  }
+
+  getRating(score) {
+    this.requireConfig();
+    const rating = this.config.ratings.find(candidate => score >= candidate.minScore);
+    return rating ? rating.label : this.config.ratings[this.config.ratings.length - 1].label;
+  }
+
+  // Lower rank is worse; unknown labels rank as the worst
+  ratingRank(label) {
+    const index = this.config.ratings.findIndex(rating => rating.label === label);
+    return index === -1 ? 0 : this.config.ratings.length - index;
+  }
+}
+
+// ============================================
+// Singapore Weather Service (NEA Data.gov.sg API)
+// ============================================
+
+// Endpoints we cache, with how long a cached copy counts as fresh
+const WEATHER_ENDPOINTS = {
+  twoHour: { path: 'environment/2-hour-weather-forecast', maxAge: 10 * 60 * 1000 },
+  airTemperature: { path: 'environment/air-temperature', maxAge: 5 * 60 * 1000 },
+  twentyFourHour: { path: 'environment/24-hour-weather-forecast', maxAge: 60 * 60 * 1000 },
+  fourDay: { path: 'environment/4-day-weather-forecast', maxAge: 60 * 60 * 1000 },
+  psi: { path: 'environment/psi', maxAge: 30 * 60 * 1000 },
+  uvIndex: { path: 'environment/uv-index', maxAge: 30 * 60 * 1000 },
+  rainfall: { path: 'environment/rainfall', maxAge: 5 * 60 * 1000 },
+  relativeHumidity: { path: 'environment/relative-humidity', maxAge: 5 * 60 * 1000 }
+};
+
+// Rain gauges report every 5 minutes; look at those within a few km of the beach
+const RAINFALL_SETTINGS = {
+  radiusKm: 5,
+  maxStations: 3,
+  lookbackMinutes: 30,
+  intervalMinutes: 5
+};
+
+// NEA's 24-hr PSI bands, for labelling a reading. Whether air is too poor
+// for a cleanup is up to the scoring rules.
+const PSI_BANDS = {
+  good: 50,
+  moderate: 100,
+  unhealthy: 200,
+  veryUnhealthy: 300
+};
+
+// NEA's 1-hr PM2.5 bands (µg/m³). With PSI_BANDS, these keep the haze
+// warning up while the scoring rules can't be loaded.
+const PM25_BANDS = {
+  normal: 55,
+  elevated: 150,
+  high: 250
+};
+
+/**
+ * Options:
+ * - provider: WeatherProvider to read from (defaults to live NEA data)
+ * - cache: WeatherCache instance (defaults to localStorage)
+ * - autoStart: render immediately on construction (default true)
+ * - autoRefresh: refresh every refreshInterval ms once started (default true)
+ * - scoringRules: suitability rules config to use instead of loading one
+ * - scoringRulesUrl: where the rules are loaded from (data/scoring-rules.json)
+ */
+class SingaporeWeatherService {
+  constructor(options = {}) {
+    this.options = {
+      provider: null,
+      cache: null,
+      autoStart: true,
+      autoRefresh: true,
+      refreshInterval: 30 * 60 * 1000,
+      scoringRules: null,
+      scoringRulesUrl: 'data/scoring-rules.json',
+      ...options
+    };
+    this.provider = this.options.provider || new NeaWeatherProvider();
+    this.cache = this.options.cache || new WeatherCache();
+    this.rulesEngine = new SuitabilityRulesEngine(this.options.scoringRules);
+    this.loadingRules = null;
+    this.beach = getBeach(readStorage('shoresquad:beach')) || getBeach(DEFAULT_BEACH_ID);
+    this.lastUpdated = null;
+    this.isOffline = false;
+    this.listeners = [];
+    this.timers = [];
+    this.isRunning = false;
+    this.rainfallHistory = new Map(); // reading time (UTC ISO string) -> readings, for the 30-min lookback
+
+    if (this.options.autoStart) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.isRunning = true;
+    this.initBeachPicker();
+    this.updateWeatherDisplay();
+
+    if (this.options.autoRefresh) {
+      // Update weather every 30 minutes
+      this.timers.push(setInterval(() => this.updateWeatherDisplay(), this.options.refreshInterval));
+      // Keep the "updated X min ago" label accurate between refreshes
+      this.timers.push(setInterval(() => this.renderUpdatedLabel(), 60 * 1000));
+    }
+  }
+
+  /**
+   * Resolves once the scoring rules are in. A failed load is retried on the
+   * next call instead of leaving every rating unavailable until a reload.
+   */
+  ensureRules() {
+    if (!this.rulesEngine.config && !this.loadingRules && this.options.scoringRulesUrl) {
+      this.loadingRules = this.loadScoringRules().finally(() => {
+        this.loadingRules = null;
+      });
+    }
+    return this.loadingRules || Promise.resolve();
+  }
+
+  async loadScoringRules() {
+    try {
+      const response = await fetch(this.options.scoringRulesUrl);
+      if (!response.ok) throw new Error(`Scoring rules unavailable (${response.status})`);
+
+      this.rulesEngine.setConfig(await response.json());
+    } catch (error) {
+      console.warn('Scoring rules unavailable:', error);
+    }
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    this.isRunning = false;
+  }
+
+  initBeachPicker() {
+    const picker = document.getElementById('beach-picker');
+    if (!picker) return;
+
+    picker.innerHTML = BEACHES.map(beach => `
+      <option value="${beach.id}">${beach.name}</option>
+    `).join('');
+    picker.value = this.beach.id;
+    picker.addEventListener('change', () => this.setBeach(picker.value));
+  }
+
+  setBeach(beachId) {
+    const beach = getBeach(beachId);
+    if (!beach || beach === this.beach) return;
+
+    this.beach = beach;
+    writeStorage('shoresquad:beach', beach.id);
+
+    // Without a running widget (e.g. under test) there is nothing to re-render
+    if (!this.isRunning) return;
+
+    const picker = document.getElementById('beach-picker');
+    if (picker) picker.value = beach.id;
+
+    this.updateWeatherDisplay();
+  }
+
+  async updateWeatherDisplay() {
+    // Stale-while-revalidate: paint cached data straight away, then refresh
+    const hasCache = this.cache.has(WEATHER_ENDPOINTS.twoHour.path);
+    if (hasCache) {
+      try {
+        await this.renderSnapshot('cache');
+      } catch (error) {
+        console.warn('Cached weather unreadable:', error);
+      }
+    }
+
+    try {
+      await this.renderSnapshot('network');
+    } catch (error) {
+      console.warn('Weather service unavailable:', error);
+      // With nothing cached, show that live weather is unavailable
+      if (!hasCache) {
+        this.renderFallbackWeather();
+      }
+    }
+  }
+
+  async renderSnapshot(source) {
+    const beach = this.beach;
+    await this.ensureRules();
+    this.isOffline = false;
+    const airQuality = await this.getAirQuality(source);
+    const weatherData = await this.getCurrentWeather(source, airQuality);
+    const forecastData = await this.getWeatherForecast(source, airQuality);
+
+    // The picker changed while we were fetching; the newer request will render
+    if (beach !== this.beach) return;
+
+    this.renderWeather(weatherData);
+    this.renderForecast(forecastData);
+    this.renderUpdatedLabel();
+    this.notify({ source, beach, weather: weatherData, forecast: forecastData, airQuality });
+  }
+
+  /**
+   * Register a callback run after every successful render (cached or live)
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+  }
+
+  notify(snapshot) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(snapshot);
+      } catch (error) {
+        console.error('Weather listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Fetch an endpoint from the provider through the cache.
+   * source 'cache' never touches the network; 'network' skips it while the
+   * cached copy is fresh and falls back to any cached copy when offline.
+   */
+  async fetchEndpoint({ path, maxAge }, source = 'network') {
+    const cached = this.cache.get(path);
+
+    if (source === 'cache' || this.cache.isFresh(cached, maxAge)) {
+      if (!cached) throw new Error(`No cached data for ${path}`);
+      this.trackUpdate(path, cached.timestamp);
+      return cached.data;
+    }
+
+    try {
+      const data = await this.provider.fetchJSON(path);
+      this.cache.set(path, data);
+      this.trackUpdate(path, Date.now());
+      return data;
+    } catch (error) {
+      if (!cached) throw error;
+
+      console.warn(`Serving cached ${path}:`, error);
+      this.isOffline = true;
+      this.trackUpdate(path, cached.timestamp);
+      return cached.data;
+    }
+  }
+
+  trackUpdate(path, timestamp) {
+    // Current conditions drive the widget, so their age is the one we show
+    if (path === WEATHER_ENDPOINTS.twoHour.path) {
+      this.lastUpdated = timestamp;
+    }
+  }
+
+  async getCurrentWeather(source = 'network', airQuality = null) {
+    try {
+      await this.ensureRules();
+      // Get current weather conditions
+      const data = await this.fetchEndpoint(WEATHER_ENDPOINTS.twoHour, source);
+      const nowcast = this.getNowcast(data);
+
+      // Temperature (°C) and humidity (%) stay null until a station reports
+      let temperature = null;
+      let station = null;
+      try {
+        const reading = await this.getStationReading(WEATHER_ENDPOINTS.airTemperature, source);
+        if (reading) {
+          temperature = reading.value;
+          station = reading.station;
+        }
+      } catch (error) {
+        console.warn('Air temperature unavailable:', error);
+      }
+
+      let humidity = null;
+      try {
+        const reading = await this.getStationReading(WEATHER_ENDPOINTS.relativeHumidity, source);
+        if (reading) humidity = reading.value;
+      } catch (error) {
+        console.warn('Relative humidity unavailable:', error);
+      }
+
+      let rainfall = null;
+      try {
+        rainfall = await this.getRainfall(source);
+      } catch (error) {
+        console.warn('Rainfall readings unavailable:', error);
+      }
+
+      return {
+        ...this.processWeatherData(nowcast.forecast, temperature, airQuality, rainfall),
+        beach: this.beach.name,
+        area: nowcast.area,
+        station: station ? station.name : null,
+        humidity: humidity,
+        suitability: this.getSuitabilityBreakdown(nowcast.forecast, temperature, humidity, airQuality)
+      };
+    } catch (error) {
+      console.error('Error fetching current weather:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Current suitability at any beach, not just the selected one, from
+   * already-fetched data. Used to colour the hotspot map.
+   */
+  async getBeachSuitability(beach, source = 'cache') {
+    await this.ensureRules();
+    const data = await this.fetchEndpoint(WEATHER_ENDPOINTS.twoHour, source);
+    const nowcast = this.getNowcast(data, beach);
+    const airQuality = await this.getAirQuality(source, beach);
+
+    const readValue = async (endpoint) => {
+      try {
+        const reading = await this.getStationReading(endpoint, source, beach);
+        return reading ? reading.value : null;
+      } catch (error) {
+        return null;
+      }
+    };
+    const temperature = await readValue(WEATHER_ENDPOINTS.airTemperature);
+    const humidity = await readValue(WEATHER_ENDPOINTS.relativeHumidity);
+
+    return {
+      forecast: nowcast.forecast,
+      ...this.getSuitabilityBreakdown(nowcast.forecast, temperature, humidity, airQuality)
+    };
+  }
+
+  /**
+   * Latest reading from the reporting station nearest a beach, for the
+   * station-based endpoints (air temperature, relative humidity)
+   */
+  async getStationReading(endpoint, source = 'network', beach = this.beach) {
+    const data = await this.fetchEndpoint(endpoint, source);
+    const latest = data.items[0];
+    const reporting = data.metadata.stations.filter(candidate =>
+      latest.readings.some(reading => reading.station_id === candidate.id)
+    );
+    const station = findNearest(reporting, beach, candidate => candidate.location);
+    if (!station) return null;
+
+    const reading = latest.readings.find(candidate => candidate.station_id === station.id);
+    return { station, value: reading.value, timestamp: latest.timestamp };
+  }
+
+  async getWeatherForecast(source = 'network', airQuality = null) {
+    try {
+      await this.ensureRules();
+      const data = await this.fetchEndpoint(WEATHER_ENDPOINTS.fourDay, source);
+      const forecast = data.items[0].forecasts;
+      // UV is an hourly reading, so only the haze level carries over to future days
+      const outlookAirQuality = airQuality && { ...airQuality, uv: null };
+      
+      return forecast.slice(0, 5).map(day => {
+        const suitability = this.getSuitabilityBreakdown(
+          day.forecast, day.temperature.high, day.relative_humidity.high, outlookAirQuality
+        );
+
+        return {
+          date: day.date,
+          weather: day.forecast,
+          tempHigh: day.temperature.high,
+          tempLow: day.temperature.low,
+          humidity: `${day.relative_humidity.high}%`,
+          wind: day.wind ? `${day.wind.speed.high} km/h` : t('weather.windLight'),
+          icon: this.getWeatherIcon(day.forecast),
+          cleanupSuitability: suitability.rating,
+          suitabilityScore: suitability.score,
+          suitabilityBreakdown: suitability
+        };
+      });
+    } catch (error) {
+      console.error('Error fetching weather forecast:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Pick the latest 2-hour forecast for the area closest to a beach
+   */
+  getNowcast(data, beach = this.beach) {
+    const currentTime = new Date().toISOString();
+
+    // Find the most recent forecast
+    const latestForecast = data.items.find(item => item.timestamp <= currentTime) || data.items[0];
+
+    const area = findNearest(data.area_metadata, beach, candidate => candidate.label_location);
+    const areaForecast = latestForecast.forecasts.find(
+      forecast => area && forecast.area === area.name
+    ) || latestForecast.forecasts[0];
+
+    return {
+      area: areaForecast.area,
+      forecast: areaForecast.forecast,
+      validPeriod: latestForecast.valid_period
+    };
+  }
+
+  /**
+   * Observed rain at the gauges nearest a beach: is it raining in the latest
+   * 5-minute reading, and when did it last rain in the lookback window?
+   */
+  async getRainfall(source = 'network', beach = this.beach) {
+    const data = await this.fetchEndpoint(WEATHER_ENDPOINTS.rainfall, source);
+    const stations = this.findRainGauges(data.metadata.stations, beach);
+    if (stations.length === 0) return null;
+
+    const stationIds = stations.map(station => station.id);
+    const latest = data.items[0];
+    const isWet = readings => readings.some(reading =>
+      stationIds.includes(reading.station_id) && reading.value > 0
+    );
+
+    // Keyed like the lookback slots: NEA's "+08:00" timestamp would never match them
+    this.rainfallHistory.set(new Date(latest.timestamp).toISOString(), latest.readings);
+    const isRaining = isWet(latest.readings);
+    let lastRainAt = isRaining ? new Date(latest.timestamp).getTime() : null;
+    let lookbackComplete = false;
+
+    // Only walk back through older readings when we are live and it's dry now
+    if (!isRaining && source === 'network') {
+      const history = await this.getRainfallHistory(latest.timestamp);
+      const wetReading = history.find(entry => isWet(entry.readings));
+      lastRainAt = wetReading ? wetReading.time : null;
+      lookbackComplete = history.length === RAINFALL_SETTINGS.lookbackMinutes / RAINFALL_SETTINGS.intervalMinutes;
+    }
+
+    return {
+      isRaining,
+      lastRainAt,
+      lookbackComplete,
+      readingAt: new Date(latest.timestamp).getTime(),
+      stations: stations.map(station => station.name)
+    };
+  }
+
+  findRainGauges(stations, beach) {
+    const byDistance = stations
+      .map(station => ({ station, distance: haversineDistance(beach, station.location) }))
+      .sort((a, b) => a.distance - b.distance);
+    const nearby = byDistance.filter(entry => entry.distance <= RAINFALL_SETTINGS.radiusKm);
+
+    // Fall back to the single closest gauge if none are within the radius
+    return (nearby.length > 0 ? nearby : byDistance.slice(0, 1))
+      .slice(0, RAINFALL_SETTINGS.maxStations)
+      .map(entry => entry.station);
+  }
+
+  /**
+   * Readings for the 5-minute slots before the latest one, newest first.
+   * Slots already fetched are reused so each refresh only asks for new ones.
+   */
+  async getRainfallHistory(latestTimestamp) {
+    const { lookbackMinutes, intervalMinutes } = RAINFALL_SETTINGS;
+    const latestTime = new Date(latestTimestamp).getTime();
+    const history = [];
+
+    for (let minutes = intervalMinutes; minutes <= lookbackMinutes; minutes += intervalMinutes) {
+      const time = latestTime - minutes * 60 * 1000;
+      const key = new Date(time).toISOString();
+
+      if (!this.rainfallHistory.has(key)) {
+        try {
+          // data.gov.sg expects local Singapore time without an offset
+          const dateTime = new Date(time + SGT_OFFSET_MS).toISOString().slice(0, 19);
+          const data = await this.provider.fetchJSON(WEATHER_ENDPOINTS.rainfall.path, { date_time: dateTime });
+          this.rainfallHistory.set(key, data.items[0] ? data.items[0].readings : []);
+        } catch (error) {
+          break;
+        }
+      }
+      history.push({ time, readings: this.rainfallHistory.get(key) });
+    }
+
+    this.pruneRainfallHistory(latestTime);
+    return history;
+  }
+
+  pruneRainfallHistory(latestTime) {
+    const cutoff = latestTime - 2 * RAINFALL_SETTINGS.lookbackMinutes * 60 * 1000;
+    this.rainfallHistory.forEach((readings, key) => {
+      if (new Date(key).getTime() < cutoff) this.rainfallHistory.delete(key);
+    });
+  }
+
+  /**
+   * PSI for the region nearest the beach plus the latest UV index.
+   * Either reading may be missing; scoring treats null as "no data".
+   */
+  async getAirQuality(source = 'network', beach = this.beach) {
+    const airQuality = { psi: null, pm25: null, region: null, uv: null };
+
+    try {
+      const psiData = await this.fetchEndpoint(WEATHER_ENDPOINTS.psi, source);
+      const regions = psiData.region_metadata.filter(region => region.name !== 'national');
+      const region = findNearest(regions, beach, candidate => candidate.label_location);
+      const readings = psiData.items[0].readings;
+
+      if (region) {
+        airQuality.region = region.name;
+        // A region missing from a reading is "no reading", not undefined
+        const pick = (values) => values && typeof values[region.name] === 'number' ? values[region.name] : null;
+        airQuality.psi = pick(readings.psi_twenty_four_hourly);
+        airQuality.pm25 = pick(readings.pm25_one_hourly);
+      }
+    } catch (error) {
+      console.warn('PSI unavailable:', error);
+    }
+
+    try {
+      const uvData = await this.fetchEndpoint(WEATHER_ENDPOINTS.uvIndex, source);
+      const latestUv = uvData.items[0].index[0];
+      if (latestUv) airQuality.uv = latestUv.value;
+    } catch (error) {
+      console.warn('UV index unavailable:', error);
+    }
+
+    return airQuality;
+  }
+
+  /**
+   * Air bad enough that a scoring rule caps the rating (PSI or PM2.5 above
+   * the limits in the rules). Without the rules, NEA's own bands decide, so
+   * a haze warning never depends on the rules file loading.
+   */
+  isAirUnhealthy(airQuality) {
+    if (!airQuality) return false;
+
+    const { psi, pm25 } = airQuality;
+    if (!this.rulesEngine.config) {
+      return (psi !== null && psi > PSI_BANDS.moderate) || (pm25 !== null && pm25 > PM25_BANDS.normal);
+    }
+    return this.rulesEngine.hasRatingCap({ psi, pm25 });
+  }
+
+  getPsiLevel(psi) {
+    if (psi <= PSI_BANDS.good) return t('air.level.good');
+    if (psi <= PSI_BANDS.moderate) return t('air.level.moderate');
+    if (psi <= PSI_BANDS.unhealthy) return t('air.level.unhealthy');
+    if (psi <= PSI_BANDS.veryUnhealthy) return t('air.level.veryUnhealthy');
+    return t('air.level.hazardous');
+  }
+
+  getUvLevel(uv) {
+    if (uv <= 2) return t('uv.level.low');
+    if (uv <= 5) return t('uv.level.moderate');
+    if (uv <= 7) return t('uv.level.high');
+    if (uv <= 10) return t('uv.level.veryHigh');
+    return t('uv.level.extreme');
+  }
+
+  processWeatherData(forecast, temperature, airQuality = null, rainfall = null) {
+    let icon = this.getWeatherIcon(forecast);
+    let desc = this.getCleanupRecommendation(forecast, airQuality);
+
+    // Observed rain at the beach outranks whatever the nowcast predicted
+    if (rainfall && rainfall.isRaining) {
+      icon = 'fa-cloud-rain';
+      if (!this.isAirUnhealthy(airQuality)) {
+        desc = t('recommendation.raining');
+      }
+    }
+    
+    return {
+      temp: temperature,
+      forecast: forecast,
+      icon: icon,
+      desc: desc,
+      condition: forecast.toLowerCase().replace(/\s+/g, '-'),
+      airQuality: airQuality,
+      rainfall: rainfall
+    };
+  }
+
+  describeRainfall(rainfall) {
+    if (rainfall.isRaining) return t('rain.now');
+    if (rainfall.lastRainAt) return t('rain.lastRain', { age: formatTimeAgo(rainfall.lastRainAt) });
+    if (rainfall.lookbackComplete) return t('rain.dry', { minutes: RAINFALL_SETTINGS.lookbackMinutes });
+    return t('rain.dryLatest');
+  }
+
+  getWeatherIcon(forecast) {
+    const weatherLower = forecast.toLowerCase();
+    
+    if (weatherLower.includes('thundery') || weatherLower.includes('thunder')) {
+      return 'fa-bolt';
+    } else if (weatherLower.includes('heavy rain') || weatherLower.includes('heavy shower')) {
+      return 'fa-cloud-rain';
+    } else if (weatherLower.includes('rain') || weatherLower.includes('shower')) {
+      return 'fa-cloud-drizzle';
+    } else if (weatherLower.includes('cloudy')) {
+      return 'fa-cloud';
+    } else if (weatherLower.includes('partly cloudy') || weatherLower.includes('fair')) {
+      return 'fa-cloud-sun';
+    } else if (weatherLower.includes('hazy') || weatherLower.includes('mist')) {
+      return 'fa-smog';
+    } else {
+      return 'fa-sun';
+    }
+  }
+
+  getCleanupRecommendation(forecast, airQuality = null) {
+    const weatherLower = forecast.toLowerCase();
+    
+    // Haze rules out a youth cleanup whatever the sky looks like
+    if (this.isAirUnhealthy(airQuality)) {
+      return t('recommendation.unhealthyAir');
+    } else if (weatherLower.includes('thundery') || weatherLower.includes('heavy rain')) {
+      return t('recommendation.notIdeal');
+    } else if (weatherLower.includes('rain') || weatherLower.includes('shower')) {
+      return t('recommendation.postpone');
+    } else if (weatherLower.includes('fair') || weatherLower.includes('sunny')) {
+      return t('recommendation.perfect');
+    } else if (weatherLower.includes('partly cloudy')) {
+      return t('recommendation.great');
+    } else if (weatherLower.includes('cloudy')) {
+      return t('recommendation.good');
+    } else if (weatherLower.includes('hazy')) {
+      return t('recommendation.hazy');
+    } else {
+      return t('recommendation.check');
+    }
+  }
+
+  getCleanupSuitability(forecast, tempHigh, humidity, airQuality = null) {
+    return this.getSuitabilityBreakdown(forecast, tempHigh, humidity, airQuality).rating;
+  }
+
+  /**
+   * Full rules-engine result: { score, rating, baseScore, breakdown }. If
+   * the scoring rules haven't loaded, score and rating are null so the
+   * weather still shows with the rating marked unavailable.
+   */
+  getSuitabilityBreakdown(forecast, temp, humidity, airQuality = null) {
+    if (!this.rulesEngine.config) {
+      return { score: null, rating: null, baseScore: null, breakdown: [] };
+    }
+
+    const facts = {
+      weather: forecast.toLowerCase(),
+      temp: temp,
+      humidity: humidity,
+      psi: airQuality ? airQuality.psi : null,
+      pm25: airQuality ? airQuality.pm25 : null,
+      uv: airQuality ? airQuality.uv : null
+    };
+    const result = this.rulesEngine.evaluate(facts);
+
+    // Rules shipped in the JSON have translated labels; ones organizers add keep their configured label
+    const labelParams = { ...facts, temp: i18n.formatTemperature(temp) };
+    result.breakdown = result.breakdown.map(item => ({
+      ...item,
+      label: i18n.has(`rules.${item.id}`) ? t(`rules.${item.id}`, labelParams) : item.label
+    }));
+    return result;
+  }
+
+  /**
+   * Display text for a rating label such as "Good"; the label itself stays
+   * English because it doubles as a CSS class
+   */
+  translateRating(rating) {
+    if (!rating) return t('rating.unavailable');
+    const key = `rating.${rating.toLowerCase()}`;
+    return i18n.has(key) ? t(key) : rating;
+  }
+
+  getRatingForScore(score) {
+    return this.rulesEngine.getRating(score);
+  }
+
+  calculateSuitabilityScore(weather, temp, humidity, airQuality = null) {
+    return this.getSuitabilityBreakdown(weather, temp, humidity, airQuality).score;
+  }
+
+  renderWeather(data) {
+    const weatherTemp = document.querySelector('.weather-temp');
+    const weatherIcon = document.querySelector('.weather-icon');
+    const weatherDesc = document.querySelector('.weather-desc');
+    const weatherLocation = document.querySelector('.weather-location');
+    const weatherAir = document.querySelector('.weather-air');
+    const weatherRain = document.querySelector('.weather-rain');
+
+    if (weatherTemp) weatherTemp.textContent = i18n.formatTemperature(data.temp);
+    if (weatherIcon) {
+      weatherIcon.className = `fas ${data.icon} weather-icon`;
+    }
+    if (weatherDesc) weatherDesc.textContent = data.desc;
+    if (weatherAir) this.renderAirQuality(weatherAir, data.airQuality);
+    if (weatherRain) {
+      weatherRain.textContent = data.rainfall ? this.describeRainfall(data.rainfall) : '';
+      weatherRain.title = data.rainfall ? t('weather.rainGauges', { stations: data.rainfall.stations.join(', ') }) : '';
+      weatherRain.classList.toggle('raining', Boolean(data.rainfall && data.rainfall.isRaining));
+    }
+    if (weatherLocation) {
+      const sources = [
+        data.area && t('weather.areaForecast', { area: data.area }),
+        data.station && t('weather.stationReading', { station: data.station })
+      ];
+      weatherLocation.textContent = data.area
+        ? `${data.beach} · ${sources.filter(Boolean).join(', ')}`
+        : '';
+    }
+  }
+
+  renderAirQuality(container, airQuality) {
+    if (!airQuality) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const readings = [];
+    if (airQuality.psi !== null) {
+      readings.push(`<span class="air-reading">${t('air.psi', { value: airQuality.psi, level: this.getPsiLevel(airQuality.psi) })}</span>`);
+    }
+    if (airQuality.pm25 !== null) {
+      readings.push(`<span class="air-reading">${t('air.pm25', { value: airQuality.pm25 })}</span>`);
+    }
+    if (airQuality.uv !== null) {
+      readings.push(`<span class="air-reading">${t('air.uv', { value: airQuality.uv, level: this.getUvLevel(airQuality.uv) })}</span>`);
+    }
+
+    container.innerHTML = readings.join('');
+    container.classList.toggle('unhealthy', this.isAirUnhealthy(airQuality));
+  }
+
+  renderUpdatedLabel() {
+    const weatherUpdated = document.querySelector('.weather-updated');
+    if (!weatherUpdated || !this.lastUpdated) return;
+
+    const age = formatTimeAgo(this.lastUpdated);
+    weatherUpdated.textContent = t(this.isOffline ? 'weather.offlineUpdated' : 'weather.updated', { age });
+    weatherUpdated.classList.toggle('offline', this.isOffline);
+  }
+
+  renderForecast(forecastData) {
+    // Create forecast display if it doesn't exist
+    let forecastContainer = document.querySelector('.weather-forecast');
+    if (!forecastContainer && forecastData.length > 0) {
+      forecastContainer = this.createForecastContainer();
+    }
+
+    if (forecastContainer && forecastData.length > 0) {
+      const forecastHTML = forecastData.map(day => `
+        <div class="forecast-day">
+          <div class="forecast-date">${i18n.formatDate(new Date(`${day.date}T00:00:00+08:00`))}</div>
+          <div class="forecast-icon">
+            <i class="fas ${day.icon}"></i>
+          </div>
+          <div class="forecast-temps">
+            <span class="temp-high">${i18n.formatTemperature(day.tempHigh)}</span>
+            <span class="temp-low">${i18n.formatTemperature(day.tempLow)}</span>
+          </div>
+          <div class="forecast-weather">${day.weather}</div>
+          <div class="cleanup-rating ${(day.cleanupSuitability || 'unavailable').toLowerCase()}">
+            ${this.translateRating(day.cleanupSuitability)}
+          </div>
+          ${this.renderScoreBreakdown(day.suitabilityBreakdown)}
+        </div>
+      `).join('');
+      
+      forecastContainer.innerHTML = `
+        <h3>${t('weather.forecastTitle', { beach: this.beach.name })}</h3>
+        <div class="forecast-grid">
+          ${forecastHTML}
+        </div>
+      `;
+    }
+  }
+
+  renderScoreBreakdown(result) {
+    if (!result || !result.rating) return '';
+
+    const formatPoints = points => (points > 0 ? `+${points}` : points < 0 ? `−${Math.abs(points)}` : '±0');
+    const items = result.breakdown.map(item => `
+      <li class="${item.points > 0 ? 'positive' : item.points < 0 ? 'negative' : 'neutral'}">
+        <span class="breakdown-points">${formatPoints(item.points)}</span> ${item.label}
+      </li>
+    `).join('');
+
+    return `
+      <details class="score-breakdown">
+        <summary>${t('rating.why', { rating: this.translateRating(result.rating), score: result.score })}</summary>
+        <ul>
+          <li class="neutral"><span class="breakdown-points">${result.baseScore}</span> ${t('rating.base')}</li>
+          ${items}
+        </ul>
+      </details>
+    `;
+  }
+
+  createForecastContainer() {
+    const weatherWidget = document.querySelector('.weather-widget');
+    if (weatherWidget) {
+      const forecastContainer = document.createElement('div');
+      forecastContainer.className = 'weather-forecast';
+      weatherWidget.appendChild(forecastContainer);
+      return forecastContainer;
+    }
+    return null;
+  }
+
+  /**
+   * Nothing live or cached to show: say so rather than invent conditions
+   */
+  renderFallbackWeather() {
+    this.renderWeather({
+      temp: null,
+      icon: 'fa-question-circle',
+      desc: t('weather.checkLocal')
+    });
+
+    const weatherUpdated = document.querySelector('.weather-updated');
+    if (weatherUpdated) {
+      weatherUpdated.textContent = t('weather.unavailable');
+      weatherUpdated.classList.add('offline');
+    }
+  }
+}
+
+// ============================================
+// Cleanup Window Planner
+// ============================================
+
+const SGT_OFFSET_MS = 8 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Hour of day (0-23) in Singapore time, whatever the browser's timezone
+ */
+function getSingaporeHour(date) {
+  return new Date(date.getTime() + SGT_OFFSET_MS).getUTCHours();
+}
+
+/**
+ * Singapore calendar date as YYYY-MM-DD, matching NEA's 4-day forecast dates
+ */
+function getSingaporeDateKey(date) {
+  return new Date(date.getTime() + SGT_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Suggests the best daylight cleanup windows over the next 48 hours.
+ * Each hour is forecast from the most specific source that covers it:
+ * the 2-hour nowcast, then the 24-hour regional periods, then the 4-day outlook.
+ */
+class CleanupWindowPlanner {
+  constructor(weatherService, options = {}) {
+    this.weatherService = weatherService;
+    this.options = {
+      durationHours: 3,   // Matches "Duration: 2-3 hours" on the cleanup card
+      horizonHours: 48,
+      earliestHour: 7,    // Around sunrise
+      latestHour: 19,     // Around sunset
+      maxWindows: 3,
+      autoStart: true,    // false to use plan() without rendering into the widget
+      ...options
+    };
+
+    if (this.options.autoStart) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.weatherService.subscribe(snapshot => this.updatePlan(snapshot));
+  }
+
+  async updatePlan({ source, beach, airQuality }) {
+    try {
+      const windows = await this.plan(source, airQuality);
+      if (beach === this.weatherService.beach) {
+        this.renderWindows(windows);
+      }
+    } catch (error) {
+      console.warn('Cleanup planner unavailable:', error);
+    }
+  }
+
+  async plan(source = 'network', airQuality = null, now = new Date(), beach = this.weatherService.beach) {
+    const service = this.weatherService;
+    await service.ensureRules();
+    // Windows are ranked by score, so there's nothing to suggest without the rules
+    service.rulesEngine.requireConfig();
+    const nowcastData = await service.fetchEndpoint(WEATHER_ENDPOINTS.twoHour, source);
+    const dailyData = await service.fetchEndpoint(WEATHER_ENDPOINTS.twentyFourHour, source);
+    let outlookData = null;
+
+    try {
+      outlookData = await service.fetchEndpoint(WEATHER_ENDPOINTS.fourDay, source);
+    } catch (error) {
+      // The outlook only extends the horizon past the 24-hour forecast
+    }
+
+    const hours = this.buildHourlyOutlook(now, nowcastData, dailyData, outlookData, beach);
+    const candidates = this.buildCandidateWindows(hours, airQuality, beach);
+
+    return this.pickBestWindows(candidates);
+  }
+
+  buildHourlyOutlook(now, nowcastData, dailyData, outlookData, beach = this.weatherService.beach) {
+    const service = this.weatherService;
+    const region = beach.region;
+    const nowcast = service.getNowcast(nowcastData, beach);
+    const daily = dailyData.items[0];
+    const outlook = outlookData ? outlookData.items[0].forecasts : [];
+
+    const firstHour = Math.ceil(now.getTime() / HOUR_MS) * HOUR_MS;
+    const hours = [];
+
+    for (let offset = 0; offset < this.options.horizonHours; offset++) {
+      const start = new Date(firstHour + offset * HOUR_MS);
+      const midpoint = new Date(start.getTime() + HOUR_MS / 2);
+      const hour = { start, forecast: null, source: null, temperature: null, humidity: null };
+
+      const period = daily.periods.find(candidate =>
+        new Date(candidate.time.start) <= midpoint && midpoint < new Date(candidate.time.end)
+      );
+      const day = outlook.find(candidate => candidate.date === getSingaporeDateKey(midpoint));
+
+      if (nowcast.validPeriod &&
+          new Date(nowcast.validPeriod.start) <= midpoint && midpoint < new Date(nowcast.validPeriod.end)) {
+        hour.forecast = nowcast.forecast;
+        hour.source = 'nowcast';
+      } else if (period && period.regions[region]) {
+        hour.forecast = period.regions[region];
+        hour.source = '24-hour';
+      } else if (day) {
+        hour.forecast = day.forecast;
+        hour.source = '4-day';
+      }
+
+      const general = period ? daily.general : day;
+      if (general) {
+        hour.temperature = this.estimateTemperature(getSingaporeHour(start), general.temperature);
+        hour.humidity = general.relative_humidity.high;
+      }
+
+      if (hour.forecast) hours.push(hour);
+    }
+
+    return hours;
+  }
+
+  /**
+   * Rough diurnal curve: coolest near dawn, hottest mid-afternoon
+   */
+  estimateTemperature(hourOfDay, { low, high }) {
+    const peakDistance = Math.abs(hourOfDay - 14);
+    const warmth = Math.max(0, 1 - peakDistance / 8);
+    return Math.round(low + (high - low) * warmth);
+  }
+
+  buildCandidateWindows(hours, airQuality, beach = this.weatherService.beach) {
+    const { durationHours, earliestHour, latestHour } = this.options;
+    const service = this.weatherService;
+    const haze = airQuality && { ...airQuality, uv: null };
+    const windows = [];
+
+    for (let index = 0; index + durationHours <= hours.length; index++) {
+      const slice = hours.slice(index, index + durationHours);
+      const startHour = getSingaporeHour(slice[0].start);
+
+      // Daylight only, and the hours must be contiguous
+      if (startHour < earliestHour || startHour + durationHours > latestHour) continue;
+      if (slice[slice.length - 1].start - slice[0].start !== (durationHours - 1) * HOUR_MS) continue;
+
+      const hourScores = slice.map(hour => {
+        const hourOfDay = getSingaporeHour(hour.start);
+        let score = service.calculateSuitabilityScore(
+          hour.forecast.toLowerCase(), hour.temperature, hour.humidity, haze
+        );
+        // Midday sun: peak UV and heat between 11am and 3pm
+        if (hourOfDay >= 11 && hourOfDay < 15) score -= 1;
+        return score;
+      });
+
+      let score = hourScores.reduce((total, value) => total + value, 0) / hourScores.length;
+      if (slice.some(hour => hour.forecast.toLowerCase().includes('thunder'))) {
+        score = Math.min(score, 3);
+      }
+      if (service.isAirUnhealthy(airQuality)) {
+        score = Math.min(score, 3);
+      }
+      score = Math.round(Math.max(0, Math.min(10, score)) * 10) / 10;
+
+      windows.push({
+        start: slice[0].start,
+        end: new Date(slice[0].start.getTime() + durationHours * HOUR_MS),
+        score,
+        rating: service.getRatingForScore(score),
+        reason: this.describeWindow(slice, airQuality, beach)
+      });
+    }
+
+    return windows;
+  }
+
+  describeWindow(hours, airQuality, beach = this.weatherService.beach) {
+    const service = this.weatherService;
+    const region = beach.region;
+    const reasons = [];
+
+    const forecasts = [...new Set(hours.map(hour => hour.forecast))];
+    if (forecasts.length === 1) {
+      reasons.push(t('planner.steady', { forecast: forecasts[0], region: t(`region.${region}`) }));
+    } else {
+      reasons.push(t('planner.changing', { from: forecasts[0], to: forecasts[forecasts.length - 1].toLowerCase() }));
+    }
+
+    const startHour = getSingaporeHour(hours[0].start);
+    const endHour = startHour + hours.length;
+    if (endHour <= 11) {
+      reasons.push(t('planner.beforeHeat'));
+    } else if (startHour >= 15) {
+      reasons.push(t('planner.afterHeat'));
+    } else {
+      reasons.push(t('planner.peakUv'));
+    }
+
+    if (hours.some(hour => hour.source === 'nowcast')) {
+      reasons.push(t('planner.nowcast'));
+    } else if (hours.every(hour => hour.source === '4-day')) {
+      reasons.push(t('planner.outlookOnly'));
+    }
+
+    if (service.isAirUnhealthy(airQuality)) {
+      reasons.unshift(t('planner.unhealthyAir'));
+    }
+
+    const sentence = reasons.join(t('planner.separator'));
+    return sentence.charAt(0).toUpperCase() + sentence.slice(1) + t('planner.end');
+  }
+
+  pickBestWindows(candidates) {
+    const ranked = [...candidates].sort((a, b) => b.score - a.score || a.start - b.start);
+    const picked = [];
+
+    // Greedy: best first, skipping anything overlapping an earlier pick
+    for (const candidate of ranked) {
+      if (picked.length >= this.options.maxWindows) break;
+      const overlaps = picked.some(window => candidate.start < window.end && window.start < candidate.end);
+      if (!overlaps) picked.push(candidate);
+    }
+
+    return picked;
+  }
+
+  formatWindow(window) {
+    const day = i18n.formatDate(window.start);
+    return `${day}, ${i18n.formatTime(window.start)} – ${i18n.formatTime(window.end)}`;
+  }
+
+  renderWindows(windows) {
+    let container = document.querySelector('.cleanup-windows');
+    if (!container) {
+      const weatherWidget = document.querySelector('.weather-widget');
+      if (!weatherWidget) return;
+
+      container = document.createElement('div');
+      container.className = 'cleanup-windows';
+      weatherWidget.insertBefore(container, document.querySelector('.weather-forecast'));
+    }
+
+    if (windows.length === 0) {
+      container.innerHTML = `
+        <h3>${t('planner.title')}</h3>
+        <p class="cleanup-window-empty">${t('planner.empty')}</p>
+      `;
+      return;
+    }
+
+    const windowsHTML = windows.map(window => `
+      <li class="cleanup-window">
+        <div class="cleanup-window-header">
+          <span class="cleanup-window-time">${this.formatWindow(window)}</span>
+          <span class="cleanup-rating ${window.rating.toLowerCase()}">${this.weatherService.translateRating(window.rating)} · ${window.score}/10</span>
+        </div>
+        <p class="cleanup-window-reason">${window.reason}</p>
+      </li>
+    `).join('');
+
+    container.innerHTML = `
+      <h3>${t('planner.title')}</h3>
+      <ol class="cleanup-window-list">
+        ${windowsHTML}
+      </ol>
+    `;
+  }
+}
+
+// ============================================
+// Severe Weather Alerts
+// ============================================
+
+/**
+ * Watches the nowcast and 4-day outlook for thundery or heavy-rain conditions
+ * at beaches with a scheduled cleanup. Active alerts show in a persistent
+ * banner; each distinct alert is announced (and optionally pushed as a browser
+ * Notification) only once, so the 30-minute refresh doesn't repeat it.
+ */
+class SevereWeatherAlerts {
+  constructor(weatherService, options = {}) {
+    this.weatherService = weatherService;
+    this.options = {
+      // Returns [{ beachId, date }]; date (YYYY-MM-DD) may be null if not fixed yet
+      getScheduledCleanups: () => [],
+      announce: () => {},
+      ...options
+    };
+    this.storageKeys = {
+      fired: 'shoresquad:alerts:fired',
+      dismissed: 'shoresquad:alerts:dismissed',
+      notifications: 'shoresquad:alerts:notifications'
+    };
+    this.activeAlerts = [];
+
+    this.init();
+  }
+
+  init() {
+    this.weatherService.subscribe(snapshot => this.checkForAlerts(snapshot));
+  }
+
+  /**
+   * 'thunder', 'heavy-rain' or null. Alerts are keyed on this rather than
+   * the forecast text, so a rewording of the same storm doesn't alert again.
+   */
+  getSeverity(forecast) {
+    const weatherLower = forecast.toLowerCase();
+    if (weatherLower.includes('thunder')) return 'thunder';
+    if (weatherLower.includes('heavy rain') || weatherLower.includes('heavy shower')) return 'heavy-rain';
+    return null;
+  }
+
+  isSevere(forecast) {
+    return this.getSeverity(forecast) !== null;
+  }
+
+  async checkForAlerts({ source }) {
+    try {
+      const alerts = await this.findAlerts(source);
+      this.activeAlerts = alerts;
+      this.renderBanner();
+      this.fireNewAlerts(alerts);
+    } catch (error) {
+      console.warn('Severe weather check failed:', error);
+    }
+  }
+
+  async findAlerts(source = 'network') {
+    const service = this.weatherService;
+    const cleanups = this.options.getScheduledCleanups();
+    if (cleanups.length === 0) return [];
+
+    const nowcastData = await service.fetchEndpoint(WEATHER_ENDPOINTS.twoHour, source);
+    let outlook = [];
+    try {
+      const outlookData = await service.fetchEndpoint(WEATHER_ENDPOINTS.fourDay, source);
+      outlook = outlookData.items[0].forecasts;
+    } catch (error) {
+      // Nowcast alerts still work without the outlook
+    }
+
+    const today = getSingaporeDateKey(new Date());
+    const alerts = [];
+
+    cleanups.forEach(cleanup => {
+      const beach = getBeach(cleanup.beachId);
+      if (!beach) return;
+
+      // The nowcast only matters for a cleanup happening today (or undated)
+      if (!cleanup.date || cleanup.date === today) {
+        const nowcast = service.getNowcast(nowcastData, beach);
+        if (this.isSevere(nowcast.forecast)) {
+          alerts.push({
+            // Not the valid period: NEA moves it every 30 minutes, and the same storm would alert again
+            key: `${beach.id}|${today}|${this.getSeverity(nowcast.forecast)}`,
+            beach,
+            forecast: nowcast.forecast,
+            when: t('alerts.next2Hours')
+          });
+        }
+      }
+
+      outlook
+        .filter(day => !cleanup.date || day.date === cleanup.date)
+        .filter(day => this.isSevere(day.forecast))
+        .forEach(day => {
+          const dayLabel = i18n.formatDate(new Date(`${day.date}T00:00:00+08:00`), {
+            weekday: 'long', day: 'numeric', month: 'short'
+          });
+          alerts.push({
+            key: `${beach.id}|${day.date}|${this.getSeverity(day.forecast)}`,
+            beach,
+            forecast: day.forecast,
+            when: t('alerts.onDay', { day: dayLabel })
+          });
+        });
+    });
+
+    // Two cleanups at one beach share its alerts, and today's outlook adds nothing to the nowcast
+    const seen = new Set();
+    return alerts.filter(alert => {
+      if (seen.has(alert.key)) return false;
+      seen.add(alert.key);
+      return true;
+    });
+  }
+
+  describe(alert) {
+    return t('alerts.description', { forecast: alert.forecast, beach: alert.beach.name, when: alert.when });
+  }
+
+  fireNewAlerts(alerts) {
+    const fired = this.loadFired();
+    const fresh = alerts.filter(alert => !(alert.key in fired));
+    if (fresh.length === 0) return;
+
+    fresh.forEach(alert => {
+      fired[alert.key] = Date.now();
+      this.options.announce(t('alerts.announce', { description: this.describe(alert) }));
+      this.sendNotification(alert);
+    });
+
+    writeStorage(this.storageKeys.fired, fired);
+  }
+
+  loadFired() {
+    const fired = readStorage(this.storageKeys.fired, {});
+    const cutoff = Date.now() - 5 * 24 * HOUR_MS;
+
+    // Forget alerts older than the 4-day outlook so storage doesn't grow forever
+    Object.keys(fired).forEach(key => {
+      if (fired[key] < cutoff) delete fired[key];
+    });
+    return fired;
+  }
+
+  notificationsEnabled() {
+    return typeof Notification !== 'undefined' &&
+      Notification.permission === 'granted' &&
+      readStorage(this.storageKeys.notifications, false) === true;
+  }
+
+  sendNotification(alert) {
+    if (!this.notificationsEnabled()) return;
+
+    try {
+      new Notification(t('alerts.notificationTitle', { beach: alert.beach.name }), {
+        body: this.describe(alert),
+        tag: alert.key
+      });
+    } catch (error) {
+      console.warn('Notification failed:', error);
+    }
+  }
+
+  async enableNotifications() {
+    if (typeof Notification === 'undefined') return false;
+
+    const permission = await Notification.requestPermission();
+    const granted = permission === 'granted';
+    writeStorage(this.storageKeys.notifications, granted);
+    this.renderBanner();
+
+    if (granted) {
+      this.options.announce(t('alerts.notificationsOn'));
+    }
+    return granted;
+  }
+
+  dismiss(key) {
+    const dismissed = readStorage(this.storageKeys.dismissed, []);
+    if (!dismissed.includes(key)) {
+      // Keep the list short; old keys can never match a new forecast anyway
+      writeStorage(this.storageKeys.dismissed, [...dismissed, key].slice(-50));
+    }
+    this.renderBanner();
+  }
+
+  renderBanner() {
+    const dismissed = readStorage(this.storageKeys.dismissed, []);
+    const visible = this.activeAlerts.filter(alert => !dismissed.includes(alert.key));
+    let banner = document.querySelector('.weather-alert-banner');
+
+    if (visible.length === 0) {
+      if (banner) banner.remove();
+      return;
+    }
+
+    if (!banner) {
+      banner = document.createElement('section');
+      banner.className = 'weather-alert-banner';
+      banner.addEventListener('click', (e) => this.handleBannerClick(e));
+
+      const main = document.getElementById('main-content');
+      if (!main) return;
+      main.insertBefore(banner, main.firstChild);
+    }
+    banner.setAttribute('aria-label', t('alerts.bannerLabel'));
+
+    const canAskForNotifications = typeof Notification !== 'undefined' &&
+      Notification.permission !== 'denied' &&
+      !this.notificationsEnabled();
+
+    banner.innerHTML = `
+      <div class="container">
+        <ul class="weather-alert-list">
+          ${visible.map(alert => `
+            <li class="weather-alert">
+              <i class="fas fa-bolt" aria-hidden="true"></i>
+              <span><strong>${t('alerts.severe')}</strong> ${this.describe(alert)} ${t('alerts.reschedule')}</span>
+              <button class="weather-alert-dismiss" data-alert-key="${alert.key}" aria-label="${t('alerts.dismiss', { beach: alert.beach.name })}">&times;</button>
+            </li>
+          `).join('')}
+        </ul>
+        ${canAskForNotifications ? `
+          <button class="btn btn-secondary weather-alert-notify">
+            <i class="fas fa-bell" aria-hidden="true"></i>
+            ${t('alerts.enable')}
+          </button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  handleBannerClick(e) {
+    const dismissButton = e.target.closest('.weather-alert-dismiss');
+    if (dismissButton) {
+      this.dismiss(dismissButton.dataset.alertKey);
+      return;
+    }
+
+    if (e.target.closest('.weather-alert-notify')) {
+      this.enableNotifications();
+    }
+  }
+}
+
+// ============================================
+// Weather History
+// ============================================
+
+const DAY_MS = 24 * HOUR_MS;
+
+const HISTORY_SETTINGS = {
+  dbName: 'shoresquad-weather',
+  storeName: 'history',
+  minIntervalMinutes: 10, // One reading per nowcast, however often the picker changes
+  retentionDays: 90,
+  ranges: [7, 30],
+  minReadingsForBest: 3
+};
+
+/**
+ * Resolve an IDBRequest as a Promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * IndexedDB object store of weather readings, indexed by timestamp.
+ * Falls back to an in-memory list where IndexedDB is unavailable, so the
+ * charts still work for the current session.
+ */
+class WeatherHistoryStore {
+  constructor(options = {}) {
+    this.options = {
+      dbName: HISTORY_SETTINGS.dbName,
+      storeName: HISTORY_SETTINGS.storeName,
+      indexedDB: typeof indexedDB !== 'undefined' ? indexedDB : null,
+      ...options
+    };
+    this.memory = [];
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.options.indexedDB) return Promise.resolve(null);
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise(resolve => {
+        const request = this.options.indexedDB.open(this.options.dbName, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.options.storeName, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('timestamp', 'timestamp');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('IndexedDB unavailable, keeping weather history for this session only:', request.error);
+          resolve(null);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  objectStore(db, mode) {
+    return db.transaction(this.options.storeName, mode).objectStore(this.options.storeName);
+  }
+
+  async add(record) {
+    const db = await this.open();
+    if (!db) {
+      const stored = { ...record, id: this.memory.length + 1 };
+      this.memory.push(stored);
+      return stored;
+    }
+
+    const id = await promisifyRequest(this.objectStore(db, 'readwrite').add(record));
+    return { ...record, id };
+  }
+
+  /**
+   * Readings at or after `since`, oldest first, optionally for one beach
+   */
+  async getSince(since, beachId = null) {
+    const db = await this.open();
+    const records = db
+      ? await promisifyRequest(this.objectStore(db, 'readonly').index('timestamp').getAll(IDBKeyRange.lowerBound(since)))
+      : this.memory.filter(record => record.timestamp >= since);
+
+    return records
+      .filter(record => !beachId || record.beachId === beachId)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Delete readings older than `before`
+   */
+  async prune(before) {
+    const db = await this.open();
+    if (!db) {
+      this.memory = this.memory.filter(record => record.timestamp >= before);
+      return;
+    }
+
+    const store = this.objectStore(db, 'readwrite');
+    await new Promise((resolve, reject) => {
+      const request = store.index('timestamp').openCursor(IDBKeyRange.upperBound(before, true));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+/**
+ * Logs every live weather refresh and charts temperature, humidity and
+ * cleanup score for the selected beach over the last 7 or 30 days, so
+ * organizers can see which days and times have worked best.
+ */
+class WeatherHistory {
+  constructor(weatherService, options = {}) {
+    this.weatherService = weatherService;
+    this.options = {
+      store: new WeatherHistoryStore(),
+      minIntervalMinutes: HISTORY_SETTINGS.minIntervalMinutes,
+      retentionDays: HISTORY_SETTINGS.retentionDays,
+      ...options
+    };
+    this.store = this.options.store;
+
+    const savedRange = readStorage('shoresquad:history:range', HISTORY_SETTINGS.ranges[0]);
+    this.rangeDays = HISTORY_SETTINGS.ranges.includes(savedRange) ? savedRange : HISTORY_SETTINGS.ranges[0];
+    this.records = [];
+
+    this.init();
+  }
+
+  init() {
+    this.weatherService.subscribe(snapshot => this.handleSnapshot(snapshot));
+  }
+
+  async handleSnapshot(snapshot) {
+    try {
+      // Cached replays and offline fallbacks are readings we already logged
+      if (snapshot.source === 'network' && !this.weatherService.isOffline) {
+        await this.record(snapshot);
+      }
+      await this.refresh();
+    } catch (error) {
+      console.warn('Weather history unavailable:', error);
+    }
+  }
+
+  createRecord({ beach, weather, airQuality }, now = Date.now()) {
+    return {
+      timestamp: now,
+      beachId: beach.id,
+      beach: beach.name,
+      forecast: weather.forecast,
+      temperature: weather.temp,
+      humidity: weather.humidity,
+      suitabilityScore: weather.suitability ? weather.suitability.score : null,
+      rating: weather.suitability ? weather.suitability.rating : null,
+      psi: airQuality ? airQuality.psi : null,
+      uv: airQuality ? airQuality.uv : null,
+      raining: weather.rainfall ? weather.rainfall.isRaining : null
+    };
+  }
+
+  async record(snapshot, now = Date.now()) {
+    const recent = await this.store.getSince(now - this.options.minIntervalMinutes * 60 * 1000, snapshot.beach.id);
+    if (recent.length > 0) return null;
+
+    const record = await this.store.add(this.createRecord(snapshot, now));
+    await this.store.prune(now - this.options.retentionDays * DAY_MS);
+    return record;
+  }
+
+  async refresh() {
+    const beach = this.weatherService.beach;
+    const records = await this.store.getSince(Date.now() - this.rangeDays * DAY_MS, beach.id);
+
+    // The picker changed while we were reading; the newer refresh will render
+    if (beach !== this.weatherService.beach) return;
+
+    this.records = records;
+    this.render(records);
+  }
+
+  setRange(days) {
+    if (!HISTORY_SETTINGS.ranges.includes(days)) return;
+
+    this.rangeDays = days;
+    writeStorage('shoresquad:history:range', days);
+    this.refresh().catch(error => console.warn('Weather history unavailable:', error));
+  }
+
+  getTimeBand(hour) {
+    if (hour >= 7 && hour < 11) return 'morning';
+    if (hour >= 11 && hour < 15) return 'midday';
+    if (hour >= 15 && hour < 19) return 'afternoon';
+    return null; // Outside cleanup hours
+  }
+
+  /**
+   * Average cleanup score by Singapore weekday and time of day, best first
+   */
+  summarize(records) {
+    const groups = new Map();
+
+    records.forEach(record => {
+      if (record.suitabilityScore === null || record.suitabilityScore === undefined) return;
+
+      const date = new Date(record.timestamp);
+      const band = this.getTimeBand(getSingaporeHour(date));
+      if (!band) return;
+
+      const weekday = new Date(record.timestamp + SGT_OFFSET_MS).getUTCDay();
+      const key = `${weekday}|${band}`;
+      const group = groups.get(key) || { weekday, band, total: 0, count: 0, sample: date };
+      group.total += record.suitabilityScore;
+      group.count += 1;
+      groups.set(key, group);
+    });
+
+    return [...groups.values()]
+      .map(group => ({ ...group, average: group.total / group.count }))
+      .sort((a, b) => b.average - a.average || b.count - a.count);
+  }
+
+  /**
+   * Every stored reading for every beach as CSV, timestamps in Singapore time
+   */
+  toCSV(records) {
+    const columns = [
+      'timestamp', 'beach_id', 'beach', 'forecast', 'temperature_c', 'humidity_pct',
+      'suitability_score', 'rating', 'psi', 'uv', 'raining'
+    ];
+    const escape = value => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = records.map(record => [
+      new Date(record.timestamp + SGT_OFFSET_MS).toISOString().slice(0, 19) + '+08:00',
+      record.beachId,
+      record.beach,
+      record.forecast,
+      record.temperature,
+      record.humidity,
+      record.suitabilityScore,
+      record.rating,
+      record.psi,
+      record.uv,
+      record.raining
+    ].map(escape).join(','));
+
+    return [columns.join(','), ...rows].join('\n') + '\n';
+  }
+
+  async exportCSV() {
+    const records = await this.store.getSince(0);
+    downloadFile(
+      `shoresquad-weather-history-${getSingaporeDateKey(new Date())}.csv`,
+      this.toCSV(records),
+      'text/csv;charset=utf-8'
+    );
+  }
+
+  /**
+   * Inline SVG line chart of one field. Gaps of more than three hours
+   * (the page was closed) break the line rather than being interpolated.
+   */
+  renderChart(records, { field, label, format, domain }, now = Date.now()) {
+    const points = records.filter(record => record[field] !== null && record[field] !== undefined);
+    if (points.length === 0) return '';
+
+    const width = 300;
+    const height = 80;
+    const padding = 6;
+    const values = points.map(record => record[field]);
+    const min = domain ? domain[0] : Math.floor(Math.min(...values)) - 1;
+    const max = domain ? domain[1] : Math.ceil(Math.max(...values)) + 1;
+    const start = now - this.rangeDays * DAY_MS;
+
+    const x = timestamp => padding + ((timestamp - start) / (now - start)) * (width - padding * 2);
+    const y = value => height - padding - ((value - min) / (max - min)) * (height - padding * 2);
+
+    const segments = [];
+    points.forEach((record, index) => {
+      if (index === 0 || record.timestamp - points[index - 1].timestamp > 3 * HOUR_MS) {
+        segments.push([]);
+      }
+      segments[segments.length - 1].push(`${x(record.timestamp).toFixed(1)},${y(record[field]).toFixed(1)}`);
+    });
+
+    const latest = points[points.length - 1];
+    const summary = t('history.chartSummary', {
+      label,
+      latest: format(latest[field]),
+      min: format(Math.min(...values)),
+      max: format(Math.max(...values))
+    });
+
+    return `
+      <figure class="history-chart history-chart-${field}">
+        <figcaption>
+          <span>${label}</span>
+          <span class="history-chart-latest">${format(latest[field])}</span>
+        </figcaption>
+        <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${summary}">
+          <text x="${padding}" y="${padding + 8}" class="history-chart-axis">${format(max)}</text>
+          <text x="${padding}" y="${height - padding}" class="history-chart-axis">${format(min)}</text>
+          ${segments.map(segment => `<polyline points="${segment.join(' ')}" />`).join('')}
+          <circle cx="${x(latest.timestamp).toFixed(1)}" cy="${y(latest[field]).toFixed(1)}" r="3" />
+        </svg>
+      </figure>
+    `;
+  }
+
+  render(records) {
+    let container = document.querySelector('.weather-history');
+    if (!container) {
+      const weatherWidget = document.querySelector('.weather-widget');
+      if (!weatherWidget) return;
+
+      container = document.createElement('div');
+      container.className = 'weather-history';
+      container.addEventListener('click', (e) => this.handleClick(e));
+      weatherWidget.appendChild(container);
+    }
+
+    const rangeButtons = HISTORY_SETTINGS.ranges.map(days => `
+      <button type="button" class="history-range" data-range="${days}" aria-pressed="${days === this.rangeDays}">
+        ${t('history.days', { count: days })}
+      </button>
+    `).join('');
+
+    let body = `<p class="weather-history-empty">${t('history.empty')}</p>`;
+    if (records.length > 0) {
+      const [best] = this.summarize(records)
+        .filter(group => group.count >= HISTORY_SETTINGS.minReadingsForBest);
+      const charts = [
+        this.renderChart(records, {
+          field: 'temperature', label: t('history.temperature'), format: value => i18n.formatTemperature(value)
+        }),
+        this.renderChart(records, {
+          field: 'humidity', label: t('history.humidity'), format: value => `${Math.round(value)}%`
+        }),
+        this.renderChart(records, {
+          field: 'suitabilityScore', label: t('history.suitability'), format: value => `${value}/10`, domain: [0, 10]
+        })
+      ].join('');
+
+      body = `
+        ${best ? `<p class="weather-history-best">${t('history.best', {
+          day: i18n.formatDate(best.sample, { weekday: 'long' }),
+          band: t(`history.band.${best.band}`),
+          score: best.average.toFixed(1),
+          count: best.count
+        })}</p>` : ''}
+        <div class="weather-history-charts">${charts}</div>
+      `;
+    }
+
+    container.innerHTML = `
+      <div class="weather-history-header">
+        <h3>${t('history.title')}</h3>
+        <div class="weather-history-controls" role="group" aria-label="${t('history.range')}">
+          ${rangeButtons}
+          <button type="button" class="history-export">
+            <i class="fas fa-download" aria-hidden="true"></i>
+            ${t('history.export')}
+          </button>
+        </div>
+      </div>
+      ${body}
+    `;
+  }
+
+  handleClick(e) {
+    const rangeButton = e.target.closest('.history-range');
+    if (rangeButton) {
+      this.setRange(Number(rangeButton.dataset.range));
+      return;
+    }
+
+    if (e.target.closest('.history-export')) {
+      this.exportCSV().catch(error => console.warn('Weather history export failed:', error));
+    }
+  }
+}
+
+// ============================================
+// Cleanup Events
+// ============================================
+
+const EVENT_SETTINGS = {
+  apiUrl: null,      // Set to an events API so reschedules reach every visitor
+  mockApiUrl: '/api' // tools/mock-server.js, used with ?events=mock
+};
+
+/**
+ * An event change was refused. `code` is 'not-found', 'forbidden' or
+ * 'invalid'.
+ */
+class EventError extends Error {
+  constructor(code, message = code) {
+    super(message);
+    this.name = 'EventError';
+    this.code = code;
+  }
+}
+
+/**
+ * A scheduled cleanup built from its JSON form. `start` is an absolute
+ * instant; it is always displayed in Singapore time.
+ */
+class CleanupEvent {
+  constructor(data) {
+    const required = ['id', 'title', 'location', 'start', 'durationMinutes', 'capacity'];
+    const missing = required.filter(field => data[field] === undefined || data[field] === null);
+    if (missing.length > 0) {
+      throw new Error(`Cleanup event ${data.id || '(no id)'} is missing ${missing.join(', ')}`);
+    }
+
+    const { name, address, latitude, longitude } = data.location;
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+      throw new Error(`Cleanup event ${data.id} needs numeric location coordinates`);
+    }
+
+    this.id = String(data.id);
+    this.title = data.title;
+    this.beachId = data.beachId || null; // Links the event to BEACHES for weather
+    this.location = { name: name || data.title, address: address || '', latitude, longitude };
+    this.start = new Date(data.start);
+    this.durationMinutes = Number(data.durationMinutes);
+    this.capacity = Number(data.capacity);
+    this.description = data.description || '';
+    this.organizer = data.organizer || null; // Email of whoever may reschedule it
+    // Bumped on every reschedule, for calendar SEQUENCE/LAST-MODIFIED
+    this.sequence = Number(data.sequence) || 0;
+    this.updatedAt = data.updatedAt ? new Date(data.updatedAt) : null;
+
+    if (Number.isNaN(this.start.getTime())) {
+      throw new Error(`Cleanup event ${data.id} has an invalid start time`);
+    }
+  }
+
+  get end() {
+    return new Date(this.start.getTime() + this.durationMinutes * 60 * 1000);
+  }
+
+  /**
+   * Singapore calendar date (YYYY-MM-DD), matching the 4-day forecast
+   */
+  get dateKey() {
+    return getSingaporeDateKey(this.start);
+  }
+
+  isUpcoming(now = new Date()) {
+    return this.end > now;
+  }
+}
+
+/**
+ * Base class for event sources. Subclasses implement loadEvents() to return
+ * raw event objects; models are built and queried here. Like RSVPs, the
+ * organizer rule lives here so the mock server applies the same one.
+ *
+ * The rule only compares the actor's email with the event's organizer, and
+ * both are public: the actor comes from whatever profile the caller saved,
+ * and organizer emails ship in data/events.json. It keeps volunteers from
+ * moving a cleanup by mistake, not anyone determined. A real backend must
+ * sign organizers in before it accepts a reschedule.
+ */
+class EventStore {
+  async loadEvents() {
+    throw new Error(`${this.constructor.name} does not implement loadEvents()`);
+  }
+
+  async list() {
+    const raw = await this.loadEvents();
+    const events = [];
+
+    raw.forEach(data => {
+      try {
+        events.push(new CleanupEvent(data));
+      } catch (error) {
+        // One bad entry shouldn't hide every other cleanup
+        console.warn('Skipping invalid cleanup event:', error);
+      }
+    });
+
+    return events.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Move an event to a new start time, keeping its duration. The actor
+   * ({ name, email }) must claim the organizer's email; see the class note
+   * on why that isn't proof. Resolves to the moved event.
+   */
+  async reschedule(id, start, actor) {
+    throw new Error(`${this.constructor.name} does not implement reschedule(${id})`);
+  }
+
+  isOrganizer(event, email) {
+    return Boolean(event.organizer && email) && event.organizer.toLowerCase() === email.toLowerCase();
+  }
+
+  /**
+   * The fields a reschedule changes, after checking who's asking
+   */
+  buildReschedule(event, start, actor, now = new Date()) {
+    if (!event) throw new EventError('not-found', 'Cleanup event not found');
+    if (!actor || !this.isOrganizer(event, actor.email)) {
+      throw new EventError('forbidden', 'Only the organizer can reschedule this cleanup');
+    }
+    if (!(start instanceof Date) || Number.isNaN(start.getTime())) {
+      throw new EventError('invalid', 'The new start time is not valid');
+    }
+
+    return {
+      start: start.toISOString(),
+      sequence: event.sequence + 1,
+      updatedAt: now.toISOString()
+    };
+  }
+
+  async get(id) {
+    const events = await this.list();
+    return events.find(event => event.id === id) || null;
+  }
+
+  /**
+   * Events that haven't finished yet, soonest first
+   */
+  async getUpcoming(limit = Infinity, now = new Date()) {
+    const events = await this.list();
+    return events.filter(event => event.isUpcoming(now)).slice(0, limit);
+  }
+}
+
+/**
+ * Events from a static JSON file shaped { "events": [...] }. Reschedules
+ * are layered on top from localStorage, so only this browser sees them;
+ * HttpEventStore shares them.
+ */
+class JsonEventStore extends EventStore {
+  constructor(url = 'data/events.json', overridesKey = 'shoresquad:events:overrides') {
+    super();
+    this.url = url;
+    this.overridesKey = overridesKey;
+    this.eventsPromise = null;
+  }
+
+  loadOverrides() {
+    return readStorage(this.overridesKey, {});
+  }
+
+  saveOverrides(overrides) {
+    writeStorage(this.overridesKey, overrides);
+  }
+
+  async reschedule(id, start, actor) {
+    const changes = this.buildReschedule(await this.get(id), start, actor);
+    const overrides = this.loadOverrides();
+    overrides[id] = { ...overrides[id], ...changes };
+    this.saveOverrides(overrides);
+    return this.get(id);
+  }
+
+  applyOverrides(events) {
+    const overrides = this.loadOverrides();
+    return events.map(data => overrides[data.id] ? { ...data, ...overrides[data.id] } : data);
+  }
+
+  loadEvents() {
+    if (!this.eventsPromise) {
+      this.eventsPromise = fetch(this.url)
+        .then(response => {
+          if (!response.ok) throw new Error(`Cleanup events unavailable (${response.status})`);
+          return response.json();
+        })
+        .then(data => data.events || [])
+        .catch(error => {
+          // Let the next call retry instead of caching the failure
+          this.eventsPromise = null;
+          throw error;
+        });
+    }
+    return this.eventsPromise.then(events => this.applyOverrides(events));
+  }
+}
+
+/**
+ * Events on a shared API, so a reschedule reaches every visitor. Routes:
+ * GET /events and PATCH /events/:id with { start, actor }. The API applies
+ * the organizer rule from EventStore; the actor is whoever the saved RSVP
+ * profile says, so a real backend must sign organizers in before it can
+ * trust it.
+ */
+class HttpEventStore extends EventStore {
+  constructor(baseUrl) {
+    super();
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  async request(path, { method = 'GET', body } = {}) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new EventError(data.error || 'server', data.message || `Events API unavailable (${response.status})`);
+    }
+    return data;
+  }
+
+  async loadEvents() {
+    return (await this.request('/events')).events || [];
+  }
+
+  async reschedule(id, start, actor) {
+    const data = await this.request(`/events/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      body: { start: start.toISOString(), actor }
+    });
+    return new CleanupEvent(data.event);
+  }
+}
+
+/**
+ * Renders the next upcoming cleanups into #next-cleanup, one card per event
+ */
+class CleanupEventList {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.options = {
+      limit: 3,
+      onChange: () => {},
+      onRender: () => {},
+      ...options
+    };
+    this.events = [];
+    this.loadError = null;
+    this.selectedId = null;
+
+    this.init();
+  }
+
+  init() {
+    this.section = document.getElementById('next-cleanup');
+    if (!this.section) return;
+
+    i18n.onChange(() => this.render());
+    this.load();
+  }
+
+  async load(now = new Date()) {
+    try {
+      this.events = await this.store.getUpcoming(this.options.limit, now);
+      this.loadError = null;
+    } catch (error) {
+      console.error('Error loading cleanup events:', error);
+      this.events = [];
+      this.loadError = error;
+    }
+
+    this.render();
+    this.options.onChange(this.events);
+  }
+
+  getEvent(id) {
+    return this.events.find(event => event.id === id) || null;
+  }
+
+  formatWhen(event) {
+    const day = i18n.formatDate(event.start, { weekday: 'long', day: 'numeric', month: 'long' });
+    return `${day}, ${i18n.formatTime(event.start)} – ${i18n.formatTime(event.end)}`;
+  }
+
+  formatDuration(event) {
+    const hours = (event.durationMinutes / 60).toLocaleString(i18n.locale, { maximumFractionDigits: 1 });
+    return t('events.duration', { hours });
+  }
+
+  renderCard(event) {
+    const id = escapeHTML(event.id);
+
+    return `
+      <article class="cleanup-card${event.id === this.selectedId ? ' selected' : ''}" data-event-id="${id}">
+        <div class="cleanup-header">
+          <i class="fas fa-map-marker-alt cleanup-icon" aria-hidden="true"></i>
+          <h3 class="cleanup-location"><a href="#/events/${encodeURIComponent(event.id)}">${escapeHTML(event.title)}</a></h3>
+        </div>
+        <div class="cleanup-meta">
+          <div class="cleanup-item">
+            <i class="fas fa-calendar-alt" aria-hidden="true"></i>
+            <span>${this.formatWhen(event)}</span>
+          </div>
+          <div class="cleanup-item">
+            <i class="fas fa-map-pin" aria-hidden="true"></i>
+            <span>${escapeHTML(event.location.name)}</span>
+          </div>
+          <div class="cleanup-item">
+            <i class="fas fa-clock" aria-hidden="true"></i>
+            <span>${this.formatDuration(event)}</span>
+          </div>
+          <div class="cleanup-item">
+            <i class="fas fa-users" aria-hidden="true"></i>
+            <span>${t('events.capacity', { count: event.capacity })}</span>
+          </div>
+        </div>
+        <p class="cleanup-description">${escapeHTML(event.description)}</p>
+        <div class="cleanup-schedule"></div>
+        <div class="cleanup-rsvp"></div>
+        <div class="cleanup-directions"></div>
+        <div class="cleanup-actions">
+          <button class="btn btn-primary join-cleanup-btn" data-event-id="${id}" aria-expanded="false">
+            <i class="fas fa-hands-helping" aria-hidden="true"></i>
+            ${t('events.join')}
+          </button>
+          <button class="btn btn-secondary get-directions-btn" data-event-id="${id}" aria-expanded="false">
+            <i class="fas fa-directions" aria-hidden="true"></i>
+            ${t('events.directions')}
+          </button>
+          <button class="btn btn-secondary add-to-calendar-btn" data-event-id="${id}">
+            <i class="fas fa-calendar-plus" aria-hidden="true"></i>
+            ${t('calendar.add')}
+          </button>
+        </div>
+      </article>
+    `;
+  }
+
+  /**
+   * Highlight one card, e.g. when its marker is picked on the hotspot map
+   */
+  select(eventId) {
+    this.selectedId = eventId;
+    if (!this.section) return;
+
+    this.section.querySelectorAll('.cleanup-card').forEach(card => {
+      const selected = card.dataset.eventId === eventId;
+      card.classList.toggle('selected', selected);
+      if (selected) {
+        const motion = window.matchMedia('(prefers-reduced-motion: reduce)').matches ? 'auto' : 'smooth';
+        card.scrollIntoView({ behavior: motion, block: 'nearest' });
+      }
+    });
+  }
+
+  render() {
+    const list = this.section.querySelector('.cleanup-details');
+    if (!list) return;
+
+    if (this.loadError) {
+      list.innerHTML = `<p class="cleanup-empty">${t('events.loadError')}</p>`;
+    } else if (this.events.length === 0) {
+      list.innerHTML = `<p class="cleanup-empty">${t('events.empty')}</p>`;
+    } else {
+      list.innerHTML = `
+        ${this.events.map(event => this.renderCard(event)).join('')}
+        <div class="cleanup-calendar-all">
+          <button class="btn btn-secondary download-all-calendar-btn">
+            <i class="fas fa-calendar-alt" aria-hidden="true"></i>
+            ${t('calendar.addAll')}
+          </button>
+          <p>${t('calendar.addAllHint')}</p>
+        </div>
+        <a href="#/events" class="cleanup-all-link">${t('events.viewAll')} <i class="fas fa-arrow-right" aria-hidden="true"></i></a>
+      `;
+    }
+
+    this.options.onRender(this.events);
+  }
+}
+
+/**
+ * The events list (#/events) and a page per cleanup (#/events/<id>),
+ * rendered into the router's outlet. An event page is a card of its own for
+ * RsvpManager, so any upcoming cleanup can be joined from it.
+ */
+class EventPages {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.options = {
+      eventList: null,
+      weatherService: null,
+      rsvps: null,
+      onJoin: () => {},
+      onAddToCalendar: () => {},
+      ...options
+    };
+    this.event = null;
+
+    this.init();
+  }
+
+  init() {
+    this.outlet = document.getElementById('route-view');
+    if (!this.outlet) return;
+
+    this.outlet.addEventListener('click', (e) => {
+      if (!this.event) return;
+      if (e.target.closest('.join-cleanup-btn')) this.options.onJoin(this.event);
+      if (e.target.closest('.event-page-calendar-btn')) this.options.onAddToCalendar(this.event);
+    });
+  }
+
+  /**
+   * The 4-day forecast keyed by Singapore date, or an empty map without one
+   */
+  async getForecasts() {
+    if (!this.options.weatherService) return new Map();
+    try {
+      const days = await this.options.weatherService.getWeatherForecast('network');
+      return new Map(days.map(day => [day.date, day]));
+    } catch (error) {
+      console.warn('No forecast for event pages:', error);
+      return new Map();
+    }
+  }
+
+  renderRating(day) {
+    if (!day) return '';
+    const rating = day.cleanupSuitability;
+    return `<span class="cleanup-rating ${(rating || 'unavailable').toLowerCase()}">${this.options.weatherService.translateRating(rating)}</span>`;
+  }
+
+  async renderList() {
+    this.event = null;
+    let events = null;
+    try {
+      events = await this.store.getUpcoming();
+    } catch (error) {
+      console.error('Error loading cleanup events:', error);
+    }
+    const forecasts = await this.getForecasts();
+    const { eventList } = this.options;
+
+    let list = `<p class="cleanup-empty">${t('events.loadError')}</p>`;
+    if (events && events.length === 0) {
+      list = `<p class="cleanup-empty">${t('events.empty')}</p>`;
+    } else if (events) {
+      list = `<ul class="event-index">${events.map(event => `
+        <li class="event-index-item">
+          <a href="#/events/${encodeURIComponent(event.id)}" class="event-index-link">${escapeHTML(event.title)}</a>
+          <span class="event-index-meta">${eventList.formatWhen(event)} · ${escapeHTML(event.location.name)}</span>
+          ${this.renderRating(forecasts.get(event.dateKey))}
+        </li>
+      `).join('')}</ul>`;
+    }
+
+    this.outlet.innerHTML = `
+      <div class="container route-page">
+        <h1 class="section-title" tabindex="-1">${t('events.allTitle')}</h1>
+        <p class="route-intro">${t('events.allIntro')}</p>
+        ${list}
+      </div>
+    `;
+    return { title: t('events.allTitle'), focus: this.outlet.querySelector('h1') };
+  }
+
+  /**
+   * Resolves to null for an unknown id, so the router shows not-found
+   */
+  async renderDetail(id) {
+    const event = await this.store.get(id);
+    this.event = event;
+    if (!event) return null;
+
+    const { eventList, rsvps } = this.options;
+    const day = (await this.getForecasts()).get(event.dateKey);
+    const upcoming = event.isUpcoming();
+
+    let outlook = `<p class="event-page-note">${t('events.finished')}</p>`;
+    if (upcoming) {
+      outlook = day
+        ? `<p class="event-page-outlook">${this.renderRating(day)} ${t('events.forecast', { forecast: escapeHTML(day.weather) })}</p>`
+        : `<p class="event-page-note">${t('events.noForecast')}</p>`;
+    }
+
+    const actions = upcoming ? `
+      <div class="cleanup-actions">
+        ${rsvps ? `
+          <button class="btn btn-primary join-cleanup-btn" data-event-id="${escapeHTML(event.id)}" aria-expanded="false">
+            <i class="fas fa-hands-helping" aria-hidden="true"></i> ${t('events.join')}
+          </button>
+        ` : ''}
+        <button class="btn btn-secondary event-page-calendar-btn">
+          <i class="fas fa-calendar-plus" aria-hidden="true"></i> ${t('calendar.add')}
+        </button>
+      </div>
+    ` : '';
+
+    this.outlet.innerHTML = `
+      <div class="container route-page event-page" data-event-id="${escapeHTML(event.id)}">
+        <a href="#/events" class="route-back"><i class="fas fa-arrow-left" aria-hidden="true"></i> ${t('events.backToAll')}</a>
+        <h1 class="section-title" tabindex="-1">${escapeHTML(event.title)}</h1>
+        <div class="cleanup-meta">
+          <div class="cleanup-item">
+            <i class="fas fa-calendar-alt" aria-hidden="true"></i>
+            <span>${eventList.formatWhen(event)}</span>
+          </div>
+          <div class="cleanup-item">
+            <i class="fas fa-map-pin" aria-hidden="true"></i>
+            <span>${escapeHTML(event.location.name)}${event.location.address ? `, ${escapeHTML(event.location.address)}` : ''}</span>
+          </div>
+          <div class="cleanup-item">
+            <i class="fas fa-clock" aria-hidden="true"></i>
+            <span>${eventList.formatDuration(event)}</span>
+          </div>
+          <div class="cleanup-item">
+            <i class="fas fa-users" aria-hidden="true"></i>
+            <span>${t('events.capacity', { count: event.capacity })}</span>
+          </div>
+        </div>
+        ${outlook}
+        <p class="cleanup-description">${escapeHTML(event.description)}</p>
+        <div class="cleanup-rsvp"></div>
+        ${actions}
+      </div>
+    `;
+    if (upcoming && rsvps) {
+      await rsvps.renderEvent(event).catch(error => console.warn(`RSVPs unavailable for ${event.id}:`, error));
+    }
+    return { title: event.title, focus: this.outlet.querySelector('h1') };
+  }
+}
+
+// ============================================
+// RSVPs
+// ============================================
+
+const RSVP_SETTINGS = {
+  apiUrl: null,         // Set to an RSVP API to share RSVPs across devices
+  mockApiUrl: '/api'    // tools/mock-server.js, used with ?rsvps=mock
+};
+
+/**
+ * An RSVP rule was broken. `code` is 'not-found' or 'forbidden' (the cancel
+ * token didn't match).
+ */
+class RsvpError extends Error {
+  constructor(code, message = code) {
+    super(message);
+    this.name = 'RsvpError';
+    this.code = code;
+  }
+}
+
+/**
+ * Base class for RSVP backends. join() and cancel() own the capacity rules so
+ * a server-backed store can enforce them centrally; the helpers here are
+ * shared by client-side stores.
+ *
+ * An RSVP is { id, eventId, name, email, status, createdAt, promotedAt,
+ * attendee, squadIds, cancelToken }, where status is 'confirmed' or
+ * 'waitlisted'. `attendee` is an opaque id shared by one email's RSVPs, so
+ * volunteers can be counted without their emails. Only join() hands out
+ * the cancel token; everything else sees the public view from toPublic().
+ */
+class RsvpStore {
+  /**
+   * Public views of an event's RSVPs: no names, emails or cancel tokens
+   */
+  async list(eventId) {
+    throw new Error(`${this.constructor.name} does not implement list(${eventId})`);
+  }
+
+  /**
+   * Add an attendee ({ name, email, squadIds }), confirmed if there's room
+   * and waitlisted otherwise. Resolves to the new RSVP with its cancel
+   * token. Joining twice with the same email resolves to the existing
+   * RSVP's public view, so nobody else can pick up the token.
+   */
+  async join(event, attendee) {
+    throw new Error(`${this.constructor.name} does not implement join(${event.id})`);
+  }
+
+  /**
+   * Remove an RSVP, given the token join() returned, and promote from the
+   * waitlist. Resolves to { cancelled, promoted: [rsvp] } as public views.
+   */
+  async cancel(event, rsvpId, cancelToken) {
+    throw new Error(`${this.constructor.name} does not implement cancel(${event.id})`);
+  }
+
+  toPublic({ id, eventId, status, createdAt, promotedAt, attendee, squadIds }) {
+    return { id, eventId, status, createdAt, promotedAt, attendee: attendee || id, squadIds: squadIds || [] };
+  }
+
+  /**
+   * Move the longest-waiting RSVPs into any free spots, in place.
+   * Returns the RSVPs that were promoted.
+   */
+  fillOpenSpots(rsvps, capacity, now = Date.now()) {
+    let openSpots = capacity - rsvps.filter(rsvp => rsvp.status === 'confirmed').length;
+    const promoted = [];
+
+    this.getWaitlist(rsvps).forEach(rsvp => {
+      if (openSpots <= 0) return;
+      rsvp.status = 'confirmed';
+      rsvp.promotedAt = now;
+      openSpots -= 1;
+      promoted.push(rsvp);
+    });
+
+    return promoted;
+  }
+
+  getWaitlist(rsvps) {
+    return rsvps
+      .filter(rsvp => rsvp.status === 'waitlisted')
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  summarize(rsvps, capacity) {
+    const confirmed = rsvps.filter(rsvp => rsvp.status === 'confirmed').length;
+    return {
+      confirmed,
+      waitlisted: rsvps.length - confirmed,
+      spotsLeft: Math.max(0, capacity - confirmed)
+    };
+  }
+}
+
+/**
+ * RSVPs kept in this browser's localStorage, keyed by event id
+ */
+class LocalRsvpStore extends RsvpStore {
+  constructor(storageKey = 'shoresquad:rsvps') {
+    super();
+    this.storageKey = storageKey;
+  }
+
+  loadAll() {
+    return readStorage(this.storageKey, {});
+  }
+
+  saveAll(all) {
+    writeStorage(this.storageKey, all);
+  }
+
+  async list(eventId) {
+    return (this.loadAll()[eventId] || []).map(rsvp => this.toPublic(rsvp));
+  }
+
+  async join(event, { name, email, squadIds = [] }, now = Date.now()) {
+    const all = this.loadAll();
+    const rsvps = all[event.id] || [];
+    const key = email.toLowerCase();
+
+    const existing = rsvps.find(rsvp => rsvp.email.toLowerCase() === key);
+    if (existing) return this.toPublic(existing);
+
+    // Reuse the attendee id from this email's other RSVPs
+    const previous = Object.values(all).flat().find(rsvp => rsvp.attendee && rsvp.email.toLowerCase() === key);
+    const { spotsLeft } = this.summarize(rsvps, event.capacity);
+    const rsvp = {
+      id: createId('rsvp'),
+      eventId: event.id,
+      name,
+      email,
+      status: spotsLeft > 0 ? 'confirmed' : 'waitlisted',
+      createdAt: now,
+      promotedAt: null,
+      attendee: previous ? previous.attendee : createId('attendee'),
+      squadIds,
+      cancelToken: createToken()
+    };
+
+    all[event.id] = [...rsvps, rsvp];
+    this.saveAll(all);
+    return rsvp;
+  }
+
+  async cancel(event, rsvpId, cancelToken, now = Date.now()) {
+    const all = this.loadAll();
+    const rsvps = all[event.id] || [];
+    const cancelled = rsvps.find(rsvp => rsvp.id === rsvpId) || null;
+    if (!cancelled) throw new RsvpError('not-found', `RSVP ${rsvpId} not found`);
+    if (cancelled.cancelToken !== cancelToken) throw new RsvpError('forbidden', 'Only whoever made an RSVP can cancel it');
+
+    const remaining = rsvps.filter(rsvp => rsvp.id !== rsvpId);
+    const promoted = this.fillOpenSpots(remaining, event.capacity, now);
+
+    all[event.id] = remaining;
+    this.saveAll(all);
+    return { cancelled: this.toPublic(cancelled), promoted: promoted.map(rsvp => this.toPublic(rsvp)) };
+  }
+}
+
+/**
+ * RSVPs on a shared API, which applies the same capacity rules. Routes:
+ * GET and POST /events/:id/rsvps, DELETE /events/:id/rsvps/:rsvpId with
+ * { token }. GET answers public views only. Joining offline is queued by
+ * the service worker; the RSVP then comes back with status 'queued' and
+ * the outbox id until it's sent.
+ */
+class HttpRsvpStore extends RsvpStore {
+  constructor(baseUrl) {
+    super();
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  async request(path, { method = 'GET', body, outbox = null } = {}) {
+    const headers = body ? { 'Content-Type': 'application/json' } : {};
+    if (outbox) headers[OFFLINE_SETTINGS.outboxHeader] = outbox;
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      if (data.error) throw new RsvpError(data.error, data.message);
+      throw new Error(`RSVP API unavailable (${response.status})`);
+    }
+    return data;
+  }
+
+  getPath(eventId) {
+    return `/events/${encodeURIComponent(eventId)}/rsvps`;
+  }
+
+  async list(eventId) {
+    return (await this.request(this.getPath(eventId))).rsvps || [];
+  }
+
+  async join(event, { name, email, squadIds = [] }) {
+    const body = { name, email, squadIds };
+    const data = await this.request(this.getPath(event.id), { method: 'POST', body, outbox: 'rsvp' });
+    if (!data.queued) return data.rsvp;
+
+    return { id: data.id, eventId: event.id, name, email, squadIds, status: 'queued', createdAt: Date.now(), promotedAt: null };
+  }
+
+  async cancel(event, rsvpId, cancelToken) {
+    const path = `${this.getPath(event.id)}/${encodeURIComponent(rsvpId)}`;
+    return this.request(path, { method: 'DELETE', body: { token: cancelToken } });
+  }
+}
+
+/**
+ * RSVP form, spots left and "you're going" state on each cleanup card and
+ * on the open event page. This browser's own RSVPs are remembered
+ * separately from the store, so the state survives reloads whichever
+ * backend is in use.
+ */
+class RsvpManager {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.options = {
+      container: null,
+      // Where an event page (.event-page[data-event-id]) is rendered
+      pageContainer: null,
+      // Squads the RSVP counts toward, for their pages
+      getSquadIds: async () => [],
+      announce: () => {},
+      confirm: message => window.confirm(message),
+      onChange: () => {},
+      ...options
+    };
+    this.storageKeys = {
+      mine: 'shoresquad:rsvps:mine',
+      profile: 'shoresquad:rsvps:profile'
+    };
+    this.events = new Map();
+    this.validators = new Map();
+    this.schema = {
+      name: { rules: [Validators.required('rsvp.nameRequired'), Validators.maxLength(80)] },
+      email: { rules: [Validators.required('form.emailRequired'), Validators.email()] }
+    };
+
+    this.init();
+  }
+
+  init() {
+    this.getContainers().forEach(container => {
+      container.addEventListener('submit', (e) => {
+        const form = e.target.closest('.rsvp-form');
+        if (!form) return;
+        e.preventDefault();
+        this.submit(this.events.get(form.dataset.eventId), form);
+      });
+
+      container.addEventListener('click', (e) => {
+        const dismissButton = e.target.closest('.rsvp-dismiss');
+        if (dismissButton) this.closeForm(dismissButton.dataset.eventId);
+      });
+    });
+  }
+
+  /**
+   * The event page first: it's only filled in while it's on screen
+   */
+  getContainers() {
+    return [this.options.pageContainer, this.options.container].filter(Boolean);
+  }
+
+  /**
+   * { [eventId]: { id, status, joinedAt, cancelToken } } for RSVPs made in
+   * this browser
+   */
+  loadMine() {
+    return readStorage(this.storageKeys.mine, {});
+  }
+
+  saveMine(mine) {
+    writeStorage(this.storageKeys.mine, mine);
+  }
+
+  /**
+   * Fill in the RSVP block and join button on every rendered card
+   */
+  async renderAll(events) {
+    events.forEach(event => this.events.set(event.id, event));
+    await Promise.all(events.map(event =>
+      this.renderEvent(event).catch(error => console.warn(`RSVPs unavailable for ${event.id}:`, error))
+    ));
+  }
+
+  /**
+   * Refresh every card showing the event, on the home page and its page
+   */
+  async renderEvent(event) {
+    const cards = this.findCards(event.id);
+    if (cards.length === 0) return;
+    this.events.set(event.id, event);
+
+    const rsvps = await this.store.list(event.id);
+    const mine = this.syncMine(event, rsvps);
+    const summary = this.store.summarize(rsvps, event.capacity);
+    cards.forEach(card => this.renderCard(card, event, rsvps, mine, summary));
+  }
+
+  renderCard(card, event, rsvps, mine, summary) {
+    const block = card.querySelector('.cleanup-rsvp');
+    if (block) {
+      const spots = summary.spotsLeft > 0
+        ? t('rsvp.spotsLeft', { count: summary.spotsLeft, capacity: event.capacity })
+        : t('rsvp.full', { count: summary.waitlisted });
+
+      block.innerHTML = `
+        <p class="rsvp-spots ${summary.spotsLeft > 0 ? '' : 'full'}">${spots}</p>
+        ${mine ? this.renderMyStatus(mine, rsvps) : ''}
+      `;
+    }
+
+    const joinButton = card.querySelector('.join-cleanup-btn');
+    if (joinButton) {
+      // A queued RSVP can't be cancelled until it has reached the server
+      const queued = Boolean(mine) && mine.status === 'queued';
+      let label = mine ? t('rsvp.cancel') : summary.spotsLeft > 0 ? t('events.join') : t('rsvp.submitWaitlist');
+      let icon = mine ? 'fa-times-circle' : 'fa-hands-helping';
+      if (queued) {
+        label = t('rsvp.queuedButton');
+        icon = 'fa-cloud-upload-alt';
+      }
+      joinButton.disabled = queued;
+      joinButton.innerHTML = `<i class="fas ${icon}" aria-hidden="true"></i> ${label}`;
+      joinButton.classList.toggle('btn-primary', !mine);
+      joinButton.classList.toggle('btn-secondary', Boolean(mine));
+      joinButton.setAttribute('aria-expanded', 'false');
+    }
+  }
+
+  renderMyStatus(mine, rsvps) {
+    if (mine.status === 'queued') {
+      return `<p class="rsvp-status queued"><i class="fas fa-cloud-upload-alt" aria-hidden="true"></i> ${t('rsvp.queued')}</p>`;
+    }
+    if (mine.status === 'confirmed') {
+      return `<p class="rsvp-status confirmed"><i class="fas fa-check-circle" aria-hidden="true"></i> ${t('rsvp.going')}</p>`;
+    }
+
+    const position = this.store.getWaitlist(rsvps).findIndex(rsvp => rsvp.id === mine.id) + 1;
+    return `<p class="rsvp-status waitlisted"><i class="fas fa-hourglass-half" aria-hidden="true"></i> ${t('rsvp.waitlisted', { position })}</p>`;
+  }
+
+  /**
+   * Reconcile the remembered RSVP with the store: forget it if it's gone,
+   * and celebrate if it moved off the waitlist since we last looked
+   */
+  syncMine(event, rsvps) {
+    const mine = this.loadMine();
+    const remembered = mine[event.id];
+    if (!remembered) return null;
+    // Not on the server yet, so it can't be in the list
+    if (remembered.status === 'queued') return remembered;
+
+    const current = rsvps.find(rsvp => rsvp.id === remembered.id);
+    if (!current) {
+      delete mine[event.id];
+      this.saveMine(mine);
+      return null;
+    }
+
+    if (remembered.status === 'waitlisted' && current.status === 'confirmed') {
+      this.options.announce(t('rsvp.promoted', { event: event.title }));
+    }
+    if (remembered.status !== current.status) {
+      mine[event.id] = { ...remembered, id: current.id, status: current.status };
+      this.saveMine(mine);
+    }
+    return current;
+  }
+
+  findCards(eventId) {
+    return this.getContainers()
+      .flatMap(container => Array.from(container.querySelectorAll('.cleanup-card, .event-page')))
+      .filter(card => card.dataset.eventId === eventId);
+  }
+
+  /**
+   * The card the form opens on: the event page while it's open
+   */
+  findCard(eventId) {
+    return this.findCards(eventId)[0] || null;
+  }
+
+  /**
+   * Join button: open the form, or cancel if this browser already has an RSVP
+   */
+  async toggle(event) {
+    const card = this.findCard(event.id);
+
+    if (this.loadMine()[event.id]) {
+      await this.cancel(event);
+    } else if (card && card.querySelector('.rsvp-form')) {
+      this.closeForm(event.id);
+    } else {
+      await this.openForm(event);
+    }
+  }
+
+  async openForm(event) {
+    const card = this.findCard(event.id);
+    const block = card && card.querySelector('.cleanup-rsvp');
+    if (!block) return;
+    // One form per event, or the field ids would clash
+    this.findCards(event.id).forEach(other => {
+      const stale = other.querySelector('.rsvp-form');
+      if (stale) stale.remove();
+    });
+
+    const rsvps = await this.store.list(event.id);
+    const { spotsLeft } = this.store.summarize(rsvps, event.capacity);
+    const profile = readStorage(this.storageKeys.profile, { name: '', email: '' });
+    const id = escapeHTML(event.id);
+
+    const form = document.createElement('form');
+    form.className = 'rsvp-form';
+    form.noValidate = true;
+    form.dataset.eventId = event.id;
+    form.innerHTML = `
+      <div class="rsvp-field">
+        <label for="rsvp-name-${id}">${t('rsvp.name')}</label>
+        <input type="text" id="rsvp-name-${id}" name="name" autocomplete="name" required
+          aria-describedby="rsvp-error-${id}" value="${escapeHTML(profile.name)}">
+      </div>
+      <div class="rsvp-field">
+        <label for="rsvp-email-${id}">${t('rsvp.email')}</label>
+        <input type="email" id="rsvp-email-${id}" name="email" autocomplete="email" required
+          aria-describedby="rsvp-error-${id}" value="${escapeHTML(profile.email)}">
+      </div>
+      <p class="rsvp-error" id="rsvp-error-${id}" data-error-for="form" role="alert"></p>
+      <div class="rsvp-form-actions">
+        <button type="submit" class="btn btn-primary">
+          ${spotsLeft > 0 ? t('rsvp.submit') : t('rsvp.submitWaitlist')}
+        </button>
+        <button type="button" class="btn btn-secondary rsvp-dismiss" data-event-id="${id}">${t('rsvp.dismiss')}</button>
+      </div>
+    `;
+
+    block.appendChild(form);
+    this.validators.set(event.id, new FormValidator(form, this.schema));
+    card.querySelector('.join-cleanup-btn').setAttribute('aria-expanded', 'true');
+    form.querySelector('input').focus();
+  }
+
+  closeForm(eventId) {
+    const card = this.findCard(eventId);
+    if (!card) return;
+
+    const form = card.querySelector('.rsvp-form');
+    if (form) form.remove();
+    this.validators.delete(eventId);
+
+    card.querySelector('.join-cleanup-btn').setAttribute('aria-expanded', 'false');
+    this.focusJoinButton(eventId);
+  }
+
+  focusJoinButton(eventId) {
+    const card = this.findCard(eventId);
+    const joinButton = card && card.querySelector('.join-cleanup-btn');
+    if (joinButton) joinButton.focus();
+  }
+
+  async submit(event, form) {
+    if (!event) return;
+
+    const errorText = form.querySelector('.rsvp-error');
+    const validator = this.validators.get(event.id) || new FormValidator(form, this.schema, { live: false });
+    const { valid, values: result } = await validator.validate();
+    if (!valid) return;
+
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    submitButton.innerHTML = `<i class="fas fa-spinner fa-spin" aria-hidden="true"></i> ${t('rsvp.saving')}`;
+
+    try {
+      const squadIds = await this.options.getSquadIds().catch(() => []);
+      const rsvp = await this.store.join(event, { name: result.name, email: result.email, squadIds });
+      const mine = this.loadMine();
+      mine[event.id] = { id: rsvp.id, status: rsvp.status, joinedAt: Date.now(), cancelToken: rsvp.cancelToken || null };
+      this.saveMine(mine);
+      writeStorage(this.storageKeys.profile, { name: result.name, email: result.email });
+      this.options.onChange(event);
+
+      await this.renderEvent(event);
+      this.focusJoinButton(event.id);
+      await this.announceJoined(event, rsvp);
+    } catch (error) {
+      console.error('Error saving RSVP:', error);
+      errorText.textContent = t('rsvp.error');
+      submitButton.disabled = false;
+      submitButton.textContent = t('form.tryAgain');
+    }
+  }
+
+  async announceJoined(event, rsvp) {
+    if (rsvp.status === 'queued') {
+      this.options.announce(t('rsvp.queuedAnnounce', { event: event.title }));
+      return;
+    }
+
+    const rsvps = await this.store.list(event.id);
+    const position = this.store.getWaitlist(rsvps).findIndex(candidate => candidate.id === rsvp.id) + 1;
+    this.options.announce(rsvp.status === 'confirmed'
+      ? t('rsvp.confirmed', { event: event.title })
+      : t('rsvp.waitlistJoined', { event: event.title, position }));
+  }
+
+  /**
+   * A queued RSVP was replayed by the service worker: swap in the real RSVP,
+   * or forget it if the server turned it down
+   */
+  async handleOutboxResult({ entry, sent, body }) {
+    const mine = this.loadMine();
+    const eventId = Object.keys(mine).find(id => mine[id].id === entry.id);
+    if (!eventId) return;
+
+    const event = this.events.get(eventId);
+    if (sent && body.rsvp) {
+      mine[eventId] = { ...mine[eventId], id: body.rsvp.id, status: body.rsvp.status, cancelToken: body.rsvp.cancelToken || null };
+    } else {
+      delete mine[eventId];
+    }
+    this.saveMine(mine);
+    if (!event) return;
+
+    this.options.onChange(event);
+    await this.renderEvent(event);
+    if (sent && body.rsvp) {
+      await this.announceJoined(event, body.rsvp);
+    } else {
+      this.options.announce(t('rsvp.queuedFailed', { event: event.title }));
+    }
+  }
+
+  async cancel(event) {
+    if (!this.options.confirm(t('rsvp.confirmCancel', { event: event.title }))) return;
+
+    const mine = this.loadMine();
+    const remembered = mine[event.id];
+    if (!remembered) return;
+
+    try {
+      await this.store.cancel(event, remembered.id, remembered.cancelToken).catch(error => {
+        // Already gone from the store: forget it all the same
+        if (!(error instanceof RsvpError && error.code === 'not-found')) throw error;
+      });
+      delete mine[event.id];
+      this.saveMine(mine);
+      this.options.onChange(event);
+      await this.renderEvent(event);
+      this.options.announce(t('rsvp.cancelled', { event: event.title }));
+    } catch (error) {
+      console.error('Error cancelling RSVP:', error);
+      this.options.announce(t('rsvp.error'));
+    }
+  }
+}
+
+// ============================================
+// Calendar Export
+// ============================================
+
+const CALENDAR_SETTINGS = {
+  prodId: '-//ShoreSquad//Beach Cleanups//EN',
+  timeZone: 'Asia/Singapore',
+  reminder: '-P1D' // VALARM trigger: the day before
+};
+
+/**
+ * Builds RFC 5545 iCalendar files from cleanup events, entirely client-side.
+ * Times are written as Singapore wall-clock times with a VTIMEZONE, so
+ * calendars show the right hour wherever the volunteer's device is set.
+ */
+class CalendarExporter {
+  constructor(options = {}) {
+    this.options = {
+      ...CALENDAR_SETTINGS,
+      // Link back to the event on the site; null omits the URL property
+      // The event's own page (#/events/<id>)
+      getEventUrl: event => (typeof window !== 'undefined'
+        ? `${window.location.origin}${window.location.pathname}#/events/${encodeURIComponent(event.id)}`
+        : null),
+      ...options
+    };
+  }
+
+  /**
+   * Escape a TEXT value: backslash, semicolon, comma and newlines
+   */
+  escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line to 75 octets, never splitting a UTF-8 character
+   */
+  foldLine(line) {
+    const chunks = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+      const codePoint = char.codePointAt(0);
+      const size = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+      // Continuation lines start with a space, which counts towards the limit
+      const limit = chunks.length === 0 ? 75 : 74;
+
+      if (octets + size > limit) {
+        chunks.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += char;
+      octets += size;
+    }
+
+    chunks.push(current);
+    return chunks.join('\r\n ');
+  }
+
+  // 20261025T080000 in Singapore time
+  formatLocal(date) {
+    return new Date(date.getTime() + SGT_OFFSET_MS).toISOString().replace(/[-:]/g, '').slice(0, 15);
+  }
+
+  // 20261019T003000Z
+  formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Singapore has been UTC+8 with no daylight saving since 1982
+   */
+  buildTimeZone() {
+    return [
+      'BEGIN:VTIMEZONE',
+      `TZID:${this.options.timeZone}`,
+      `X-LIC-LOCATION:${this.options.timeZone}`,
+      'BEGIN:STANDARD',
+      'TZOFFSETFROM:+0800',
+      'TZOFFSETTO:+0800',
+      'TZNAME:+08',
+      'DTSTART:19820101T000000',
+      'END:STANDARD',
+      'END:VTIMEZONE'
+    ];
+  }
+
+  buildEvent(event, now = new Date()) {
+    const { name, address, latitude, longitude } = event.location;
+    const description = [
+      event.description,
+      address && t('calendar.meetingPoint', { address }),
+      t('events.capacity', { count: event.capacity })
+    ].filter(Boolean).join('\n\n');
+    const url = this.options.getEventUrl(event);
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:${event.id}@shoresquad`,
+      `DTSTAMP:${this.formatUtc(now)}`,
+      // A higher SEQUENCE tells calendars that already have the event to take the new time
+      `SEQUENCE:${event.sequence}`,
+      ...(event.updatedAt ? [`LAST-MODIFIED:${this.formatUtc(event.updatedAt)}`] : []),
+      `DTSTART;TZID=${this.options.timeZone}:${this.formatLocal(event.start)}`,
+      `DTEND;TZID=${this.options.timeZone}:${this.formatLocal(event.end)}`,
+      `SUMMARY:${this.escapeText(event.title)}`,
+      `DESCRIPTION:${this.escapeText(description)}`,
+      `LOCATION:${this.escapeText(address ? `${name}, ${address}` : name)}`,
+      `GEO:${latitude};${longitude}`,
+      ...(url ? [`URL:${url}`] : []),
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${this.escapeText(t('calendar.reminder', { event: event.title }))}`,
+      `TRIGGER:${this.options.reminder}`,
+      'END:VALARM',
+      'END:VEVENT'
+    ];
+  }
+
+  /**
+   * A VCALENDAR with one VEVENT per cleanup. A name is shown when the file
+   * is imported as a new calendar. It's a snapshot: nothing serves it from
+   * a URL, so calendars don't re-fetch it.
+   */
+  buildCalendar(events, { name = null, now = new Date() } = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${this.options.prodId}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      ...(name ? [
+        `X-WR-CALNAME:${this.escapeText(name)}`,
+        `X-WR-TIMEZONE:${this.options.timeZone}`
+      ] : []),
+      ...this.buildTimeZone(),
+      ...events.flatMap(event => this.buildEvent(event, now)),
+      'END:VCALENDAR'
+    ];
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  downloadEvent(event) {
+    downloadFile(`${event.id}.ics`, this.buildCalendar([event]), 'text/calendar;charset=utf-8');
+  }
+
+  downloadAll(events, name = t('calendar.calendarName')) {
+    downloadFile('shoresquad-cleanups.ics', this.buildCalendar(events, { name }), 'text/calendar;charset=utf-8');
+  }
+}
+
+// ============================================
+// Weather-Driven Scheduling
+// ============================================
+
+/**
+ * Proposes the best upcoming slot at every beach from the hourly planner,
+ * flags cleanups that fall on a lowest-rated forecast day, and offers a
+ * one-click move to the suggested slot when your saved email matches the
+ * event's organizer
+ */
+class CleanupScheduler {
+  constructor(weatherService, store, options = {}) {
+    this.weatherService = weatherService;
+    this.store = store;
+    this.options = {
+      container: null,
+      beaches: BEACHES,
+      horizonHours: 96,   // Today plus the 4-day outlook
+      announce: () => {},
+      onReschedule: () => {},
+      // Who is asking, { name, email }. The control shows when that matches an
+      // event's organizer, to keep it out of volunteers' way; it isn't access control
+      getActor: () => null,
+      ...options
+    };
+    this.planner = new CleanupWindowPlanner(weatherService, {
+      autoStart: false,
+      horizonHours: this.options.horizonHours,
+      maxWindows: 1
+    });
+    this.suggestions = new Map(); // beach id -> best window
+    this.forecasts = new Map();   // beach id -> Map(date -> forecast day)
+    this.events = [];
+
+    this.init();
+  }
+
+  init() {
+    this.weatherService.subscribe(snapshot => this.update(snapshot));
+
+    const { container } = this.options;
+    if (!container) return;
+
+    container.addEventListener('click', (e) => {
+      const button = e.target.closest('.reschedule-btn');
+      if (!button) return;
+
+      const event = this.events.find(candidate => candidate.id === button.dataset.eventId);
+      if (event) this.reschedule(event, button);
+    });
+  }
+
+  /**
+   * Re-plan every beach from the data the weather widget just loaded
+   */
+  async update({ source }) {
+    await Promise.all(this.options.beaches.map(async (beach) => {
+      try {
+        const airQuality = await this.weatherService.getAirQuality(source, beach);
+        const [best] = await this.planner.plan(source, airQuality, new Date(), beach);
+        const forecast = await this.weatherService.getWeatherForecast(source, airQuality);
+
+        if (best) {
+          this.suggestions.set(beach.id, best);
+        } else {
+          this.suggestions.delete(beach.id);
+        }
+        this.forecasts.set(beach.id, new Map(forecast.map(day => [day.date, day])));
+      } catch (error) {
+        console.warn(`Scheduling unavailable for ${beach.id}:`, error);
+      }
+    }));
+
+    this.renderAll(this.events);
+  }
+
+  getSuggestion(beachId, now = new Date()) {
+    const window = this.suggestions.get(beachId);
+    return window && window.start > now ? window : null;
+  }
+
+  /**
+   * Every beach's best slot, highest score first
+   */
+  getRankedSuggestions(now = new Date()) {
+    return this.options.beaches
+      .map(beach => ({ beach, window: this.getSuggestion(beach.id, now) }))
+      .filter(suggestion => suggestion.window)
+      .sort((a, b) => b.window.score - a.window.score || a.window.start - b.window.start);
+  }
+
+  /**
+   * The lowest rating in the scoring rules ("Poor" with the shipped ones),
+   * or null before they load
+   */
+  getLowestRating() {
+    const { config } = this.weatherService.rulesEngine;
+    return config ? config.ratings[config.ratings.length - 1].label : null;
+  }
+
+  /**
+   * The forecast day an event falls on, if it's rated lowest
+   */
+  getPoorDay(event) {
+    const days = this.forecasts.get(event.beachId);
+    const day = days ? days.get(event.dateKey) : null;
+    return day && day.cleanupSuitability && day.cleanupSuitability === this.getLowestRating() ? day : null;
+  }
+
+  formatStart(start) {
+    return `${i18n.formatDate(start)}, ${i18n.formatTime(start)}`;
+  }
+
+  renderRating(window) {
+    return `<span class="cleanup-rating ${window.rating.toLowerCase()}">${this.weatherService.translateRating(window.rating)} · ${window.score}/10</span>`;
+  }
+
+  renderEvent(event, now = new Date()) {
+    const { container } = this.options;
+    const card = container && Array.from(container.querySelectorAll('.cleanup-card'))
+      .find(candidate => candidate.dataset.eventId === event.id);
+    const block = card && card.querySelector('.cleanup-schedule');
+    if (!block) return;
+
+    const suggestion = event.beachId ? this.getSuggestion(event.beachId, now) : null;
+    const poorDay = this.getPoorDay(event);
+    const actor = this.options.getActor();
+    const isOrganizer = Boolean(actor) && this.store.isOrganizer(event, actor.email);
+    const canMove = suggestion && suggestion.rating !== this.getLowestRating();
+    let html = '';
+
+    if (suggestion) {
+      html += `
+        <p class="schedule-best">
+          <i class="fas fa-calendar-check" aria-hidden="true"></i>
+          <span>${t('schedule.bestSlot', { when: this.planner.formatWindow(suggestion) })}</span>
+          ${this.renderRating(suggestion)}
+        </p>
+      `;
+    }
+
+    if (poorDay) {
+      html += `
+        <div class="schedule-warning">
+          <p>
+            <i class="fas fa-exclamation-triangle" aria-hidden="true"></i>
+            ${t('schedule.poorDay', { forecast: escapeHTML(poorDay.weather) })}
+          </p>
+          ${isOrganizer && canMove ? `
+            <button type="button" class="btn btn-secondary reschedule-btn" data-event-id="${escapeHTML(event.id)}">
+              <i class="fas fa-calendar-day" aria-hidden="true"></i>
+              ${t('schedule.reschedule', { when: this.formatStart(suggestion.start) })}
+            </button>
+          ` : ''}
+          ${isOrganizer && !canMove ? `<p>${t('schedule.noBetterSlot')}</p>` : ''}
+        </div>
+      `;
+    }
+
+    block.innerHTML = html;
+  }
+
+  renderSuggestions(now = new Date()) {
+    const list = this.options.container && this.options.container.querySelector('.cleanup-details');
+    if (!list) return;
+
+    let block = list.querySelector('.cleanup-suggestions');
+    const ranked = this.getRankedSuggestions(now);
+    if (ranked.length === 0) {
+      if (block) block.remove();
+      return;
+    }
+
+    if (!block) {
+      block = document.createElement('div');
+      block.className = 'cleanup-suggestions';
+      list.insertBefore(block, list.querySelector('.cleanup-calendar-all'));
+    }
+
+    block.innerHTML = `
+      <h3>${t('schedule.title')}</h3>
+      <ol>
+        ${ranked.map(({ beach, window }) => `
+          <li>
+            <span class="suggestion-beach">${escapeHTML(beach.name)}</span>
+            <span class="suggestion-time">${this.planner.formatWindow(window)}</span>
+            ${this.renderRating(window)}
+          </li>
+        `).join('')}
+      </ol>
+    `;
+  }
+
+  renderAll(events) {
+    this.events = events;
+    const now = new Date();
+    events.forEach(event => this.renderEvent(event, now));
+    this.renderSuggestions(now);
+  }
+
+  async reschedule(event, button) {
+    const suggestion = this.getSuggestion(event.beachId);
+    if (!suggestion) return;
+
+    button.disabled = true;
+    try {
+      await this.store.reschedule(event.id, suggestion.start, this.options.getActor());
+      this.options.announce(t('schedule.rescheduled', {
+        title: event.title,
+        when: this.formatStart(suggestion.start)
+      }));
+      await this.options.onReschedule(event, suggestion.start);
+    } catch (error) {
+      if (!(error instanceof EventError)) console.error('Error rescheduling cleanup:', error);
+      button.disabled = false;
+      this.options.announce(t(error instanceof EventError && error.code === 'forbidden' ? 'schedule.forbidden' : 'schedule.error'));
+    }
+  }
+}
+
+// ============================================
+// Litter Log
+// ============================================
+
+/**
+ * Tally categories, following the Ocean Conservancy International Coastal
+ * Cleanup (ICC) data card so totals can be submitted there
+ */
+const LITTER_CATEGORIES = [
+  { id: 'cigarette-butts', group: 'common' },
+  { id: 'food-wrappers', group: 'common' },
+  { id: 'plastic-bottles', group: 'common' },
+  { id: 'bottle-caps', group: 'common' },
+  { id: 'plastic-bags', group: 'common' },
+  { id: 'straws', group: 'common' },
+  { id: 'takeaway-containers', group: 'common' },
+  { id: 'cups-lids', group: 'common' },
+  { id: 'glass-bottles', group: 'common' },
+  { id: 'cans', group: 'common' },
+  { id: 'fishing-line', group: 'fishing' },
+  { id: 'rope-nets', group: 'fishing' },
+  { id: 'plastic-pieces', group: 'tiny' },
+  { id: 'styrofoam', group: 'tiny' },
+  { id: 'other', group: 'other' }
+];
+
+const LITTER_GROUPS = ['common', 'fishing', 'tiny', 'other'];
+
+const LITTER_SETTINGS = {
+  syncUrl: null,          // Litter log API shared by every device; null keeps tallies on this device
+  mockSyncUrl: '/api/litter', // tools/mock-server.js, used with ?litter=mock
+  recentEventDays: 30,    // Past cleanups offered in the form
+  ranges: [30, 90, null], // Summary periods in days; null is all time
+  topCount: 5,
+  severityKg: { medium: 5, high: 15 } // Average haul per cleanup for the hotspot map
+};
+
+/**
+ * Base class for where tallies live. Entries are plain objects with a
+ * client-generated id, so saving the same entry twice is safe.
+ */
+class LitterLogStore {
+  async list() {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  async save(entry) {
+    throw new Error(`${this.constructor.name} does not implement save()`);
+  }
+}
+
+/**
+ * Tallies in this browser's localStorage; always available, even offline
+ */
+class LocalLitterLogStore extends LitterLogStore {
+  constructor(storageKey = 'shoresquad:litter') {
+    super();
+    this.storageKey = storageKey;
+  }
+
+  loadAll() {
+    return readStorage(this.storageKey, []);
+  }
+
+  saveAll(entries) {
+    writeStorage(this.storageKey, entries);
+  }
+
+  async list() {
+    return this.loadAll();
+  }
+
+  async save(entry) {
+    const entries = this.loadAll();
+    const index = entries.findIndex(candidate => candidate.id === entry.id);
+    if (index === -1) {
+      entries.push(entry);
+    } else {
+      entries[index] = entry;
+    }
+    this.saveAll(entries);
+    return entry;
+  }
+}
+
+/**
+ * Tallies on a JSON API: GET returns { entries: [...] }, POST takes one entry
+ */
+class HttpLitterLogStore extends LitterLogStore {
+  constructor(url) {
+    super();
+    this.url = url;
+  }
+
+  async list() {
+    const response = await fetch(this.url);
+    if (!response.ok) throw new Error(`Litter log unavailable (${response.status})`);
+
+    const data = await response.json();
+    return data.entries || [];
+  }
+
+  async save(entry) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(entry)
+    });
+    if (!response.ok) throw new Error(`Litter log rejected the entry (${response.status})`);
+    return entry;
+  }
+}
+
+/**
+ * Post-cleanup tally form and per-beach summaries. Every tally is saved
+ * locally first and marked pending; pending tallies are pushed to the
+ * remote store whenever we're online, so logging works on the beach.
+ */
+class LitterLog {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.options = {
+      remote: null,
+      getEvents: async () => [],
+      getSquads: async () => [],
+      announce: () => {},
+      onChange: () => {},
+      ...options
+    };
+    this.entries = [];
+    this.recentEvents = [];
+    this.squads = [];
+    this.syncing = false;
+
+    const savedRange = readStorage('shoresquad:litter:range', LITTER_SETTINGS.ranges[0]);
+    this.rangeDays = LITTER_SETTINGS.ranges.includes(savedRange) ? savedRange : LITTER_SETTINGS.ranges[0];
+
+    this.init();
+  }
+
+  init() {
+    this.section = document.getElementById('litter-log');
+    if (!this.section) return;
+
+    this.section.addEventListener('submit', (e) => {
+      if (!e.target.closest('.litter-form')) return;
+      e.preventDefault();
+      this.submit(e.target);
+    });
+    this.section.addEventListener('change', (e) => {
+      if (e.target.name === 'eventId') this.applyEvent(e.target.form);
+    });
+    this.section.addEventListener('click', (e) => this.handleClick(e));
+
+    window.addEventListener('online', () => this.sync());
+    i18n.onChange(() => {
+      this.renderForm();
+      this.renderSummary();
+    });
+
+    this.load();
+  }
+
+  async load(now = new Date()) {
+    try {
+      const events = await this.options.getEvents();
+      const since = now.getTime() - LITTER_SETTINGS.recentEventDays * DAY_MS;
+      this.recentEvents = events
+        .filter(event => event.start <= now && event.start.getTime() >= since)
+        .sort((a, b) => b.start - a.start);
+    } catch (error) {
+      console.warn('Cleanup events unavailable for the litter log:', error);
+      this.recentEvents = [];
+    }
+
+    await this.loadSquads();
+    await this.refresh();
+    this.sync();
+  }
+
+  /**
+   * Squads a tally can be credited to; re-run when squads change
+   */
+  async loadSquads() {
+    try {
+      this.squads = await this.options.getSquads();
+    } catch (error) {
+      console.warn('Squads unavailable for the litter log:', error);
+      this.squads = [];
+    }
+    this.renderForm();
+  }
+
+  async refresh() {
+    this.entries = await this.store.list();
+    this.renderSummary();
+    this.options.onChange(this.entries);
+  }
+
+  getPending() {
+    return this.entries.filter(entry => entry.syncState === 'pending');
+  }
+
+  isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  /**
+   * Push pending tallies, then pull everyone else's so summaries cover
+   * the whole squad. Failures leave entries pending for the next attempt.
+   */
+  async sync() {
+    const { remote } = this.options;
+    if (!remote || this.syncing || !this.isOnline()) return false;
+
+    this.syncing = true;
+    try {
+      for (const entry of (await this.store.list()).filter(candidate => candidate.syncState === 'pending')) {
+        const { syncState, ...data } = entry;
+        await remote.save(data);
+        await this.store.save({ ...entry, syncState: 'synced' });
+      }
+
+      const known = new Set((await this.store.list()).map(entry => entry.id));
+      for (const entry of await remote.list()) {
+        if (!known.has(entry.id)) await this.store.save({ ...entry, syncState: 'synced' });
+      }
+      return true;
+    } catch (error) {
+      console.warn('Litter log sync failed, will retry when online:', error);
+      return false;
+    } finally {
+      this.syncing = false;
+      await this.refresh();
+    }
+  }
+
+  async add(entry, now = new Date()) {
+    const saved = await this.store.save({
+      id: createId('litter'),
+      createdAt: now.toISOString(),
+      ...entry,
+      syncState: 'pending'
+    });
+    writeStorage('shoresquad:litter:mine', [...readStorage('shoresquad:litter:mine', []), saved.id]);
+    await this.refresh();
+
+    const synced = await this.sync();
+    return { entry: saved, synced };
+  }
+
+  /**
+   * Whether a tally was logged in this browser, for personal badges
+   */
+  isMine(entry) {
+    return readStorage('shoresquad:litter:mine', []).includes(entry.id);
+  }
+
+  /**
+   * Totals per beach and the most common litter types since a date key
+   * (YYYY-MM-DD); since null covers everything
+   */
+  summarize(entries, since = null) {
+    const beaches = new Map();
+    const categories = new Map();
+    let totalItems = 0;
+
+    entries.filter(entry => !since || entry.date >= since).forEach(entry => {
+      const items = Object.values(entry.counts || {}).reduce((total, count) => total + count, 0);
+      const beach = beaches.get(entry.beachId) || { beachId: entry.beachId, cleanups: 0, items: 0, bags: 0, weightKg: 0 };
+      beach.cleanups += 1;
+      beach.items += items;
+      beach.bags += entry.bags || 0;
+      beach.weightKg += entry.weightKg || 0;
+      beaches.set(entry.beachId, beach);
+
+      Object.entries(entry.counts || {}).forEach(([category, count]) => {
+        categories.set(category, (categories.get(category) || 0) + count);
+      });
+      totalItems += items;
+    });
+
+    return {
+      beaches: [...beaches.values()].sort((a, b) => b.weightKg - a.weightKg || b.items - a.items),
+      topCategories: [...categories.entries()]
+        .map(([id, count]) => ({ id, count, share: totalItems ? count / totalItems : 0 }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, LITTER_SETTINGS.topCount),
+      totalItems
+    };
+  }
+
+  /**
+   * 'low' | 'medium' | 'high' from the average haul logged at a beach, or
+   * null when nothing has been logged there yet
+   */
+  getSeverity(beachId) {
+    const logged = this.entries.filter(entry => entry.beachId === beachId && entry.weightKg > 0);
+    if (logged.length === 0) return null;
+
+    const average = logged.reduce((total, entry) => total + entry.weightKg, 0) / logged.length;
+    if (average >= LITTER_SETTINGS.severityKg.high) return 'high';
+    if (average >= LITTER_SETTINGS.severityKg.medium) return 'medium';
+    return 'low';
+  }
+
+  setRange(days) {
+    if (!LITTER_SETTINGS.ranges.includes(days)) return;
+
+    this.rangeDays = days;
+    writeStorage('shoresquad:litter:range', days);
+    this.renderSummary();
+  }
+
+  formatNumber(value, maximumFractionDigits = 0) {
+    return value.toLocaleString(i18n.locale, { maximumFractionDigits });
+  }
+
+  /**
+   * FormValidator schema for the tally form; every count is optional but
+   * the form rule needs at least one number filled in
+   */
+  getSchema() {
+    const wholeNumber = Validators.number({ min: 0, integer: true }, 'litter.errorNumber');
+    const schema = {
+      beachId: { rules: [Validators.required('litter.errorBeach'), Validators.oneOf(BEACHES.map(beach => beach.id), 'litter.errorBeach')] },
+      date: { rules: [Validators.required('litter.errorDate'), Validators.dateNotAfter(() => getSingaporeDateKey(new Date()), 'litter.errorDate')] }
+    };
+    LITTER_CATEGORIES.forEach(category => {
+      schema[`count-${category.id}`] = { rules: [wholeNumber] };
+    });
+    schema.bags = { rules: [wholeNumber] };
+    schema.weightKg = { rules: [Validators.number({ min: 0 }, 'litter.errorNumber')] };
+    return schema;
+  }
+
+  isEmptyTally(values) {
+    return [...LITTER_CATEGORIES.map(category => `count-${category.id}`), 'bags', 'weightKg']
+      .every(name => Number(values[name] || 0) === 0);
+  }
+
+  /**
+   * Turn the validated form values into an entry
+   */
+  buildEntry(form, values) {
+    const counts = {};
+    LITTER_CATEGORIES.forEach(category => {
+      const count = Number(values[`count-${category.id}`] || 0);
+      if (count > 0) counts[category.id] = count;
+    });
+
+    return {
+      eventId: form.elements.eventId.value || null,
+      squadId: form.elements.squadId ? form.elements.squadId.value || null : null,
+      beachId: values.beachId,
+      date: values.date,
+      counts,
+      bags: Number(values.bags || 0),
+      weightKg: Math.round(Number(values.weightKg || 0) * 10) / 10,
+      rained: form.elements.rained.checked
+    };
+  }
+
+  async submit(form) {
+    const errorText = form.querySelector('.litter-error');
+    const submitButton = form.querySelector('button[type="submit"]');
+
+    const { valid, values } = await this.validator.validate();
+    if (!valid) return;
+
+    submitButton.disabled = true;
+    submitButton.textContent = t('litter.saving');
+
+    try {
+      const { synced } = await this.add(this.buildEntry(form, values));
+      const message = synced ? t('litter.savedSynced')
+        : this.options.remote ? t('litter.savedOffline') : t('litter.savedLocal');
+      this.options.announce(message);
+
+      // Start the next tally from a clean form
+      form.remove();
+      this.renderForm();
+      this.section.querySelector('.litter-status').textContent = message;
+    } catch (error) {
+      console.error('Error saving litter tally:', error);
+      errorText.textContent = t('litter.errorSave');
+      submitButton.disabled = false;
+      submitButton.textContent = t('litter.submit');
+    }
+  }
+
+  /**
+   * Pre-fill beach and date from the chosen cleanup
+   */
+  applyEvent(form) {
+    const event = this.recentEvents.find(candidate => candidate.id === form.elements.eventId.value);
+    if (!event) return;
+
+    if (event.beachId) form.elements.beachId.value = event.beachId;
+    form.elements.date.value = event.dateKey;
+  }
+
+  renderForm() {
+    const panel = this.section && this.section.querySelector('.litter-form-panel');
+    if (!panel) return;
+
+    // Keep anything typed so far when the language changes mid-tally
+    const previous = panel.querySelector('.litter-form');
+    const values = previous
+      ? Array.from(previous.elements).filter(field => field.name)
+        .map(field => [field.name, field.type === 'checkbox' ? field.checked : field.value])
+      : [];
+
+    const today = getSingaporeDateKey(new Date());
+    const eventOptions = this.recentEvents.map(event => `
+      <option value="${escapeHTML(event.id)}">${escapeHTML(event.title)} · ${i18n.formatDate(event.start)}</option>
+    `).join('');
+    const squadField = this.squads.length > 0 ? `
+      <div class="rsvp-field">
+        <label for="litter-squad">${t('litter.squad')}</label>
+        <select id="litter-squad" name="squadId">
+          <option value="">${t('litter.squadNone')}</option>
+          ${this.squads.map(squad => `<option value="${escapeHTML(squad.id)}">${escapeHTML(squad.name)}</option>`).join('')}
+        </select>
+      </div>
+    ` : '';
+    const beachOptions = BEACHES.map(beach => `
+      <option value="${beach.id}">${escapeHTML(beach.name)}</option>
+    `).join('');
+    const groups = LITTER_GROUPS.map(group => `
+      <fieldset class="litter-group">
+        <legend>${t(`litter.group.${group}`)}</legend>
+        ${LITTER_CATEGORIES.filter(category => category.group === group).map(category => `
+          <div class="litter-count">
+            <label for="litter-${category.id}">${t(`litter.category.${category.id}`)}</label>
+            <input type="number" id="litter-${category.id}" name="count-${category.id}"
+              min="0" step="1" inputmode="numeric" placeholder="0" aria-describedby="litter-error">
+          </div>
+        `).join('')}
+      </fieldset>
+    `).join('');
+
+    panel.innerHTML = `
+      <form class="litter-form" novalidate>
+        <h3>${t('litter.title')}</h3>
+        <p class="litter-intro">${t('litter.intro')}</p>
+        <div class="litter-fields">
+          <div class="rsvp-field">
+            <label for="litter-event">${t('litter.event')}</label>
+            <select id="litter-event" name="eventId">
+              <option value="">${t('litter.eventNone')}</option>
+              ${eventOptions}
+            </select>
+          </div>
+          ${squadField}
+          <div class="rsvp-field">
+            <label for="litter-beach">${t('litter.beach')}</label>
+            <select id="litter-beach" name="beachId" aria-describedby="litter-error">${beachOptions}</select>
+          </div>
+          <div class="rsvp-field">
+            <label for="litter-date">${t('litter.date')}</label>
+            <input type="date" id="litter-date" name="date" value="${today}" max="${today}" required aria-describedby="litter-error">
+          </div>
+        </div>
+        ${groups}
+        <div class="litter-fields">
+          <div class="rsvp-field">
+            <label for="litter-bags">${t('litter.bags')}</label>
+            <input type="number" id="litter-bags" name="bags" min="0" step="1" inputmode="numeric" placeholder="0" aria-describedby="litter-error">
+          </div>
+          <div class="rsvp-field">
+            <label for="litter-weight">${t('litter.weight')}</label>
+            <input type="number" id="litter-weight" name="weightKg" min="0" step="0.1" inputmode="decimal" placeholder="0" aria-describedby="litter-error">
+          </div>
+        </div>
+        <label class="litter-check">
+          <input type="checkbox" name="rained">
+          ${t('litter.rained')}
+        </label>
+        <p class="rsvp-error litter-error" id="litter-error" data-error-for="form" role="alert"></p>
+        <button type="submit" class="btn btn-primary">
+          <i class="fas fa-clipboard-check" aria-hidden="true"></i>
+          ${t('litter.submit')}
+        </button>
+        <p class="litter-status" role="status"></p>
+      </form>
+    `;
+
+    const form = panel.querySelector('.litter-form');
+    this.validator = new FormValidator(form, this.getSchema(), {
+      formRules: [
+        tally => this.isEmptyTally(tally) ? { field: `count-${LITTER_CATEGORIES[0].id}`, message: 'litter.errorEmpty' } : null
+      ]
+    });
+    if (values.length > 0) {
+      values.forEach(([name, value]) => {
+        const field = form.elements[name];
+        if (!field) return;
+        if (field.type === 'checkbox') {
+          field.checked = value;
+        } else {
+          field.value = value;
+        }
+      });
+    } else if (this.recentEvents.length > 0) {
+      // Most likely logging the cleanup that just finished
+      form.elements.eventId.value = this.recentEvents[0].id;
+      this.applyEvent(form);
+    }
+  }
+
+  renderSummary() {
+    const panel = this.section && this.section.querySelector('.litter-summary');
+    if (!panel) return;
+
+    const since = this.rangeDays === null
+      ? null
+      : getSingaporeDateKey(new Date(Date.now() - this.rangeDays * DAY_MS));
+    const summary = this.summarize(this.entries, since);
+
+    const rangeButtons = LITTER_SETTINGS.ranges.map(days => `
+      <button type="button" class="litter-range" data-range="${days === null ? 'all' : days}" aria-pressed="${days === this.rangeDays}">
+        ${days === null ? t('litter.rangeAll') : t('history.days', { count: days })}
+      </button>
+    `).join('');
+
+    let body = `<p class="litter-empty">${t('litter.summaryEmpty')}</p>`;
+    if (summary.beaches.length > 0) {
+      const rows = summary.beaches.map(beach => {
+        const info = getBeach(beach.beachId);
+        return `
+          <tr>
+            <th scope="row">${escapeHTML(info ? info.name : beach.beachId)}</th>
+            <td>${this.formatNumber(beach.cleanups)}</td>
+            <td>${this.formatNumber(beach.items)}</td>
+            <td>${this.formatNumber(beach.bags)}</td>
+            <td>${t('litter.kg', { weight: this.formatNumber(beach.weightKg, 1) })}</td>
+          </tr>
+        `;
+      }).join('');
+
+      const top = summary.topCategories.map(category => {
+        const percent = Math.round(category.share * 100);
+        return `
+          <li>
+            <span class="litter-top-label">${t(`litter.category.${category.id}`)}</span>
+            <span class="litter-top-bar" aria-hidden="true"><span style="width: ${percent}%"></span></span>
+            <span class="litter-top-count">${this.formatNumber(category.count)} · ${percent}%</span>
+          </li>
+        `;
+      }).join('');
+
+      body = `
+        <div class="litter-table-wrapper">
+          <table class="litter-table">
+            <thead>
+              <tr>
+                <th scope="col">${t('litter.colBeach')}</th>
+                <th scope="col">${t('litter.colCleanups')}</th>
+                <th scope="col">${t('litter.colItems')}</th>
+                <th scope="col">${t('litter.colBags')}</th>
+                <th scope="col">${t('litter.colWeight')}</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+        ${top ? `<h4>${t('litter.topTitle')}</h4><ol class="litter-top">${top}</ol>` : ''}
+      `;
+    }
+
+    const pending = this.getPending().length;
+    let syncStatus = t('litter.localOnly');
+    if (this.options.remote) {
+      syncStatus = pending > 0 ? t('litter.pending', { count: pending }) : t('litter.allSynced');
+    }
+
+    panel.innerHTML = `
+      <div class="weather-history-header">
+        <h3>${t('litter.summaryTitle')}</h3>
+        <div class="weather-history-controls" role="group" aria-label="${t('litter.range')}">
+          ${rangeButtons}
+        </div>
+      </div>
+      ${body}
+      <p class="litter-sync">
+        <i class="fas ${pending > 0 && this.options.remote ? 'fa-cloud-upload-alt' : 'fa-check-circle'}" aria-hidden="true"></i>
+        ${syncStatus}
+        ${pending > 0 && this.options.remote ? `<button type="button" class="litter-sync-btn">${t('litter.syncNow')}</button>` : ''}
+      </p>
+    `;
+  }
+
+  handleClick(e) {
+    const rangeButton = e.target.closest('.litter-range');
+    if (rangeButton) {
+      const range = rangeButton.dataset.range;
+      this.setRange(range === 'all' ? null : Number(range));
+      return;
+    }
+
+    if (e.target.closest('.litter-sync-btn')) {
+      this.sync();
+    }
+  }
+}
+
+// ============================================
+// Squads
+// ============================================
+
+const SQUAD_SETTINGS = {
+  apiUrl: null,      // Squad API shared by every device; null keeps squads in this browser
+  mockApiUrl: '/api', // Served by tools/mock-server.js, used with ?squads=mock
+  inviteDays: 7,     // How long an invite link stays valid
+  roles: ['organizer', 'member']
+};
+
+/**
+ * A squad rule was broken. `code` is one of 'not-found', 'invite-expired',
+ * 'forbidden', 'already-member', 'last-organizer' or 'invalid', and picks
+ * the message shown.
+ */
+class SquadError extends Error {
+  constructor(code, message = code) {
+    super(message);
+    this.name = 'SquadError';
+    this.code = code;
+  }
+}
+
+/**
+ * Base class for squad backends. The rules live in the stores so the mock
+ * server applies the same ones: only organizers invite, change roles or
+ * remove others, and every squad keeps at least one organizer.
+ *
+ * A squad is { id, name, createdAt, members: [{ id, name, email, key, role,
+ * joinedAt }] }; an invite is { token, squadId, createdAt, expiresAt }.
+ * Emails are compared case-insensitively and never leave the store. A
+ * member's `key` is handed out once, when they create or join the squad,
+ * and is how they prove who they are from then on: whoever holds it can
+ * act as that member, so a real backend should still sign people in.
+ *
+ * Everything else sees views: toPublic() gives the squad and its members'
+ * ids, roles and join dates; toMemberView() adds names and `me` (the
+ * caller's member id) for someone holding a key.
+ */
+class SquadStore {
+  /**
+   * Public views of every squad, e.g. for the leaderboard
+   */
+  async list() {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  /**
+   * The member view for a member's key, the public view without one, or
+   * null for an unknown squad
+   */
+  async get(squadId, key = null) {
+    throw new Error(`${this.constructor.name} does not implement get(${squadId})`);
+  }
+
+  /**
+   * Start a squad with its creator as the first organizer. Resolves to the
+   * member view with the creator's `key`.
+   */
+  async create(name, organizer) {
+    throw new Error(`${this.constructor.name} does not implement create()`);
+  }
+
+  async createInvite(squadId, actorKey) {
+    throw new Error(`${this.constructor.name} does not implement createInvite(${squadId})`);
+  }
+
+  /**
+   * Resolves to { invite, squad } with the public view; rejects with a
+   * SquadError if the token is unknown or has expired
+   */
+  async getInvite(token) {
+    throw new Error(`${this.constructor.name} does not implement getInvite()`);
+  }
+
+  /**
+   * Join through an invite. Resolves to the member view with the new
+   * member's `key`; an email that's already in is turned down with
+   * 'already-member', so nobody else can pick up its key.
+   */
+  async acceptInvite(token, member) {
+    throw new Error(`${this.constructor.name} does not implement acceptInvite()`);
+  }
+
+  async setRole(squadId, memberId, role, actorKey) {
+    throw new Error(`${this.constructor.name} does not implement setRole(${squadId})`);
+  }
+
+  /**
+   * Remove a member; anyone may remove themselves (leave the squad)
+   */
+  async removeMember(squadId, memberId, actorKey) {
+    throw new Error(`${this.constructor.name} does not implement removeMember(${squadId})`);
+  }
+
+  findMember(squad, email) {
+    const key = String(email || '').toLowerCase();
+    return squad.members.find(member => member.email.toLowerCase() === key) || null;
+  }
+
+  findByKey(squad, key) {
+    return (key && squad.members.find(member => member.key === key)) || null;
+  }
+
+  toPublic({ id, name, createdAt, members }) {
+    return { id, name, createdAt, members: members.map(({ id: memberId, role, joinedAt }) => ({ id: memberId, role, joinedAt })) };
+  }
+
+  toMemberView(squad, me) {
+    return {
+      ...this.toPublic(squad),
+      members: squad.members.map(({ id, name, role, joinedAt }) => ({ id, name, role, joinedAt })),
+      me: me.id
+    };
+  }
+
+  isExpired(invite, now = Date.now()) {
+    return new Date(invite.expiresAt).getTime() <= now;
+  }
+}
+
+/**
+ * Squads kept in this browser's localStorage. Invite links only resolve in
+ * the browser that made them; use a server-backed store to share them.
+ * load() and save() are the only storage calls, so the mock server reuses
+ * the rules with its own in-memory copy.
+ */
+class LocalSquadStore extends SquadStore {
+  constructor(storageKey = 'shoresquad:squads') {
+    super();
+    this.storageKey = storageKey;
+  }
+
+  load() {
+    return { squads: [], invites: [], ...readStorage(this.storageKey, {}) };
+  }
+
+  save(data) {
+    writeStorage(this.storageKey, data);
+  }
+
+  requireSquad(data, squadId) {
+    const squad = data.squads.find(candidate => candidate.id === squadId);
+    if (!squad) throw new SquadError('not-found', `Squad ${squadId} not found`);
+    return squad;
+  }
+
+  /**
+   * The member holding actorKey, who must be an organizer
+   */
+  requireOrganizer(squad, actorKey) {
+    const actor = this.findByKey(squad, actorKey);
+    if (!actor || actor.role !== 'organizer') {
+      throw new SquadError('forbidden', `Only organizers can manage ${squad.name}`);
+    }
+    return actor;
+  }
+
+  /**
+   * The member view while the actor is still in the squad, else the public one
+   */
+  toViewFor(squad, actorKey) {
+    const actor = this.findByKey(squad, actorKey);
+    return actor ? this.toMemberView(squad, actor) : this.toPublic(squad);
+  }
+
+  createMember({ name, email }, role, now) {
+    return { id: createId('member'), name: name.trim(), email, key: createToken(), role, joinedAt: now.toISOString() };
+  }
+
+  async list() {
+    return this.load().squads.map(squad => this.toPublic(squad));
+  }
+
+  async get(squadId, key = null) {
+    const squad = this.load().squads.find(candidate => candidate.id === squadId);
+    return squad ? this.toViewFor(squad, key) : null;
+  }
+
+  async create(name, organizer, now = new Date()) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed || !organizer || !String(organizer.name || '').trim() || !EMAIL_PATTERN.test(organizer.email || '')) {
+      throw new SquadError('invalid', 'A squad needs a name and an organizer name and email');
+    }
+
+    const data = this.load();
+    const member = this.createMember(organizer, 'organizer', now);
+    const squad = {
+      id: createId('squad'),
+      name: trimmed,
+      createdAt: now.toISOString(),
+      members: [member]
+    };
+    data.squads.push(squad);
+    this.save(data);
+    return { ...this.toMemberView(squad, member), key: member.key };
+  }
+
+  async createInvite(squadId, actorKey, now = new Date()) {
+    const data = this.load();
+    this.requireOrganizer(this.requireSquad(data, squadId), actorKey);
+
+    const invite = {
+      token: createToken(),
+      squadId,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + SQUAD_SETTINGS.inviteDays * DAY_MS).toISOString()
+    };
+    // Expired links are dead weight; drop them whenever a new one is made
+    data.invites = [...data.invites.filter(candidate => !this.isExpired(candidate, now.getTime())), invite];
+    this.save(data);
+    return invite;
+  }
+
+  requireInvite(data, token, now) {
+    const invite = data.invites.find(candidate => candidate.token === token);
+    if (!invite) throw new SquadError('not-found', 'Invite not found');
+    if (this.isExpired(invite, now.getTime())) throw new SquadError('invite-expired', 'Invite has expired');
+    return invite;
+  }
+
+  async getInvite(token, now = new Date()) {
+    const data = this.load();
+    const invite = this.requireInvite(data, token, now);
+    return { invite, squad: this.toPublic(this.requireSquad(data, invite.squadId)) };
+  }
+
+  async acceptInvite(token, { name, email }, now = new Date()) {
+    if (!String(name || '').trim() || !EMAIL_PATTERN.test(email || '')) {
+      throw new SquadError('invalid', 'Joining needs a name and email');
+    }
+
+    const data = this.load();
+    const squad = this.requireSquad(data, this.requireInvite(data, token, now).squadId);
+    if (this.findMember(squad, email)) {
+      throw new SquadError('already-member', `${email} is already in ${squad.name}`);
+    }
+
+    const member = this.createMember({ name, email }, 'member', now);
+    squad.members.push(member);
+    this.save(data);
+    return { ...this.toMemberView(squad, member), key: member.key };
+  }
+
+  async setRole(squadId, memberId, role, actorKey) {
+    if (!SQUAD_SETTINGS.roles.includes(role)) throw new SquadError('invalid', `Unknown role ${role}`);
+
+    const data = this.load();
+    const squad = this.requireSquad(data, squadId);
+    this.requireOrganizer(squad, actorKey);
+
+    const member = squad.members.find(candidate => candidate.id === memberId);
+    if (!member) throw new SquadError('not-found', `Member ${memberId} is not in ${squad.name}`);
+    if (member.role === 'organizer' && role !== 'organizer' && this.countOrganizers(squad) === 1) {
+      throw new SquadError('last-organizer', `${squad.name} needs an organizer`);
+    }
+
+    member.role = role;
+    this.save(data);
+    return this.toViewFor(squad, actorKey);
+  }
+
+  async removeMember(squadId, memberId, actorKey) {
+    const data = this.load();
+    const squad = this.requireSquad(data, squadId);
+    const actor = this.findByKey(squad, actorKey);
+    if (!actor || actor.id !== memberId) this.requireOrganizer(squad, actorKey);
+
+    const member = squad.members.find(candidate => candidate.id === memberId);
+    if (!member) throw new SquadError('not-found', `Member ${memberId} is not in ${squad.name}`);
+    if (member.role === 'organizer' && this.countOrganizers(squad) === 1 && squad.members.length > 1) {
+      throw new SquadError('last-organizer', `${squad.name} needs an organizer`);
+    }
+
+    squad.members = squad.members.filter(candidate => candidate !== member);
+    if (squad.members.length === 0) {
+      // The last person out disbands the squad
+      data.squads = data.squads.filter(candidate => candidate.id !== squadId);
+      data.invites = data.invites.filter(invite => invite.squadId !== squadId);
+    }
+    this.save(data);
+    return this.toViewFor(squad, actorKey);
+  }
+
+  countOrganizers(squad) {
+    return squad.members.filter(member => member.role === 'organizer').length;
+  }
+}
+
+/**
+ * Squads on a JSON API, such as tools/mock-server.js. A member's key goes
+ * in the Squad-Key header. Errors come back as { error: code, message }
+ * and are rethrown as SquadErrors.
+ */
+class HttpSquadStore extends SquadStore {
+  constructor(baseUrl) {
+    super();
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  async request(path, { method = 'GET', body, key = null } = {}) {
+    const headers = body ? { 'Content-Type': 'application/json' } : {};
+    if (key) headers['Squad-Key'] = key;
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      if (data.error) throw new SquadError(data.error, data.message);
+      throw new Error(`Squad API unavailable (${response.status})`);
+    }
+    return data;
+  }
+
+  async list() {
+    return (await this.request('/squads')).squads || [];
+  }
+
+  async get(squadId, key = null) {
+    try {
+      return (await this.request(`/squads/${encodeURIComponent(squadId)}`, { key })).squad;
+    } catch (error) {
+      if (error.code === 'not-found') return null;
+      throw error;
+    }
+  }
+
+  async create(name, organizer) {
+    return (await this.request('/squads', { method: 'POST', body: { name, organizer } })).squad;
+  }
+
+  async createInvite(squadId, actorKey) {
+    const path = `/squads/${encodeURIComponent(squadId)}/invites`;
+    return (await this.request(path, { method: 'POST', key: actorKey })).invite;
+  }
+
+  async getInvite(token) {
+    return this.request(`/invites/${encodeURIComponent(token)}`);
+  }
+
+  async acceptInvite(token, member) {
+    const path = `/invites/${encodeURIComponent(token)}/accept`;
+    return (await this.request(path, { method: 'POST', body: member })).squad;
+  }
+
+  async setRole(squadId, memberId, role, actorKey) {
+    const path = `/squads/${encodeURIComponent(squadId)}/members/${encodeURIComponent(memberId)}`;
+    return (await this.request(path, { method: 'PATCH', body: { role }, key: actorKey })).squad;
+  }
+
+  async removeMember(squadId, memberId, actorKey) {
+    const path = `/squads/${encodeURIComponent(squadId)}/members/${encodeURIComponent(memberId)}`;
+    return (await this.request(path, { method: 'DELETE', key: actorKey })).squad;
+  }
+}
+
+/**
+ * "Your Squads": create a squad, accept invites opened from a link
+ * (#/invite/<token>), and a page per squad (#/squads/<id>) with members,
+ * roles, upcoming cleanups and impact. Creating or joining saves the RSVP
+ * profile, so a cleanup and a squad share one name and email, and keeps
+ * the member key the store hands back: your squads are the ones this
+ * browser holds a key for.
+ */
+class SquadManager {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.options = {
+      eventStore: null,
+      rsvpStore: null,
+      statsProvider: null,
+      announce: () => {},
+      confirm: message => window.confirm(message),
+      onChange: () => {},
+      ...options
+    };
+    this.storageKeys = {
+      profile: 'shoresquad:rsvps:profile',
+      selected: 'shoresquad:squads:selected',
+      keys: 'shoresquad:squads:keys' // { [squadId]: member key }
+    };
+    this.squads = [];
+    this.selectedId = readStorage(this.storageKeys.selected, null);
+    this.invite = null;
+    this.inviteLink = null;
+    // The same name and email fields as the RSVP form
+    const person = {
+      name: { rules: [Validators.required('rsvp.nameRequired'), Validators.maxLength(80)] },
+      email: { rules: [Validators.required('form.emailRequired'), Validators.email()] }
+    };
+    this.schemas = {
+      create: { squadName: { rules: [Validators.required('squads.nameRequired'), Validators.maxLength(60)] }, ...person },
+      join: person
+    };
+    this.validators = new WeakMap(); // form -> FormValidator
+
+    this.init();
+  }
+
+  init() {
+    this.section = document.getElementById('squads');
+    if (!this.section) return;
+
+    this.section.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (e.target.closest('.squad-create-form')) this.createSquad(e.target);
+      if (e.target.closest('.squad-join-form')) this.acceptInvite(e.target);
+    });
+    this.section.addEventListener('change', (e) => {
+      const roleSelect = e.target.closest('.squad-role-select');
+      if (roleSelect) this.setRole(roleSelect.dataset.memberId, roleSelect.value);
+    });
+    this.section.addEventListener('click', (e) => this.handleClick(e));
+
+    i18n.onChange(() => this.render());
+
+    this.ready = this.load();
+  }
+
+  getProfile() {
+    return readStorage(this.storageKeys.profile, { name: '', email: '' });
+  }
+
+  saveProfile(profile) {
+    writeStorage(this.storageKeys.profile, profile);
+  }
+
+  loadKeys() {
+    return readStorage(this.storageKeys.keys, {});
+  }
+
+  saveKey(squadId, key) {
+    const keys = this.loadKeys();
+    if (key) {
+      keys[squadId] = key;
+    } else {
+      delete keys[squadId];
+    }
+    writeStorage(this.storageKeys.keys, keys);
+  }
+
+  /**
+   * Member views of the squads this browser holds a key for, for filters
+   * and the litter log. Keys for squads you've left are forgotten.
+   */
+  async listMine() {
+    const keys = this.loadKeys();
+    const squads = await Promise.all(Object.keys(keys).map(squadId => this.store.get(squadId, keys[squadId])));
+    squads.forEach((squad, index) => {
+      if (!squad || !squad.me) this.saveKey(Object.keys(keys)[index], null);
+    });
+    return squads.filter(squad => squad && squad.me);
+  }
+
+  getKey(squad) {
+    return this.loadKeys()[squad.id] || null;
+  }
+
+  /**
+   * Your own entry in a member view
+   */
+  getMe(squad) {
+    return squad.members.find(member => member.id === squad.me) || null;
+  }
+
+  async load() {
+    try {
+      this.squads = await this.listMine();
+    } catch (error) {
+      console.warn('Squads unavailable:', error);
+      this.squads = [];
+    }
+    if (!this.squads.some(squad => squad.id === this.selectedId)) {
+      this.selectedId = this.squads.length > 0 ? this.squads[0].id : null;
+    }
+    await this.render();
+  }
+
+  /**
+   * Router handler for #/invite/<token>: the join prompt, on the home page
+   */
+  async showInvite(token) {
+    if (!this.section) return null;
+    await this.ready;
+    await this.openInvite(token);
+    return { home: true, title: t('squads.inviteTitle'), focus: this.section.querySelector('.squad-invite h3') };
+  }
+
+  /**
+   * Router handler for #/squads/<id>. Only squads you belong to have a page.
+   */
+  async showSquad(squadId) {
+    if (!this.section) return null;
+    await this.ready;
+    const squad = this.squads.find(candidate => candidate.id === squadId);
+    if (!squad) return null;
+
+    await this.select(squadId);
+    return { home: true, title: squad.name, focus: this.section.querySelector('.squad-page-header h3') };
+  }
+
+  async openInvite(token) {
+    try {
+      this.invite = { token, ...(await this.store.getInvite(token)), error: null };
+    } catch (error) {
+      if (!(error instanceof SquadError)) console.error('Error opening invite:', error);
+      this.invite = { token, error: this.describeError(error) };
+    }
+    this.renderInvite();
+  }
+
+  closeInvite() {
+    this.invite = null;
+    this.renderInvite();
+    if (/^#\/invite\//.test(window.location.hash)) {
+      history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+  }
+
+  describeError(error) {
+    const messages = {
+      'not-found': 'squads.errorNotFound',
+      'invite-expired': 'squads.errorExpired',
+      forbidden: 'squads.errorForbidden',
+      'already-member': 'squads.errorAlreadyMember',
+      'last-organizer': 'squads.errorLastOrganizer',
+      invalid: 'squads.errorInvalid'
+    };
+    return t(error instanceof SquadError && messages[error.code] ? messages[error.code] : 'squads.error');
+  }
+
+  /**
+   * Validate a squad form against schemas[kind]. Resolves to its values,
+   * or null after showing the problems and focusing the first one.
+   */
+  async validate(form, kind) {
+    const validator = this.validators.get(form) || new FormValidator(form, this.schemas[kind], { live: false });
+    const { valid, values } = await validator.validate();
+    return valid ? values : null;
+  }
+
+  attachValidator(form, kind) {
+    if (form) this.validators.set(form, new FormValidator(form, this.schemas[kind]));
+  }
+
+  /**
+   * A store error, shown in the form's shared error element
+   */
+  showFormError(form, error) {
+    form.querySelector('[data-error-for="form"]').textContent = this.describeError(error);
+  }
+
+  async createSquad(form) {
+    const values = await this.validate(form, 'create');
+    if (!values) return;
+    const person = { name: values.name, email: values.email };
+
+    try {
+      const squad = await this.store.create(values.squadName, person);
+      this.saveKey(squad.id, squad.key);
+      this.saveProfile(person);
+      this.selectedId = squad.id;
+      writeStorage(this.storageKeys.selected, squad.id);
+      await this.load();
+      this.options.onChange();
+      this.options.announce(t('squads.created', { squad: squad.name }));
+    } catch (error) {
+      console.error('Error creating squad:', error);
+      this.showFormError(form, error);
+    }
+  }
+
+  async acceptInvite(form) {
+    const values = await this.validate(form, 'join');
+    if (!values) return;
+    const person = { name: values.name, email: values.email };
+
+    try {
+      const squad = await this.store.acceptInvite(this.invite.token, person);
+      this.saveKey(squad.id, squad.key);
+      this.saveProfile(person);
+      this.selectedId = squad.id;
+      writeStorage(this.storageKeys.selected, squad.id);
+      history.replaceState(null, '', `${window.location.pathname}${window.location.search}#/squads/${squad.id}`);
+      this.invite = null;
+      await this.load();
+      this.renderInvite();
+      this.options.onChange();
+      this.options.announce(t('squads.joined', { squad: squad.name }));
+    } catch (error) {
+      if (!(error instanceof SquadError)) console.error('Error joining squad:', error);
+      this.showFormError(form, error);
+    }
+  }
+
+  select(squadId) {
+    this.selectedId = squadId;
+    writeStorage(this.storageKeys.selected, squadId);
+    this.inviteLink = null;
+    return this.render();
+  }
+
+  getSelected() {
+    return this.squads.find(squad => squad.id === this.selectedId) || null;
+  }
+
+  buildInviteLink(invite) {
+    const { origin, pathname, search } = window.location;
+    return `${origin}${pathname}${search}#/invite/${invite.token}`;
+  }
+
+  async createInviteLink() {
+    const squad = this.getSelected();
+    if (!squad) return;
+
+    try {
+      const invite = await this.store.createInvite(squad.id, this.getKey(squad));
+      this.inviteLink = { url: this.buildInviteLink(invite), expiresAt: new Date(invite.expiresAt) };
+      await this.renderPage();
+      const field = this.section.querySelector('.squad-invite-link input');
+      if (field) {
+        field.focus();
+        field.select();
+      }
+      this.options.announce(t('squads.inviteCreated', { days: SQUAD_SETTINGS.inviteDays }));
+    } catch (error) {
+      console.error('Error creating invite:', error);
+      this.options.announce(this.describeError(error));
+    }
+  }
+
+  async copyInviteLink() {
+    if (!this.inviteLink) return;
+
+    try {
+      await navigator.clipboard.writeText(this.inviteLink.url);
+      this.options.announce(t('squads.copied'));
+    } catch (error) {
+      // Clipboard access can be blocked; the link is selected for manual copying
+      const field = this.section.querySelector('.squad-invite-link input');
+      if (field) field.select();
+      this.options.announce(t('squads.copyManually'));
+    }
+  }
+
+  async setRole(memberId, role) {
+    const squad = this.getSelected();
+    if (!squad) return;
+
+    try {
+      await this.store.setRole(squad.id, memberId, role, this.getKey(squad));
+      await this.load();
+      this.options.announce(t('squads.roleChanged', { role: t(`squads.role.${role}`) }));
+    } catch (error) {
+      this.options.announce(this.describeError(error));
+      await this.render();
+    }
+  }
+
+  async removeMember(memberId) {
+    const squad = this.getSelected();
+    const member = squad && squad.members.find(candidate => candidate.id === memberId);
+    if (!member) return;
+
+    const isSelf = memberId === squad.me;
+    const message = isSelf
+      ? t('squads.confirmLeave', { squad: squad.name })
+      : t('squads.confirmRemove', { name: member.name, squad: squad.name });
+    if (!this.options.confirm(message)) return;
+
+    try {
+      await this.store.removeMember(squad.id, memberId, this.getKey(squad));
+      if (isSelf) this.saveKey(squad.id, null);
+      await this.load();
+      this.options.onChange();
+      this.options.announce(isSelf ? t('squads.left', { squad: squad.name }) : t('squads.removed'));
+    } catch (error) {
+      if (!(error instanceof SquadError)) console.error('Error removing squad member:', error);
+      this.options.announce(this.describeError(error));
+    }
+  }
+
+  /**
+   * Upcoming cleanups with at least one RSVP made as a member of the squad,
+   * with how many are going. RSVPs don't carry emails, so they're matched
+   * by the squad ids recorded when joining.
+   */
+  async getUpcomingCleanups(squad) {
+    const { eventStore, rsvpStore } = this.options;
+    if (!eventStore || !rsvpStore) return [];
+
+    const events = await eventStore.getUpcoming();
+    const cleanups = await Promise.all(events.map(async event => {
+      const rsvps = await rsvpStore.list(event.id);
+      const going = rsvps.filter(rsvp => rsvp.squadIds.includes(squad.id)).length;
+      return { event, going };
+    }));
+    return cleanups.filter(cleanup => cleanup.going > 0);
+  }
+
+  async render() {
+    this.renderInvite();
+    this.renderList();
+    await this.renderPage();
+  }
+
+  renderInvite() {
+    const panel = this.section && this.section.querySelector('.squad-invite');
+    if (!panel) return;
+
+    panel.hidden = !this.invite;
+    if (!this.invite) {
+      panel.innerHTML = '';
+      return;
+    }
+
+    if (this.invite.error) {
+      panel.innerHTML = `
+        <h3 tabindex="-1">${t('squads.inviteTitle')}</h3>
+        <p class="rsvp-error" role="alert">${this.invite.error}</p>
+        <button type="button" class="btn btn-secondary squad-invite-dismiss">${t('rsvp.dismiss')}</button>
+      `;
+      return;
+    }
+
+    const { squad, invite } = this.invite;
+    const profile = this.getProfile();
+    panel.innerHTML = `
+      <form class="squad-join-form" novalidate>
+        <h3 tabindex="-1">${t('squads.inviteTo', { squad: escapeHTML(squad.name) })}</h3>
+        <p>${t('squads.inviteDetails', { count: squad.members.length, date: i18n.formatDate(new Date(invite.expiresAt)) })}</p>
+        <div class="litter-fields">
+          <div class="rsvp-field">
+            <label for="squad-join-name">${t('rsvp.name')}</label>
+            <input type="text" id="squad-join-name" name="name" autocomplete="name" required
+              aria-describedby="squad-join-error" value="${escapeHTML(profile.name)}">
+          </div>
+          <div class="rsvp-field">
+            <label for="squad-join-email">${t('rsvp.email')}</label>
+            <input type="email" id="squad-join-email" name="email" autocomplete="email" required
+              aria-describedby="squad-join-error" value="${escapeHTML(profile.email)}">
+          </div>
+        </div>
+        <p class="rsvp-error" id="squad-join-error" data-error-for="form" role="alert"></p>
+        <div class="rsvp-form-actions">
+          <button type="submit" class="btn btn-primary">
+            <i class="fas fa-user-plus" aria-hidden="true"></i> ${t('squads.join')}
+          </button>
+          <button type="button" class="btn btn-secondary squad-invite-dismiss">${t('rsvp.dismiss')}</button>
+        </div>
+      </form>
+    `;
+    this.attachValidator(panel.querySelector('.squad-join-form'), 'join');
+  }
+
+  renderList() {
+    const panel = this.section && this.section.querySelector('.squad-sidebar');
+    if (!panel) return;
+
+    // Keep a half-typed squad name across re-renders
+    const previous = panel.querySelector('.squad-create-form');
+    const values = previous
+      ? Array.from(previous.elements).filter(field => field.name).map(field => [field.name, field.value])
+      : [];
+    const profile = this.getProfile();
+
+    const squads = this.squads.map(squad => `
+      <li>
+        <a href="#/squads/${escapeHTML(squad.id)}" class="squad-link"${squad.id === this.selectedId ? ' aria-current="page"' : ''}>
+          <span class="squad-link-name">${escapeHTML(squad.name)}</span>
+          <span class="squad-link-count">${t('squads.memberCount', { count: squad.members.length })}</span>
+        </a>
+      </li>
+    `).join('');
+
+    panel.innerHTML = `
+      <h3>${t('squads.mine')}</h3>
+      ${squads ? `<ul class="squad-list">${squads}</ul>` : `<p class="litter-empty">${t('squads.none')}</p>`}
+      <form class="squad-create-form" novalidate>
+        <h4>${t('squads.createTitle')}</h4>
+        <div class="rsvp-field">
+          <label for="squad-name">${t('squads.name')}</label>
+          <input type="text" id="squad-name" name="squadName" maxlength="60" required aria-describedby="squad-create-error">
+        </div>
+        <div class="rsvp-field">
+          <label for="squad-create-name">${t('rsvp.name')}</label>
+          <input type="text" id="squad-create-name" name="name" autocomplete="name" required
+            aria-describedby="squad-create-error" value="${escapeHTML(profile.name)}">
+        </div>
+        <div class="rsvp-field">
+          <label for="squad-create-email">${t('rsvp.email')}</label>
+          <input type="email" id="squad-create-email" name="email" autocomplete="email" required
+            aria-describedby="squad-create-error" value="${escapeHTML(profile.email)}">
+        </div>
+        <p class="rsvp-error" id="squad-create-error" data-error-for="form" role="alert"></p>
+        <button type="submit" class="btn btn-primary">
+          <i class="fas fa-users" aria-hidden="true"></i> ${t('squads.create')}
+        </button>
+      </form>
+    `;
+
+    const form = panel.querySelector('.squad-create-form');
+    values.forEach(([name, value]) => {
+      if (form.elements[name]) form.elements[name].value = value;
+    });
+    this.attachValidator(form, 'create');
+  }
+
+  async renderPage() {
+    const panel = this.section && this.section.querySelector('.squad-page');
+    if (!panel) return;
+
+    const squad = this.getSelected();
+    if (!squad) {
+      panel.innerHTML = `<p class="squad-page-empty">${t('squads.pageEmpty')}</p>`;
+      return;
+    }
+
+    const me = this.getMe(squad);
+    const canManage = Boolean(me) && me.role === 'organizer';
+    const [cleanups, impact] = await Promise.all([
+      this.getUpcomingCleanups(squad).catch(error => {
+        console.warn('Upcoming cleanups unavailable for squad:', error);
+        return [];
+      }),
+      this.options.statsProvider
+        ? this.options.statsProvider.getStats({ squadId: squad.id }).catch(() => null)
+        : null
+    ]);
+    // The squad may have changed while we were waiting
+    if (this.getSelected() !== squad) return;
+
+    const members = squad.members.map(member => {
+      const isSelf = member === me;
+      const id = escapeHTML(member.id);
+      const role = canManage && !isSelf
+        ? `
+          <label class="sr-only" for="squad-role-${id}">${t('squads.roleFor', { name: escapeHTML(member.name) })}</label>
+          <select id="squad-role-${id}" class="squad-role-select" data-member-id="${id}">
+            ${SQUAD_SETTINGS.roles.map(candidate => `
+              <option value="${candidate}"${candidate === member.role ? ' selected' : ''}>${t(`squads.role.${candidate}`)}</option>
+            `).join('')}
+          </select>
+        `
+        : `<span class="squad-role ${member.role}">${t(`squads.role.${member.role}`)}</span>`;
+      const remove = isSelf || canManage
+        ? `<button type="button" class="squad-remove-btn" data-member-id="${id}">${isSelf ? t('squads.leave') : t('squads.remove')}</button>`
+        : '';
+
+      return `
+        <li class="squad-member">
+          <span class="squad-member-name">${escapeHTML(member.name)}${isSelf ? ` <span class="squad-you">${t('squads.you')}</span>` : ''}</span>
+          ${role}
+          ${remove}
+        </li>
+      `;
+    }).join('');
+
+    const upcoming = cleanups.length > 0
+      ? `<ul class="squad-cleanups">${cleanups.map(({ event, going }) => `
+          <li>
+            <span class="squad-cleanup-title">${escapeHTML(event.title)}</span>
+            <span class="squad-cleanup-meta">${i18n.formatDate(event.start)} · ${t('squads.going', { count: going })}</span>
+          </li>
+        `).join('')}</ul>`
+      : `<p class="litter-empty">${t('squads.noCleanups')}</p>`;
+
+    const impactBlock = impact
+      ? `
+        <dl class="squad-impact">
+          <div><dt>${t('squads.impactCleanups')}</dt><dd>${impact.cleanups.toLocaleString(i18n.locale)}</dd></div>
+          <div><dt>${t('squads.impactMembers')}</dt><dd>${squad.members.length.toLocaleString(i18n.locale)}</dd></div>
+          <div><dt>${t('squads.impactWeight')}</dt><dd>${t('litter.kg', { weight: impact.weightKg.toLocaleString(i18n.locale) })}</dd></div>
+        </dl>
+      `
+      : '';
+
+    const invite = canManage
+      ? `
+        <div class="squad-invite-tools">
+          <button type="button" class="btn btn-secondary squad-invite-btn">
+            <i class="fas fa-link" aria-hidden="true"></i> ${t('squads.createInvite')}
+          </button>
+          ${this.inviteLink ? `
+            <div class="squad-invite-link">
+              <label for="squad-invite-url">${t('squads.inviteLink', { date: i18n.formatDate(this.inviteLink.expiresAt) })}</label>
+              <div class="squad-invite-row">
+                <input type="text" id="squad-invite-url" readonly value="${escapeHTML(this.inviteLink.url)}">
+                <button type="button" class="btn btn-primary squad-copy-btn">${t('squads.copy')}</button>
+              </div>
+            </div>
+          ` : ''}
+        </div>
+      `
+      : '';
+
+    panel.innerHTML = `
+      <div class="squad-page-header">
+        <h3>${escapeHTML(squad.name)}</h3>
+        <p>${t('squads.since', { date: i18n.formatDate(new Date(squad.createdAt)) })}</p>
+      </div>
+      ${impactBlock}
+      <h4>${t('squads.upcoming')}</h4>
+      ${upcoming}
+      <h4>${t('squads.members')}</h4>
+      <ul class="squad-members">${members}</ul>
+      ${invite}
+    `;
+  }
+
+  handleClick(e) {
+    const removeButton = e.target.closest('.squad-remove-btn');
+    if (removeButton) {
+      this.removeMember(removeButton.dataset.memberId);
+    } else if (e.target.closest('.squad-invite-btn')) {
+      this.createInviteLink();
+    } else if (e.target.closest('.squad-copy-btn')) {
+      this.copyInviteLink();
+    } else if (e.target.closest('.squad-invite-dismiss')) {
+      this.closeInvite();
+    }
+  }
+}
+
+// ============================================
+// Community Stats
+// ============================================
+
+const STATS_SETTINGS = {
+  ranges: [null, 30, 90, 365] // Days; null is all time
+};
+
+/**
+ * Base class for community impact figures. getStats(filters) resolves to
+ * { cleanups, members, weightKg }; filters are { squadId, beachId, sinceDays }
+ * and any of them may be null.
+ */
+class StatsProvider {
+  async getStats(filters = {}) {
+    throw new Error(`${this.constructor.name} does not implement getStats()`);
+  }
+
+  async getSquads() {
+    return [];
+  }
+}
+
+/**
+ * Stats computed in the browser from the litter log, RSVPs and squads
+ */
+class LocalStatsProvider extends StatsProvider {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      litterStore: null,
+      rsvpStore: null,
+      eventStore: null,
+      // Returns [{ id, name, members: [{ id, joinedAt }] }]
+      getSquads: async () => [],
+      ...options
+    };
+  }
+
+  async getSquads() {
+    return this.options.getSquads();
+  }
+
+  async getStats({ squadId = null, beachId = null, sinceDays = null } = {}, now = new Date()) {
+    const sinceTime = sinceDays ? now.getTime() - sinceDays * DAY_MS : null;
+    const since = sinceTime ? getSingaporeDateKey(new Date(sinceTime)) : null;
+    const squad = squadId
+      ? (await this.getSquads()).find(candidate => candidate.id === squadId) || { members: [] }
+      : null;
+
+    const entries = (this.options.litterStore ? await this.options.litterStore.list() : []).filter(entry =>
+      (!beachId || entry.beachId === beachId) &&
+      (!since || entry.date >= since) &&
+      (!squadId || entry.squadId === squadId)
+    );
+    // A beach cleaned twice on one day (say, by two squads) still counts once
+    const cleaned = new Set(entries.map(entry => `${entry.beachId}:${entry.date}`));
+    const weightKg = entries.reduce((total, entry) => total + (entry.weightKg || 0), 0);
+
+    const members = new Set();
+    if (squad) {
+      squad.members
+        .filter(member => !sinceTime || new Date(member.joinedAt).getTime() >= sinceTime)
+        .forEach(member => members.add(member.id));
+    } else {
+      (await this.listRsvps(beachId)).forEach(rsvp => {
+        if (!sinceTime || rsvp.createdAt >= sinceTime) members.add(rsvp.attendee);
+      });
+    }
+
+    return {
+      cleanups: cleaned.size,
+      members: members.size,
+      weightKg: Math.round(weightKg)
+    };
+  }
+
+  async listRsvps(beachId) {
+    const { eventStore, rsvpStore } = this.options;
+    if (!eventStore || !rsvpStore) return [];
+
+    try {
+      const events = (await eventStore.list()).filter(event => !beachId || event.beachId === beachId);
+      const lists = await Promise.all(events.map(event => rsvpStore.list(event.id)));
+      return lists.flat();
+    } catch (error) {
+      console.warn('RSVPs unavailable for community stats:', error);
+      return [];
+    }
+  }
+}
+
+/**
+ * Squad, beach and period filters for the "Our Impact Together" counters
+ */
+class CommunityStats {
+  constructor(provider, counters, options = {}) {
+    this.provider = provider;
+    this.counters = counters;
+    this.options = {
+      beaches: BEACHES,
+      ...options
+    };
+    this.storageKey = 'shoresquad:stats:filters';
+    this.filters = { squadId: null, beachId: null, sinceDays: null, ...readStorage(this.storageKey, {}) };
+    this.squads = [];
+
+    this.init();
+  }
+
+  init() {
+    this.section = document.getElementById('community');
+    if (!this.section) return;
+
+    this.section.addEventListener('change', (e) => {
+      const select = e.target.closest('.stats-filter select');
+      if (select) this.setFilter(select.name, select.value || null);
+    });
+
+    // RSVPs and tallies saved in another tab
+    window.addEventListener('storage', () => this.refresh());
+    i18n.onChange(() => this.renderFilters());
+
+    this.refresh();
+  }
+
+  setFilter(name, value) {
+    this.filters[name] = name === 'sinceDays' && value ? Number(value) : value;
+    writeStorage(this.storageKey, this.filters);
+    this.refresh();
+  }
+
+  async refresh() {
+    try {
+      this.squads = await this.provider.getSquads();
+      if (this.filters.squadId && !this.squads.some(squad => squad.id === this.filters.squadId)) {
+        this.filters.squadId = null;
+      }
+      this.renderFilters();
+
+      const stats = await this.provider.getStats(this.filters);
+      this.counters.setTargets(stats);
+    } catch (error) {
+      console.warn('Community stats unavailable:', error);
+    }
+  }
+
+  renderSelect(name, label, options) {
+    const current = this.filters[name] === null ? '' : String(this.filters[name]);
+    return `
+      <div class="stats-filter">
+        <label for="stats-${name}">${label}</label>
+        <select id="stats-${name}" name="${name}">
+          ${options.map(option => `
+            <option value="${escapeHTML(option.value)}"${option.value === current ? ' selected' : ''}>${escapeHTML(option.label)}</option>
+          `).join('')}
+        </select>
+      </div>
+    `;
+  }
+
+  renderFilters() {
+    const container = this.section && this.section.querySelector('.stats-filters');
+    if (!container) return;
+
+    const filters = [];
+    if (this.squads.length > 0) {
+      filters.push(this.renderSelect('squadId', t('stats.squad'), [
+        { value: '', label: t('stats.allSquads') },
+        ...this.squads.map(squad => ({ value: squad.id, label: squad.name }))
+      ]));
+    }
+    filters.push(this.renderSelect('beachId', t('stats.beach'), [
+      { value: '', label: t('stats.allBeaches') },
+      ...this.options.beaches.map(beach => ({ value: beach.id, label: beach.name }))
+    ]));
+    filters.push(this.renderSelect('sinceDays', t('stats.period'), STATS_SETTINGS.ranges.map(days => ({
+      value: days === null ? '' : String(days),
+      label: days === null ? t('stats.allTime') : t('history.days', { count: days })
+    }))));
+
+    container.setAttribute('aria-label', t('stats.filters'));
+    container.innerHTML = filters.join('');
+  }
+}
+
+// ============================================
+// Achievements
+// ============================================
+
+/**
+ * Badges unlock when a progress metric reaches its goal; metrics come from
+ * Achievements.getProgress()
+ */
+const BADGES = [
+  { id: 'first-cleanup', icon: 'fa-seedling', metric: 'cleanups', goal: 1 },
+  { id: 'five-beaches', icon: 'fa-umbrella-beach', metric: 'beaches', goal: 5 },
+  { id: 'ten-kg', icon: 'fa-weight-hanging', metric: 'weightKg', goal: 10 },
+  { id: 'rain-or-shine', icon: 'fa-cloud-showers-heavy', metric: 'rainyCleanups', goal: 1 },
+  { id: 'streak-3', icon: 'fa-fire', metric: 'longestStreak', goal: 3 }
+];
+
+const ACHIEVEMENT_SETTINGS = {
+  streakMonthsShown: 6,
+  leaderboardRanges: [30, null], // Days; null is all time
+  leaderboardMetrics: ['cleanups', 'weightKg'],
+  leaderboardSize: 10
+};
+
+/**
+ * Your badges and monthly streak, plus squad leaderboards. Your activity is
+ * every cleanup you RSVPed to that has finished and every tally logged in
+ * this browser, one per beach per day; a tally credits its weight to
+ * everyone who went.
+ */
+class Achievements {
+  constructor(options = {}) {
+    this.options = {
+      litterStore: null,
+      eventStore: null,
+      squadStore: null,
+      statsProvider: null,
+      isMyTally: () => false,
+      getMyRsvps: () => ({}),
+      getMySquads: async () => [],
+      announce: () => {},
+      notify: () => {},
+      ...options
+    };
+    this.storageKeys = {
+      unlocked: 'shoresquad:badges',
+      leaderboard: 'shoresquad:leaderboard'
+    };
+    this.progress = null;
+    this.leaderboard = [];
+    this.mySquadIds = new Set();
+    this.leaderboardView = {
+      metric: ACHIEVEMENT_SETTINGS.leaderboardMetrics[0],
+      sinceDays: ACHIEVEMENT_SETTINGS.leaderboardRanges[0],
+      ...readStorage(this.storageKeys.leaderboard, {})
+    };
+
+    this.init();
+  }
+
+  init() {
+    this.section = document.getElementById('achievements');
+    if (!this.section) return;
+
+    this.section.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-leaderboard]');
+      if (!button) return;
+
+      const value = button.dataset.value === 'all' ? null : button.dataset.value;
+      this.setLeaderboardView(button.dataset.leaderboard,
+        button.dataset.leaderboard === 'sinceDays' && value ? Number(value) : value);
+    });
+    i18n.onChange(() => this.render());
+
+    this.refresh();
+  }
+
+  /**
+   * Cleanups you took part in, as [{ beachId, date, weightKg, rained }].
+   * An event with no beachId keeps a null beachId, so it counts as a
+   * cleanup but not as another beach visited.
+   */
+  async getActivity(now = new Date()) {
+    const { litterStore, eventStore, isMyTally, getMyRsvps } = this.options;
+    const tallies = litterStore ? await litterStore.list() : [];
+    const events = eventStore ? await eventStore.list() : [];
+    const rsvps = getMyRsvps();
+
+    const attended = events.filter(event =>
+      event.end <= now && rsvps[event.id] && rsvps[event.id].status === 'confirmed'
+    );
+    const attendedIds = new Set(attended.map(event => event.id));
+    const cleanups = new Map();
+    const getCleanup = (beachId, date, key = `${beachId}:${date}`) => {
+      if (!cleanups.has(key)) cleanups.set(key, { beachId, date, weightKg: 0, rained: false });
+      return cleanups.get(key);
+    };
+
+    attended.forEach(event => {
+      if (event.beachId) {
+        getCleanup(event.beachId, event.dateKey);
+      } else {
+        getCleanup(null, event.dateKey, `${event.id}:${event.dateKey}`);
+      }
+    });
+    tallies
+      .filter(entry => isMyTally(entry) || attendedIds.has(entry.eventId))
+      .forEach(entry => {
+        const cleanup = getCleanup(entry.beachId, entry.date);
+        cleanup.weightKg += entry.weightKg || 0;
+        cleanup.rained = cleanup.rained || Boolean(entry.rained);
+      });
+
+    return [...cleanups.values()];
+  }
+
+  /**
+   * Badge metrics plus the monthly streak. A streak counts consecutive
+   * Singapore calendar months with at least one cleanup; the current month
+   * keeps last month's streak alive until it ends.
+   */
+  getProgress(cleanups, now = new Date()) {
+    const months = new Set(cleanups.map(cleanup => cleanup.date.slice(0, 7)));
+    const thisMonth = getSingaporeDateKey(now).slice(0, 7);
+
+    let month = months.has(thisMonth) ? thisMonth : this.shiftMonth(thisMonth, -1);
+    let currentStreak = 0;
+    while (months.has(month)) {
+      currentStreak += 1;
+      month = this.shiftMonth(month, -1);
+    }
+
+    let longestStreak = 0;
+    let run = 0;
+    let previous = null;
+    [...months].sort().forEach(candidate => {
+      run = previous && this.shiftMonth(previous, 1) === candidate ? run + 1 : 1;
+      longestStreak = Math.max(longestStreak, run);
+      previous = candidate;
+    });
+
+    return {
+      cleanups: cleanups.length,
+      beaches: new Set(cleanups.filter(cleanup => cleanup.beachId).map(cleanup => cleanup.beachId)).size,
+      weightKg: Math.round(cleanups.reduce((total, cleanup) => total + cleanup.weightKg, 0) * 10) / 10,
+      rainyCleanups: cleanups.filter(cleanup => cleanup.rained).length,
+      currentStreak,
+      longestStreak,
+      months
+    };
+  }
+
+  /**
+   * Move a YYYY-MM month key by a number of months
+   */
+  shiftMonth(month, offset) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, monthNumber - 1 + offset, 1));
+    return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * { [badgeId]: ISO time } for badges unlocked in this browser
+   */
+  loadUnlocked() {
+    return readStorage(this.storageKeys.unlocked, {});
+  }
+
+  /**
+   * Record newly earned badges and celebrate each one. Badges stay unlocked
+   * even if the activity behind them is later removed.
+   */
+  checkBadges(progress, now = new Date()) {
+    const unlocked = this.loadUnlocked();
+    const earned = BADGES.filter(badge => !unlocked[badge.id] && progress[badge.metric] >= badge.goal);
+    if (earned.length === 0) return [];
+
+    earned.forEach(badge => {
+      unlocked[badge.id] = now.toISOString();
+      const message = t('badges.unlocked', { badge: t(`badges.${badge.id}.name`) });
+      this.options.notify(message, { icon: badge.icon, background: 'var(--ocean-primary)' });
+      this.options.announce(message);
+    });
+    writeStorage(this.storageKeys.unlocked, unlocked);
+    return earned;
+  }
+
+  /**
+   * Squads ranked by the chosen metric, ties broken by the other one
+   */
+  async getLeaderboard({ metric, sinceDays } = this.leaderboardView) {
+    const { squadStore, statsProvider } = this.options;
+    if (!squadStore || !statsProvider) return [];
+
+    const squads = await squadStore.list();
+    const rows = await Promise.all(squads.map(async squad => ({
+      squad,
+      ...(await statsProvider.getStats({ squadId: squad.id, sinceDays }))
+    })));
+    const other = metric === 'cleanups' ? 'weightKg' : 'cleanups';
+
+    return rows
+      .filter(row => row.cleanups > 0 || row.weightKg > 0)
+      .sort((a, b) => b[metric] - a[metric] || b[other] - a[other] || a.squad.name.localeCompare(b.squad.name))
+      .slice(0, ACHIEVEMENT_SETTINGS.leaderboardSize);
+  }
+
+  setLeaderboardView(name, value) {
+    const allowed = name === 'metric'
+      ? ACHIEVEMENT_SETTINGS.leaderboardMetrics
+      : ACHIEVEMENT_SETTINGS.leaderboardRanges;
+    if (!allowed.includes(value)) return;
+
+    this.leaderboardView[name] = value;
+    writeStorage(this.storageKeys.leaderboard, this.leaderboardView);
+    this.refreshLeaderboard();
+  }
+
+  async refresh() {
+    try {
+      this.progress = this.getProgress(await this.getActivity());
+      this.checkBadges(this.progress);
+    } catch (error) {
+      console.warn('Badges unavailable:', error);
+    }
+    this.renderBadges();
+    await this.refreshLeaderboard();
+  }
+
+  async refreshLeaderboard() {
+    try {
+      const [leaderboard, mySquads] = await Promise.all([this.getLeaderboard(), this.options.getMySquads()]);
+      this.leaderboard = leaderboard;
+      this.mySquadIds = new Set(mySquads.map(squad => squad.id));
+    } catch (error) {
+      console.warn('Squad leaderboard unavailable:', error);
+      this.leaderboard = [];
+    }
+    this.renderLeaderboard();
+  }
+
+  render() {
+    this.renderBadges();
+    this.renderLeaderboard();
+  }
+
+  renderBadges() {
+    const panel = this.section && this.section.querySelector('.badge-panel');
+    if (!panel || !this.progress) return;
+
+    const { progress } = this;
+    const unlocked = this.loadUnlocked();
+
+    const months = [];
+    let month = getSingaporeDateKey(new Date()).slice(0, 7);
+    for (let i = 0; i < ACHIEVEMENT_SETTINGS.streakMonthsShown; i++) {
+      months.unshift(month);
+      month = this.shiftMonth(month, -1);
+    }
+    const streakMonths = months.map(candidate => {
+      const [year, monthNumber] = candidate.split('-').map(Number);
+      // Mid-month, well clear of any time zone edge
+      const label = i18n.formatDate(new Date(Date.UTC(year, monthNumber - 1, 15, 4)), { month: 'short' });
+      const active = progress.months.has(candidate);
+      return `
+        <li class="streak-month ${active ? 'active' : ''}">
+          <span aria-hidden="true">${active ? '🔥' : '·'}</span>
+          <span>${label}</span>
+          <span class="sr-only">${active ? t('badges.monthActive') : t('badges.monthInactive')}</span>
+        </li>
+      `;
+    }).join('');
+
+    const badges = BADGES.map(badge => {
+      const value = Math.min(progress[badge.metric], badge.goal);
+      const percent = Math.round(value / badge.goal * 100);
+      const unlockedAt = unlocked[badge.id];
+      const status = unlockedAt
+        ? t('badges.unlockedOn', { date: i18n.formatDate(new Date(unlockedAt)) })
+        : t('badges.progress', { value: value.toLocaleString(i18n.locale), goal: badge.goal.toLocaleString(i18n.locale) });
+
+      return `
+        <li class="badge ${unlockedAt ? 'unlocked' : ''}">
+          <span class="badge-icon"><i class="fas ${badge.icon}" aria-hidden="true"></i></span>
+          <span class="badge-name">${t(`badges.${badge.id}.name`)}</span>
+          <span class="badge-description">${t(`badges.${badge.id}.description`)}</span>
+          <span class="badge-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}"
+            aria-label="${t(`badges.${badge.id}.name`)}"><span style="width: ${percent}%"></span></span>
+          <span class="badge-status">${status}</span>
+        </li>
+      `;
+    }).join('');
+
+    panel.innerHTML = `
+      <h3>${t('badges.title')}</h3>
+      <div class="streak">
+        <p class="streak-summary">
+          ${t('badges.streak', { count: progress.currentStreak })}
+          <span>${t('badges.bestStreak', { count: progress.longestStreak })}</span>
+        </p>
+        <ol class="streak-months">${streakMonths}</ol>
+      </div>
+      <ul class="badge-grid">${badges}</ul>
+    `;
+  }
+
+  renderLeaderboard() {
+    const panel = this.section && this.section.querySelector('.leaderboard-panel');
+    if (!panel) return;
+
+    const { metric, sinceDays } = this.leaderboardView;
+    const metricButtons = ACHIEVEMENT_SETTINGS.leaderboardMetrics.map(candidate => `
+      <button type="button" class="litter-range" data-leaderboard="metric" data-value="${candidate}" aria-pressed="${candidate === metric}">
+        ${t(`leaderboard.${candidate}`)}
+      </button>
+    `).join('');
+    const rangeButtons = ACHIEVEMENT_SETTINGS.leaderboardRanges.map(days => `
+      <button type="button" class="litter-range" data-leaderboard="sinceDays" data-value="${days === null ? 'all' : days}" aria-pressed="${days === sinceDays}">
+        ${days === null ? t('stats.allTime') : t('history.days', { count: days })}
+      </button>
+    `).join('');
+
+    const rows = this.leaderboard.map((row, index) => {
+      const mine = this.mySquadIds.has(row.squad.id);
+      return `
+        <li class="leaderboard-row ${mine ? 'mine' : ''}">
+          <span class="leaderboard-rank">${index + 1}</span>
+          <span class="leaderboard-name">${escapeHTML(row.squad.name)}${mine ? ` <span class="squad-you">${t('leaderboard.yours')}</span>` : ''}</span>
+          <span class="leaderboard-value">${metric === 'weightKg'
+            ? t('litter.kg', { weight: row.weightKg.toLocaleString(i18n.locale) })
+            : t('leaderboard.cleanupCount', { count: row.cleanups.toLocaleString(i18n.locale) })}</span>
+        </li>
+      `;
+    }).join('');
+
+    panel.innerHTML = `
+      <h3>${t('leaderboard.title')}</h3>
+      <div class="weather-history-controls" role="group" aria-label="${t('leaderboard.rankBy')}">${metricButtons}</div>
+      <div class="weather-history-controls" role="group" aria-label="${t('stats.period')}">${rangeButtons}</div>
+      ${rows ? `<ol class="leaderboard">${rows}</ol>` : `<p class="litter-empty">${t('leaderboard.empty')}</p>`}
+    `;
+  }
+}
+
+// ============================================
+// Hotspot Map
+// ============================================
+
+/**
+ * Map backgrounds. 'outline' is drawn from SINGAPORE_OUTLINE and needs no
+ * network; raster sources use standard {z}/{x}/{y} tile URLs.
+ */
+const MAP_TILE_SOURCES = {
+  outline: { type: 'outline' },
+  osm: {
+    type: 'raster',
+    url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '© OpenStreetMap contributors'
+  },
+  onemap: {
+    type: 'raster',
+    url: 'https://www.onemap.gov.sg/maps/tiles/Default/{z}/{x}/{y}.png',
+    attribution: 'OneMap © Singapore Land Authority'
+  }
+};
+
+const MAP_SETTINGS = {
+  bounds: { north: 1.475, south: 1.195, west: 103.6, east: 104.05 },
+  zoom: 11, // Web Mercator zoom level; the bounds come out at about 655×410 map pixels
+  tileSize: 256,
+  litterRadius: { low: 10, medium: 15, high: 21 }
+};
+
+/**
+ * Simplified coastline as [latitude, longitude] rings: the main island,
+ * Sentosa, Pulau Ubin and Jurong Island
+ */
+const SINGAPORE_OUTLINE = [
+  [
+    [1.305, 103.635], [1.330, 103.640], [1.350, 103.655], [1.370, 103.675], [1.410, 103.690],
+    [1.440, 103.710], [1.450, 103.735], [1.445, 103.760], [1.450, 103.785], [1.460, 103.800],
+    [1.465, 103.820], [1.455, 103.840], [1.430, 103.860], [1.420, 103.880], [1.415, 103.905],
+    [1.400, 103.925], [1.385, 103.950], [1.385, 103.970], [1.395, 103.985], [1.385, 104.000],
+    [1.360, 104.010], [1.330, 104.000], [1.320, 103.985], [1.310, 103.960], [1.300, 103.930],
+    [1.295, 103.900], [1.285, 103.875], [1.270, 103.860], [1.262, 103.845], [1.265, 103.820],
+    [1.270, 103.800], [1.280, 103.775], [1.290, 103.755], [1.300, 103.730], [1.290, 103.700],
+    [1.275, 103.660], [1.290, 103.640]
+  ],
+  [[1.262, 103.805], [1.258, 103.830], [1.250, 103.842], [1.245, 103.830], [1.242, 103.810], [1.250, 103.800]],
+  [[1.420, 103.940], [1.425, 103.975], [1.410, 103.990], [1.400, 103.960], [1.405, 103.940]],
+  [[1.280, 103.670], [1.275, 103.715], [1.255, 103.710], [1.250, 103.680]]
+];
+
+/**
+ * Every beach and upcoming cleanup as an SVG marker, coloured by cleanup
+ * suitability with a halo sized by litter severity. Selecting a marker
+ * switches the weather widget to that beach and highlights its cleanup.
+ */
+class HotspotMap {
+  constructor(weatherService, options = {}) {
+    this.weatherService = weatherService;
+    this.options = {
+      tiles: 'outline',
+      beaches: BEACHES,
+      getLitterSeverity: beach => beach.litter,
+      onSelect: () => {},
+      ...options
+    };
+    this.tiles = typeof this.options.tiles === 'string'
+      ? MAP_TILE_SOURCES[this.options.tiles] || MAP_TILE_SOURCES.outline
+      : this.options.tiles;
+    this.events = [];
+    this.beachRatings = new Map(); // beach id -> rules-engine result
+    this.forecast = [];
+    this.selected = { beachId: weatherService.beach.id, eventId: null };
+
+    const { north, west, south, east } = MAP_SETTINGS.bounds;
+    this.origin = this.projectAbsolute(north, west);
+    const corner = this.projectAbsolute(south, east);
+    this.width = Math.round(corner.x - this.origin.x);
+    this.height = Math.round(corner.y - this.origin.y);
+
+    this.init();
+  }
+
+  init() {
+    this.container = document.querySelector('#next-cleanup .map-container');
+    if (!this.container) return;
+
+    this.container.innerHTML = this.renderBase();
+    this.markerLayer = this.container.querySelector('.hotspot-markers');
+
+    this.container.addEventListener('click', (e) => this.handleSelect(e));
+    this.container.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') this.handleSelect(e);
+    });
+
+    this.weatherService.subscribe(snapshot => this.update(snapshot));
+    i18n.onChange(() => this.render());
+    this.render();
+  }
+
+  projectAbsolute(latitude, longitude) {
+    const scale = MAP_SETTINGS.tileSize * 2 ** MAP_SETTINGS.zoom;
+    const sin = Math.sin(latitude * Math.PI / 180);
+
+    return {
+      x: (longitude + 180) / 360 * scale,
+      y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+    };
+  }
+
+  /**
+   * Map pixel position of a point, relative to the top-left of the bounds
+   */
+  project(latitude, longitude) {
+    const point = this.projectAbsolute(latitude, longitude);
+    return {
+      x: Math.round((point.x - this.origin.x) * 10) / 10,
+      y: Math.round((point.y - this.origin.y) * 10) / 10
+    };
+  }
+
+  renderTiles() {
+    if (this.tiles.type !== 'raster') return '';
+
+    const size = MAP_SETTINGS.tileSize;
+    const images = [];
+    for (let x = Math.floor(this.origin.x / size); x * size < this.origin.x + this.width; x++) {
+      for (let y = Math.floor(this.origin.y / size); y * size < this.origin.y + this.height; y++) {
+        const href = this.tiles.url
+          .replace('{z}', MAP_SETTINGS.zoom)
+          .replace('{x}', x)
+          .replace('{y}', y);
+        const left = Math.round(x * size - this.origin.x);
+        const top = Math.round(y * size - this.origin.y);
+        images.push(`<image href="${escapeHTML(href)}" x="${left}" y="${top}" width="${size}" height="${size}"/>`);
+      }
+    }
+    return `<g class="hotspot-tiles">${images.join('')}</g>`;
+  }
+
+  renderOutline() {
+    const paths = SINGAPORE_OUTLINE.map(ring => {
+      const points = ring.map(([latitude, longitude]) => {
+        const { x, y } = this.project(latitude, longitude);
+        return `${x},${y}`;
+      });
+      return `<path d="M${points.join('L')}Z"/>`;
+    });
+    return `<g class="hotspot-outline">${paths.join('')}</g>`;
+  }
+
+  renderBase() {
+    const attribution = this.tiles.attribution
+      ? `<p class="hotspot-attribution">${escapeHTML(this.tiles.attribution)}</p>`
+      : '';
+
+    // The outline stays underneath raster tiles so the map still reads while they load
+    return `
+      <div class="hotspot-map">
+        <svg class="hotspot-svg" viewBox="0 0 ${this.width} ${this.height}" role="group">
+          <rect class="hotspot-sea" width="${this.width}" height="${this.height}"/>
+          ${this.renderOutline()}
+          ${this.renderTiles()}
+          <g class="hotspot-markers"></g>
+        </svg>
+        ${attribution}
+      </div>
+      <div class="map-legend"></div>
+    `;
+  }
+
+  setEvents(events) {
+    this.events = events;
+    if (this.selected.eventId && !events.some(event => event.id === this.selected.eventId)) {
+      this.selected.eventId = null;
+    }
+    this.render();
+  }
+
+  /**
+   * Re-score every beach from the data the weather widget just loaded
+   */
+  async update(snapshot) {
+    this.forecast = snapshot.forecast || [];
+    if (snapshot.beach.id !== this.selected.beachId) {
+      // Picked from the beach dropdown rather than the map
+      this.selected = { beachId: snapshot.beach.id, eventId: null };
+    }
+
+    await Promise.all(this.options.beaches.map(async (beach) => {
+      try {
+        this.beachRatings.set(beach.id, await this.weatherService.getBeachSuitability(beach));
+      } catch (error) {
+        this.beachRatings.delete(beach.id);
+      }
+    }));
+    this.render();
+  }
+
+  getBeachRating(beach) {
+    const result = this.beachRatings.get(beach.id);
+    return result ? result.rating : null;
+  }
+
+  /**
+   * Forecast rating for the event day; null beyond the 4-day forecast
+   */
+  getEventRating(event) {
+    const day = this.forecast.find(candidate => candidate.date === event.dateKey);
+    return day ? day.cleanupSuitability : null;
+  }
+
+  describeRating(rating) {
+    return rating ? this.weatherService.translateRating(rating) : t('map.ratingUnknown');
+  }
+
+  describeBeach(beach) {
+    return t('map.beachLabel', {
+      name: beach.name,
+      rating: this.describeRating(this.getBeachRating(beach)),
+      litter: t(`map.litter.${this.options.getLitterSeverity(beach) || 'low'}`)
+    });
+  }
+
+  describeEvent(event) {
+    return t('map.eventLabel', {
+      title: event.title,
+      date: i18n.formatDate(event.start, { weekday: 'short', day: 'numeric', month: 'short' }),
+      rating: this.describeRating(this.getEventRating(event))
+    });
+  }
+
+  renderBeachMarker(beach) {
+    const { x, y } = this.project(beach.latitude, beach.longitude);
+    const rating = this.getBeachRating(beach);
+    const litter = this.options.getLitterSeverity(beach) || 'low';
+    const selected = beach.id === this.selected.beachId && !this.selected.eventId;
+    const label = escapeHTML(this.describeBeach(beach));
+
+    return `
+      <g class="hotspot-marker beach ${rating ? rating.toLowerCase() : 'unknown'} litter-${litter}${selected ? ' selected' : ''}"
+        data-beach-id="${escapeHTML(beach.id)}" transform="translate(${x} ${y})"
+        tabindex="0" role="button" aria-pressed="${selected}" aria-label="${label}">
+        <title>${label}</title>
+        <circle class="hotspot-halo" r="${MAP_SETTINGS.litterRadius[litter] || MAP_SETTINGS.litterRadius.low}"/>
+        <circle class="hotspot-dot" r="7"/>
+      </g>
+    `;
+  }
+
+  renderEventMarker(event, index) {
+    // Sit beside the beach marker, fanning out when a beach has several cleanups
+    const point = this.project(event.location.latitude, event.location.longitude);
+    const x = Math.round(point.x + 14 + index * 12);
+    const y = Math.round(point.y - 14);
+    const rating = this.getEventRating(event);
+    const selected = event.id === this.selected.eventId;
+    const label = escapeHTML(this.describeEvent(event));
+
+    return `
+      <g class="hotspot-marker event ${rating ? rating.toLowerCase() : 'unknown'}${selected ? ' selected' : ''}"
+        data-event-id="${escapeHTML(event.id)}" transform="translate(${x} ${y})"
+        tabindex="0" role="button" aria-pressed="${selected}" aria-label="${label}">
+        <title>${label}</title>
+        <rect class="hotspot-dot" x="-6" y="-6" width="12" height="12" transform="rotate(45)"/>
+      </g>
+    `;
+  }
+
+  renderLegend() {
+    const { config } = this.weatherService.rulesEngine;
+    const ratings = (config ? config.ratings : []).map(rating => `
+      <li><span class="legend-swatch ${rating.label.toLowerCase()}"></span><span class="legend-label">${this.weatherService.translateRating(rating.label)}</span></li>
+    `).join('');
+    const litter = LITTER_LEVELS.map(level => `
+      <li><span class="legend-halo litter-${level}"></span><span class="legend-label">${t(`map.litter.${level}`)}</span></li>
+    `).join('');
+
+    return `
+      <div><h4>${t('map.legendConditions')}</h4><ul>${ratings}</ul></div>
+      <div><h4>${t('map.legendLitter')}</h4><ul>${litter}</ul></div>
+      <div><ul><li><span class="legend-event"></span><span class="legend-label">${t('map.legendEvent')}</span></li></ul></div>
+    `;
+  }
+
+  renderCaption() {
+    const caption = document.querySelector('#next-cleanup .map-caption');
+    if (!caption) return;
+
+    const event = this.events.find(candidate => candidate.id === this.selected.eventId);
+    const beach = getBeach(this.selected.beachId);
+    caption.hidden = !event && !beach;
+    caption.querySelector('span').textContent = event
+      ? this.describeEvent(event)
+      : beach ? this.describeBeach(beach) : '';
+  }
+
+  render() {
+    if (!this.markerLayer) return;
+
+    // Markers are redrawn in place, so put focus back where it was
+    const focused = document.activeElement && document.activeElement.closest
+      ? document.activeElement.closest('.hotspot-marker')
+      : null;
+    const focusKey = focused && (focused.dataset.beachId || focused.dataset.eventId);
+
+    const offsets = new Map();
+    const eventMarkers = this.events.map(event => {
+      const key = event.beachId || event.id;
+      const index = offsets.get(key) || 0;
+      offsets.set(key, index + 1);
+      return this.renderEventMarker(event, index);
+    });
+
+    this.markerLayer.innerHTML = this.options.beaches.map(beach => this.renderBeachMarker(beach)).join('') +
+      eventMarkers.join('');
+    this.container.querySelector('.hotspot-svg').setAttribute('aria-label', t('map.title'));
+    this.container.querySelector('.map-legend').innerHTML = this.renderLegend();
+    this.renderCaption();
+
+    if (focusKey) {
+      const marker = Array.from(this.markerLayer.querySelectorAll('.hotspot-marker'))
+        .find(candidate => (candidate.dataset.beachId || candidate.dataset.eventId) === focusKey);
+      if (marker) marker.focus();
+    }
+  }
+
+  handleSelect(e) {
+    const marker = e.target.closest('.hotspot-marker');
+    if (!marker) return;
+    e.preventDefault();
+
+    if (marker.dataset.eventId) {
+      this.selectEvent(marker.dataset.eventId);
+    } else {
+      this.selectBeach(marker.dataset.beachId);
+    }
+  }
+
+  selectBeach(beachId) {
+    const beach = getBeach(beachId);
+    if (!beach) return;
+
+    this.selected = { beachId, eventId: null };
+    this.weatherService.setBeach(beachId);
+    this.render();
+
+    const event = this.events.find(candidate => candidate.beachId === beachId) || null;
+    this.options.onSelect({ beach, event });
+  }
+
+  selectEvent(eventId) {
+    const event = this.events.find(candidate => candidate.id === eventId);
+    if (!event) return;
+
+    this.selected = { beachId: event.beachId || this.selected.beachId, eventId };
+    if (event.beachId) this.weatherService.setBeach(event.beachId);
+    this.render();
+
+    this.options.onSelect({ beach: getBeach(event.beachId), event });
+  }
+}
+
+// ============================================
+// Directions & Travel Estimates
+// ============================================
+
+/**
+ * MRT stations near the cleanup beaches, for volunteers without a car
+ */
+const MRT_STATIONS = [
+  { name: 'Pasir Ris', codes: 'EW1', latitude: 1.373234, longitude: 103.949343 },
+  { name: 'Tampines', codes: 'EW2/DT32', latitude: 1.354467, longitude: 103.943325 },
+  { name: 'Tampines East', codes: 'DT33', latitude: 1.356303, longitude: 103.955314 },
+  { name: 'Simei', codes: 'EW3', latitude: 1.343237, longitude: 103.953343 },
+  { name: 'Upper Changi', codes: 'DT34', latitude: 1.341735, longitude: 103.961321 },
+  { name: 'Expo', codes: 'CG1/DT35', latitude: 1.334883, longitude: 103.961563 },
+  { name: 'Changi Airport', codes: 'CG2', latitude: 1.357372, longitude: 103.988360 },
+  { name: 'Tanah Merah', codes: 'EW4', latitude: 1.327236, longitude: 103.946526 },
+  { name: 'Bedok', codes: 'EW5', latitude: 1.324043, longitude: 103.930205 },
+  { name: 'Kembangan', codes: 'EW6', latitude: 1.320998, longitude: 103.912950 },
+  { name: 'Tanjong Katong', codes: 'TE25', latitude: 1.299500, longitude: 103.897000 },
+  { name: 'Marine Parade', codes: 'TE26', latitude: 1.302800, longitude: 103.905300 },
+  { name: 'Marine Terrace', codes: 'TE27', latitude: 1.306600, longitude: 103.915300 },
+  { name: 'Siglap', codes: 'TE28', latitude: 1.309600, longitude: 103.930000 },
+  { name: 'Bayshore', codes: 'TE29', latitude: 1.313300, longitude: 103.942000 },
+  { name: 'HarbourFront', codes: 'NE1/CC29', latitude: 1.265453, longitude: 103.820514 },
+  { name: 'Labrador Park', codes: 'CC27', latitude: 1.272234, longitude: 103.802581 },
+  { name: 'Pasir Panjang', codes: 'CC26', latitude: 1.276111, longitude: 103.791893 },
+  { name: 'Haw Par Villa', codes: 'CC25', latitude: 1.282500, longitude: 103.781800 },
+  { name: 'Kent Ridge', codes: 'CC24', latitude: 1.293500, longitude: 103.784500 },
+  { name: 'Dover', codes: 'EW22', latitude: 1.311414, longitude: 103.778596 },
+  { name: 'Clementi', codes: 'EW23', latitude: 1.315100, longitude: 103.765200 }
+];
+
+/**
+ * Approximate centre of each postal district, keyed by the first two digits
+ * of a postal code. Used when the address lookup is unreachable.
+ */
+const POSTAL_DISTRICTS = [
+  { sectors: ['01', '02', '03', '04', '05', '06'], latitude: 1.2830, longitude: 103.8510 },
+  { sectors: ['07', '08'], latitude: 1.2760, longitude: 103.8450 },
+  { sectors: ['14', '15', '16'], latitude: 1.2900, longitude: 103.8060 },
+  { sectors: ['09', '10'], latitude: 1.2650, longitude: 103.8200 },
+  { sectors: ['11', '12', '13'], latitude: 1.3000, longitude: 103.7800 },
+  { sectors: ['17'], latitude: 1.2930, longitude: 103.8520 },
+  { sectors: ['18', '19'], latitude: 1.3010, longitude: 103.8580 },
+  { sectors: ['20', '21'], latitude: 1.3100, longitude: 103.8530 },
+  { sectors: ['22', '23'], latitude: 1.3030, longitude: 103.8320 },
+  { sectors: ['24', '25', '26', '27'], latitude: 1.3180, longitude: 103.8070 },
+  { sectors: ['28', '29', '30'], latitude: 1.3240, longitude: 103.8400 },
+  { sectors: ['31', '32', '33'], latitude: 1.3290, longitude: 103.8530 },
+  { sectors: ['34', '35', '36', '37'], latitude: 1.3370, longitude: 103.8760 },
+  { sectors: ['38', '39', '40', '41'], latitude: 1.3180, longitude: 103.8900 },
+  { sectors: ['42', '43', '44', '45'], latitude: 1.3050, longitude: 103.9050 },
+  { sectors: ['46', '47', '48'], latitude: 1.3240, longitude: 103.9300 },
+  { sectors: ['49', '50', '81'], latitude: 1.3640, longitude: 103.9870 },
+  { sectors: ['51', '52'], latitude: 1.3620, longitude: 103.9500 },
+  { sectors: ['53', '54', '55', '82'], latitude: 1.3680, longitude: 103.8930 },
+  { sectors: ['56', '57'], latitude: 1.3620, longitude: 103.8460 },
+  { sectors: ['58', '59'], latitude: 1.3400, longitude: 103.7770 },
+  { sectors: ['60', '61', '62', '63', '64'], latitude: 1.3400, longitude: 103.7150 },
+  { sectors: ['65', '66', '67', '68'], latitude: 1.3720, longitude: 103.7640 },
+  { sectors: ['69', '70', '71'], latitude: 1.4090, longitude: 103.7080 },
+  { sectors: ['72', '73'], latitude: 1.4350, longitude: 103.7580 },
+  { sectors: ['77', '78'], latitude: 1.3960, longitude: 103.8190 },
+  { sectors: ['75', '76'], latitude: 1.4360, longitude: 103.8320 },
+  { sectors: ['79', '80'], latitude: 1.4000, longitude: 103.8700 }
+];
+
+const TRAVEL_SETTINGS = {
+  routeFactor: 1.3,     // Roads and paths are rarely straight lines
+  drivingKmh: 35,
+  parkingMinutes: 5,
+  transitKmh: 20,
+  transitWaitMinutes: 10,
+  walkingKmh: 5,
+  maxDistanceKm: 60     // Further than this and we're not in Singapore
+};
+
+/**
+ * Turns a postal code into coordinates: OneMap's address search first,
+ * then the postal district centre as an approximate fallback.
+ */
+class PostalCodeLocator {
+  constructor(searchUrl = 'https://www.onemap.gov.sg/api/common/elastic/search') {
+    this.searchUrl = searchUrl;
+  }
+
+  isValid(postalCode) {
+    return /^\d{6}$/.test(postalCode) && this.findDistrict(postalCode) !== null;
+  }
+
+  findDistrict(postalCode) {
+    const sector = postalCode.slice(0, 2);
+    return POSTAL_DISTRICTS.find(district => district.sectors.includes(sector)) || null;
+  }
+
+  async locate(postalCode) {
+    try {
+      const query = new URLSearchParams({ searchVal: postalCode, returnGeom: 'Y', getAddrDetails: 'Y', pageNum: '1' });
+      const response = await fetch(`${this.searchUrl}?${query}`);
+      if (!response.ok) throw new Error(`Address search unavailable (${response.status})`);
+
+      const data = await response.json();
+      const match = (data.results || []).find(result => result.POSTAL === postalCode);
+      if (match) {
+        return {
+          latitude: parseFloat(match.LATITUDE),
+          longitude: parseFloat(match.LONGITUDE),
+          postalCode,
+          approximate: false
+        };
+      }
+    } catch (error) {
+      console.warn('Postal code lookup failed, using the district centre:', error);
+    }
+
+    const district = this.findDistrict(postalCode);
+    if (!district) throw new Error(`Unknown postal code ${postalCode}`);
+    return { latitude: district.latitude, longitude: district.longitude, postalCode, approximate: true };
+  }
+}
+
+/**
+ * Rough distance and travel times, the nearest MRT station, and deep links
+ * into the platform's map apps
+ */
+class TravelEstimator {
+  constructor(options = {}) {
+    this.options = { ...TRAVEL_SETTINGS, stations: MRT_STATIONS, ...options };
+  }
+
+  estimate(origin, destination) {
+    const straightKm = haversineDistance(origin, destination);
+    const routeKm = straightKm * this.options.routeFactor;
+
+    return {
+      distanceKm: straightKm,
+      outOfRange: straightKm > this.options.maxDistanceKm,
+      drivingMinutes: Math.round(routeKm / this.options.drivingKmh * 60 + this.options.parkingMinutes),
+      transitMinutes: Math.round(routeKm / this.options.transitKmh * 60 + this.options.transitWaitMinutes)
+    };
+  }
+
+  findNearestStation(point) {
+    const station = findNearest(this.options.stations, point, candidate => candidate);
+    if (!station) return null;
+
+    const distanceKm = haversineDistance(station, point);
+    return {
+      station,
+      distanceKm,
+      walkingMinutes: Math.round(distanceKm * this.options.routeFactor / this.options.walkingKmh * 60)
+    };
+  }
+
+  getPlatform() {
+    if (typeof navigator === 'undefined') return 'other';
+
+    const userAgent = navigator.userAgent || '';
+    // iPadOS reports itself as a Mac, so check for touch as well
+    if (/iPad|iPhone|iPod/.test(userAgent) || (/Macintosh/.test(userAgent) && navigator.maxTouchPoints > 1)) {
+      return 'ios';
+    }
+    if (/Android/.test(userAgent)) return 'android';
+    return 'other';
+  }
+
+  /**
+   * Map app links, the platform's own app first. origin may be null to let
+   * the app use the device's location.
+   */
+  buildLinks(origin, destination, label, platform = this.getPlatform()) {
+    const to = `${destination.latitude},${destination.longitude}`;
+    const from = origin ? `${origin.latitude},${origin.longitude}` : '';
+
+    const google = mode => {
+      const params = new URLSearchParams({ api: '1', destination: to, travelmode: mode });
+      if (from) params.set('origin', from);
+      return `https://www.google.com/maps/dir/?${params}`;
+    };
+    const apple = flag => {
+      const params = new URLSearchParams({ daddr: to, dirflg: flag });
+      if (from) params.set('saddr', from);
+      return `https://maps.apple.com/?${params}`;
+    };
+
+    const links = [
+      { id: 'google', href: google('driving'), label: t('directions.openGoogle') },
+      { id: 'apple', href: apple('d'), label: t('directions.openApple') },
+      { id: 'transit', href: platform === 'ios' ? apple('r') : google('transit'), label: t('directions.openTransit') }
+    ];
+
+    if (platform === 'android') {
+      links.unshift({ id: 'geo', href: `geo:${to}?q=${to}(${encodeURIComponent(label)})`, label: t('directions.openMapsApp') });
+    } else if (platform === 'ios') {
+      links.unshift(links.splice(1, 1)[0]);
+    }
+    return links;
+  }
+}
+
+/**
+ * "Get Directions" panel on each cleanup card: asks for the volunteer's
+ * location (or a postal code), then shows distance, travel times, the
+ * nearest MRT and map app links
+ */
+class DirectionsPanel {
+  constructor(options = {}) {
+    this.options = {
+      container: null,
+      estimator: new TravelEstimator(),
+      locator: new PostalCodeLocator(),
+      announce: () => {},
+      ...options
+    };
+    this.estimator = this.options.estimator;
+    this.locator = this.options.locator;
+    this.events = new Map();
+    this.storageKey = 'shoresquad:directions:postal';
+
+    this.init();
+  }
+
+  init() {
+    const { container } = this.options;
+    if (!container) return;
+
+    container.addEventListener('submit', (e) => {
+      const form = e.target.closest('.directions-postal-form');
+      if (!form) return;
+      e.preventDefault();
+      this.submitPostalCode(this.events.get(form.dataset.eventId), form);
+    });
+
+    container.addEventListener('click', (e) => {
+      const changeButton = e.target.closest('.directions-use-postal');
+      if (changeButton) {
+        this.showPostalForm(this.events.get(changeButton.dataset.eventId));
+      }
+    });
+  }
+
+  findPanel(eventId) {
+    const { container } = this.options;
+    if (!container) return null;
+
+    const card = Array.from(container.querySelectorAll('.cleanup-card'))
+      .find(candidate => candidate.dataset.eventId === eventId);
+    return card ? card.querySelector('.cleanup-directions') : null;
+  }
+
+  setExpanded(eventId, expanded) {
+    const panel = this.findPanel(eventId);
+    const button = panel && panel.closest('.cleanup-card').querySelector('.get-directions-btn');
+    if (button) button.setAttribute('aria-expanded', String(expanded));
+  }
+
+  async toggle(event) {
+    const panel = this.findPanel(event.id);
+    if (!panel) return;
+
+    this.events.set(event.id, event);
+    if (panel.innerHTML.trim()) {
+      panel.innerHTML = '';
+      this.setExpanded(event.id, false);
+      return;
+    }
+
+    this.setExpanded(event.id, true);
+    await this.locate(event);
+  }
+
+  async locate(event) {
+    const panel = this.findPanel(event.id);
+    panel.innerHTML = `<p class="directions-status"><i class="fas fa-spinner fa-spin" aria-hidden="true"></i> ${t('directions.locating')}</p>`;
+
+    try {
+      if (await this.isPermissionDenied()) throw Object.assign(new Error('Geolocation denied'), { code: 1 });
+
+      const origin = await this.getCurrentPosition();
+      this.showResult(event, { ...origin, label: t('directions.fromHere') });
+    } catch (error) {
+      console.warn('Geolocation unavailable:', error);
+      this.showPostalForm(event, error.code === 1 ? t('directions.denied') : t('directions.unavailable'));
+    }
+  }
+
+  /**
+   * Skip the prompt when the volunteer has already said no
+   */
+  async isPermissionDenied() {
+    if (typeof navigator === 'undefined' || !navigator.permissions) return false;
+
+    try {
+      const status = await navigator.permissions.query({ name: 'geolocation' });
+      return status.state === 'denied';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getCurrentPosition() {
+    return new Promise((resolve, reject) => {
+      if (typeof navigator === 'undefined' || !navigator.geolocation) {
+        reject(new Error('Geolocation is not supported'));
+        return;
+      }
+
+      navigator.geolocation.getCurrentPosition(
+        position => resolve({ latitude: position.coords.latitude, longitude: position.coords.longitude }),
+        reject,
+        { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 }
+      );
+    });
+  }
+
+  showPostalForm(event, message = '') {
+    const panel = this.findPanel(event.id);
+    if (!panel) return;
+
+    const id = escapeHTML(event.id);
+    const savedPostalCode = readStorage(this.storageKey, '');
+    panel.innerHTML = `
+      <form class="directions-postal-form" data-event-id="${id}" novalidate>
+        ${message ? `<p class="directions-status">${message}</p>` : ''}
+        <div class="rsvp-field">
+          <label for="directions-postal-${id}">${t('directions.postalLabel')}</label>
+          <input type="text" id="directions-postal-${id}" name="postalCode" inputmode="numeric"
+            autocomplete="postal-code" maxlength="6" pattern="[0-9]{6}" required
+            aria-describedby="directions-error-${id}" value="${escapeHTML(savedPostalCode)}">
+        </div>
+        <p class="rsvp-error" id="directions-error-${id}" role="alert"></p>
+        <button type="submit" class="btn btn-primary">
+          <i class="fas fa-route" aria-hidden="true"></i>
+          ${t('directions.postalSubmit')}
+        </button>
+      </form>
+    `;
+    panel.querySelector('input').focus();
+  }
+
+  async submitPostalCode(event, form) {
+    if (!event) return;
+
+    const input = form.elements.postalCode;
+    const errorText = form.querySelector('.rsvp-error');
+    const postalCode = input.value.replace(/\s/g, '');
+
+    if (!this.locator.isValid(postalCode)) {
+      errorText.textContent = t('directions.postalInvalid');
+      input.setAttribute('aria-invalid', 'true');
+      input.focus();
+      return;
+    }
+
+    input.removeAttribute('aria-invalid');
+    errorText.textContent = '';
+    form.querySelector('button[type="submit"]').disabled = true;
+
+    try {
+      const origin = await this.locator.locate(postalCode);
+      writeStorage(this.storageKey, postalCode);
+      this.showResult(event, {
+        ...origin,
+        label: t(origin.approximate ? 'directions.fromPostalApprox' : 'directions.fromPostal', { postalCode })
+      });
+    } catch (error) {
+      console.error('Error locating postal code:', error);
+      errorText.textContent = t('directions.postalInvalid');
+      form.querySelector('button[type="submit"]').disabled = false;
+    }
+  }
+
+  formatKm(km) {
+    return t('directions.km', { distance: km.toLocaleString(i18n.locale, { maximumFractionDigits: 1 }) });
+  }
+
+  showResult(event, origin) {
+    const panel = this.findPanel(event.id);
+    if (!panel) return;
+
+    const destination = event.location;
+    const estimate = this.estimator.estimate(origin, destination);
+    const nearest = this.estimator.findNearestStation(destination);
+    const links = this.estimator.buildLinks(estimate.outOfRange ? null : origin, destination, destination.name);
+
+    const summary = estimate.outOfRange
+      ? t('directions.outOfRange')
+      : t('directions.estimate', {
+        distance: this.formatKm(estimate.distanceKm),
+        driving: estimate.drivingMinutes,
+        transit: estimate.transitMinutes
+      });
+
+    panel.innerHTML = `
+      <div class="directions-result">
+        <p class="directions-origin">${origin.label}</p>
+        <p class="directions-estimate">${summary}</p>
+        ${nearest ? `
+          <p class="directions-mrt">
+            <i class="fas fa-subway" aria-hidden="true"></i>
+            ${t('directions.nearestMrt', {
+              station: nearest.station.name,
+              codes: nearest.station.codes,
+              distance: this.formatKm(nearest.distanceKm),
+              walk: nearest.walkingMinutes
+            })}
+          </p>
+        ` : ''}
+        <div class="directions-links">
+          ${links.map((link, index) => `
+            <a class="btn ${index === 0 ? 'btn-primary' : 'btn-secondary'}" href="${escapeHTML(link.href)}"
+              target="_blank" rel="noopener">${link.label}</a>
+          `).join('')}
+        </div>
+        <button type="button" class="directions-use-postal" data-event-id="${escapeHTML(event.id)}">
+          ${t('directions.usePostal')}
+        </button>
+      </div>
+    `;
+    this.options.announce(`${origin.label}. ${summary}`);
+  }
+}
+
+// ============================================
+// Offline Support
+// ============================================
+
+const OFFLINE_SETTINGS = {
+  serviceWorkerUrl: 'sw.js',
+  outboxHeader: 'X-Outbox' // Marks POSTs sw.js may queue; the value says what kind
+};
+
+/**
+ * Registers sw.js and keeps the page in step with its outbox: shows a
+ * status pill while offline or while queued signups/RSVPs wait to send,
+ * asks the worker to replay when the connection returns (for browsers
+ * without Background Sync), and passes each replay result to onResult as
+ * { entry: { id, kind }, sent, status, body }.
+ */
+class OfflineSupport {
+  constructor(options = {}) {
+    this.options = {
+      onResult: () => {},
+      announce: () => {},
+      ...options
+    };
+    this.pending = [];
+    this.statusElement = document.querySelector('.connection-status');
+
+    this.init();
+  }
+
+  init() {
+    window.addEventListener('online', () => {
+      this.render();
+      this.replay();
+    });
+    window.addEventListener('offline', () => {
+      this.render();
+      this.options.announce(t('offline.offline'));
+    });
+    i18n.onChange(() => this.render());
+    this.render();
+
+    if (!this.isSupported()) return;
 
-    handleReducedMotion();
-    prefersReducedMotion.addListener(handleReducedMotion);
+    navigator.serviceWorker.addEventListener('message', (e) => this.handleMessage(e.data || {}));
+    navigator.serviceWorker.register(OFFLINE_SETTINGS.serviceWorkerUrl)
+      .catch(error => console.warn('Offline support unavailable:', error));
+    navigator.serviceWorker.ready.then(() => {
+      this.post({ type: 'get-outbox' });
+      if (navigator.onLine) this.replay();
+    });
   }
 
-  announceToScreenReader(message) {
-    const liveRegion = document.getElementById('live-region');
-    if (liveRegion) {
-      liveRegion.textContent = message;
-      setTimeout(() => {
-        liveRegion.textContent = '';
-      }, 1000);
+  /**
+   * Service workers need http(s); opening index.html from disk still works, just not offline
+   */
+  isSupported() {
+    return 'serviceWorker' in navigator && /^https?:$/.test(window.location.protocol);
+  }
+
+  post(message) {
+    navigator.serviceWorker.ready.then(registration => {
+      if (registration.active) registration.active.postMessage(message);
+    });
+  }
+
+  replay() {
+    if (this.isSupported()) this.post({ type: 'replay-outbox' });
+  }
+
+  handleMessage(message) {
+    if (message.type === 'outbox') {
+      this.pending = message.entries || [];
+      this.render();
+    } else if (message.type === 'outbox-sent' || message.type === 'outbox-failed') {
+      this.options.onResult({
+        entry: message.entry,
+        sent: message.type === 'outbox-sent',
+        status: message.status,
+        body: message.body || {}
+      });
+    }
+  }
+
+  render() {
+    if (!this.statusElement) return;
+
+    const count = this.pending.length;
+    let text = '';
+    if (!navigator.onLine) {
+      text = count > 0 ? t('offline.pending', { count }) : t('offline.offline');
+    } else if (count > 0) {
+      text = t('offline.sending', { count });
     }
+
+    this.statusElement.hidden = !text;
+    this.statusElement.classList.toggle('offline', !navigator.onLine);
+    this.statusElement.innerHTML = text
+      ? `<i class="fas ${navigator.onLine ? 'fa-cloud-upload-alt' : 'fa-wifi'}" aria-hidden="true"></i> ${escapeHTML(text)}`
+      : '';
   }
 }
 
 // ============================================
-// Singapore Weather Service (NEA Data.gov.sg API)
+// Cleanup Reminders
 // ============================================
 
-class SingaporeWeatherService {
-  constructor() {
-    this.apiBase = 'https://api.data.gov.sg/v1';
+const REMINDER_SETTINGS = {
+  offsets: { 'day-before': 24 * HOUR_MS, 'two-hours': 2 * HOUR_MS },
+  checkEveryMs: 5 * 60 * 1000,
+  nowcastWithinMs: 3 * HOUR_MS, // Closer to the start than this, the 2-hour nowcast beats the daily forecast
+  forecastFreshMs: HOUR_MS,     // After this, sw.js shows a reminder without its saved forecast
+  worseningRating: 'Poor',
+  syncTag: 'shoresquad-reminders' // Periodic Background Sync tag, matching sw.js
+};
+
+const REMINDER_DEFAULTS = {
+  enabled: false,
+  dayBefore: true,
+  twoHours: true,
+  worsening: true,
+  quietStart: '22:00', // Singapore time; the same start and end turns quiet hours off
+  quietEnd: '07:00'
+};
+
+/**
+ * Opt-in notifications for cleanups you have a confirmed place at (not
+ * the waitlist): 24 hours and 2 hours before the start, each with the
+ * latest forecast and cleanup rating, plus a heads-up when a joined
+ * cleanup's forecast drops to Poor. Anything due during quiet hours waits
+ * until they end.
+ *
+ * The page works out the schedule every few minutes and whenever the
+ * weather refreshes, then hands it to sw.js, which shows each reminder once
+ * it's due. The forecast is only fetched here, so reminders are reliable
+ * only while a page is open. With it closed, only an installed app may get
+ * Periodic Background Sync (at most hourly, when the browser allows), and
+ * sw.js drops a forecast older than forecastFreshMs rather than show a
+ * stale one. Preferences are kept per browser.
+ */
+class CleanupReminders {
+  constructor(weatherService, options = {}) {
+    this.weatherService = weatherService;
+    this.options = {
+      getEvents: async () => [],
+      getMyRsvps: () => ({}),
+      offline: null,
+      announce: () => {},
+      ...options
+    };
+    this.storageKeys = {
+      preferences: 'shoresquad:reminders',
+      ratings: 'shoresquad:reminders:ratings',
+      alerts: 'shoresquad:reminders:alerts'
+    };
+    this.preferences = { ...REMINDER_DEFAULTS, ...readStorage(this.storageKeys.preferences, {}) };
+    this.checking = null;
+    this.scheduledCount = null;
+
     this.init();
   }
 
   init() {
-    this.updateWeatherDisplay();
-    // Update weather every 30 minutes
-    setInterval(() => this.updateWeatherDisplay(), 30 * 60 * 1000);
+    this.panel = document.querySelector('.reminder-settings');
+    if (this.panel) {
+      this.panel.addEventListener('change', (e) => this.handleChange(e));
+      i18n.onChange(() => this.render());
+      this.render();
+    }
+
+    this.weatherService.subscribe(() => this.check());
+    setInterval(() => this.check(), REMINDER_SETTINGS.checkEveryMs);
+    this.check();
   }
 
-  async updateWeatherDisplay() {
-    try {
-      const weatherData = await this.getCurrentWeather();
-      const forecastData = await this.getWeatherForecast();
-      this.renderWeather(weatherData);
-      this.renderForecast(forecastData);
-    } catch (error) {
-      console.warn('Weather service unavailable:', error);
-      this.renderFallbackWeather();
+  /**
+   * Reminders are shown by the service worker, so they need one
+   */
+  isSupported() {
+    return typeof Notification !== 'undefined' && Boolean(this.options.offline) && this.options.offline.isSupported();
+  }
+
+  isActive() {
+    return this.isSupported() && this.preferences.enabled && Notification.permission === 'granted';
+  }
+
+  savePreferences(changes) {
+    this.preferences = { ...this.preferences, ...changes };
+    writeStorage(this.storageKeys.preferences, this.preferences);
+    this.check();
+  }
+
+  async handleChange(e) {
+    const field = e.target;
+    if (!field.name || !(field.name in REMINDER_DEFAULTS)) return;
+
+    if (field.name === 'enabled') {
+      await this.setEnabled(field.checked);
+    } else if (field.type === 'checkbox') {
+      this.savePreferences({ [field.name]: field.checked });
+    } else if (/^\d{2}:\d{2}$/.test(field.value)) {
+      this.savePreferences({ [field.name]: field.value });
     }
   }
 
-  async getCurrentWeather() {
-    try {
-      // Get current weather conditions
-      const response = await fetch(`${this.apiBase}/environment/2-hour-weather-forecast`);
-      if (!response.ok) throw new Error('Weather API unavailable');
-      
-      const data = await response.json();
-      const currentTime = new Date().toISOString();
-      
-      // Find the most recent forecast
-      const latestForecast = data.items.find(item => item.timestamp <= currentTime) || data.items[0];
-      
-      // Get Pasir Ris area forecast (East region)
-      const pasirRisForecast = latestForecast.forecasts.find(
-        forecast => forecast.area.toLowerCase().includes('pasir ris') || 
-                   forecast.area.toLowerCase().includes('east')
-      ) || latestForecast.forecasts[0];
-
-      // Get temperature data
-      const tempResponse = await fetch(`${this.apiBase}/environment/air-temperature`);
-      let temperature = '28°C'; // Default Singapore temperature
-      
-      if (tempResponse.ok) {
-        const tempData = await tempResponse.json();
-        const latestTemp = tempData.items[0];
-        const eastTemp = latestTemp.readings.find(reading => 
-          reading.station_id === 'S07' || // Changi
-          reading.station_id === 'S43'    // Pasir Ris
-        );
-        if (eastTemp) {
-          temperature = `${Math.round(eastTemp.value)}°C`;
-        }
-      }
+  async setEnabled(enabled) {
+    const permission = enabled && Notification.permission !== 'granted'
+      ? await Notification.requestPermission()
+      : Notification.permission;
+    const granted = enabled && permission === 'granted';
 
-      return this.processWeatherData(pasirRisForecast.forecast, temperature);
-    } catch (error) {
-      console.error('Error fetching current weather:', error);
-      throw error;
+    this.savePreferences({ enabled: granted });
+    this.render();
+    const toggle = this.panel && this.panel.querySelector('[name="enabled"]');
+    if (toggle) toggle.focus();
+
+    if (granted) {
+      this.registerPeriodicSync();
+      this.options.announce(t('reminders.on'));
+    } else if (!enabled) {
+      this.options.announce(t('reminders.off'));
     }
   }
 
-  async getWeatherForecast() {
+  async registerPeriodicSync() {
     try {
-      const response = await fetch(`${this.apiBase}/environment/4-day-weather-forecast`);
-      if (!response.ok) throw new Error('Forecast API unavailable');
-      
-      const data = await response.json();
-      const forecast = data.items[0].forecasts;
-      
-      return forecast.slice(0, 5).map(day => ({
-        date: new Date(day.date).toLocaleDateString('en-SG', { 
-          weekday: 'short', 
-          month: 'short', 
-          day: 'numeric' 
-        }),
-        weather: day.forecast,
-        tempHigh: `${day.temperature.high}°C`,
-        tempLow: `${day.temperature.low}°C`,
-        humidity: `${day.relative_humidity.high}%`,
-        wind: day.wind ? `${day.wind.speed.high} km/h` : 'Light',
-        icon: this.getWeatherIcon(day.forecast),
-        cleanupSuitability: this.getCleanupSuitability(day.forecast, day.temperature.high, day.relative_humidity.high)
-      }));
+      const registration = await navigator.serviceWorker.ready;
+      if (registration.periodicSync) {
+        await registration.periodicSync.register(REMINDER_SETTINGS.syncTag, { minInterval: HOUR_MS });
+      }
     } catch (error) {
-      console.error('Error fetching weather forecast:', error);
-      return [];
+      // Usually only installed apps may sync periodically; open pages still check on a timer
+      console.info('Periodic reminder checks unavailable:', error.message);
     }
   }
 
-  processWeatherData(forecast, temperature) {
-    const icon = this.getWeatherIcon(forecast);
-    const desc = this.getCleanupRecommendation(forecast);
-    
-    return {
-      temp: temperature,
-      icon: icon,
-      desc: desc,
-      condition: forecast.toLowerCase().replace(/\s+/g, '-')
+  /**
+   * When something due at `time` (ms) may be shown: then, or when quiet hours end
+   */
+  getDeliveryTime(time) {
+    const { quietStart, quietEnd } = this.preferences;
+    if (quietStart === quietEnd) return time;
+
+    const toMinutes = value => {
+      const [hours, minutes] = value.split(':').map(Number);
+      return hours * 60 + minutes;
     };
+    const start = toMinutes(quietStart);
+    const end = toMinutes(quietEnd);
+    const local = new Date(time + SGT_OFFSET_MS);
+    const minute = local.getUTCHours() * 60 + local.getUTCMinutes();
+
+    // Quiet hours usually run past midnight, e.g. 22:00 to 07:00
+    const quiet = start < end ? minute >= start && minute < end : minute >= start || minute < end;
+    if (!quiet) return time;
+
+    const wait = (end - minute + 24 * 60) % (24 * 60);
+    return time + wait * 60 * 1000 - local.getUTCSeconds() * 1000 - local.getUTCMilliseconds();
   }
 
-  getWeatherIcon(forecast) {
-    const weatherLower = forecast.toLowerCase();
-    
-    if (weatherLower.includes('thundery') || weatherLower.includes('thunder')) {
-      return 'fa-bolt';
-    } else if (weatherLower.includes('heavy rain') || weatherLower.includes('heavy shower')) {
-      return 'fa-cloud-rain';
-    } else if (weatherLower.includes('rain') || weatherLower.includes('shower')) {
-      return 'fa-cloud-drizzle';
-    } else if (weatherLower.includes('cloudy')) {
-      return 'fa-cloud';
-    } else if (weatherLower.includes('partly cloudy') || weatherLower.includes('fair')) {
-      return 'fa-cloud-sun';
-    } else if (weatherLower.includes('hazy') || weatherLower.includes('mist')) {
-      return 'fa-smog';
-    } else {
-      return 'fa-sun';
+  /**
+   * { forecast, rating } for the cleanup: the beach's nowcast when it starts
+   * within a few hours, else the 4-day forecast for its day, else null
+   */
+  async getOutlook(event, now = new Date()) {
+    try {
+      const beach = getBeach(event.beachId);
+      if (beach && event.start - now <= REMINDER_SETTINGS.nowcastWithinMs) {
+        const { forecast, rating } = await this.weatherService.getBeachSuitability(beach, 'network');
+        return { forecast, rating };
+      }
+
+      const days = await this.weatherService.getWeatherForecast('network');
+      const day = days.find(candidate => candidate.date === event.dateKey);
+      return day ? { forecast: day.weather, rating: day.cleanupSuitability } : null;
+    } catch (error) {
+      console.warn(`No forecast for ${event.id}:`, error);
+      return null;
     }
   }
 
-  getCleanupRecommendation(forecast) {
-    const weatherLower = forecast.toLowerCase();
-    
-    if (weatherLower.includes('thundery') || weatherLower.includes('heavy rain')) {
-      return 'Not ideal for cleanup';
-    } else if (weatherLower.includes('rain') || weatherLower.includes('shower')) {
-      return 'Consider postponing';
-    } else if (weatherLower.includes('fair') || weatherLower.includes('sunny')) {
-      return 'Perfect for cleanup!';
-    } else if (weatherLower.includes('partly cloudy')) {
-      return 'Great conditions!';
-    } else if (weatherLower.includes('cloudy')) {
-      return 'Good for cleanup!';
-    } else if (weatherLower.includes('hazy')) {
-      return 'Okay, but stay hydrated';
-    } else {
-      return 'Check conditions!';
+  /**
+   * A weather update and the timer can land together, so checks don't overlap
+   */
+  check(now = new Date()) {
+    if (!this.checking) {
+      this.checking = this.schedule(now)
+        .catch(error => console.warn('Reminder check failed:', error))
+        .finally(() => {
+          this.checking = null;
+        });
     }
+    return this.checking;
   }
 
-  getCleanupSuitability(forecast, tempHigh, humidity) {
-    const weatherLower = forecast.toLowerCase();
-    const score = this.calculateSuitabilityScore(weatherLower, tempHigh, humidity);
-    
-    if (score >= 8) return 'Excellent';
-    if (score >= 6) return 'Good';
-    if (score >= 4) return 'Fair';
-    return 'Poor';
-  }
+  async schedule(now) {
+    if (!this.isActive()) {
+      // Clear anything scheduled before reminders were turned off
+      if (this.isSupported() && this.scheduledCount !== 0) this.send([]);
+      return [];
+    }
 
-  calculateSuitabilityScore(weather, temp, humidity) {
-    let score = 5; // Base score
-    
-    // Weather conditions
-    if (weather.includes('fair') || weather.includes('sunny')) score += 3;
-    else if (weather.includes('partly cloudy')) score += 2;
-    else if (weather.includes('cloudy')) score += 1;
-    else if (weather.includes('rain') || weather.includes('shower')) score -= 3;
-    else if (weather.includes('thundery')) score -= 5;
-    
-    // Temperature (ideal range 24-32°C)
-    if (temp >= 24 && temp <= 32) score += 1;
-    else if (temp > 32) score -= 1;
-    
-    // Humidity (lower is better for outdoor activities)
-    if (humidity < 70) score += 1;
-    else if (humidity > 85) score -= 1;
-    
-    return Math.max(0, Math.min(10, score));
-  }
+    const mine = this.options.getMyRsvps();
+    // Waitlisted and not-yet-sent RSVPs aren't a place at the cleanup yet
+    const joined = (await this.options.getEvents()).filter(event =>
+      mine[event.id] && mine[event.id].status === 'confirmed' && event.start > now
+    );
+    const ratings = readStorage(this.storageKeys.ratings, {});
+    const alerts = readStorage(this.storageKeys.alerts, [])
+      .filter(alert => alert.expiresAt > now.getTime() && joined.some(event => event.id === alert.eventId));
+    const reminders = [];
+    const nextRatings = {};
 
-  renderWeather(data) {
-    const weatherTemp = document.querySelector('.weather-temp');
-    const weatherIcon = document.querySelector('.weather-icon');
-    const weatherDesc = document.querySelector('.weather-desc');
+    for (const event of joined) {
+      const outlook = await this.getOutlook(event, now);
+      const previous = ratings[event.id];
+      const worst = REMINDER_SETTINGS.worseningRating;
 
-    if (weatherTemp) weatherTemp.textContent = data.temp;
-    if (weatherIcon) {
-      weatherIcon.className = `fas ${data.icon} weather-icon`;
+      if (outlook && this.preferences.worsening && previous && previous !== worst && outlook.rating === worst) {
+        const alert = this.createReminder(event, 'worsening', now.getTime(), event.start.getTime(), outlook, now);
+        alerts.push(alert);
+        this.options.announce(`${alert.title}. ${alert.body}`);
+      }
+      nextRatings[event.id] = outlook ? outlook.rating : previous;
+      reminders.push(...this.getEventReminders(event, mine[event.id], outlook, now));
     }
-    if (weatherDesc) weatherDesc.textContent = data.desc;
+
+    writeStorage(this.storageKeys.ratings, nextRatings);
+    writeStorage(this.storageKeys.alerts, alerts);
+
+    const schedule = [...reminders, ...alerts];
+    this.send(schedule);
+    return schedule;
   }
 
-  renderForecast(forecastData) {
-    // Create forecast display if it doesn't exist
-    let forecastContainer = document.querySelector('.weather-forecast');
-    if (!forecastContainer && forecastData.length > 0) {
-      forecastContainer = this.createForecastContainer();
-    }
+  /**
+   * The 24-hour and 2-hour reminders still to come for one cleanup. One
+   * that was already due when you joined is skipped.
+   */
+  getEventReminders(event, rsvp, outlook, now = new Date()) {
+    const start = event.start.getTime();
+    const wanted = [
+      { kind: 'day-before', on: this.preferences.dayBefore, expiresAt: start - REMINDER_SETTINGS.offsets['two-hours'] },
+      { kind: 'two-hours', on: this.preferences.twoHours, expiresAt: start }
+    ];
 
-    if (forecastContainer && forecastData.length > 0) {
-      const forecastHTML = forecastData.map(day => `
-        <div class="forecast-day">
-          <div class="forecast-date">${day.date}</div>
-          <div class="forecast-icon">
-            <i class="fas ${day.icon}"></i>
-          </div>
-          <div class="forecast-temps">
-            <span class="temp-high">${day.tempHigh}</span>
-            <span class="temp-low">${day.tempLow}</span>
-          </div>
-          <div class="forecast-weather">${day.weather}</div>
-          <div class="cleanup-rating ${day.cleanupSuitability.toLowerCase()}">
-            ${day.cleanupSuitability}
-          </div>
-        </div>
-      `).join('');
-      
-      forecastContainer.innerHTML = `
-        <h3>5-Day Beach Cleanup Forecast</h3>
-        <div class="forecast-grid">
-          ${forecastHTML}
-        </div>
-      `;
-    }
+    return wanted
+      .filter(({ kind, on }) => on && start - REMINDER_SETTINGS.offsets[kind] >= (rsvp.joinedAt || 0))
+      .map(({ kind, expiresAt }) => this.createReminder(event, kind, start - REMINDER_SETTINGS.offsets[kind], expiresAt, outlook, now))
+      .filter(reminder => reminder.at < reminder.expiresAt);
   }
 
-  createForecastContainer() {
-    const weatherWidget = document.querySelector('.weather-widget');
-    if (weatherWidget) {
-      const forecastContainer = document.createElement('div');
-      forecastContainer.className = 'weather-forecast';
-      weatherWidget.appendChild(forecastContainer);
-      return forecastContainer;
-    }
-    return null;
+  /**
+   * One notification for the service worker. Something overdue (the page
+   * was closed when it came due) still respects quiet hours from now.
+   */
+  createReminder(event, kind, due, expiresAt, outlook, now = new Date()) {
+    const params = {
+      event: event.title,
+      time: `${i18n.formatDate(event.start)} ${i18n.formatTime(event.start)}`,
+      place: event.location.name
+    };
+    const fallbackBody = t('reminders.bodyNoForecast', params);
+    const body = outlook
+      ? t('reminders.body', { ...params, forecast: outlook.forecast, rating: this.weatherService.translateRating(outlook.rating) })
+      : fallbackBody;
+
+    return {
+      // The start time is part of the id, so a rescheduled cleanup gets fresh reminders
+      id: [event.id, kind, event.start.toISOString(), kind === 'worsening' ? due : ''].join('|'),
+      eventId: event.id,
+      kind,
+      at: this.getDeliveryTime(Math.max(due, now.getTime())),
+      expiresAt,
+      title: t(`reminders.title.${kind}`, params),
+      body,
+      fallbackBody,
+      forecastStaleAt: now.getTime() + REMINDER_SETTINGS.forecastFreshMs,
+      url: `./#/events/${encodeURIComponent(event.id)}`
+    };
   }
 
-  renderFallbackWeather() {
-    this.renderWeather({
-      temp: '28°C',
-      icon: 'fa-sun',
-      desc: 'Check local weather!'
-    });
+  send(reminders) {
+    this.scheduledCount = reminders.length;
+    this.options.offline.post({ type: 'schedule-reminders', reminders });
+  }
+
+  render() {
+    if (!this.panel) return;
+
+    const supported = this.isSupported();
+    const denied = typeof Notification !== 'undefined' && Notification.permission === 'denied';
+    const active = this.isActive();
+    const { preferences } = this;
+    let status = '';
+    if (!supported) status = t('reminders.unsupported');
+    else if (denied) status = t('reminders.denied');
+
+    const option = (name, label) => `
+      <label class="reminder-check">
+        <input type="checkbox" name="${name}" ${preferences[name] ? 'checked' : ''}>
+        ${label}
+      </label>
+    `;
+
+    this.panel.innerHTML = `
+      <form class="reminder-form" novalidate>
+        <h3><i class="fas fa-bell" aria-hidden="true"></i> ${t('reminders.heading')}</h3>
+        <p class="reminder-intro">${t('reminders.intro')}</p>
+        <p class="reminder-hint">${t('reminders.closedHint')}</p>
+        <label class="reminder-check reminder-enable">
+          <input type="checkbox" name="enabled" ${active ? 'checked' : ''} ${supported && !denied ? '' : 'disabled'}>
+          ${t('reminders.enable')}
+        </label>
+        <fieldset class="reminder-options" ${active ? '' : 'disabled'}>
+          <legend>${t('reminders.send')}</legend>
+          ${option('dayBefore', t('reminders.dayBefore'))}
+          ${option('twoHours', t('reminders.twoHours'))}
+          ${option('worsening', t('reminders.worsening'))}
+        </fieldset>
+        <fieldset class="reminder-quiet" ${active ? '' : 'disabled'}>
+          <legend>${t('reminders.quietHours')}</legend>
+          <div class="reminder-times">
+            <label for="reminder-quiet-start">${t('reminders.quietFrom')}</label>
+            <input type="time" id="reminder-quiet-start" name="quietStart" value="${preferences.quietStart}">
+            <label for="reminder-quiet-end">${t('reminders.quietTo')}</label>
+            <input type="time" id="reminder-quiet-end" name="quietEnd" value="${preferences.quietEnd}">
+          </div>
+          <p class="reminder-hint">${t('reminders.quietHint')}</p>
+        </fieldset>
+        <p class="reminder-status" role="status">${status}</p>
+      </form>
+    `;
   }
 }
 
@@ -902,18 +9959,211 @@ class ShoreSquadApp {
     }
   }
 
+  /**
+   * Live NEA data by default; add ?weather=mock to the URL to replay fixtures
+   */
+  createWeatherProvider() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('weather') === 'mock') {
+      console.info('🧪 Using recorded weather fixtures');
+      return new MockWeatherProvider();
+    }
+    return new NeaWeatherProvider();
+  }
+
+  /**
+   * The signup API by default; ?signup=mock answers from memory in the page
+   */
+  createSignupClient() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('signup') === 'mock') {
+      console.info('🧪 Using the in-page signup stub');
+      return new SignupClient(SIGNUP_SETTINGS.url, { fetch: new MockSignupBackend().createFetch() });
+    }
+    return new SignupClient();
+  }
+
+  /**
+   * Squads in this browser by default; ?squads=mock uses tools/mock-server.js
+   */
+  createSquadStore() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('squads') === 'mock') {
+      console.info('🧪 Using the mock squad server');
+      return new HttpSquadStore(SQUAD_SETTINGS.mockApiUrl);
+    }
+    return SQUAD_SETTINGS.apiUrl ? new HttpSquadStore(SQUAD_SETTINGS.apiUrl) : new LocalSquadStore();
+  }
+
+  /**
+   * RSVPs in this browser by default; ?rsvps=mock uses tools/mock-server.js
+   */
+  createRsvpStore() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('rsvps') === 'mock') {
+      console.info('🧪 Using the mock RSVP server');
+      return new HttpRsvpStore(RSVP_SETTINGS.mockApiUrl);
+    }
+    return RSVP_SETTINGS.apiUrl ? new HttpRsvpStore(RSVP_SETTINGS.apiUrl) : new LocalRsvpStore();
+  }
+
+  /**
+   * Where tallies sync to: LITTER_SETTINGS.syncUrl, ?litter=mock for
+   * tools/mock-server.js, or nowhere so they stay on this device
+   */
+  createLitterRemote() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('litter') === 'mock') {
+      console.info('🧪 Using the mock litter log server');
+      return new HttpLitterLogStore(LITTER_SETTINGS.mockSyncUrl);
+    }
+    return LITTER_SETTINGS.syncUrl ? new HttpLitterLogStore(LITTER_SETTINGS.syncUrl) : null;
+  }
+
+  /**
+   * data/events.json by default; ?events=mock uses tools/mock-server.js
+   */
+  createEventStore() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('events') === 'mock') {
+      console.info('🧪 Using the mock events server');
+      return new HttpEventStore(EVENT_SETTINGS.mockApiUrl);
+    }
+    return EVENT_SETTINGS.apiUrl ? new HttpEventStore(EVENT_SETTINGS.apiUrl) : new JsonEventStore();
+  }
+
+  /**
+   * Offline outline by default; ?map=osm or ?map=onemap adds raster tiles
+   */
+  getMapTiles() {
+    const params = new URLSearchParams(window.location.search);
+    return MAP_TILE_SOURCES[params.get('map')] ? params.get('map') : 'outline';
+  }
+
   initializeComponents() {
     try {
       // Initialize all components
       this.navigation = new Navigation();
+      this.router = new Router();
       this.counters = new AnimatedCounters();
-      this.formHandler = new FormHandler();
-      this.interactiveFeatures = new InteractiveFeatures();
+      this.formHandler = new FormHandler(this.createSignupClient());
+      this.interactiveFeatures = new InteractiveFeatures({ navigate: hash => this.router.navigate(hash) });
       this.performanceOptimizer = new PerformanceOptimizer();
       this.accessibilityManager = new AccessibilityManager();
-      this.weatherService = new SingaporeWeatherService();      // Add hero button interactions
+      this.weatherService = new SingaporeWeatherService({ provider: this.createWeatherProvider() });
+      this.cleanupPlanner = new CleanupWindowPlanner(this.weatherService);
+      this.weatherAlerts = new SevereWeatherAlerts(this.weatherService, {
+        getScheduledCleanups: () => this.getScheduledCleanups(),
+        announce: message => this.accessibilityManager.announceToScreenReader(message)
+      });
+      this.weatherHistory = new WeatherHistory(this.weatherService);
+      this.eventStore = this.createEventStore();
+      this.calendarExporter = new CalendarExporter();
+      this.rsvpStore = this.createRsvpStore();
+      this.rsvps = new RsvpManager(this.rsvpStore, {
+        container: document.getElementById('next-cleanup'),
+        pageContainer: document.getElementById('route-view'),
+        getSquadIds: async () => (await this.squads.listMine()).map(squad => squad.id),
+        announce: message => this.accessibilityManager.announceToScreenReader(message),
+        onChange: () => {
+          this.communityStats.refresh();
+          this.squads.renderPage();
+          this.achievements.refresh();
+          this.reminders.check();
+        }
+      });
+      this.directions = new DirectionsPanel({
+        container: document.getElementById('next-cleanup'),
+        announce: message => this.accessibilityManager.announceToScreenReader(message)
+      });
+      this.litterStore = new LocalLitterLogStore();
+      this.statsProvider = new LocalStatsProvider({
+        litterStore: this.litterStore,
+        rsvpStore: this.rsvpStore,
+        eventStore: this.eventStore,
+        getSquads: () => this.squads.listMine()
+      });
+      this.squads = new SquadManager(this.createSquadStore(), {
+        eventStore: this.eventStore,
+        rsvpStore: this.rsvpStore,
+        statsProvider: this.statsProvider,
+        announce: message => this.accessibilityManager.announceToScreenReader(message),
+        onChange: () => {
+          if (this.litterLog) this.litterLog.loadSquads();
+          if (this.communityStats) this.communityStats.refresh();
+          if (this.achievements) this.achievements.refreshLeaderboard();
+        }
+      });
+      this.litterLog = new LitterLog(this.litterStore, {
+        remote: this.createLitterRemote(),
+        getEvents: () => this.eventStore.list(),
+        getSquads: () => this.squads.listMine(),
+        announce: message => this.accessibilityManager.announceToScreenReader(message),
+        onChange: () => {
+          if (this.hotspotMap) this.hotspotMap.render();
+          if (this.communityStats) this.communityStats.refresh();
+          if (this.achievements) this.achievements.refresh();
+          this.squads.renderPage();
+        }
+      });
+      this.communityStats = new CommunityStats(this.statsProvider, this.counters);
+      this.achievements = new Achievements({
+        litterStore: this.litterStore,
+        eventStore: this.eventStore,
+        squadStore: this.squads.store,
+        statsProvider: this.statsProvider,
+        isMyTally: entry => this.litterLog.isMine(entry),
+        getMyRsvps: () => this.rsvps.loadMine(),
+        getMySquads: () => this.squads.listMine(),
+        announce: message => this.accessibilityManager.announceToScreenReader(message),
+        notify: showNotification
+      });
+      this.hotspotMap = new HotspotMap(this.weatherService, {
+        tiles: this.getMapTiles(),
+        // Logged hauls take over from the built-in estimate once a beach has any
+        getLitterSeverity: beach => this.litterLog.getSeverity(beach.id) || beach.litter,
+        onSelect: ({ event }) => this.cleanupEvents.select(event ? event.id : null)
+      });
+      this.scheduler = new CleanupScheduler(this.weatherService, this.eventStore, {
+        container: document.getElementById('next-cleanup'),
+        announce: message => this.accessibilityManager.announceToScreenReader(message),
+        getActor: () => this.squads.getProfile(),
+        onReschedule: () => this.cleanupEvents.load()
+      });
+      this.cleanupEvents = new CleanupEventList(this.eventStore, {
+        // The first weather check may have run before the events arrived
+        onChange: () => this.weatherAlerts.checkForAlerts({ source: 'network' }),
+        onRender: (events) => {
+          this.rsvps.renderAll(events);
+          this.scheduler.renderAll(events);
+          this.hotspotMap.setEvents(events);
+        }
+      });
+      this.offline = new OfflineSupport({
+        announce: message => this.accessibilityManager.announceToScreenReader(message),
+        onResult: (result) => {
+          if (result.entry.kind === 'signup') this.formHandler.handleOutboxResult(result);
+          if (result.entry.kind === 'rsvp') this.rsvps.handleOutboxResult(result);
+        }
+      });
+      this.reminders = new CleanupReminders(this.weatherService, {
+        getEvents: () => this.eventStore.list(),
+        getMyRsvps: () => this.rsvps.loadMine(),
+        offline: this.offline,
+        announce: message => this.accessibilityManager.announceToScreenReader(message)
+      });
+      this.eventPages = new EventPages(this.eventStore, {
+        eventList: this.cleanupEvents,
+        weatherService: this.weatherService,
+        rsvps: this.rsvps,
+        onJoin: event => this.joinCleanup(event),
+        onAddToCalendar: event => this.addToCalendar(event)
+      });
+      this.initPreferences();
+      // Add hero button interactions
       this.initHeroButtons();
       this.initCleanupButtons();
+      this.initRoutes();
       
       console.log('🌊 ShoreSquad app initialized successfully!');
     } catch (error) {
@@ -921,6 +10171,126 @@ class ShoreSquadApp {
     }
   }
 
+  /**
+   * Beaches with an upcoming cleanup, for severe weather alerts
+   */
+  getScheduledCleanups() {
+    if (!this.cleanupEvents) return [];
+
+    return this.cleanupEvents.events
+      .filter(event => event.beachId)
+      .map(event => ({ beachId: event.beachId, date: event.dateKey }));
+  }
+
+  /**
+   * Join and directions buttons on every rendered cleanup card
+   */
+  initCleanupButtons() {
+    const section = document.getElementById('next-cleanup');
+    if (!section) return;
+
+    section.addEventListener('click', (e) => {
+      if (e.target.closest('.download-all-calendar-btn')) {
+        this.downloadAllCleanups();
+        return;
+      }
+
+      const button = e.target.closest('.join-cleanup-btn, .get-directions-btn, .add-to-calendar-btn');
+      if (!button) return;
+
+      const event = this.cleanupEvents.getEvent(button.dataset.eventId);
+      if (!event) return;
+
+      if (button.classList.contains('join-cleanup-btn')) {
+        this.joinCleanup(event);
+      } else if (button.classList.contains('add-to-calendar-btn')) {
+        this.addToCalendar(event);
+      } else {
+        this.getDirections(event);
+      }
+    });
+  }
+
+  /**
+   * Views behind #/ paths; every other hash scrolls the home page
+   */
+  initRoutes() {
+    this.router
+      .add('/events', () => this.eventPages.renderList())
+      .add('/events/:id', ({ id }) => this.eventPages.renderDetail(id))
+      .add('/squads', () => ({ home: true, focus: document.getElementById('squads') }))
+      .add('/squads/:id', ({ id }) => this.squads.showSquad(id))
+      .add('/invite/:token', ({ token }) => this.squads.showInvite(token));
+    this.router.start();
+  }
+
+  joinCleanup(event) {
+    this.rsvps.toggle(event).catch(error => console.error('Error updating RSVP:', error));
+  }
+
+  addToCalendar(event) {
+    this.calendarExporter.downloadEvent(event);
+    this.accessibilityManager.announceToScreenReader(t('calendar.downloaded'));
+  }
+
+  /**
+   * Every upcoming cleanup, not just the ones shown on the page
+   */
+  async downloadAllCleanups() {
+    try {
+      const events = await this.eventStore.getUpcoming();
+      this.calendarExporter.downloadAll(events);
+      this.accessibilityManager.announceToScreenReader(t('calendar.downloaded'));
+    } catch (error) {
+      console.error('Error building calendar file:', error);
+    }
+  }
+
+  getDirections(event) {
+    this.directions.toggle(event).catch(error => console.error('Error getting directions:', error));
+  }
+
+  /**
+   * Language picker and °C/°F toggle in the header
+   */
+  initPreferences() {
+    const languagePicker = document.getElementById('language-picker');
+    const unitToggle = document.getElementById('unit-toggle');
+
+    if (languagePicker) {
+      languagePicker.innerHTML = LANGUAGES.map(language =>
+        `<option value="${language.code}" lang="${language.code}">${language.label}</option>`
+      ).join('');
+      languagePicker.addEventListener('change', () => i18n.setLanguage(languagePicker.value));
+    }
+
+    if (unitToggle) {
+      unitToggle.addEventListener('click', () => i18n.setUnit(i18n.unit === 'C' ? 'F' : 'C'));
+    }
+
+    const applyPreferences = () => {
+      document.documentElement.lang = i18n.language;
+      if (languagePicker) {
+        languagePicker.value = i18n.language;
+        languagePicker.setAttribute('aria-label', t('settings.language'));
+      }
+      if (unitToggle) {
+        unitToggle.textContent = `°${i18n.unit}`;
+        unitToggle.setAttribute('aria-label', t('settings.unitToggle'));
+      }
+    };
+
+    applyPreferences();
+    i18n.onChange(change => {
+      applyPreferences();
+      // Planner and alerts re-render through the weather subscription
+      this.weatherService.updateWeatherDisplay();
+      this.accessibilityManager.announceToScreenReader(change === 'unit'
+        ? t('settings.unitChanged', { unit: `°${i18n.unit}` })
+        : t('settings.languageChanged'));
+    });
+  }
+
   initHeroButtons() {
     const getStartedBtn = document.getElementById('get-started-btn');
     const watchDemoBtn = document.getElementById('watch-demo-btn');
@@ -928,14 +10298,14 @@ class ShoreSquadApp {
     if (getStartedBtn) {
       getStartedBtn.addEventListener('click', () => {
         smoothScrollTo('#join');
-        this.accessibilityManager.announceToScreenReader('Navigated to signup section');
+        this.accessibilityManager.announceToScreenReader(t('app.navigatedToSignup'));
       });
     }
 
     if (watchDemoBtn) {
       watchDemoBtn.addEventListener('click', () => {
         // In a real app, this would open a video modal
-        alert('🎬 Demo video coming soon! For now, scroll down to explore our features.');
+        alert(t('app.demoComingSoon'));
       });
     }
   }
@@ -945,8 +10315,10 @@ class ShoreSquadApp {
 // Initialize Application
 // ============================================
 
-// Create global app instance
-window.ShoreSquadApp = new ShoreSquadApp();
+// Create global app instance (skipped when loaded into Node for testing)
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+  window.ShoreSquadApp = new ShoreSquadApp();
+}
 
 // Add some fun easter eggs for developers
 console.log(`
@@ -967,5 +10339,78 @@ Built with 💚 for the planet!
 
 // Export for potential module usage
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { ShoreSquadApp };
+  module.exports = {
+    ShoreSquadApp,
+    FormHandler,
+    FormValidator,
+    Validators,
+    SignupClient,
+    SignupError,
+    MockSignupBackend,
+    SIGNUP_SETTINGS,
+    OfflineSupport,
+    OFFLINE_SETTINGS,
+    Router,
+    ROUTER_SETTINGS,
+    CleanupReminders,
+    REMINDER_SETTINGS,
+    SingaporeWeatherService,
+    WeatherCache,
+    SuitabilityRulesEngine,
+    PSI_BANDS,
+    PM25_BANDS,
+    WeatherProvider,
+    NeaWeatherProvider,
+    MockWeatherProvider,
+    CleanupWindowPlanner,
+    SevereWeatherAlerts,
+    WeatherHistory,
+    WeatherHistoryStore,
+    CleanupEvent,
+    EventError,
+    EventStore,
+    JsonEventStore,
+    HttpEventStore,
+    EVENT_SETTINGS,
+    CleanupEventList,
+    EventPages,
+    RsvpError,
+    RsvpStore,
+    LocalRsvpStore,
+    HttpRsvpStore,
+    RSVP_SETTINGS,
+    RsvpManager,
+    SquadError,
+    SquadStore,
+    LocalSquadStore,
+    HttpSquadStore,
+    SquadManager,
+    SQUAD_SETTINGS,
+    CalendarExporter,
+    CleanupScheduler,
+    LitterLog,
+    LitterLogStore,
+    LocalLitterLogStore,
+    HttpLitterLogStore,
+    LITTER_CATEGORIES,
+    AnimatedCounters,
+    StatsProvider,
+    LocalStatsProvider,
+    CommunityStats,
+    Achievements,
+    BADGES,
+    showNotification,
+    HotspotMap,
+    MAP_TILE_SOURCES,
+    PostalCodeLocator,
+    TravelEstimator,
+    DirectionsPanel,
+    MRT_STATIONS,
+    BEACHES,
+    WEATHER_ENDPOINTS,
+    I18n,
+    i18n,
+    LANGUAGES,
+    TRANSLATIONS
+  };
 }
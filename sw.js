@@ -0,0 +1,414 @@
+/**
+ * ShoreSquad service worker
+ *
+ * Keeps the app usable with poor reception on the beach:
+ * - the app shell (page, styles, script, fonts and icons) is precached on install
+ * - NEA weather and our own JSON are network-first, falling back to the last
+ *   copy; fonts and map tiles are cache-first; shell files are
+ *   stale-while-revalidate, so an update shows up on the next visit
+ * - POSTs the page marks with an X-Outbox header (signups and RSVPs) are
+ *   queued in IndexedDB when the network fails, answered with
+ *   202 { queued: true, id }, and replayed by Background Sync. Browsers
+ *   without Background Sync replay when the page says it's back online.
+ *
+ * - cleanup reminders the page schedules are shown when they come due. The
+ *   forecast in them comes from the page; when Periodic Background Sync
+ *   wakes us with the page closed (installed apps only), a reminder whose
+ *   forecast has gone stale is shown without it
+ *
+ * Open pages hear about the queue through postMessage:
+ *   { type: 'outbox', entries }                   whenever the queue changes
+ *   { type: 'outbox-sent', entry, status, body }  a queued request went through
+ *   { type: 'outbox-failed', entry, status, body } the server turned it down
+ *
+ * Bump VERSION when the shell changes so old caches are cleared.
+ */
+
+const VERSION = 'v3';
+const SHELL_CACHE = `shoresquad-shell-${VERSION}`;
+const RUNTIME_CACHE = `shoresquad-runtime-${VERSION}`;
+const TILE_CACHE = `shoresquad-tiles-${VERSION}`;
+const MAX_TILES = 300;
+const NETWORK_TIMEOUT_MS = 4000;
+const SYNC_TAG = 'shoresquad-outbox';
+const REMINDER_SYNC_TAG = 'shoresquad-reminders';
+const OUTBOX_HEADER = 'X-Outbox';
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'css/styles.css',
+  'js/app.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-maskable.svg',
+  'data/events.json',
+  'data/scoring-rules.json'
+];
+
+// Cached on a best-effort basis: a CDN hiccup shouldn't stop the install
+const REMOTE_SHELL_FILES = [
+  'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=Poppins:wght@400;500;600;700&display=swap',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-solid-900.woff2',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-regular-400.woff2',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-brands-400.woff2'
+];
+
+const NETWORK_FIRST_HOSTS = ['api.data.gov.sg'];
+const CACHE_FIRST_HOSTS = ['fonts.gstatic.com', 'cdnjs.cloudflare.com', 'fonts.googleapis.com'];
+const TILE_HOSTS = ['tile.openstreetmap.org', 'www.onemap.gov.sg'];
+
+// ============================================
+// Install and activate
+// ============================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_FILES);
+    await Promise.all(REMOTE_SHELL_FILES.map(url =>
+      cache.add(url).catch(error => console.warn(`Couldn't precache ${url}:`, error))
+    ));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const current = [SHELL_CACHE, RUNTIME_CACHE, TILE_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('shoresquad-') && !current.includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+    await replayOutbox().catch(() => {});
+  })());
+});
+
+// ============================================
+// Fetch strategies
+// ============================================
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET') {
+    if (request.headers.has(OUTBOX_HEADER)) event.respondWith(sendOrQueue(request));
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, { fallbackUrl: 'index.html' }));
+  } else if (NETWORK_FIRST_HOSTS.includes(url.hostname)) {
+    event.respondWith(networkFirst(request, RUNTIME_CACHE, { timeoutMs: NETWORK_TIMEOUT_MS }));
+  } else if (TILE_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, TILE_CACHE, { maxEntries: MAX_TILES }));
+  } else if (CACHE_FIRST_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+  } else if (url.origin === self.location.origin) {
+    const path = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+    if (path.startsWith('api/') || path.startsWith('data/')) {
+      event.respondWith(networkFirst(request, RUNTIME_CACHE));
+    } else {
+      event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+  }
+});
+
+/**
+ * Fresh from the network, or the last good copy when offline or slow
+ */
+async function networkFirst(request, cacheName, { timeoutMs = 0, fallbackUrl = null } = {}) {
+  const cache = await caches.open(cacheName);
+
+  try {
+    const response = await withTimeout(fetch(request), timeoutMs);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) || (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function cacheFirst(request, cacheName, { maxEntries = 0 } = {}) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Opaque responses (no-cors fonts) report status 0 but are still usable
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+    if (maxEntries) await trimCache(cache, maxEntries);
+  }
+  return response;
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const refresh = fetch(request).then(async (response) => {
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    refresh.catch(() => {});
+    return cached;
+  }
+  return refresh;
+}
+
+/**
+ * Drop the oldest entries; cache keys come back in insertion order
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+function withTimeout(promise, timeoutMs) {
+  if (!timeoutMs) return promise;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No response after ${timeoutMs} ms`)), timeoutMs);
+    promise.then(resolve, reject).finally(() => clearTimeout(timer));
+  });
+}
+
+// ============================================
+// Outbox
+// ============================================
+
+/**
+ * A tiny IndexedDB wrapper: one object store of records keyed by id
+ */
+function createStore(dbName, storeName) {
+  return {
+    open() {
+      if (!this.db) {
+        this.db = new Promise((resolve, reject) => {
+          const request = indexedDB.open(dbName, 1);
+          request.onupgradeneeded = () => request.result.createObjectStore(storeName, { keyPath: 'id' });
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return this.db;
+    },
+
+    async run(mode, action) {
+      const db = await this.open();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = action(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+      });
+    },
+
+    async list() {
+      const records = await this.run('readonly', store => store.getAll());
+      return records.sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    put(record) {
+      return this.run('readwrite', store => store.put(record));
+    },
+
+    remove(id) {
+      return this.run('readwrite', store => store.delete(id));
+    }
+  };
+}
+
+const outbox = createStore('shoresquad-outbox', 'requests');
+
+/**
+ * Pass the request through, or queue it if the network is unreachable.
+ * Server errors are the page's to handle, so only a failed fetch is queued.
+ */
+async function sendOrQueue(request) {
+  const headers = {};
+  request.headers.forEach((value, name) => {
+    if (name !== OUTBOX_HEADER.toLowerCase()) headers[name] = value;
+  });
+  const body = await request.clone().text();
+
+  try {
+    return await fetch(request.url, { method: request.method, headers, body, credentials: request.credentials });
+  } catch (error) {
+    const entry = await queue({
+      kind: request.headers.get(OUTBOX_HEADER),
+      url: request.url,
+      method: request.method,
+      headers,
+      body
+    });
+    return new Response(JSON.stringify({ queued: true, id: entry.id }), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+async function queue(request) {
+  // A retry of a request that's already waiting (same Idempotency-Key) shares its entry
+  const key = request.headers['idempotency-key'];
+  const existing = key && (await outbox.list()).find(entry => entry.headers['idempotency-key'] === key);
+  if (existing) return existing;
+
+  const entry = {
+    id: `outbox-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt: Date.now(),
+    ...request
+  };
+  await outbox.put(entry);
+
+  if (self.registration.sync) {
+    await self.registration.sync.register(SYNC_TAG).catch(error => console.warn('Background Sync unavailable:', error));
+  }
+  await broadcastOutbox();
+  return entry;
+}
+
+let replaying = null;
+
+/**
+ * Send queued requests oldest first. Stops at the first network failure or
+ * 5xx/429 and rejects, so Background Sync tries again later; any other
+ * answer (success or a 4xx) takes the request off the queue.
+ */
+function replayOutbox() {
+  if (!replaying) {
+    replaying = (async () => {
+      for (const entry of await outbox.list()) {
+        const response = await fetch(entry.url, { method: entry.method, headers: entry.headers, body: entry.body });
+        if (response.status >= 500 || response.status === 429) {
+          throw new Error(`Outbox replay deferred (${response.status})`);
+        }
+
+        const body = await response.json().catch(() => ({}));
+        await outbox.remove(entry.id);
+        await broadcast({
+          type: response.ok ? 'outbox-sent' : 'outbox-failed',
+          entry: summarize(entry),
+          status: response.status,
+          body
+        });
+      }
+    })().finally(async () => {
+      replaying = null;
+      await broadcastOutbox();
+    });
+  }
+  return replaying;
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(replayOutbox());
+});
+
+self.addEventListener('message', (event) => {
+  const { type } = event.data || {};
+  if (type === 'replay-outbox') {
+    event.waitUntil(replayOutbox().catch(error => console.warn('Outbox still waiting:', error.message)));
+  } else if (type === 'get-outbox') {
+    event.waitUntil(broadcastOutbox());
+  } else if (type === 'schedule-reminders') {
+    event.waitUntil(scheduleReminders(event.data.reminders || []));
+  }
+});
+
+/**
+ * What pages need to know about an entry; the body may hold personal details
+ */
+function summarize({ id, kind, createdAt }) {
+  return { id, kind, createdAt };
+}
+
+async function broadcastOutbox() {
+  const entries = await outbox.list();
+  await broadcast({ type: 'outbox', entries: entries.map(summarize) });
+}
+
+async function broadcast(message) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}
+
+// ============================================
+// Reminders
+// ============================================
+
+const reminders = createStore('shoresquad-reminders', 'reminders');
+
+/**
+ * Replace the schedule with the page's latest list of
+ * { id, at, expiresAt, title, body, fallbackBody, forecastStaleAt, url }.
+ * The page recomputes it with the newest forecast on every check, so an
+ * unshown reminder picks up the new text; ones already shown are
+ * remembered until they expire so they never show twice.
+ */
+async function scheduleReminders(list) {
+  const stored = await reminders.list();
+  const ids = new Set(list.map(reminder => reminder.id));
+
+  await Promise.all(stored
+    .filter(reminder => !reminder.shown && !ids.has(reminder.id))
+    .map(reminder => reminders.remove(reminder.id)));
+  await Promise.all(list.map(reminder => {
+    const previous = stored.find(candidate => candidate.id === reminder.id);
+    if (previous && previous.shown) return null;
+    return reminders.put({ createdAt: Date.now(), ...reminder, shown: false });
+  }));
+
+  await showDueReminders();
+}
+
+async function showDueReminders(now = Date.now()) {
+  for (const reminder of await reminders.list()) {
+    if (reminder.expiresAt <= now) {
+      await reminders.remove(reminder.id);
+    } else if (!reminder.shown && reminder.at <= now) {
+      try {
+        // The page wasn't open to refresh the forecast; don't present an old one as the latest
+        const stale = reminder.forecastStaleAt && reminder.forecastStaleAt <= now;
+        await self.registration.showNotification(reminder.title, {
+          body: stale ? reminder.fallbackBody : reminder.body,
+          tag: reminder.id,
+          icon: 'icons/icon.svg',
+          badge: 'icons/icon.svg',
+          data: { url: reminder.url }
+        });
+        await reminders.put({ ...reminder, shown: true });
+      } catch (error) {
+        // Permission was withdrawn; the page will notice and clear the schedule
+        console.warn('Reminder not shown:', error);
+      }
+    }
+  }
+}
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) event.waitUntil(showDueReminders());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL((event.notification.data && event.notification.data.url) || './', self.registration.scope).href;
+
+  event.waitUntil((async () => {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = clients.find(candidate => candidate.url.startsWith(self.registration.scope));
+    if (client) {
+      await client.focus();
+      // navigate() only works on pages this worker controls
+      return client.navigate(url).catch(() => client);
+    }
+    return self.clients.openWindow(url);
+  })());
+});
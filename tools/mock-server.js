@@ -0,0 +1,296 @@
+/**
+ * ShoreSquad mock server
+ *
+ * Serves the site plus in-memory squad, event, RSVP, litter log and signup APIs, so
+ * invite links, reschedules, RSVPs, litter tally sync and the signup form can be tried
+ * across browsers and devices
+ * without a real backend. It also serves sw.js over http, so the offline
+ * outbox can be tried by stopping and restarting the server:
+ *
+ *   node tools/mock-server.js        # then open http://localhost:3000/?squads=mock&rsvps=mock&events=mock&litter=mock
+ *   PORT=8080 node tools/mock-server.js
+ *   SIGNUP_FAILURE_RATE=0.5 node tools/mock-server.js   # half of signups get a 503
+ *
+ * The rules come from LocalSquadStore, JsonEventStore, LocalRsvpStore, LocalLitterLogStore
+ * and MockSignupBackend
+ * in js/app.js, so the browser and the server enforce the same ones. Data is lost when the
+ * server stops.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const {
+  LocalSquadStore, SquadError, JsonEventStore, EventError, LocalRsvpStore, RsvpError,
+  LocalLitterLogStore, MockSignupBackend
+} = require('../js/app.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 3000;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+const ERROR_STATUS = {
+  'not-found': 404,
+  'invite-expired': 410,
+  forbidden: 403,
+  'already-member': 409,
+  'last-organizer': 409,
+  invalid: 400
+};
+
+/**
+ * LocalSquadStore's rules over a plain object instead of localStorage
+ */
+class MemorySquadStore extends LocalSquadStore {
+  constructor() {
+    super();
+    this.data = { squads: [], invites: [] };
+  }
+
+  load() {
+    return JSON.parse(JSON.stringify(this.data));
+  }
+
+  save(data) {
+    this.data = data;
+  }
+}
+
+/**
+ * data/events.json with reschedules kept in memory instead of localStorage
+ */
+class MemoryEventStore extends JsonEventStore {
+  constructor() {
+    super();
+    this.overrides = {};
+  }
+
+  async loadEvents() {
+    const { events } = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'events.json'), 'utf8'));
+    return this.applyOverrides(events);
+  }
+
+  loadOverrides() {
+    return JSON.parse(JSON.stringify(this.overrides));
+  }
+
+  saveOverrides(overrides) {
+    this.overrides = overrides;
+  }
+}
+
+/**
+ * LocalRsvpStore's capacity rules over a plain object
+ */
+class MemoryRsvpStore extends LocalRsvpStore {
+  constructor() {
+    super();
+    this.data = {};
+  }
+
+  loadAll() {
+    return JSON.parse(JSON.stringify(this.data));
+  }
+
+  saveAll(all) {
+    this.data = all;
+  }
+}
+
+/**
+ * Every device's litter tallies, saved by entry id like LocalLitterLogStore
+ */
+class MemoryLitterLogStore extends LocalLitterLogStore {
+  constructor() {
+    super();
+    this.entries = [];
+  }
+
+  loadAll() {
+    return JSON.parse(JSON.stringify(this.entries));
+  }
+
+  saveAll(entries) {
+    this.entries = entries;
+  }
+}
+
+const store = new MemorySquadStore();
+const rsvps = new MemoryRsvpStore();
+const events = new MemoryEventStore();
+const litter = new MemoryLitterLogStore();
+const signups = new MockSignupBackend({ failureRate: Number(process.env.SIGNUP_FAILURE_RATE) || 0 });
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(new SquadError('invalid', 'Body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Route /api/... requests to the squad, event, RSVP and litter stores or the signup backend.
+ * Resolves to [status, body].
+ */
+async function handleApi(method, segments, req) {
+  const [resource, id, child, childId] = segments;
+
+  if (resource === 'signups' && !id && method === 'POST') {
+    const { status, body } = signups.handle(await readBody(req), req.headers['idempotency-key']);
+    return [status, body];
+  }
+
+  if (resource === 'litter' && !id) {
+    if (method === 'GET') return [200, { entries: await litter.list() }];
+    if (method === 'POST') {
+      const entry = await readBody(req);
+      if (!entry.id || !entry.beachId) throw new SquadError('invalid', 'Entries need an id and a beachId');
+      return [201, { entry: await litter.save(entry) }];
+    }
+  }
+
+  // Squads answer with public views (no names or emails) unless the
+  // Squad-Key header holds a member's key
+  const squadKey = req.headers['squad-key'] || null;
+
+  if (resource === 'squads' && !id) {
+    if (method === 'GET') return [200, { squads: await store.list() }];
+    if (method === 'POST') {
+      const { name, organizer } = await readBody(req);
+      return [201, { squad: await store.create(name, organizer) }];
+    }
+  }
+
+  if (resource === 'squads' && id && !child && method === 'GET') {
+    const squad = await store.get(id, squadKey);
+    if (!squad) throw new SquadError('not-found', `Squad ${id} not found`);
+    return [200, { squad }];
+  }
+
+  if (resource === 'squads' && child === 'invites' && method === 'POST') {
+    return [201, { invite: await store.createInvite(id, squadKey) }];
+  }
+
+  if (resource === 'squads' && child === 'members' && childId) {
+    if (method === 'PATCH') {
+      const { role } = await readBody(req);
+      return [200, { squad: await store.setRole(id, childId, role, squadKey) }];
+    }
+    if (method === 'DELETE') return [200, { squad: await store.removeMember(id, childId, squadKey) }];
+  }
+
+  if (resource === 'events' && !id && method === 'GET') {
+    return [200, { events: await events.loadEvents() }];
+  }
+
+  if (resource === 'events' && id && !child && method === 'PATCH') {
+    const { start, actor } = await readBody(req);
+    await events.reschedule(id, new Date(start), actor);
+    const raw = await events.loadEvents();
+    return [200, { event: raw.find(event => event.id === id) }];
+  }
+
+  if (resource === 'events' && child === 'rsvps') {
+    const event = await events.get(id);
+    if (!event) throw new EventError('not-found', `Event ${id} not found`);
+
+    if (!childId && method === 'GET') return [200, { rsvps: await rsvps.list(id) }];
+    if (!childId && method === 'POST') {
+      const { name, email, squadIds = [] } = await readBody(req);
+      if (!name || !email) throw new SquadError('invalid', 'Name and email are required');
+      if (!Array.isArray(squadIds) || !squadIds.every(squadId => typeof squadId === 'string')) {
+        throw new SquadError('invalid', 'squadIds must be a list of squad ids');
+      }
+      return [201, { rsvp: await rsvps.join(event, { name, email, squadIds }) }];
+    }
+    if (childId && method === 'DELETE') {
+      const { token } = await readBody(req);
+      return [200, await rsvps.cancel(event, childId, token)];
+    }
+  }
+
+  if (resource === 'invites' && id && !child && method === 'GET') {
+    return [200, await store.getInvite(id)];
+  }
+
+  if (resource === 'invites' && child === 'accept' && method === 'POST') {
+    return [200, { squad: await store.acceptInvite(id, await readBody(req)) }];
+  }
+
+  return [404, { error: 'not-found', message: `No route for ${method} /api/${segments.join('/')}` }];
+}
+
+function serveFile(res, pathname) {
+  const filePath = path.normalize(path.join(ROOT, pathname === '/' ? 'index.html' : pathname));
+  if (!filePath.startsWith(ROOT + path.sep)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    res.end(content);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (!url.pathname.startsWith('/api/')) {
+    serveFile(res, decodeURIComponent(url.pathname));
+    return;
+  }
+
+  const segments = url.pathname.slice('/api/'.length).split('/').filter(Boolean).map(decodeURIComponent);
+  try {
+    const [status, body] = await handleApi(req.method, segments, req);
+    sendJson(res, status, body);
+  } catch (error) {
+    if (error instanceof SquadError || error instanceof EventError || error instanceof RsvpError) {
+      sendJson(res, ERROR_STATUS[error.code] || 400, { error: error.code, message: error.message });
+    } else {
+      console.error(error);
+      sendJson(res, 500, { error: 'server', message: 'Mock server error' });
+    }
+  }
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`ShoreSquad mock server on http://localhost:${PORT}/?squads=mock&rsvps=mock&events=mock&litter=mock`);
+  });
+}
+
+module.exports = {
+  server, store, events, rsvps, litter, signups,
+  MemorySquadStore, MemoryEventStore, MemoryRsvpStore, MemoryLitterLogStore
+};
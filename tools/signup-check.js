@@ -0,0 +1,229 @@
+/**
+ * ShoreSquad signup check
+ *
+ * Runs SignupClient against MockSignupBackend.createFetch() with no browser
+ * and no server, covering the paths that are hard to hit by hand: retries
+ * after a 503, timeouts, a 409 for an email that's already in, and a replay
+ * of the same Idempotency-Key. Also checks FormValidator's asyncRules,
+ * which no form uses today, against a stand-in form. Exits non-zero if
+ * any check fails:
+ *
+ *   node tools/signup-check.js
+ */
+
+const assert = require('assert');
+const { SignupClient, SignupError, MockSignupBackend, FormValidator, Validators } = require('../js/app.js');
+
+const signup = {
+  name: 'Sam Tan',
+  email: 'sam@example.com',
+  beachId: null,
+  ageBracket: '25-plus',
+  availability: ['weekend-mornings'],
+  guardianConsent: null
+};
+
+/**
+ * A client on a fresh backend that answers instantly, with no backoff
+ * waits. `failFirst` requests get a 503 before reaching the backend.
+ */
+function createClient({ failFirst = 0, latencyMs = 0, ...options } = {}) {
+  const backend = new MockSignupBackend({ latencyMs });
+  const backendFetch = backend.createFetch();
+  const calls = [];
+  const fetch = (url, init) => {
+    calls.push(init);
+    if (calls.length <= failFirst) {
+      return Promise.resolve(new Response(JSON.stringify({ error: 'unavailable' }), { status: 503 }));
+    }
+    return backendFetch(url, init);
+  };
+  const client = new SignupClient('/api/signups', { fetch, sleep: async () => {}, ...options });
+  return { backend, client, calls };
+}
+
+async function rejectsWith(promise, kind) {
+  try {
+    await promise;
+  } catch (error) {
+    assert.ok(error instanceof SignupError, `expected a SignupError, got ${error}`);
+    assert.strictEqual(error.kind, kind);
+    return error;
+  }
+  assert.fail(`expected a '${kind}' SignupError`);
+}
+
+/**
+ * Just enough of a <form> for FormValidator with { live: false }: text
+ * inputs by name and a shared error element
+ */
+function createForm(values) {
+  const createControl = value => {
+    const attributes = {};
+    return {
+      value,
+      type: 'text',
+      focused: false,
+      focus() { this.focused = true; },
+      getAttribute: name => (name in attributes ? attributes[name] : null),
+      setAttribute: (name, attributeValue) => { attributes[name] = attributeValue; },
+      removeAttribute: name => { delete attributes[name]; }
+    };
+  };
+  const elements = {};
+  Object.entries(values).forEach(([name, value]) => {
+    elements[name] = createControl(value);
+  });
+  const errorElement = { id: 'form-error', textContent: '' };
+  return {
+    elements,
+    errorElement,
+    querySelector: selector => (selector === '[data-error-for="form"]' ? errorElement : null)
+  };
+}
+
+/**
+ * An email field whose async rule answers after a tick and records its calls
+ */
+function createAsyncEmailSchema(check) {
+  const calls = [];
+  const schema = {
+    email: {
+      rules: [Validators.required('form.emailRequired'), Validators.email()],
+      asyncRules: [async (value) => {
+        calls.push(value);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        return check(value);
+      }]
+    }
+  };
+  return { schema, calls };
+}
+
+const checks = {
+  async 'retries a 503 with the same Idempotency-Key'() {
+    const { backend, client, calls } = createClient({ failFirst: 2, retries: 2 });
+    const result = await client.signup(signup, 'key-retry');
+
+    assert.strictEqual(result.subscriber.email, signup.email);
+    assert.strictEqual(calls.length, 3);
+    assert.ok(calls.every(init => init.headers['Idempotency-Key'] === 'key-retry'));
+    assert.strictEqual(backend.subscribers.size, 1);
+  },
+
+  async 'gives up once the retries run out'() {
+    const { backend, client, calls } = createClient({ failFirst: 3, retries: 2 });
+    const error = await rejectsWith(client.signup(signup), 'server');
+
+    assert.strictEqual(error.status, 503);
+    assert.strictEqual(calls.length, 3);
+    assert.strictEqual(backend.subscribers.size, 0);
+  },
+
+  async 'times out a slow response'() {
+    const { backend, client } = createClient({ latencyMs: 200, timeoutMs: 20, retries: 0 });
+    await rejectsWith(client.signup(signup), 'timeout');
+
+    // The aborted request never reached the backend
+    await new Promise(resolve => setTimeout(resolve, 250));
+    assert.strictEqual(backend.subscribers.size, 0);
+  },
+
+  async 'answers 409 for an email that is already subscribed'() {
+    const { client } = createClient();
+    await client.signup(signup, 'key-first');
+    const error = await rejectsWith(client.signup({ ...signup, email: 'SAM@example.com' }, 'key-second'), 'already-subscribed');
+
+    assert.strictEqual(error.status, 409);
+  },
+
+  async 'replays the first response for a repeated Idempotency-Key'() {
+    const { backend, client } = createClient();
+    const first = await client.signup(signup, 'key-replay');
+    const second = await client.signup(signup, 'key-replay');
+
+    assert.deepStrictEqual(second, first);
+    assert.strictEqual(backend.subscribers.size, 1);
+  },
+
+  async 'does not retry invalid input'() {
+    const { client, calls } = createClient();
+    const error = await rejectsWith(client.signup({ ...signup, email: 'not-an-email' }), 'validation');
+
+    assert.strictEqual(error.fields.email, 'invalid');
+    assert.strictEqual(calls.length, 1);
+  },
+
+  async 'fails the form on an async rule, once the sync rules pass'() {
+    const { schema, calls } = createAsyncEmailSchema(value => (value === signup.email ? 'form.alreadySubscribed' : null));
+
+    const invalidForm = createForm({ email: 'not-an-email' });
+    const invalid = await new FormValidator(invalidForm, schema, { live: false }).validate();
+    assert.strictEqual(invalid.valid, false);
+    assert.strictEqual(calls.length, 0);
+
+    const takenForm = createForm({ email: signup.email });
+    const taken = await new FormValidator(takenForm, schema, { live: false }).validate();
+    assert.strictEqual(taken.valid, false);
+    assert.deepStrictEqual(calls, [signup.email]);
+    assert.ok(taken.errors.email);
+    assert.strictEqual(takenForm.errorElement.textContent, taken.errors.email);
+    assert.strictEqual(takenForm.elements.email.getAttribute('aria-invalid'), 'true');
+    assert.strictEqual(takenForm.elements.email.getAttribute('aria-describedby'), 'form-error');
+    assert.ok(takenForm.elements.email.focused);
+
+    const freeForm = createForm({ email: 'new@example.com' });
+    const free = await new FormValidator(freeForm, schema, { live: false }).validate();
+    assert.strictEqual(free.valid, true);
+    assert.strictEqual(freeForm.elements.email.getAttribute('aria-invalid'), null);
+  },
+
+  async 'lets the form through when an async rule throws'() {
+    const { schema } = createAsyncEmailSchema(() => {
+      throw new Error('lookup unavailable');
+    });
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      const result = await new FormValidator(createForm({ email: signup.email }), schema, { live: false }).validate();
+      assert.strictEqual(result.valid, true);
+    } finally {
+      console.warn = warn;
+    }
+  },
+
+  async 'ignores an async result that a newer check overtook'() {
+    let release;
+    const slow = new Promise(resolve => { release = resolve; });
+    const schema = {
+      email: {
+        asyncRules: [value => (value === 'slow@example.com' ? slow : null)]
+      }
+    };
+    const form = createForm({ email: 'slow@example.com' });
+    const validator = new FormValidator(form, schema, { live: false });
+
+    const first = validator.validateField('email');
+    form.elements.email.value = 'fast@example.com';
+    await validator.validateField('email');
+    release('form.emailInvalid');
+    await first;
+
+    assert.strictEqual(validator.errors.email, null);
+    assert.strictEqual(form.elements.email.getAttribute('aria-invalid'), null);
+  }
+};
+
+(async () => {
+  let failed = 0;
+  for (const [name, check] of Object.entries(checks)) {
+    try {
+      await check();
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      failed += 1;
+      console.error(`✗ ${name}\n  ${error.message}`);
+    }
+  }
+  process.exitCode = failed > 0 ? 1 : 0;
+})();